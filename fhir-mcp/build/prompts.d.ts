@@ -1,5 +0,0 @@
-/**
- * Register FHIR-related prompts with the MCP server
- * @param server The MCP server
- */
-export declare function registerPrompts(server: any): void;
@@ -0,0 +1,18 @@
+export default {
+  preset: "ts-jest/presets/default-esm",
+  testEnvironment: "node",
+  testMatch: ["**/tests/**/*.test.ts"],
+  extensionsToTreatAsEsm: [".ts"],
+  // Sources import each other as ./module.js, the compiled name
+  moduleNameMapper: {
+    "^(\\.{1,2}/.*)\\.js$": "$1",
+  },
+  transform: {
+    // TS151002 only warns that ts-jest prefers isolatedModules with Node16
+    // modules; the tests are type-checked without it
+    "^.+\\.ts$": ["ts-jest", { useESM: true, diagnostics: { ignoreCodes: [151002] } }],
+  },
+  // Run tests sequentially
+  maxWorkers: 1,
+  verbose: true,
+};
@@ -0,0 +1,206 @@
+import { readFileSync } from "fs";
+import { Agent } from "https";
+import { rootCertificates } from "tls";
+import { homedir } from "os";
+import { join, resolve } from "path";
+
+// Fasten OnPrem's API when it runs on its default port
+const DEFAULT_BASE_URL = "http://localhost:9090/api";
+const DEFAULT_PROFILE = "default";
+const DEFAULT_SEARCH_MAX_PAGES = 10;
+export const DEFAULT_CONFIG_PATH = join(homedir(), ".fhir-mcp", "config.json");
+// Where earlier versions kept their token, so it carries over
+export const DEFAULT_TOKEN_FILE = join(homedir(), ".fhir-mcp-tokens.json");
+
+// "bearer" sends the profile's token as an Authorization header; "none" sends
+// nothing, for instances behind a proxy that handles sign-in
+export type AuthMode = "bearer" | "none";
+
+export interface TlsOptions {
+  rejectUnauthorized?: boolean;   // false accepts self-signed certificates
+  caFile?: string;                // PEM bundle to trust in addition to the system CAs
+}
+
+// A SMART on FHIR app registration, for the authorization code flow
+export interface SmartOptions {
+  clientId: string;
+  clientSecret?: string;
+  redirectUri: string;
+  scope: string;
+  authorizeUrl: string;
+  tokenUrl: string;
+}
+
+// One Fasten instance, e.g. a home server, staging or a demo box
+export interface Profile {
+  baseUrl: string;                // Fasten API root, e.g. https://fasten.example.com/api
+  fhirBaseUrl: string;            // FHIR REST base; defaults to baseUrl
+  auth: AuthMode;
+  token?: string;
+  tls: TlsOptions;
+  smart?: SmartOptions;
+  searchMaxPages: number;         // Bundle pages a FHIR search follows before stopping
+}
+
+export interface FastenConfig {
+  defaultProfile: string;
+  profiles: Record<string, Profile>;
+  tokenFile?: string;             // Keeps tokens between runs; without it they live in memory only
+}
+
+// Shape of the config file: every profile setting is optional and falls back
+// to the built-in defaults
+interface ConfigFile {
+  defaultProfile?: string;
+  tokenFile?: string;
+  profiles?: Record<string, Partial<Profile>>;
+}
+
+export class ConfigError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+// --name value or --name=value; a bare flag reads as "true"
+function parseArgs(argv: string[]): Record<string, string> {
+  const args: Record<string, string> = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) continue;
+    const [, name, inline] = match;
+    if (inline !== undefined) {
+      args[name] = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = "true";
+    }
+  }
+  return args;
+}
+
+function readConfigFile(path: string, required: boolean): ConfigFile {
+  let text: string;
+  try {
+    text = readFileSync(path, "utf-8");
+  } catch (error) {
+    if (required) {
+      throw new ConfigError(`Config file ${path} could not be read`);
+    }
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`Config file ${path} is not valid JSON: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+function checkProfile(name: string, profile: Profile): Profile {
+  for (const key of ["baseUrl", "fhirBaseUrl"] as const) {
+    if (!/^https?:\/\//.test(profile[key])) {
+      throw new ConfigError(`Profile ${name}: ${key} must start with http:// or https://, got "${profile[key]}"`);
+    }
+  }
+  if (profile.auth !== "bearer" && profile.auth !== "none") {
+    throw new ConfigError(`Profile ${name}: auth must be "bearer" or "none", got "${profile.auth}"`);
+  }
+  if (!Number.isInteger(profile.searchMaxPages) || profile.searchMaxPages < 1) {
+    throw new ConfigError(`Profile ${name}: searchMaxPages must be a whole number of at least 1, got "${profile.searchMaxPages}"`);
+  }
+  const missing = profile.smart && (["clientId", "redirectUri", "scope", "authorizeUrl", "tokenUrl"] as const)
+    .filter(key => !profile.smart![key]);
+  if (missing && missing.length > 0) {
+    throw new ConfigError(`Profile ${name}: smart needs ${missing.join(", ")}`);
+  }
+  return {
+    ...profile,
+    baseUrl: profile.baseUrl.replace(/\/+$/, ""),
+    fhirBaseUrl: profile.fhirBaseUrl.replace(/\/+$/, ""),
+  };
+}
+
+function isTrue(value: string | undefined): boolean {
+  return value !== undefined && ["1", "true", "yes"].includes(value.toLowerCase());
+}
+
+// Builds the profiles from the config file, then applies environment variables
+// and command line arguments, in that order, to the default profile:
+//
+//   --config <file>      FASTEN_MCP_CONFIG    (default ~/.fhir-mcp/config.json)
+//   --profile <name>     FASTEN_PROFILE       default profile for tools
+//   --token-file <file>  FASTEN_TOKEN_FILE    (default ~/.fhir-mcp-tokens.json)
+//   --base-url <url>     FASTEN_BASE_URL
+//   --fhir-base-url <url> FASTEN_FHIR_BASE_URL
+//   --auth bearer|none   FASTEN_AUTH
+//   --token <token>      FASTEN_TOKEN
+//   --ca-file <file>     FASTEN_CA_FILE
+//   --insecure           FASTEN_TLS_INSECURE=1  accept self-signed certificates
+//   --search-max-pages <n> FASTEN_SEARCH_MAX_PAGES
+export function loadConfig(argv: string[] = process.argv.slice(2), env: NodeJS.ProcessEnv = process.env): FastenConfig {
+  const args = parseArgs(argv);
+  const explicitPath = args.config || env.FASTEN_MCP_CONFIG;
+  const file = readConfigFile(resolve(explicitPath || DEFAULT_CONFIG_PATH), Boolean(explicitPath));
+
+  const defaultProfile = args.profile || env.FASTEN_PROFILE || file.defaultProfile
+    || Object.keys(file.profiles || {})[0] || DEFAULT_PROFILE;
+  const entries = { ...file.profiles };
+  entries[defaultProfile] = {
+    ...entries[defaultProfile],
+    ...(env.FASTEN_BASE_URL && { baseUrl: env.FASTEN_BASE_URL }),
+    ...(env.FASTEN_FHIR_BASE_URL && { fhirBaseUrl: env.FASTEN_FHIR_BASE_URL }),
+    ...(env.FASTEN_AUTH && { auth: env.FASTEN_AUTH as AuthMode }),
+    ...(env.FASTEN_TOKEN && { token: env.FASTEN_TOKEN }),
+    ...(env.FASTEN_SEARCH_MAX_PAGES && { searchMaxPages: Number(env.FASTEN_SEARCH_MAX_PAGES) }),
+    ...(args["base-url"] && { baseUrl: args["base-url"] }),
+    ...(args["fhir-base-url"] && { fhirBaseUrl: args["fhir-base-url"] }),
+    ...(args.auth && { auth: args.auth as AuthMode }),
+    ...(args.token && { token: args.token }),
+    ...(args["search-max-pages"] && { searchMaxPages: Number(args["search-max-pages"]) }),
+  };
+
+  const tlsOverrides: TlsOptions = {
+    ...((env.FASTEN_CA_FILE || args["ca-file"]) && { caFile: args["ca-file"] || env.FASTEN_CA_FILE }),
+    ...((isTrue(env.FASTEN_TLS_INSECURE) || isTrue(args.insecure)) && { rejectUnauthorized: false }),
+  };
+
+  const profiles: Record<string, Profile> = {};
+  for (const [name, entry] of Object.entries(entries)) {
+    const baseUrl = entry?.baseUrl || DEFAULT_BASE_URL;
+    profiles[name] = checkProfile(name, {
+      baseUrl,
+      fhirBaseUrl: entry?.fhirBaseUrl || baseUrl,
+      auth: entry?.auth || "bearer",
+      token: entry?.token,
+      tls: { ...entry?.tls, ...(name === defaultProfile && tlsOverrides) },
+      ...(entry?.smart && { smart: entry.smart }),
+      searchMaxPages: entry?.searchMaxPages ?? DEFAULT_SEARCH_MAX_PAGES,
+    });
+  }
+
+  const tokenFile = resolve(args["token-file"] || env.FASTEN_TOKEN_FILE || file.tokenFile || DEFAULT_TOKEN_FILE);
+  return { defaultProfile, profiles, tokenFile };
+}
+
+// Picks the agent for a request URL. A profile's TLS settings only mean
+// something for https:// URLs; plain http:// requests get Node's defaults.
+export type AgentFor = (url: URL) => Agent | undefined;
+
+// The agent selector for profiles with TLS settings; undefined means Node's defaults
+export function createAgent(tls: TlsOptions): AgentFor | undefined {
+  if (tls.rejectUnauthorized === undefined && !tls.caFile) {
+    return undefined;
+  }
+  let ca: string | undefined;
+  if (tls.caFile) {
+    try {
+      ca = readFileSync(tls.caFile, "utf-8");
+    } catch (error) {
+      throw new ConfigError(`CA file ${tls.caFile} could not be read`);
+    }
+  }
+  const agent = new Agent({ rejectUnauthorized: tls.rejectUnauthorized ?? true, ...(ca && { ca: [...rootCertificates, ca] }) });
+  return url => (url.protocol === "https:" ? agent : undefined);
+}
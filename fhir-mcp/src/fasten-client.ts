@@ -0,0 +1,91 @@
+import fetch, { RequestInit } from "node-fetch";
+import { AgentFor, Profile } from "./config.js";
+import { SmartAuth } from "./smart-auth.js";
+
+/**
+ * Client for Fasten's own API (sources, summaries, dashboards, queries)
+ */
+export class FastenClient {
+  /**
+   * Create a new Fasten API client
+   * @param name The profile name, used in messages
+   * @param profile The profile's settings
+   * @param auth Holds the profile's token
+   * @param agent Optional agent selector carrying the profile's TLS settings for https:// URLs
+   */
+  constructor(
+    private name: string,
+    private profile: Profile,
+    private auth: SmartAuth,
+    private agent?: AgentFor
+  ) {}
+
+  /**
+   * Check a token with a simple API call that requires authentication
+   * @param token The token to check; without one, the request is sent unauthenticated
+   * @returns Whether the call succeeded
+   */
+  async isTokenValid(token?: string): Promise<boolean> {
+    try {
+      const response = await fetch(`${this.profile.baseUrl}/secure/summary`, {
+        headers: this.headers(token),
+        agent: this.agent,
+      });
+      return response.status === 200;
+    } catch (error) {
+      console.error(`Error validating token for profile ${this.name}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Make an authenticated request to the Fasten API
+   * @param endpoint The path below the API root, e.g. /secure/summary
+   * @param method The HTTP method
+   * @param body Optional JSON body for POST and PUT
+   * @returns The response data
+   */
+  async request(endpoint: string, method: string = "GET", body?: any): Promise<any> {
+    let token: string | undefined;
+    if (this.profile.auth === "bearer") {
+      if (!this.auth.hasToken()) {
+        throw new Error(`No authentication token available for profile "${this.name}". Please set a token using the 'set-auth-token' tool.`);
+      }
+      token = await this.auth.getAccessToken();
+    }
+
+    const options: RequestInit = {
+      method,
+      headers: this.headers(token),
+      agent: this.agent,
+    };
+    if (body && (method === "POST" || method === "PUT")) {
+      options.body = JSON.stringify(body);
+    }
+
+    try {
+      const response = await fetch(`${this.profile.baseUrl}${endpoint}`, options);
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          // Token expired or invalid
+          this.auth.clearToken();
+          throw new Error(`Authentication token for profile "${this.name}" is invalid or has expired. Please provide a new token.`);
+        }
+        throw new Error(`API request failed with status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error(`Error making request to ${endpoint} on profile ${this.name}:`, error);
+      throw error;
+    }
+  }
+
+  private headers(token?: string): Record<string, string> {
+    return {
+      ...(this.profile.auth === "bearer" && token && { Authorization: `Bearer ${token}` }),
+      "Content-Type": "application/json",
+    };
+  }
+}
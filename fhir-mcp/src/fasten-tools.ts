@@ -0,0 +1,422 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { OutputFormat, fastenResources, formatArg, formatResources } from "./formatters.js";
+import { Profiles, profileArg } from "./profiles.js";
+import { getErrorMessage, textResult } from "./results.js";
+
+// A response from one of Fasten's resource endpoints, with the FHIR resources
+// in it rendered like the FHIR tools render theirs
+function resourcesResult(message: string, data: any, format?: OutputFormat) {
+  const resources = format === "raw" ? undefined : fastenResources(data);
+  return textResult(`${message}:\n\n${resources ? formatResources(resources, format) : JSON.stringify(data, null, 2)}`);
+}
+
+/**
+ * Register the Fasten API tools: authentication, sources, summaries,
+ * dashboards and Fasten's resource endpoints
+ * @param server The MCP server
+ * @param profiles The configured Fasten instances
+ */
+export function registerFastenTools(server: McpServer, profiles: Profiles): void {
+  // Register profile and authentication tools
+  server.tool(
+    "list-profiles",
+    "List the configured Fasten profiles (instances) and whether each has a token",
+    {},
+    async () => {
+      const lines = profiles.list().map(({ name, profile, auth }) => {
+        const marker = name === profiles.defaultName ? " (default)" : "";
+        const status = profile.auth === "none" ? "no auth" : auth.hasToken() ? "token set" : "no token";
+        return `- ${name}${marker}: ${profile.baseUrl}, ${status}`;
+      });
+      return textResult(`Configured Fasten profiles:\n${lines.join("\n")}`);
+    }
+  );
+
+  server.tool(
+    "check-auth-status",
+    "Check if a valid authentication token is set for Fasten",
+    {
+      profile: profileArg,
+    },
+    async ({ profile: profileName }) => {
+      try {
+        const { name, profile, auth, fasten } = profiles.get(profileName);
+        if (profile.auth === "none") {
+          const reachable = await fasten.isTokenValid();
+          return textResult(reachable
+            ? `Profile "${name}" does not use a token and ${profile.baseUrl} is answering API requests.`
+            : `Profile "${name}" does not use a token, but ${profile.baseUrl} did not answer an API request.`);
+        }
+
+        if (!auth.hasToken()) {
+          return textResult(`No authentication token is currently set for profile "${name}". Please set a token using the 'set-auth-token' tool.`);
+        }
+
+        const isValid = await fasten.isTokenValid(await auth.getAccessToken());
+        if (!isValid) {
+          auth.clearToken();
+          return textResult(`The authentication token for profile "${name}" is invalid or has expired. Please provide a new token using the 'set-auth-token' tool.`);
+        }
+
+        return textResult(`You have a valid authentication token for profile "${name}" (${profile.baseUrl}) and can make API requests.`);
+      } catch (error) {
+        return textResult(`Error checking authentication status: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "set-auth-token",
+    "Set the authentication token for Fasten API and FHIR access",
+    {
+      token: z.string().describe("The OAuth access token received from Fasten authentication"),
+      profile: profileArg,
+    },
+    async ({ token, profile: profileName }) => {
+      try {
+        const { name, auth, fasten } = profiles.get(profileName);
+
+        // Validate the token before storing it
+        const isValid = await fasten.isTokenValid(token);
+        if (!isValid) {
+          return textResult(`The provided token appears to be invalid for profile "${name}". Please check the token and try again.`);
+        }
+
+        auth.setAccessToken(token);
+        return textResult(`Authentication token saved and validated successfully for profile "${name}". You can now make requests to the Fasten API.`);
+      } catch (error) {
+        return textResult(`Error setting authentication token: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "sign-in",
+    "Sign in to Fasten with a username and password and keep the token for the profile",
+    {
+      username: z.string().describe("Username or email"),
+      password: z.string().describe("Password"),
+      profile: profileArg,
+    },
+    async ({ username, password, profile: profileName }) => {
+      try {
+        const { name, auth } = profiles.get(profileName);
+        await auth.signIn(username, password);
+        return textResult(`Signed in to profile "${name}". You can now make requests to the Fasten API.`);
+      } catch (error) {
+        return textResult(`Error signing in: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "clear-auth-token",
+    "Clear the current authentication token",
+    {
+      profile: profileArg,
+    },
+    async ({ profile: profileName }) => {
+      try {
+        const { name, auth } = profiles.get(profileName);
+        auth.clearToken();
+        return textResult(`Authentication token for profile "${name}" has been cleared. You will need to set a new token to access that Fasten instance.`);
+      } catch (error) {
+        return textResult(`Error clearing authentication token: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  // Register API endpoint tools
+  server.tool(
+    "get-summary",
+    "Get user summary data from Fasten",
+    {
+      profile: profileArg,
+    },
+    async ({ profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/summary");
+        return textResult(`Summary data retrieved successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error retrieving summary data: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "list-sources",
+    "List all sources from Fasten",
+    {
+      profile: profileArg,
+    },
+    async ({ profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/source");
+        return textResult(`Sources retrieved successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error retrieving sources: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "get-source",
+    "Get a specific source by ID",
+    {
+      sourceId: z.string().describe("The ID of the source to retrieve"),
+      profile: profileArg,
+    },
+    async ({ sourceId, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request(`/secure/source/${encodeURIComponent(sourceId)}`);
+        return textResult(`Source retrieved successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error retrieving source: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "list-fhir-resources",
+    "List FHIR resources",
+    {
+      format: formatArg,
+      profile: profileArg,
+    },
+    async ({ format, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/resource/fhir");
+        return resourcesResult("FHIR resources retrieved successfully", data, format);
+      } catch (error) {
+        return textResult(`Error retrieving FHIR resources: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "get-fhir-resource",
+    "Get a specific FHIR resource by source ID and resource ID",
+    {
+      sourceId: z.string().describe("The ID of the source"),
+      resourceId: z.string().describe("The ID of the resource"),
+      format: formatArg,
+      profile: profileArg,
+    },
+    async ({ sourceId, resourceId, format, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request(`/secure/resource/fhir/${encodeURIComponent(sourceId)}/${encodeURIComponent(resourceId)}`);
+        return resourcesResult("FHIR resource retrieved successfully", data, format);
+      } catch (error) {
+        return textResult(`Error retrieving FHIR resource: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "sync-source",
+    "Trigger synchronization for a specific source",
+    {
+      sourceId: z.string().describe("The ID of the source to synchronize"),
+      profile: profileArg,
+    },
+    async ({ sourceId, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request(`/secure/source/${encodeURIComponent(sourceId)}/sync`, "POST");
+        return textResult(`Source synchronization triggered successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error triggering source synchronization: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "get-source-summary",
+    "Get summary for a specific source",
+    {
+      sourceId: z.string().describe("The ID of the source"),
+      profile: profileArg,
+    },
+    async ({ sourceId, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request(`/secure/source/${encodeURIComponent(sourceId)}/summary`);
+        return textResult(`Source summary retrieved successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error retrieving source summary: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "create-reconnect-source",
+    "Create a new reconnect source",
+    {
+      sourceData: z.object({}).passthrough().describe("The source data to create"),
+      profile: profileArg,
+    },
+    async ({ sourceData, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/source", "POST", sourceData);
+        return textResult(`Reconnect source created successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error creating reconnect source: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "create-manual-source",
+    "Create a new manual source",
+    {
+      sourceData: z.object({}).passthrough().describe("The source data to create"),
+      profile: profileArg,
+    },
+    async ({ sourceData, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/source/manual", "POST", sourceData);
+        return textResult(`Manual source created successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error creating manual source: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "delete-source",
+    "Delete a specific source",
+    {
+      sourceId: z.string().describe("The ID of the source to delete"),
+      profile: profileArg,
+    },
+    async ({ sourceId, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request(`/secure/source/${encodeURIComponent(sourceId)}`, "DELETE");
+        return textResult(`Source deleted successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error deleting source: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "delete-account",
+    "Delete the current user account",
+    {
+      profile: profileArg,
+    },
+    async ({ profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/account/me", "DELETE");
+        // Clear the token after account deletion
+        profiles.get(profile).auth.clearToken();
+
+        return textResult(`Account deleted successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error deleting account: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "get-resource-fhir-graph",
+    "Get FHIR resource graph by type",
+    {
+      graphType: z.string().describe("The type of graph to retrieve"),
+      parameters: z.object({}).passthrough().describe("Additional parameters for the graph request"),
+      profile: profileArg,
+    },
+    async ({ graphType, parameters, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request(`/secure/resource/graph/${encodeURIComponent(graphType)}`, "POST", parameters);
+        return textResult(`FHIR resource graph retrieved successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error retrieving FHIR resource graph: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "create-resource-composition",
+    "Create a resource composition",
+    {
+      compositionData: z.object({}).passthrough().describe("The composition data to create"),
+      profile: profileArg,
+    },
+    async ({ compositionData, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/resource/composition", "POST", compositionData);
+        return textResult(`Resource composition created successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error creating resource composition: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "create-related-resources",
+    "Create related resources",
+    {
+      relatedData: z.object({}).passthrough().describe("The related resources data to create"),
+      profile: profileArg,
+    },
+    async ({ relatedData, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/resource/related", "POST", relatedData);
+        return textResult(`Related resources created successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error creating related resources: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "query-fhir-resources",
+    "Query FHIR resources",
+    {
+      queryParams: z.object({}).passthrough().describe("The query parameters"),
+      format: formatArg,
+      profile: profileArg,
+    },
+    async ({ queryParams, format, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/query", "POST", queryParams);
+        return resourcesResult("FHIR resources query completed successfully", data, format);
+      } catch (error) {
+        return textResult(`Error querying FHIR resources: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "get-dashboards",
+    "Get dashboards",
+    {
+      profile: profileArg,
+    },
+    async ({ profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/dashboards");
+        return textResult(`Dashboards retrieved successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error retrieving dashboards: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "add-dashboard-location",
+    "Add a dashboard location",
+    {
+      locationData: z.object({}).passthrough().describe("The dashboard location data to add"),
+      profile: profileArg,
+    },
+    async ({ locationData, profile }) => {
+      try {
+        const data = await profiles.get(profile).fasten.request("/secure/dashboards", "POST", locationData);
+        return textResult(`Dashboard location added successfully:\n\n${JSON.stringify(data, null, 2)}`);
+      } catch (error) {
+        return textResult(`Error adding dashboard location: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+}
@@ -0,0 +1,173 @@
+import fetch, { RequestInit } from "node-fetch";
+import { AgentFor, Profile } from "./config.js";
+import { SearchOptions, SearchParam, SearchResults, buildSearchQuery, nextLink } from "./fhir-search.js";
+import { SmartAuth } from "./smart-auth.js";
+
+/**
+ * FHIR REST client for a profile's FHIR base URL
+ */
+export class FhirClient {
+  /**
+   * Create a new FHIR client
+   * @param profile The profile's settings
+   * @param auth Holds the profile's token
+   * @param agent Optional agent selector carrying the profile's TLS settings for https:// URLs
+   */
+  constructor(
+    private profile: Profile,
+    private auth: SmartAuth,
+    private agent?: AgentFor
+  ) {}
+
+  /**
+   * Make a request to the FHIR server
+   * @param path The path to request, relative to the FHIR base URL, or an absolute URL on the FHIR server
+   * @param options Additional fetch options
+   * @returns The response data
+   */
+  async request<T = any>(path: string, options: RequestInit = {}): Promise<T> {
+    const url = /^https?:\/\//.test(path) ? path : `${this.profile.fhirBaseUrl}/${path.replace(/^\/+/, "")}`;
+    const headers: Record<string, string> = {
+      Accept: "application/fhir+json",
+      "Content-Type": "application/fhir+json",
+      ...(options.headers as Record<string, string> | undefined),
+    };
+    if (this.profile.auth === "bearer") {
+      if (this.auth.hasToken()) {
+        headers.Authorization = `Bearer ${await this.auth.getAccessToken()}`;
+      } else {
+        console.error("No access token available for FHIR request");
+      }
+    }
+
+    const response = await fetch(url, { ...options, headers, agent: this.agent });
+    if (!response.ok) {
+      if (response.status === 401) {
+        this.auth.clearToken();
+      }
+      throw new Error(`FHIR request failed: ${response.status} ${response.statusText}`);
+    }
+    return (await response.json()) as T;
+  }
+
+  /**
+   * Search for resources, following the Bundle's next links until the results
+   * run out or the page limit is reached
+   * @param resourceType The resource type to search, e.g. Observation
+   * @param params Search parameters
+   * @param options Includes, sorting, page size and page limit
+   * @returns One searchset Bundle with the entries of every page read
+   */
+  async search(resourceType: string, params: SearchParam[] = [], options: SearchOptions = {}): Promise<any> {
+    if (!/^[A-Z][A-Za-z]+$/.test(resourceType)) {
+      throw new Error(`Invalid FHIR resource type "${resourceType}"`);
+    }
+    const maxPages = options.maxPages ?? this.profile.searchMaxPages;
+    const results = new SearchResults();
+    const query = buildSearchQuery(params, options).toString();
+    let path = query ? `${resourceType}?${query}` : resourceType;
+    for (let page = 1; ; page++) {
+      const bundle = await this.request(path);
+      results.add(bundle);
+      const next = nextLink(bundle);
+      if (!next || page >= maxPages) {
+        break;
+      }
+      // Next links come from the server; don't send the token anywhere else
+      const nextUrl = new URL(next, `${this.profile.fhirBaseUrl}/`);
+      if (nextUrl.origin !== new URL(this.profile.fhirBaseUrl).origin) {
+        console.error(`Not following next link to ${nextUrl.origin}, which is not the FHIR server ${this.profile.fhirBaseUrl}`);
+        break;
+      }
+      path = nextUrl.href;
+    }
+    return results.bundle();
+  }
+
+  /**
+   * Get a patient by ID
+   * @param id The patient ID
+   * @returns The patient resource
+   */
+  async getPatient(id: string): Promise<any> {
+    return this.request(`Patient/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Search for patients
+   * @param params Search parameters
+   * @param options Includes, sorting, page size and page limit
+   * @returns Bundle of patient resources
+   */
+  async searchPatients(params: SearchParam[] = [], options: SearchOptions = {}): Promise<any> {
+    return this.search("Patient", params, options);
+  }
+
+  /**
+   * Get a patient's conditions
+   * @param patientId The patient ID
+   * @returns Bundle of condition resources
+   */
+  async getPatientConditions(patientId: string): Promise<any> {
+    return this.searchByPatient("Condition", patientId);
+  }
+
+  /**
+   * Get a patient's medications
+   * @param patientId The patient ID
+   * @returns Bundle of medication resources
+   */
+  async getPatientMedications(patientId: string): Promise<any> {
+    return this.searchByPatient("MedicationRequest", patientId);
+  }
+
+  /**
+   * Get a patient's observations
+   * @param patientId The patient ID
+   * @param code Optional observation code to filter by
+   * @returns Bundle of observation resources
+   */
+  async getPatientObservations(patientId: string, code?: string): Promise<any> {
+    return this.searchByPatient("Observation", patientId, code ? [{ name: "code", value: code }] : []);
+  }
+
+  /**
+   * Get a patient's allergies
+   * @param patientId The patient ID
+   * @returns Bundle of allergy resources
+   */
+  async getPatientAllergies(patientId: string): Promise<any> {
+    return this.searchByPatient("AllergyIntolerance", patientId);
+  }
+
+  /**
+   * Get a patient's immunizations
+   * @param patientId The patient ID
+   * @returns Bundle of immunization resources
+   */
+  async getPatientImmunizations(patientId: string): Promise<any> {
+    return this.searchByPatient("Immunization", patientId);
+  }
+
+  /**
+   * Get a patient's procedures
+   * @param patientId The patient ID
+   * @returns Bundle of procedure resources
+   */
+  async getPatientProcedures(patientId: string): Promise<any> {
+    return this.searchByPatient("Procedure", patientId);
+  }
+
+  /**
+   * Get a patient's encounters
+   * @param patientId The patient ID
+   * @returns Bundle of encounter resources
+   */
+  async getPatientEncounters(patientId: string): Promise<any> {
+    return this.searchByPatient("Encounter", patientId);
+  }
+
+  private async searchByPatient(resourceType: string, patientId: string, params: SearchParam[] = []): Promise<any> {
+    return this.search(resourceType, [{ name: "patient", value: patientId }, ...params]);
+  }
+}
@@ -0,0 +1,132 @@
+// Comparison prefixes for number, date and quantity parameters, e.g. ge2024-01-01
+export const SEARCH_PREFIXES = ["eq", "ne", "gt", "lt", "ge", "le", "sa", "eb", "ap"] as const;
+
+export type SearchPrefix = (typeof SEARCH_PREFIXES)[number];
+
+// One search parameter. Values are sent as written, so FHIR's own syntax
+// (system|code, comma-separated alternatives) works in them too.
+export interface SearchParam {
+  name: string;                   // e.g. date, code, subject or _lastUpdated
+  modifier?: string;              // exact, missing, not, text..., or the target type of a chain
+  chain?: string;                 // parameter on the referenced resource, e.g. name in subject:Patient.name
+  prefix?: SearchPrefix;          // applied to every value
+  system?: string;                // token system; each value becomes system|value
+  value: string | string[];       // several values match any of them
+}
+
+export interface SearchOptions {
+  include?: string[];             // _include, e.g. Observation:patient
+  revinclude?: string[];          // _revinclude, e.g. Provenance:target
+  sort?: string[];                // _sort keys, most significant first; -date sorts descending
+  count?: number;                 // _count, the page size
+  maxPages?: number;              // Bundle pages to follow; defaults to the profile's searchMaxPages
+}
+
+function parameterName(param: SearchParam): string {
+  return `${param.name}${param.modifier ? `:${param.modifier}` : ""}${param.chain ? `.${param.chain}` : ""}`;
+}
+
+function parameterValue(param: SearchParam): string {
+  const values = Array.isArray(param.value) ? param.value : [param.value];
+  return values
+    .map(value => `${param.prefix ?? ""}${param.system !== undefined ? `${param.system}|` : ""}${value}`)
+    .join(",");
+}
+
+/**
+ * Build the query string for a search. A parameter given more than once must
+ * match every time (AND); the values of one parameter are alternatives (OR).
+ * @param params The search parameters
+ * @param options The result parameters
+ * @returns The encoded query
+ */
+export function buildSearchQuery(params: SearchParam[], options: SearchOptions = {}): URLSearchParams {
+  const query = new URLSearchParams();
+  for (const param of params) {
+    query.append(parameterName(param), parameterValue(param));
+  }
+  for (const include of options.include ?? []) {
+    query.append("_include", include);
+  }
+  for (const revinclude of options.revinclude ?? []) {
+    query.append("_revinclude", revinclude);
+  }
+  if (options.sort && options.sort.length > 0) {
+    query.append("_sort", options.sort.join(","));
+  }
+  if (options.count !== undefined) {
+    query.append("_count", String(options.count));
+  }
+  return query;
+}
+
+// The URL of a Bundle's next page, if it has one
+export function nextLink(bundle: any): string | undefined {
+  return bundle?.link?.find((link: any) => link?.relation === "next")?.url;
+}
+
+function entryKey(entry: any): string | undefined {
+  if (entry?.fullUrl) {
+    return entry.fullUrl;
+  }
+  const resource = entry?.resource;
+  return resource?.resourceType && resource?.id ? `${resource.resourceType}/${resource.id}` : undefined;
+}
+
+/**
+ * Collects the pages of a search into one searchset Bundle. A resource that
+ * comes back more than once, e.g. when pages shift while they are read or
+ * when several matches include the same resource, is kept once; if any copy
+ * was a match rather than an include, it counts as a match.
+ */
+export class SearchResults {
+  private entries: any[] = [];
+  private keys = new Map<string, number>();
+  private total?: number;
+  private self?: string;
+  private next?: string;
+
+  /**
+   * Add a page of results
+   * @param bundle The page, as returned by the server
+   */
+  add(bundle: any): void {
+    if (bundle?.resourceType !== "Bundle") {
+      throw new Error(`Expected a Bundle from the FHIR server, got ${bundle?.resourceType ?? typeof bundle}`);
+    }
+    this.total ??= bundle.total;
+    this.self ??= bundle.link?.find((link: any) => link?.relation === "self")?.url;
+    this.next = nextLink(bundle);
+
+    for (const entry of bundle.entry ?? []) {
+      const key = entryKey(entry);
+      const index = key !== undefined ? this.keys.get(key) : undefined;
+      if (index === undefined) {
+        if (key !== undefined) {
+          this.keys.set(key, this.entries.length);
+        }
+        this.entries.push(entry);
+      } else if (entry.search?.mode === "match" && this.entries[index].search?.mode !== "match") {
+        this.entries[index] = { ...this.entries[index], search: entry.search };
+      }
+    }
+  }
+
+  /**
+   * The merged Bundle. It keeps a next link when paging stopped early, so
+   * callers can tell the results are incomplete.
+   */
+  bundle(): any {
+    const link = [
+      ...(this.self ? [{ relation: "self", url: this.self }] : []),
+      ...(this.next ? [{ relation: "next", url: this.next }] : []),
+    ];
+    return {
+      resourceType: "Bundle",
+      type: "searchset",
+      ...(this.total !== undefined && { total: this.total }),
+      ...(link.length > 0 && { link }),
+      entry: this.entries,
+    };
+  }
+}
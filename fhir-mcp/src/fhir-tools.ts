@@ -0,0 +1,234 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { SEARCH_PREFIXES, SearchParam } from "./fhir-search.js";
+import { formatArg, formatBundle, formatResource } from "./formatters.js";
+import { Profiles, profileArg } from "./profiles.js";
+import { getErrorMessage, textResult } from "./results.js";
+import { TIMELINE_CATEGORIES, fetchTimeline, formatTimeline } from "./timeline.js";
+
+/**
+ * Register the FHIR REST tools and the SMART on FHIR authorization tools
+ * @param server The MCP server
+ * @param profiles The configured Fasten instances
+ */
+export function registerFhirTools(server: McpServer, profiles: Profiles): void {
+  server.tool(
+    "search-patients",
+    "Search for patients by name, identifier, birthdate, gender, or other criteria",
+    {
+      name: z.string().optional().describe("Patient name to search for"),
+      identifier: z.string().optional().describe("Patient identifier to search for"),
+      birthDate: z.string().optional().describe("Patient birth date to search for (YYYY-MM-DD)"),
+      gender: z.string().optional().describe("Patient gender to search for (male, female, other, unknown)"),
+      limit: z.number().optional().describe("Maximum number of results to return"),
+      format: formatArg,
+      profile: profileArg,
+    },
+    async ({ name, identifier, birthDate, gender, limit, format, profile }) => {
+      try {
+        const params: SearchParam[] = [
+          ...(name ? [{ name: "name", value: name }] : []),
+          ...(identifier ? [{ name: "identifier", value: identifier }] : []),
+          ...(birthDate ? [{ name: "birthdate", value: birthDate }] : []),
+          ...(gender ? [{ name: "gender", value: gender }] : []),
+        ];
+        // A limit is one page of that size
+        const options = limit !== undefined ? { count: limit, maxPages: 1 } : {};
+        const result = await profiles.get(profile).fhir.searchPatients(params, options);
+        return textResult(formatBundle(result, format, "Patient"));
+      } catch (error) {
+        return textResult(`Error searching patients: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "fhir-search",
+    "Search any FHIR resource type with structured parameters. Follows the result pages up to a limit and returns them as one Bundle without duplicates.",
+    {
+      resourceType: z.string().describe("FHIR resource type to search, e.g. Observation"),
+      parameters: z
+        .array(
+          z.object({
+            name: z.string().describe("Search parameter, e.g. patient, code, date or _lastUpdated"),
+            modifier: z.string().optional().describe("Modifier such as exact, contains, missing, not or text, or the target type of a chained reference, e.g. Patient"),
+            chain: z.string().optional().describe("Parameter on the referenced resource for a chained search, e.g. name for subject:Patient.name"),
+            prefix: z.enum(SEARCH_PREFIXES).optional().describe("Comparison for dates, numbers and quantities, e.g. ge or lt"),
+            system: z.string().optional().describe("Code system for token parameters, e.g. http://loinc.org; sent as system|value"),
+            value: z.union([z.string(), z.array(z.string())]).describe("Value to match; a list matches any of its values"),
+          })
+        )
+        .optional()
+        .describe("Search parameters; all of them must match"),
+      include: z.array(z.string()).optional().describe("Referenced resources to include (_include), e.g. Observation:patient"),
+      revinclude: z.array(z.string()).optional().describe("Resources referring to the results to include (_revinclude), e.g. Provenance:target"),
+      sort: z.array(z.string()).optional().describe("Sort keys (_sort), most significant first; prefix with - for descending, e.g. -date"),
+      count: z.number().int().positive().optional().describe("Results per page (_count)"),
+      maxPages: z.number().int().positive().optional().describe("Most result pages to read; defaults to the profile's searchMaxPages"),
+      format: formatArg,
+      profile: profileArg,
+    },
+    async ({ resourceType, parameters, include, revinclude, sort, count, maxPages, format, profile }) => {
+      try {
+        const bundle = await profiles.get(profile).fhir.search(resourceType, parameters, { include, revinclude, sort, count, maxPages });
+        const matches = bundle.entry.filter((entry: any) => (entry.search?.mode ?? "match") === "match").length;
+        const included = bundle.entry.length - matches;
+        let text = `Found ${matches} ${resourceType} resource(s)${included > 0 ? ` and ${included} included resource(s)` : ""}`;
+        text += bundle.total !== undefined ? ` (server total: ${bundle.total}).` : ".";
+        if (bundle.link?.some((link: any) => link.relation === "next")) {
+          text += " Not every page was read, so more results are available; maxPages raises the page limit.";
+        }
+        return textResult(`${text}\n\n${formatBundle(bundle, format, resourceType)}`);
+      } catch (error) {
+        return textResult(`Error searching ${resourceType}: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "get-patient",
+    "Get a patient resource by ID",
+    {
+      patientId: z.string().describe("Patient ID"),
+      format: formatArg,
+      profile: profileArg,
+    },
+    async ({ patientId, format, profile }) => {
+      try {
+        const result = await profiles.get(profile).fhir.getPatient(patientId);
+        return textResult(formatResource(result, format));
+      } catch (error) {
+        return textResult(`Error retrieving patient: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "get-observation",
+    "Get a patient's observations (lab results, vital signs), optionally only those with a given code",
+    {
+      patientId: z.string().describe("Patient ID"),
+      code: z.string().optional().describe("Observation code, e.g. a LOINC code such as 4548-4"),
+      format: formatArg,
+      profile: profileArg,
+    },
+    async ({ patientId, code, format, profile }) => {
+      try {
+        const result = await profiles.get(profile).fhir.getPatientObservations(patientId, code);
+        return textResult(formatBundle(result, format, "Observation"));
+      } catch (error) {
+        return textResult(`Error retrieving observations: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "get-patient-summary",
+    "Get a summary of a patient's health record: demographics, conditions, medications, allergies and observations",
+    {
+      patientId: z.string().describe("Patient ID"),
+      format: formatArg,
+      profile: profileArg,
+    },
+    async ({ patientId, format, profile }) => {
+      try {
+        const { fhir } = profiles.get(profile);
+        const [patient, conditions, medications, allergies, observations] = await Promise.all([
+          fhir.getPatient(patientId),
+          fhir.getPatientConditions(patientId),
+          fhir.getPatientMedications(patientId),
+          fhir.getPatientAllergies(patientId),
+          fhir.getPatientObservations(patientId),
+        ]);
+        if (format === "raw") {
+          const summary = { patient, conditions, medications, allergies, observations };
+          return textResult(JSON.stringify(summary, null, 2));
+        }
+        const sections = [
+          formatResource(patient, format),
+          formatBundle(conditions, format, "Condition"),
+          formatBundle(medications, format, "MedicationRequest"),
+          formatBundle(allergies, format, "AllergyIntolerance"),
+          formatBundle(observations, format, "Observation"),
+        ];
+        return textResult(sections.join("\n\n"));
+      } catch (error) {
+        return textResult(`Error retrieving patient summary: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "patient-timeline",
+    "Get a patient's encounters, conditions, medications, observations, allergies, immunizations and procedures as one chronological list, with events grouped under the encounter they happened in",
+    {
+      patientId: z.string().describe("Patient ID"),
+      from: z.string().optional().describe("Earliest date to include: YYYY, YYYY-MM, YYYY-MM-DD, or a span back from today such as \"6 months\" or \"past year\""),
+      to: z.string().optional().describe("Latest date to include, in the same forms as from"),
+      categories: z.array(z.enum(TIMELINE_CATEGORIES)).optional().describe("Kinds of events to include; all by default"),
+      format: formatArg,
+      profile: profileArg,
+    },
+    async ({ patientId, from, to, categories, format, profile }) => {
+      try {
+        const events = await fetchTimeline(profiles.get(profile).fhir, patientId, { from, to, categories });
+        return textResult(formatTimeline(events, format));
+      } catch (error) {
+        return textResult(`Error building patient timeline: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  // SMART on FHIR authorization code flow, for profiles with a smart section
+  server.tool(
+    "get-authorization-url",
+    "Get the SMART on FHIR authorization URL to open in a browser",
+    {
+      profile: profileArg,
+    },
+    async ({ profile }) => {
+      try {
+        const url = profiles.get(profile).auth.getAuthorizationUrl();
+        return textResult(`Open this URL to authorize access, then pass the code it returns to 'exchange-auth-code':\n\n${url}`);
+      } catch (error) {
+        return textResult(`Error building authorization URL: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "exchange-auth-code",
+    "Exchange a SMART on FHIR authorization code for an access token",
+    {
+      code: z.string().describe("Authorization code"),
+      profile: profileArg,
+    },
+    async ({ code, profile }) => {
+      try {
+        const { name, auth } = profiles.get(profile);
+        const token = await auth.exchangeCodeForToken(code);
+        const patient = token.patient ? ` The token is scoped to patient ${token.patient}.` : "";
+        return textResult(`Access token obtained for profile "${name}".${patient}`);
+      } catch (error) {
+        return textResult(`Error exchanging authorization code: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+
+  server.tool(
+    "refresh-auth-token",
+    "Refresh the SMART on FHIR access token with the refresh token",
+    {
+      profile: profileArg,
+    },
+    async ({ profile }) => {
+      try {
+        const { name, auth } = profiles.get(profile);
+        await auth.refreshToken();
+        return textResult(`Access token refreshed for profile "${name}".`);
+      } catch (error) {
+        return textResult(`Error refreshing access token: ${getErrorMessage(error)}`, true);
+      }
+    }
+  );
+}
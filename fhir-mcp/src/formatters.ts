@@ -0,0 +1,338 @@
+import { z } from "zod";
+
+// How tools render FHIR data: "summary" is one line per resource, "markdown" a
+// table per resource type, "raw" the JSON the server sent
+export type OutputFormat = "summary" | "markdown" | "raw";
+
+// Optional argument the FHIR tools take to pick the rendering
+export const formatArg = z
+  .enum(["summary", "markdown", "raw"])
+  .optional()
+  .describe("Output format: summary (one line per resource), markdown (tables, the default) or raw (FHIR JSON)");
+
+type Field = (resource: any) => string | undefined;
+
+// How one resource type is rendered: the section title, the table columns
+// and the summary line
+interface ResourceFormatter {
+  title: string;
+  columns: Array<[string, Field]>;
+  line: (resource: any) => string;
+}
+
+// Text of a CodeableConcept: its text, else the first coding's display or code
+function concept(value: any): string | undefined {
+  if (!value) return undefined;
+  const coding = value.coding?.find((c: any) => c?.display) ?? value.coding?.[0];
+  return value.text || coding?.display || coding?.code;
+}
+
+function concepts(values: any[] | undefined): string | undefined {
+  const texts = (values ?? []).map(concept).filter(Boolean);
+  return texts.length > 0 ? texts.join(", ") : undefined;
+}
+
+function reference(value: any): string | undefined {
+  return value?.display || value?.reference;
+}
+
+// Dates as the day, dateTimes to the minute
+export function displayDate(value: string | undefined): string | undefined {
+  return value && value.length > 10 ? value.slice(0, 16).replace("T", " ") : value;
+}
+
+function period(value: any): string | undefined {
+  if (!value?.start && !value?.end) return undefined;
+  return `${displayDate(value.start) ?? "?"} to ${displayDate(value.end) ?? "ongoing"}`;
+}
+
+function quantity(value: any): string | undefined {
+  if (value?.value === undefined) return undefined;
+  const unit = value.unit ?? value.code;
+  return `${value.comparator ?? ""}${value.value}${unit ? ` ${unit}` : ""}`;
+}
+
+function humanName(names: any[] | undefined): string | undefined {
+  const name = names?.find((n: any) => n?.use === "official") ?? names?.[0];
+  if (!name) return undefined;
+  return name.text || [...(name.given ?? []), name.family].filter(Boolean).join(" ") || undefined;
+}
+
+// The value[x] of an Observation or one of its components
+function observationValue(value: any): string | undefined {
+  if (value.valueQuantity) return quantity(value.valueQuantity);
+  if (value.valueCodeableConcept) return concept(value.valueCodeableConcept);
+  if (value.valueString !== undefined) return value.valueString;
+  if (value.valueBoolean !== undefined) return value.valueBoolean ? "yes" : "no";
+  if (value.valueInteger !== undefined) return String(value.valueInteger);
+  if (value.valueRange) return `${quantity(value.valueRange.low) ?? "?"}-${quantity(value.valueRange.high) ?? "?"}`;
+  if (value.valueRatio) return `${quantity(value.valueRatio.numerator) ?? "?"}/${quantity(value.valueRatio.denominator) ?? "?"}`;
+  if (value.valueDateTime) return displayDate(value.valueDateTime);
+  if (value.valuePeriod) return period(value.valuePeriod);
+  return value.dataAbsentReason ? `(${concept(value.dataAbsentReason)})` : undefined;
+}
+
+function observationResult(observation: any): string | undefined {
+  const value = observationValue(observation);
+  if (value !== undefined || !observation.component) return value;
+  // Panels such as blood pressure carry their values in components
+  return observation.component
+    .map((component: any) => `${concept(component.code)} ${observationValue(component) ?? "?"}`)
+    .join("; ");
+}
+
+function referenceRange(observation: any): string | undefined {
+  const range = observation.referenceRange?.[0];
+  if (!range) return undefined;
+  if (range.text) return range.text;
+  const low = quantity(range.low);
+  const high = quantity(range.high);
+  if (low && high) return `${range.low.value}-${high}`;
+  return low ? `>= ${low}` : high ? `<= ${high}` : undefined;
+}
+
+function effective(resource: any): string | undefined {
+  return displayDate(resource.effectiveDateTime) ?? period(resource.effectivePeriod) ?? displayDate(resource.issued);
+}
+
+function onset(resource: any): string | undefined {
+  return displayDate(resource.onsetDateTime) ?? period(resource.onsetPeriod) ?? resource.onsetString
+    ?? (resource.onsetAge ? `age ${quantity(resource.onsetAge)}` : undefined);
+}
+
+function dosage(request: any): string | undefined {
+  const instruction = request.dosageInstruction?.[0];
+  if (!instruction) return undefined;
+  if (instruction.text) return instruction.text;
+  const dose = quantity(instruction.doseAndRate?.[0]?.doseQuantity);
+  const timing = instruction.timing?.code ? concept(instruction.timing.code) : undefined;
+  return [dose, timing, concept(instruction.route)].filter(Boolean).join(", ") || undefined;
+}
+
+function reactions(allergy: any): string | undefined {
+  const manifestations = (allergy.reaction ?? []).flatMap((reaction: any) => reaction.manifestation ?? []);
+  return concepts(manifestations);
+}
+
+// " (a, b)" from the parts that are present, "" without any
+function details(...parts: Array<string | undefined>): string {
+  const present = parts.filter(Boolean);
+  return present.length > 0 ? ` (${present.join(", ")})` : "";
+}
+
+const FORMATTERS: Record<string, ResourceFormatter> = {
+  Patient: {
+    title: "Patients",
+    columns: [
+      ["Name", r => humanName(r.name)],
+      ["Gender", r => r.gender],
+      ["Birth date", r => r.birthDate],
+      ["Identifier", r => r.identifier?.[0]?.value],
+      ["ID", r => r.id],
+    ],
+    line: r => `${humanName(r.name) ?? "Unnamed patient"}${details(r.gender, r.birthDate && `born ${r.birthDate}`, r.deceasedDateTime && `died ${displayDate(r.deceasedDateTime)}`, r.id && `id ${r.id}`)}`,
+  },
+  Condition: {
+    title: "Conditions",
+    columns: [
+      ["Condition", r => concept(r.code)],
+      ["Status", r => concept(r.clinicalStatus)],
+      ["Verification", r => concept(r.verificationStatus)],
+      ["Onset", onset],
+      ["Recorded", r => displayDate(r.recordedDate)],
+    ],
+    line: r => `${concept(r.code) ?? "Unknown condition"}${details(concept(r.clinicalStatus), onset(r) && `since ${onset(r)}`)}`,
+  },
+  MedicationRequest: {
+    title: "Medications",
+    columns: [
+      ["Medication", r => concept(r.medicationCodeableConcept) ?? reference(r.medicationReference)],
+      ["Status", r => r.status],
+      ["Dosage", dosage],
+      ["Prescribed", r => displayDate(r.authoredOn)],
+      ["Prescriber", r => reference(r.requester)],
+    ],
+    line: r => `${concept(r.medicationCodeableConcept) ?? reference(r.medicationReference) ?? "Unknown medication"}${details(r.status, dosage(r), r.authoredOn && `prescribed ${displayDate(r.authoredOn)}`)}`,
+  },
+  Observation: {
+    title: "Observations",
+    columns: [
+      ["Observation", r => concept(r.code)],
+      ["Value", observationResult],
+      ["Reference range", referenceRange],
+      ["Interpretation", r => concepts(r.interpretation)],
+      ["Date", effective],
+      ["Status", r => r.status],
+    ],
+    line: r => {
+      const range = referenceRange(r);
+      const interpretation = concepts(r.interpretation);
+      return `${concept(r.code) ?? "Unknown observation"}: ${observationResult(r) ?? "no value"}`
+        + `${range ? ` (ref ${range})` : ""}${interpretation ? ` [${interpretation}]` : ""}${effective(r) ? ` on ${effective(r)}` : ""}`;
+    },
+  },
+  AllergyIntolerance: {
+    title: "Allergies",
+    columns: [
+      ["Substance", r => concept(r.code)],
+      ["Reactions", reactions],
+      ["Criticality", r => r.criticality],
+      ["Status", r => concept(r.clinicalStatus)],
+      ["Recorded", r => displayDate(r.recordedDate) ?? onset(r)],
+    ],
+    line: r => `${concept(r.code) ?? "Unknown substance"}${details(reactions(r), r.criticality && `${r.criticality} criticality`, concept(r.clinicalStatus))}`,
+  },
+  Immunization: {
+    title: "Immunizations",
+    columns: [
+      ["Vaccine", r => concept(r.vaccineCode)],
+      ["Date", r => displayDate(r.occurrenceDateTime) ?? r.occurrenceString],
+      ["Status", r => r.status],
+      ["Lot", r => r.lotNumber],
+    ],
+    line: r => `${concept(r.vaccineCode) ?? "Unknown vaccine"}${details(displayDate(r.occurrenceDateTime) ?? r.occurrenceString, r.status !== "completed" ? r.status : undefined)}`,
+  },
+  Procedure: {
+    title: "Procedures",
+    columns: [
+      ["Procedure", r => concept(r.code)],
+      ["Date", r => displayDate(r.performedDateTime) ?? period(r.performedPeriod)],
+      ["Status", r => r.status],
+      ["Performer", r => reference(r.performer?.[0]?.actor)],
+    ],
+    line: r => `${concept(r.code) ?? "Unknown procedure"}${details(displayDate(r.performedDateTime) ?? period(r.performedPeriod), r.status !== "completed" ? r.status : undefined)}`,
+  },
+  Encounter: {
+    title: "Encounters",
+    columns: [
+      ["Type", r => concepts(r.type) ?? r.class?.display ?? r.class?.code],
+      ["Period", r => period(r.period)],
+      ["Status", r => r.status],
+      ["Reason", r => concepts(r.reasonCode)],
+      ["Provider", r => reference(r.serviceProvider)],
+    ],
+    line: r => `${concepts(r.type) ?? r.class?.display ?? r.class?.code ?? "Encounter"}${details(period(r.period), concepts(r.reasonCode), reference(r.serviceProvider))}`,
+  },
+  OperationOutcome: {
+    title: "Messages from the server",
+    columns: [
+      ["Severity", r => r.issue?.[0]?.severity],
+      ["Message", r => r.issue?.map((issue: any) => issue.diagnostics ?? concept(issue.details)).filter(Boolean).join("; ")],
+    ],
+    line: r => (r.issue ?? []).map((issue: any) => `${issue.severity}: ${issue.diagnostics ?? concept(issue.details) ?? issue.code}`).join("; "),
+  },
+};
+
+// Any other resource type: whatever code and status it has
+function genericFormatter(resourceType: string): ResourceFormatter {
+  return {
+    title: resourceType,
+    columns: [
+      ["ID", r => r.id],
+      ["Code", r => concept(r.code) ?? concept(r.type?.[0] ?? r.type)],
+      ["Status", r => r.status ?? concept(r.clinicalStatus)],
+    ],
+    line: r => `${resourceType}/${r.id ?? "?"}${details(concept(r.code) ?? concept(r.type?.[0] ?? r.type), r.status)}`,
+  };
+}
+
+function formatterFor(resourceType: string): ResourceFormatter {
+  return FORMATTERS[resourceType] ?? genericFormatter(resourceType);
+}
+
+// The one-line description the summary format uses for a resource
+export function summaryLine(resource: any): string {
+  return formatterFor(resource?.resourceType ?? "Unknown").line(resource);
+}
+
+// Table cells can't hold pipes or line breaks
+function cell(value: string | undefined): string {
+  return value ? value.replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ") : "";
+}
+
+function table(formatter: ResourceFormatter, resources: any[]): string {
+  const headers = formatter.columns.map(([header]) => header);
+  const rows = resources.map(resource => formatter.columns.map(([, field]) => cell(field(resource))));
+  return [headers, headers.map(() => "---"), ...rows].map(row => `| ${row.join(" | ")} |`).join("\n");
+}
+
+function section(resourceType: string, resources: any[], format: Exclude<OutputFormat, "raw">): string {
+  const formatter = formatterFor(resourceType);
+  const heading = `### ${formatter.title} (${resources.length})`;
+  if (resources.length === 0) {
+    return `${heading}\n\nNone found.`;
+  }
+  const body = format === "summary"
+    ? resources.map(resource => `- ${formatter.line(resource)}`).join("\n")
+    : table(formatter, resources);
+  return `${heading}\n\n${body}`;
+}
+
+/**
+ * Render a list of FHIR resources, grouped by resource type in the order the
+ * types first appear
+ * @param resources The resources
+ * @param format The output format
+ * @param resourceType The type the list was searched for, so an empty list still gets a heading
+ * @returns The rendered text
+ */
+export function formatResources(resources: any[], format: OutputFormat = "markdown", resourceType?: string): string {
+  if (format === "raw") {
+    return JSON.stringify(resources, null, 2);
+  }
+  const groups = new Map<string, any[]>(resourceType ? [[resourceType, []]] : []);
+  for (const resource of resources) {
+    const type = resource?.resourceType ?? "Unknown";
+    groups.set(type, [...(groups.get(type) ?? []), resource]);
+  }
+  if (groups.size === 0) {
+    return "No resources found.";
+  }
+  return [...groups].map(([type, list]) => section(type, list, format)).join("\n\n");
+}
+
+/**
+ * Render one FHIR resource
+ * @param resource The resource
+ * @param format The output format
+ * @returns The rendered text
+ */
+export function formatResource(resource: any, format: OutputFormat = "markdown"): string {
+  if (format === "raw") {
+    return JSON.stringify(resource, null, 2);
+  }
+  if (resource?.resourceType === "Bundle") {
+    return formatBundle(resource, format);
+  }
+  return formatResources([resource], format);
+}
+
+/**
+ * Render a Bundle's resources
+ * @param bundle The Bundle
+ * @param format The output format
+ * @param resourceType The type that was searched for, so an empty result still gets a heading
+ * @returns The rendered text
+ */
+export function formatBundle(bundle: any, format: OutputFormat = "markdown", resourceType?: string): string {
+  if (format === "raw") {
+    return JSON.stringify(bundle, null, 2);
+  }
+  const resources = (bundle?.entry ?? []).map((entry: any) => entry?.resource).filter(Boolean);
+  return formatResources(resources, format, resourceType);
+}
+
+/**
+ * Pull the FHIR resources out of a Fasten API response, which wraps them as
+ * { data: [{ resource_raw: {...} }] } or { data: { resource_raw: {...} } }
+ * @param data The response
+ * @returns The resources, or undefined when the response holds none
+ */
+export function fastenResources(data: any): any[] | undefined {
+  const payload = data?.data ?? data;
+  const items = Array.isArray(payload) ? payload : [payload];
+  const resources = items
+    .map((item: any) => item?.resource_raw ?? (item?.resourceType ? item : undefined))
+    .filter(Boolean);
+  return resources.length > 0 || (Array.isArray(payload) && payload.length === 0) ? resources : undefined;
+}
@@ -0,0 +1,61 @@
+import { z } from "zod";
+import { FastenConfig, Profile, createAgent } from "./config.js";
+import { FastenClient } from "./fasten-client.js";
+import { FhirClient } from "./fhir-client.js";
+import { SmartAuth } from "./smart-auth.js";
+import { TokenStore } from "./token-store.js";
+
+// Everything the tools need to talk to one Fasten instance. The Fasten API
+// and FHIR clients share the profile's token.
+export interface ProfileSession {
+  name: string;
+  profile: Profile;
+  auth: SmartAuth;
+  fasten: FastenClient;
+  fhir: FhirClient;
+}
+
+// Optional argument every tool takes to pick an instance
+export const profileArg = z
+  .string()
+  .optional()
+  .describe("Name of the Fasten profile (instance) to use, e.g. home or staging. Defaults to the default profile.");
+
+export class Profiles {
+  private sessions = new Map<string, ProfileSession>();
+  public readonly defaultName: string;
+
+  constructor(config: FastenConfig) {
+    this.defaultName = config.defaultProfile;
+    const tokens = config.tokenFile ? new TokenStore(config.tokenFile, config.defaultProfile) : undefined;
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      const agent = createAgent(profile.tls);
+      const auth = new SmartAuth(profile.baseUrl, profile.smart, agent, tokens?.forProfile(name));
+      // A configured token wins over a stored one but stays out of the token file
+      if (profile.token) {
+        auth.setAccessToken(profile.token, false);
+      }
+      this.sessions.set(name, {
+        name,
+        profile,
+        auth,
+        fasten: new FastenClient(name, profile, auth, agent),
+        fhir: new FhirClient(profile, auth, agent),
+      });
+    }
+  }
+
+  // The named profile, or the default one
+  get(name?: string): ProfileSession {
+    const profileName = name || this.defaultName;
+    const session = this.sessions.get(profileName);
+    if (!session) {
+      throw new Error(`Unknown profile "${profileName}". Configured profiles: ${[...this.sessions.keys()].join(", ")}`);
+    }
+    return session;
+  }
+
+  list(): ProfileSession[] {
+    return [...this.sessions.values()];
+  }
+}
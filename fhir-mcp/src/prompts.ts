@@ -0,0 +1,152 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+
+// What each fhir://patient/{id}/... resource holds
+const RESOURCE_DESCRIPTIONS: Record<string, string> = {
+  "": "basic patient information",
+  conditions: "medical conditions",
+  medications: "medications",
+  observations: "lab results and vital signs",
+  allergies: "allergies and intolerances",
+  immunizations: "vaccination history",
+  procedures: "medical procedures",
+  encounters: "healthcare visits",
+  timeline: "all of the above in date order",
+};
+
+function resourceList(patientId: string, paths: string[]): string {
+  return paths
+    .map(path => `- fhir://patient/${patientId}${path ? `/${path}` : ""} (${RESOURCE_DESCRIPTIONS[path]})`)
+    .join("\n");
+}
+
+function userMessage(text: string) {
+  return {
+    messages: [{ role: "user" as const, content: { type: "text" as const, text } }],
+  };
+}
+
+const ALL_RESOURCES = Object.keys(RESOURCE_DESCRIPTIONS);
+
+/**
+ * Register FHIR-related prompts with the MCP server. The tools they mention
+ * are registered by registerFhirTools().
+ * @param server The MCP server
+ */
+export function registerPrompts(server: McpServer): void {
+  // Prompt for analyzing patient data
+  server.prompt(
+    "analyze-patient",
+    "Analyze a patient's health data",
+    {
+      patientId: z.string(),
+      focusArea: z.string().optional(),
+    },
+    ({ patientId, focusArea }) => {
+      let promptText = `Please analyze the health data for patient ${patientId}.`;
+      if (focusArea) {
+        promptText += ` Focus specifically on their ${focusArea}.`;
+      }
+      promptText += `
+
+You can use the following resources to gather information:
+${resourceList(patientId, ALL_RESOURCES)}
+
+You can also use the "get-patient-summary" tool to get a quick overview of the patient's record.
+
+Please provide a comprehensive analysis of the patient's health status, including:
+1. A summary of their key health issues
+2. Any concerning trends in their data
+3. Potential health risks based on their profile
+4. Recommendations for further monitoring or interventions`;
+      return userMessage(promptText);
+    }
+  );
+
+  // Prompt for medication review
+  server.prompt(
+    "medication-review",
+    "Review a patient's medications",
+    {
+      patientId: z.string(),
+    },
+    ({ patientId }) => {
+      const promptText = `Please review the medications for patient ${patientId}.
+
+You can use the following resources to gather information:
+${resourceList(patientId, ["", "medications", "conditions", "allergies"])}
+
+Please provide a comprehensive review of the patient's medications, including:
+1. A list of all current medications
+2. The purpose of each medication
+3. Potential drug interactions or contraindications
+4. Any medications that may be redundant or unnecessary
+5. Recommendations for medication management`;
+      return userMessage(promptText);
+    }
+  );
+
+  // Prompt for health summary
+  server.prompt(
+    "health-summary",
+    "Summarize a patient's health status in plain language",
+    {
+      patientId: z.string(),
+      timeframe: z.string().optional(),
+    },
+    ({ patientId, timeframe }) => {
+      let promptText = `Please provide a summary of the health status for patient ${patientId}`;
+      if (timeframe) {
+        promptText += ` over the past ${timeframe}`;
+      }
+      promptText += `.
+
+You can use the following resources to gather information:
+${resourceList(patientId, ALL_RESOURCES)}
+
+You can also use the "get-patient-summary" tool to get a quick overview of the patient's record.`;
+      if (timeframe) {
+        promptText += ` The "patient-timeline" tool with from set to "${timeframe}" lists what happened in that period, in order.`;
+      }
+      promptText += `
+
+Please provide a concise summary that would be appropriate for a patient to understand their own health status, including:
+1. Key health conditions
+2. Important recent changes
+3. Areas that are well-managed
+4. Areas that may need attention
+5. Preventive care recommendations`;
+      return userMessage(promptText);
+    }
+  );
+
+  // Prompt for lab result interpretation
+  server.prompt(
+    "interpret-labs",
+    "Interpret a patient's lab results",
+    {
+      patientId: z.string(),
+      observationCode: z.string().optional(),
+    },
+    ({ patientId, observationCode }) => {
+      let promptText = `Please interpret the lab results for patient ${patientId}`;
+      if (observationCode) {
+        promptText += ` focusing on the observation code ${observationCode}`;
+      }
+      promptText += `.
+
+You can use the following resources to gather information:
+${resourceList(patientId, ["", "observations", "conditions"])}
+
+You can also use the "get-observation" tool to retrieve specific observations by code.
+
+Please provide an interpretation of the lab results that would be understandable to a patient, including:
+1. What each test measures
+2. Whether results are normal, high, or low
+3. What abnormal results might indicate
+4. How results relate to the patient's known conditions
+5. Any recommendations for follow-up based on these results`;
+      return userMessage(promptText);
+    }
+  );
+}
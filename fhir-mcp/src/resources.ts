@@ -0,0 +1,96 @@
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { FhirClient } from "./fhir-client.js";
+import { formatBundle, formatResource } from "./formatters.js";
+import { Profiles } from "./profiles.js";
+import { fetchTimeline, formatTimeline } from "./timeline.js";
+
+// The fhir://patient/{id}/... resources, how each is fetched and the
+// resource type it holds
+const PATIENT_RESOURCES: Array<{
+  name: string;
+  title: string;
+  path: string;
+  resourceType: string;
+  fetch: (fhir: FhirClient, id: string) => Promise<any>;
+}> = [
+  { name: "conditions", title: "Conditions", path: "conditions", resourceType: "Condition", fetch: (fhir, id) => fhir.getPatientConditions(id) },
+  { name: "medications", title: "Medications", path: "medications", resourceType: "MedicationRequest", fetch: (fhir, id) => fhir.getPatientMedications(id) },
+  { name: "observations", title: "Observations", path: "observations", resourceType: "Observation", fetch: (fhir, id) => fhir.getPatientObservations(id) },
+  { name: "allergies", title: "Allergies", path: "allergies", resourceType: "AllergyIntolerance", fetch: (fhir, id) => fhir.getPatientAllergies(id) },
+  { name: "immunizations", title: "Immunizations", path: "immunizations", resourceType: "Immunization", fetch: (fhir, id) => fhir.getPatientImmunizations(id) },
+  { name: "procedures", title: "Procedures", path: "procedures", resourceType: "Procedure", fetch: (fhir, id) => fhir.getPatientProcedures(id) },
+  { name: "encounters", title: "Encounters", path: "encounters", resourceType: "Encounter", fetch: (fhir, id) => fhir.getPatientEncounters(id) },
+];
+
+// Patient data is read as markdown tables; the FHIR tools' raw format gives the JSON
+function markdownContents(uri: URL, text: string) {
+  return { contents: [{ uri: uri.href, mimeType: "text/markdown", text }] };
+}
+
+function jsonContents(uri: URL, data: any) {
+  return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(data, null, 2) }] };
+}
+
+/**
+ * Register the fhir:// patient resources with the MCP server. They are read
+ * through the default profile.
+ * @param server The MCP server
+ * @param profiles The configured Fasten instances
+ */
+export function registerResources(server: McpServer, profiles: Profiles): void {
+  server.resource(
+    "patient",
+    new ResourceTemplate("fhir://patient/{id}", { list: undefined }),
+    async (uri, { id }) => {
+      try {
+        return markdownContents(uri, formatResource(await profiles.get().fhir.getPatient(String(id))));
+      } catch (error) {
+        console.error(`Error fetching patient ${id}:`, error);
+        throw error;
+      }
+    }
+  );
+
+  for (const resource of PATIENT_RESOURCES) {
+    server.resource(
+      resource.name,
+      new ResourceTemplate(`fhir://patient/{id}/${resource.path}`, { list: undefined }),
+      async (uri, { id }) => {
+        try {
+          const bundle = await resource.fetch(profiles.get().fhir, String(id));
+          return markdownContents(uri, formatBundle(bundle, "markdown", resource.resourceType));
+        } catch (error) {
+          console.error(`Error fetching ${resource.name} for patient ${id}:`, error);
+          throw error;
+        }
+      }
+    );
+  }
+
+  server.resource(
+    "timeline",
+    new ResourceTemplate("fhir://patient/{id}/timeline", { list: undefined }),
+    async (uri, { id }) => {
+      try {
+        return markdownContents(uri, formatTimeline(await fetchTimeline(profiles.get().fhir, String(id))));
+      } catch (error) {
+        console.error(`Error building timeline for patient ${id}:`, error);
+        throw error;
+      }
+    }
+  );
+
+  // List all available resources for a patient
+  server.resource(
+    "patient-resources",
+    new ResourceTemplate("fhir://patient/{id}/resources", { list: undefined }),
+    async (uri, { id }) => {
+      const resources = [
+        { name: "Patient Information", uri: `fhir://patient/${id}` },
+        ...PATIENT_RESOURCES.map(resource => ({ name: resource.title, uri: `fhir://patient/${id}/${resource.path}` })),
+        { name: "Timeline", uri: `fhir://patient/${id}/timeline` },
+      ];
+      return jsonContents(uri, resources);
+    }
+  );
+}
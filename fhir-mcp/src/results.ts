@@ -0,0 +1,15 @@
+// Helper function to extract error message
+export function getErrorMessage(error: unknown): string {
+  if (error instanceof Error) {
+    return error.message;
+  }
+  return String(error);
+}
+
+// A tool result with a single text block
+export function textResult(text: string, isError: boolean = false) {
+  return {
+    content: [{ type: "text" as const, text }],
+    ...(isError && { isError: true }),
+  };
+}
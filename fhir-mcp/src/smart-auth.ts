@@ -0,0 +1,218 @@
+import fetch from "node-fetch";
+import { AgentFor, SmartOptions } from "./config.js";
+import { ProfileTokens } from "./token-store.js";
+
+// Refresh tokens this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Token response from the SMART on FHIR token endpoint
+ */
+export interface TokenResponse {
+  access_token: string;
+  token_type: string;
+  expires_in?: number;
+  refresh_token?: string;
+  scope?: string;
+  patient?: string;
+  id_token?: string;
+  issued_at?: number;
+}
+
+/**
+ * Holds the token of one profile and obtains new ones: set directly, through
+ * the SMART on FHIR authorization code flow, or by signing in to Fasten.
+ * With a token store, the token survives restarts.
+ */
+export class SmartAuth {
+  private currentToken: TokenResponse | null = null;
+
+  /**
+   * Create a new authentication client
+   * @param baseUrl The Fasten API root, used for sign-in
+   * @param smart Optional SMART on FHIR app registration
+   * @param agent Optional agent selector carrying the profile's TLS settings for https:// URLs
+   * @param tokens Optional storage for the profile's token; without it the token is kept in memory only
+   */
+  constructor(
+    private baseUrl: string,
+    private smart?: SmartOptions,
+    private agent?: AgentFor,
+    private tokens?: ProfileTokens
+  ) {
+    this.currentToken = tokens?.load() ?? null;
+  }
+
+  /**
+   * Whether a token is set, expired or not
+   */
+  hasToken(): boolean {
+    return this.currentToken !== null;
+  }
+
+  /**
+   * Use a token obtained elsewhere, e.g. copied from the Fasten web app
+   * @param token The access token
+   * @param persist Whether to store it for later runs; tokens from the config are not copied to the token file
+   */
+  setAccessToken(token: string, persist = true): void {
+    const accessToken = { access_token: token, token_type: "Bearer", issued_at: Date.now() };
+    if (persist) {
+      this.setToken(accessToken);
+    } else {
+      this.currentToken = accessToken;
+    }
+  }
+
+  /**
+   * Get the authorization URL for the SMART on FHIR authorization flow
+   * @param state Optional state parameter for CSRF protection
+   * @returns The authorization URL
+   */
+  getAuthorizationUrl(state?: string): string {
+    const smart = this.requireSmart();
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: smart.clientId,
+      redirect_uri: smart.redirectUri,
+      scope: smart.scope,
+      aud: new URL(smart.authorizeUrl).origin,
+    });
+    if (state) {
+      params.append("state", state);
+    }
+    return `${smart.authorizeUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange an authorization code for an access token
+   * @param code The authorization code
+   * @returns The token response
+   */
+  async exchangeCodeForToken(code: string): Promise<TokenResponse> {
+    const smart = this.requireSmart();
+    return this.requestToken({
+      grant_type: "authorization_code",
+      code,
+      client_id: smart.clientId,
+      redirect_uri: smart.redirectUri,
+    }, "Token exchange");
+  }
+
+  /**
+   * Refresh the access token using the current refresh token
+   * @returns The token response
+   */
+  async refreshToken(): Promise<TokenResponse> {
+    const smart = this.requireSmart();
+    const refreshToken = this.currentToken?.refresh_token;
+    if (!refreshToken) {
+      throw new Error("No refresh token available");
+    }
+    return this.requestToken({
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+      client_id: smart.clientId,
+    }, "Token refresh");
+  }
+
+  /**
+   * Authenticate directly with Fasten using username and password
+   * @param username The username
+   * @param password The password
+   * @returns The token response
+   */
+  async signIn(username: string, password: string): Promise<TokenResponse> {
+    const signInUrl = `${this.baseUrl}/auth/signin`;
+    console.error(`Authenticating with Fasten at ${signInUrl}`);
+
+    const response = await fetch(signInUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+      agent: this.agent,
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Authentication failed (${response.status} ${response.statusText}): ${errorText}`);
+    }
+
+    // Fasten answers with its own format; adapt it to a token response
+    const responseData: any = await response.json();
+    return this.setToken({
+      access_token: responseData.token || responseData.data || responseData.access_token,
+      token_type: responseData.token_type || "Bearer",
+      expires_in: responseData.expires_in,
+      refresh_token: responseData.refresh_token,
+      issued_at: Date.now(),
+    });
+  }
+
+  /**
+   * Get the current access token, refreshing it first when it is about to
+   * expire and a refresh token is available
+   * @returns The current access token
+   */
+  async getAccessToken(): Promise<string> {
+    if (!this.currentToken) {
+      throw new Error("No token available. Please authenticate first.");
+    }
+
+    const { expires_in, issued_at, refresh_token } = this.currentToken;
+    const expiresAt = expires_in ? (issued_at || Date.now()) + expires_in * 1000 : null;
+    if (expiresAt && Date.now() > expiresAt - REFRESH_MARGIN_MS) {
+      if (!refresh_token || !this.smart) {
+        throw new Error("Token is expired and no refresh token is available");
+      }
+      await this.refreshToken();
+    }
+    return this.currentToken.access_token;
+  }
+
+  /**
+   * Forget the current token, here and in the token store
+   */
+  clearToken(): void {
+    this.currentToken = null;
+    this.tokens?.save(null);
+  }
+
+  private setToken(token: TokenResponse): TokenResponse {
+    this.currentToken = token;
+    this.tokens?.save(token);
+    return token;
+  }
+
+  private requireSmart(): SmartOptions {
+    if (!this.smart) {
+      throw new Error("SMART on FHIR is not configured for this profile. Add a smart section to it in the config file.");
+    }
+    return this.smart;
+  }
+
+  private async requestToken(fields: Record<string, string>, action: string): Promise<TokenResponse> {
+    const smart = this.requireSmart();
+    const params = new URLSearchParams(fields);
+    if (smart.clientSecret) {
+      params.append("client_secret", smart.clientSecret);
+    }
+
+    const response = await fetch(smart.tokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: params.toString(),
+      agent: this.agent,
+    });
+    if (!response.ok) {
+      throw new Error(`${action} failed: ${response.status} ${response.statusText}`);
+    }
+
+    const tokenResponse = (await response.json()) as TokenResponse;
+    return this.setToken({
+      ...tokenResponse,
+      // Keep the refresh token when the server doesn't rotate it
+      refresh_token: tokenResponse.refresh_token || this.currentToken?.refresh_token,
+      issued_at: Date.now(),
+    });
+  }
+}
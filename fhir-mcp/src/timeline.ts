@@ -0,0 +1,237 @@
+import { FhirClient } from "./fhir-client.js";
+import { OutputFormat, displayDate, summaryLine } from "./formatters.js";
+
+export const TIMELINE_CATEGORIES = [
+  "encounter",
+  "condition",
+  "medication",
+  "observation",
+  "allergy",
+  "immunization",
+  "procedure",
+] as const;
+
+export type TimelineCategory = (typeof TIMELINE_CATEGORIES)[number];
+
+// Something that happened to the patient, placed at the resource's clinically
+// relevant date. Encounters hold the events that reference them.
+export interface TimelineEvent {
+  date?: string;
+  end?: string;
+  category: TimelineCategory;
+  description: string;
+  resource: any;
+  events?: TimelineEvent[];
+}
+
+export interface TimelineOptions {
+  from?: string;                  // YYYY, YYYY-MM, YYYY-MM-DD or a span back from today such as "6 months"
+  to?: string;                    // same forms; inclusive
+  categories?: TimelineCategory[];
+}
+
+// Where each category's resources come from and which of their dates place
+// them on the timeline, most relevant first
+const SOURCES: Record<TimelineCategory, {
+  label: string;
+  fetch: (fhir: FhirClient, patientId: string) => Promise<any>;
+  dates: (resource: any) => [string | undefined, string | undefined];
+}> = {
+  encounter: {
+    label: "Encounter",
+    fetch: (fhir, id) => fhir.getPatientEncounters(id),
+    dates: r => [r.period?.start, r.period?.end],
+  },
+  condition: {
+    label: "Condition",
+    fetch: (fhir, id) => fhir.getPatientConditions(id),
+    dates: r => [r.onsetDateTime ?? r.onsetPeriod?.start ?? r.recordedDate, r.abatementDateTime ?? r.abatementPeriod?.end],
+  },
+  medication: {
+    label: "Medication",
+    fetch: (fhir, id) => fhir.getPatientMedications(id),
+    dates: r => [r.authoredOn, undefined],
+  },
+  observation: {
+    label: "Observation",
+    fetch: (fhir, id) => fhir.getPatientObservations(id),
+    dates: r => [r.effectiveDateTime ?? r.effectivePeriod?.start ?? r.effectiveInstant ?? r.issued, r.effectivePeriod?.end],
+  },
+  allergy: {
+    label: "Allergy",
+    fetch: (fhir, id) => fhir.getPatientAllergies(id),
+    dates: r => [r.onsetDateTime ?? r.onsetPeriod?.start ?? r.recordedDate, undefined],
+  },
+  immunization: {
+    label: "Immunization",
+    fetch: (fhir, id) => fhir.getPatientImmunizations(id),
+    dates: r => [r.occurrenceDateTime ?? r.recorded, undefined],
+  },
+  procedure: {
+    label: "Procedure",
+    fetch: (fhir, id) => fhir.getPatientProcedures(id),
+    dates: r => [r.performedDateTime ?? r.performedPeriod?.start, r.performedPeriod?.end],
+  },
+};
+
+const SPAN_DAYS: Record<string, number> = { day: 1, week: 7, month: 30, year: 365 };
+
+/**
+ * Resolve a date bound. Dates pass through; spans such as "6 months" or
+ * "past year" count back from today.
+ * @param value The bound as given
+ * @param now Today
+ * @returns The bound as YYYY, YYYY-MM or YYYY-MM-DD
+ */
+export function resolveDate(value: string, now: Date = new Date()): string {
+  const trimmed = value.trim();
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(trimmed)) {
+    return trimmed;
+  }
+  const span = trimmed.toLowerCase().match(/^(?:(?:the )?(?:past|last) )?(\d+)?\s*(day|week|month|year)s?$/);
+  if (!span) {
+    throw new Error(`Unrecognized date "${value}"; use YYYY, YYYY-MM, YYYY-MM-DD or a span such as "6 months"`);
+  }
+  const days = Number(span[1] ?? 1) * SPAN_DAYS[span[2]];
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a date falls in a range. Dates compare as strings at the shorter
+ * precision, so a bound covers every date it is a prefix of and a partial
+ * date such as 2024 is in range if any of it is.
+ * @param date The event's date; undated events are only in an open range
+ * @param from The first date, YYYY, YYYY-MM or YYYY-MM-DD
+ * @param to The last date, in the same forms; inclusive
+ * @returns Whether the date is in range
+ */
+export function inRange(date: string | undefined, from?: string, to?: string): boolean {
+  if (!date) {
+    return !from && !to;
+  }
+  return (!from || date >= from.slice(0, date.length)) && (!to || date.slice(0, to.length) <= to);
+}
+
+// Encounter/123 from a relative, absolute or versioned reference
+function encounterKey(reference: string | undefined): string | undefined {
+  const match = reference?.match(/(?:^|\/)Encounter\/([^/]+)(?:\/_history\/[^/]+)?$/);
+  return match ? `Encounter/${match[1]}` : undefined;
+}
+
+// Oldest first; undated events last
+function byDate(a: TimelineEvent, b: TimelineEvent): number {
+  if (!a.date || !b.date) {
+    return a.date ? -1 : b.date ? 1 : 0;
+  }
+  return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+}
+
+/**
+ * Put resources on a timeline. Events that reference an encounter on the
+ * timeline are listed under it; the rest stand on their own.
+ * @param resources The resources of each category
+ * @param options The date range
+ * @returns The events in chronological order
+ */
+export function buildTimeline(
+  resources: Partial<Record<TimelineCategory, any[]>>,
+  options: Pick<TimelineOptions, "from" | "to"> = {}
+): TimelineEvent[] {
+  const from = options.from && resolveDate(options.from);
+  const to = options.to && resolveDate(options.to);
+
+  const events: TimelineEvent[] = [];
+  for (const category of TIMELINE_CATEGORIES) {
+    for (const resource of resources[category] ?? []) {
+      const [date, end] = SOURCES[category].dates(resource);
+      if (inRange(date, from, to)) {
+        events.push({ date, ...(end && { end }), category, description: summaryLine(resource), resource });
+      }
+    }
+  }
+
+  const encounters = new Map<string, TimelineEvent>();
+  for (const event of events) {
+    if (event.category === "encounter" && event.resource.id) {
+      encounters.set(`Encounter/${event.resource.id}`, { ...event, events: [] });
+    }
+  }
+  const timeline: TimelineEvent[] = [];
+  for (const event of events) {
+    if (event.category === "encounter") {
+      timeline.push(encounters.get(`Encounter/${event.resource.id}`) ?? event);
+      continue;
+    }
+    // STU3 resources name the encounter "context"
+    const key = encounterKey(event.resource.encounter?.reference ?? event.resource.context?.reference);
+    const encounter = key ? encounters.get(key) : undefined;
+    if (encounter) {
+      encounter.events!.push(event);
+    } else {
+      timeline.push(event);
+    }
+  }
+  for (const encounter of encounters.values()) {
+    encounter.events!.sort(byDate);
+  }
+  return timeline.sort(byDate);
+}
+
+/**
+ * Fetch a patient's resources in parallel and put them on a timeline
+ * @param fhir The FHIR client
+ * @param patientId The patient ID
+ * @param options The date range and the categories to include, all by default
+ * @returns The events in chronological order
+ */
+export async function fetchTimeline(fhir: FhirClient, patientId: string, options: TimelineOptions = {}): Promise<TimelineEvent[]> {
+  const categories = options.categories && options.categories.length > 0 ? options.categories : [...TIMELINE_CATEGORIES];
+  const bundles = await Promise.all(categories.map(category => SOURCES[category].fetch(fhir, patientId)));
+  const resources: Partial<Record<TimelineCategory, any[]>> = {};
+  categories.forEach((category, index) => {
+    resources[category] = (bundles[index]?.entry ?? [])
+      .filter((entry: any) => (entry?.search?.mode ?? "match") === "match" && entry?.resource)
+      .map((entry: any) => entry.resource);
+  });
+  return buildTimeline(resources, options);
+}
+
+function eventLine(event: TimelineEvent, boldDates: boolean): string {
+  let when = displayDate(event.date) ?? "Undated";
+  if (event.end && displayDate(event.end) !== when) {
+    when += ` to ${displayDate(event.end)}`;
+  }
+  return `${boldDates ? `**${when}**` : when} ${SOURCES[event.category].label}: ${event.description}`;
+}
+
+function eventLines(event: TimelineEvent, boldDates: boolean): string[] {
+  return [
+    `- ${eventLine(event, boldDates)}`,
+    ...(event.events ?? []).map(child => `  - ${eventLine(child, boldDates)}`),
+  ];
+}
+
+/**
+ * Render a timeline. The summary format is a nested list; markdown adds a
+ * heading per year; raw is the events as JSON, FHIR resources included.
+ * @param events The events from buildTimeline() or fetchTimeline()
+ * @param format The output format
+ * @returns The rendered text
+ */
+export function formatTimeline(events: TimelineEvent[], format: OutputFormat = "markdown"): string {
+  if (format === "raw") {
+    return JSON.stringify(events, null, 2);
+  }
+  if (events.length === 0) {
+    return "No events found.";
+  }
+  if (format === "summary") {
+    return events.flatMap(event => eventLines(event, false)).join("\n");
+  }
+  const years = new Map<string, string[]>();
+  for (const event of events) {
+    const year = event.date?.slice(0, 4) ?? "Undated";
+    years.set(year, [...(years.get(year) ?? []), ...eventLines(event, true)]);
+  }
+  return [...years].map(([year, lines]) => `#### ${year}\n\n${lines.join("\n")}`).join("\n\n");
+}
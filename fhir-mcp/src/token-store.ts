@@ -0,0 +1,74 @@
+import { chmodSync, readFileSync, writeFileSync } from "fs";
+import { TokenResponse } from "./smart-auth.js";
+
+// The tokens of one profile, as SmartAuth sees them
+export interface ProfileTokens {
+  load(): TokenResponse | undefined;
+  save(token: TokenResponse | null): void;
+}
+
+/**
+ * Keeps each profile's token between runs in one JSON file that only the user
+ * can read. Files written by older versions hold a single token; it is taken
+ * to be the default profile's.
+ */
+export class TokenStore {
+  /**
+   * Create a token store
+   * @param path The token file
+   * @param defaultProfile The profile a single-token file belongs to
+   */
+  constructor(
+    private path: string,
+    private defaultProfile: string
+  ) {}
+
+  /**
+   * The stored token of one profile, read and written through this store
+   * @param profile The profile name
+   */
+  forProfile(profile: string): ProfileTokens {
+    return {
+      load: () => this.read()[profile],
+      save: token => this.write(profile, token),
+    };
+  }
+
+  private read(): Record<string, TokenResponse> {
+    let text: string;
+    try {
+      text = readFileSync(this.path, "utf-8");
+    } catch (error: any) {
+      if (error?.code !== "ENOENT") {
+        console.error(`Failed to read tokens from ${this.path}: ${error?.message || String(error)}`);
+      }
+      return {};
+    }
+    try {
+      const data = JSON.parse(text);
+      if (typeof data?.access_token === "string") {
+        return { [this.defaultProfile]: data };
+      }
+      return data?.profiles ?? {};
+    } catch (error) {
+      console.error(`Ignoring ${this.path}, which is not valid JSON`);
+      return {};
+    }
+  }
+
+  private write(profile: string, token: TokenResponse | null): void {
+    const tokens = this.read();
+    if (token) {
+      tokens[profile] = token;
+    } else {
+      delete tokens[profile];
+    }
+    try {
+      writeFileSync(this.path, JSON.stringify({ profiles: tokens }, null, 2), { encoding: "utf-8", mode: 0o600 });
+      // The mode above only applies to new files
+      chmodSync(this.path, 0o600);
+    } catch (error: any) {
+      console.error(`Failed to save tokens to ${this.path}: ${error?.message || String(error)}`);
+    }
+  }
+}
@@ -0,0 +1,53 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { createServer, IncomingMessage, Server, ServerResponse } from "http";
+import { AddressInfo } from "net";
+import { registerFastenTools } from "../src/fasten-tools.js";
+import { Profiles } from "../src/profiles.js";
+
+type Handler = (args: any) => Promise<any>;
+
+describe("Fasten tools", () => {
+  let server: Server;
+  let baseUrl: string;
+  let requests: string[];
+  const tools = new Map<string, Handler>();
+
+  beforeAll(async () => {
+    server = createServer((req: IncomingMessage, res: ServerResponse) => {
+      requests.push(`${req.method} ${req.url}`);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end("{}");
+    });
+    await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api`;
+
+    const profiles = new Profiles({
+      defaultProfile: "home",
+      profiles: { home: { baseUrl, fhirBaseUrl: baseUrl, auth: "none", tls: {}, searchMaxPages: 10 } },
+    });
+    // Only the handlers matter here
+    const mcp = { tool: (name: string, ...rest: any[]) => tools.set(name, rest[rest.length - 1]) };
+    registerFastenTools(mcp as unknown as McpServer, profiles);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it("keeps a source id with slashes inside its path segment", async () => {
+    await tools.get("delete-source")!({ sourceId: "../account/me" });
+
+    expect(requests).toEqual(["DELETE /api/secure/source/..%2Faccount%2Fme"]);
+  });
+
+  it("encodes both ids of a resource", async () => {
+    await tools.get("get-fhir-resource")!({ sourceId: "a/b", resourceId: "c?d" });
+
+    expect(requests).toEqual(["GET /api/secure/resource/fhir/a%2Fb/c%3Fd"]);
+  });
+});
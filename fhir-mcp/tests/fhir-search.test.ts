@@ -0,0 +1,241 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, jest } from "@jest/globals";
+import { createServer, IncomingMessage, Server, ServerResponse } from "http";
+import { AddressInfo } from "net";
+import { Profile } from "../src/config.js";
+import { FhirClient } from "../src/fhir-client.js";
+import { SearchResults, buildSearchQuery } from "../src/fhir-search.js";
+import { SmartAuth } from "../src/smart-auth.js";
+
+function observation(id: string): any {
+  return { resourceType: "Observation", id, status: "final" };
+}
+
+function page(entries: any[], next?: string): any {
+  return {
+    resourceType: "Bundle",
+    type: "searchset",
+    ...(next && { link: [{ relation: "next", url: next }] }),
+    entry: entries,
+  };
+}
+
+describe("buildSearchQuery", () => {
+  it("puts comparison prefixes in front of every value", () => {
+    const query = buildSearchQuery([{ name: "date", prefix: "ge", value: ["2024-01-01", "2024-06-01"] }]);
+    expect(query.get("date")).toBe("ge2024-01-01,ge2024-06-01");
+    expect(query.toString()).toBe("date=ge2024-01-01%2Cge2024-06-01");
+  });
+
+  it("joins a token system and code with a bar", () => {
+    const query = buildSearchQuery([{ name: "code", system: "http://loinc.org", value: "8867-4" }]);
+    expect(query.get("code")).toBe("http://loinc.org|8867-4");
+    expect(query.toString()).toBe("code=http%3A%2F%2Floinc.org%7C8867-4");
+  });
+
+  it("keeps an empty system, which matches codes without one", () => {
+    expect(buildSearchQuery([{ name: "code", system: "", value: "abc" }]).get("code")).toBe("|abc");
+  });
+
+  it("adds modifiers and chains to the parameter name", () => {
+    const query = buildSearchQuery([
+      { name: "code", modifier: "not", value: "final" },
+      { name: "subject", modifier: "Patient", chain: "name", value: "Smith" },
+      { name: "general-practitioner", chain: "family", value: "Jones" },
+    ]);
+    expect([...query.keys()]).toEqual(["code:not", "subject:Patient.name", "general-practitioner.family"]);
+    expect(query.get("subject:Patient.name")).toBe("Smith");
+  });
+
+  it("repeats a parameter given more than once", () => {
+    const query = buildSearchQuery([
+      { name: "date", prefix: "ge", value: "2024-01-01" },
+      { name: "date", prefix: "lt", value: "2025-01-01" },
+    ]);
+    expect(query.getAll("date")).toEqual(["ge2024-01-01", "lt2025-01-01"]);
+  });
+
+  it("adds includes, sorting and the page size", () => {
+    const query = buildSearchQuery([{ name: "patient", value: "123" }], {
+      include: ["Observation:patient", "Observation:performer"],
+      revinclude: ["Provenance:target"],
+      sort: ["-date", "code"],
+      count: 50,
+    });
+    expect(query.getAll("_include")).toEqual(["Observation:patient", "Observation:performer"]);
+    expect(query.getAll("_revinclude")).toEqual(["Provenance:target"]);
+    expect(query.get("_sort")).toBe("-date,code");
+    expect(query.get("_count")).toBe("50");
+    expect(query.toString()).toBe(
+      "patient=123&_include=Observation%3Apatient&_include=Observation%3Aperformer" +
+      "&_revinclude=Provenance%3Atarget&_sort=-date%2Ccode&_count=50"
+    );
+  });
+
+  it("leaves out result parameters that are not set", () => {
+    expect(buildSearchQuery([], { include: [], sort: [] }).toString()).toBe("");
+    expect(buildSearchQuery([], { count: 0 }).get("_count")).toBe("0");
+  });
+});
+
+describe("SearchResults", () => {
+  it("keeps a resource that comes back on several pages once", () => {
+    const results = new SearchResults();
+    results.add(page([
+      { fullUrl: "http://fhir/Observation/1", resource: observation("1") },
+      { fullUrl: "http://fhir/Observation/2", resource: observation("2") },
+    ]));
+    results.add(page([
+      { fullUrl: "http://fhir/Observation/2", resource: observation("2") },
+      { fullUrl: "http://fhir/Observation/3", resource: observation("3") },
+    ]));
+    expect(results.bundle().entry.map((entry: any) => entry.resource.id)).toEqual(["1", "2", "3"]);
+  });
+
+  it("tells resources apart by type and id when entries have no fullUrl", () => {
+    const results = new SearchResults();
+    results.add(page([
+      { resource: observation("1") },
+      { resource: { resourceType: "Patient", id: "1" } },
+      { resource: observation("1") },
+    ]));
+    expect(results.bundle().entry.map((entry: any) => `${entry.resource.resourceType}/${entry.resource.id}`))
+      .toEqual(["Observation/1", "Patient/1"]);
+  });
+
+  it("keeps every entry it cannot identify", () => {
+    const results = new SearchResults();
+    results.add(page([{ resource: { resourceType: "Observation" } }, { resource: { resourceType: "Observation" } }]));
+    expect(results.bundle().entry).toHaveLength(2);
+  });
+
+  it("counts an included resource as a match if a later page matches it", () => {
+    const patient = { resourceType: "Patient", id: "p1" };
+    const results = new SearchResults();
+    results.add(page([
+      { fullUrl: "http://fhir/Observation/1", resource: observation("1"), search: { mode: "match" } },
+      { fullUrl: "http://fhir/Patient/p1", resource: patient, search: { mode: "include" } },
+    ]));
+    results.add(page([{ fullUrl: "http://fhir/Patient/p1", resource: patient, search: { mode: "match", score: 1 } }]));
+    const entry = results.bundle().entry;
+    expect(entry).toHaveLength(2);
+    expect(entry[1]).toEqual({ fullUrl: "http://fhir/Patient/p1", resource: patient, search: { mode: "match", score: 1 } });
+  });
+
+  it("does not demote a match that is included again", () => {
+    const results = new SearchResults();
+    results.add(page([{ fullUrl: "http://fhir/Observation/1", resource: observation("1"), search: { mode: "match" } }]));
+    results.add(page([{ fullUrl: "http://fhir/Observation/1", resource: observation("1"), search: { mode: "include" } }]));
+    expect(results.bundle().entry[0].search).toEqual({ mode: "match" });
+  });
+
+  it("keeps the first page's total and self link and the last page's next link", () => {
+    const results = new SearchResults();
+    results.add({ ...page([], "http://fhir/page2"), total: 3, link: [{ relation: "self", url: "http://fhir/page1" }, { relation: "next", url: "http://fhir/page2" }] });
+    results.add({ ...page([], "http://fhir/page3"), total: 4 });
+    expect(results.bundle()).toEqual({
+      resourceType: "Bundle",
+      type: "searchset",
+      total: 3,
+      link: [{ relation: "self", url: "http://fhir/page1" }, { relation: "next", url: "http://fhir/page3" }],
+      entry: [],
+    });
+    results.add(page([]));
+    expect(results.bundle().link).toEqual([{ relation: "self", url: "http://fhir/page1" }]);
+  });
+
+  it("rejects pages that are not Bundles", () => {
+    expect(() => new SearchResults().add({ resourceType: "OperationOutcome" })).toThrow(/got OperationOutcome/);
+    expect(() => new SearchResults().add(undefined)).toThrow(/got undefined/);
+  });
+});
+
+describe("FhirClient.search", () => {
+  let server: Server;
+  let baseUrl: string;
+  let requests: string[];
+  // Bundles the mock server answers with, by path and query
+  let pages: Record<string, any>;
+
+  beforeAll(async () => {
+    server = createServer((req: IncomingMessage, res: ServerResponse) => {
+      requests.push(req.url!);
+      const body = pages[req.url!];
+      res.writeHead(body ? 200 : 404, { "Content-Type": "application/fhir+json" });
+      res.end(JSON.stringify(body ?? { resourceType: "OperationOutcome" }));
+    });
+    await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/fhir`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function client(searchMaxPages = 10): FhirClient {
+    requests = [];
+    const profile: Profile = { baseUrl, fhirBaseUrl: baseUrl, auth: "none", tls: {}, searchMaxPages };
+    return new FhirClient(profile, new SmartAuth(baseUrl));
+  }
+
+  // Three pages of Observations, linked by absolute next URLs as servers send them
+  function threePages(): void {
+    pages = {
+      "/fhir/Observation?patient=123&_count=1": page([{ resource: observation("1") }], `${baseUrl}/Observation?patient=123&_count=1&page=2`),
+      "/fhir/Observation?patient=123&_count=1&page=2": page([{ resource: observation("2") }], `${baseUrl}/Observation?patient=123&_count=1&page=3`),
+      "/fhir/Observation?patient=123&_count=1&page=3": page([{ resource: observation("3") }]),
+    };
+  }
+
+  it("follows next links until the results run out", async () => {
+    threePages();
+    const bundle = await client().search("Observation", [{ name: "patient", value: "123" }], { count: 1 });
+    expect(requests).toHaveLength(3);
+    expect(bundle.entry.map((entry: any) => entry.resource.id)).toEqual(["1", "2", "3"]);
+    expect(bundle.link).toBeUndefined();
+  });
+
+  it("stops at the profile's searchMaxPages and keeps the next link", async () => {
+    threePages();
+    const bundle = await client(2).search("Observation", [{ name: "patient", value: "123" }], { count: 1 });
+    expect(requests).toEqual(["/fhir/Observation?patient=123&_count=1", "/fhir/Observation?patient=123&_count=1&page=2"]);
+    expect(bundle.entry.map((entry: any) => entry.resource.id)).toEqual(["1", "2"]);
+    expect(bundle.link).toEqual([{ relation: "next", url: `${baseUrl}/Observation?patient=123&_count=1&page=3` }]);
+  });
+
+  it("lets maxPages override the profile's limit", async () => {
+    threePages();
+    await client(2).search("Observation", [{ name: "patient", value: "123" }], { count: 1, maxPages: 1 });
+    expect(requests).toHaveLength(1);
+  });
+
+  it("follows relative next links against the FHIR base URL", async () => {
+    pages = {
+      "/fhir/Patient": page([{ resource: { resourceType: "Patient", id: "a" } }], "Patient?page=2"),
+      "/fhir/Patient?page=2": page([{ resource: { resourceType: "Patient", id: "b" } }]),
+    };
+    const bundle = await client().search("Patient");
+    expect(requests).toEqual(["/fhir/Patient", "/fhir/Patient?page=2"]);
+    expect(bundle.entry).toHaveLength(2);
+  });
+
+  it("refuses a next link to another origin", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    pages = {
+      "/fhir/Observation": page([{ resource: observation("1") }], "http://elsewhere.example/fhir/Observation?page=2"),
+    };
+    const bundle = await client().search("Observation");
+    expect(requests).toEqual(["/fhir/Observation"]);
+    expect(bundle.entry).toHaveLength(1);
+    expect(bundle.link).toEqual([{ relation: "next", url: "http://elsewhere.example/fhir/Observation?page=2" }]);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining("Not following next link to http://elsewhere.example"));
+  });
+
+  it("rejects resource types that are not FHIR type names", async () => {
+    await expect(client().search("../Patient")).rejects.toThrow(/Invalid FHIR resource type/);
+    expect(requests).toHaveLength(0);
+  });
+});
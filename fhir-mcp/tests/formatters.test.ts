@@ -0,0 +1,431 @@
+import { describe, expect, it } from "@jest/globals";
+import { displayDate, fastenResources, formatBundle, formatResource, formatResources, summaryLine } from "../src/formatters.js";
+
+// A markdown section: heading, then table rows
+function section(heading: string, ...rows: string[]): string {
+  return [heading, "", ...rows].join("\n");
+}
+
+// The summary format's list for one resource type
+function summary(resources: any[]): string[] {
+  return formatResources(resources, "summary").split("\n").slice(2);
+}
+
+describe("displayDate", () => {
+  it("shows dates as they are and dateTimes to the minute", () => {
+    expect(displayDate(undefined)).toBeUndefined();
+    expect(displayDate("2024")).toBe("2024");
+    expect(displayDate("2024-03")).toBe("2024-03");
+    expect(displayDate("2024-03-01")).toBe("2024-03-01");
+    expect(displayDate("2024-03-01T09:15:30Z")).toBe("2024-03-01 09:15");
+    expect(displayDate("2024-03-01T09:15:30.250+02:00")).toBe("2024-03-01 09:15");
+  });
+});
+
+describe("resource types", () => {
+  it("renders patients", () => {
+    const patients = [
+      {
+        resourceType: "Patient",
+        id: "p1",
+        name: [{ use: "usual", given: ["Jim"] }, { use: "official", given: ["James", "T"], family: "Kirk" }],
+        gender: "male",
+        birthDate: "1980-03-22",
+        identifier: [{ system: "urn:mrn", value: "MRN-1" }],
+      },
+      { resourceType: "Patient", id: "p2", name: [{ text: "Nyota Uhura" }], deceasedDateTime: "2020-01-02T03:04:05Z" },
+      { resourceType: "Patient" },
+    ];
+    expect(formatResources(patients)).toBe(section(
+      "### Patients (3)",
+      "| Name | Gender | Birth date | Identifier | ID |",
+      "| --- | --- | --- | --- | --- |",
+      "| James T Kirk | male | 1980-03-22 | MRN-1 | p1 |",
+      "| Nyota Uhura |  |  |  | p2 |",
+      "|  |  |  |  |  |"
+    ));
+    expect(summary(patients)).toEqual([
+      "- James T Kirk (male, born 1980-03-22, id p1)",
+      "- Nyota Uhura (died 2020-01-02 03:04, id p2)",
+      "- Unnamed patient",
+    ]);
+  });
+
+  it("renders conditions", () => {
+    const conditions = [
+      {
+        resourceType: "Condition",
+        code: { coding: [{ system: "http://snomed.info/sct", code: "195967001", display: "Asthma" }] },
+        clinicalStatus: { coding: [{ code: "active" }] },
+        verificationStatus: { coding: [{ code: "confirmed" }] },
+        onsetDateTime: "2010-05-01",
+        recordedDate: "2010-06-01T10:00:00Z",
+      },
+      { resourceType: "Condition", code: { text: "Migraine" }, onsetAge: { value: 12, unit: "a" } },
+      { resourceType: "Condition", code: { coding: [{ code: "J45" }] }, onsetPeriod: { start: "2001-02" } },
+      { resourceType: "Condition" },
+    ];
+    expect(formatResources(conditions)).toBe(section(
+      "### Conditions (4)",
+      "| Condition | Status | Verification | Onset | Recorded |",
+      "| --- | --- | --- | --- | --- |",
+      "| Asthma | active | confirmed | 2010-05-01 | 2010-06-01 10:00 |",
+      "| Migraine |  |  | age 12 a |  |",
+      "| J45 |  |  | 2001-02 to ongoing |  |",
+      "|  |  |  |  |  |"
+    ));
+    expect(summary(conditions)).toEqual([
+      "- Asthma (active, since 2010-05-01)",
+      "- Migraine (since age 12 a)",
+      "- J45 (since 2001-02 to ongoing)",
+      "- Unknown condition",
+    ]);
+  });
+
+  it("renders medication requests", () => {
+    const medications = [
+      {
+        resourceType: "MedicationRequest",
+        medicationCodeableConcept: { text: "Metformin 500 mg" },
+        status: "active",
+        dosageInstruction: [{ text: "1 tablet twice daily" }],
+        authoredOn: "2023-02-01",
+        requester: { display: "Dr. Smith" },
+      },
+      {
+        resourceType: "MedicationRequest",
+        medicationReference: { reference: "Medication/m1" },
+        dosageInstruction: [{
+          doseAndRate: [{ doseQuantity: { value: 5, unit: "mg" } }],
+          timing: { code: { text: "BID" } },
+          route: { coding: [{ display: "Oral" }] },
+        }],
+      },
+      { resourceType: "MedicationRequest", status: "stopped" },
+    ];
+    expect(formatResources(medications)).toBe(section(
+      "### Medications (3)",
+      "| Medication | Status | Dosage | Prescribed | Prescriber |",
+      "| --- | --- | --- | --- | --- |",
+      "| Metformin 500 mg | active | 1 tablet twice daily | 2023-02-01 | Dr. Smith |",
+      "| Medication/m1 |  | 5 mg, BID, Oral |  |  |",
+      "|  | stopped |  |  |  |"
+    ));
+    expect(summary(medications)).toEqual([
+      "- Metformin 500 mg (active, 1 tablet twice daily, prescribed 2023-02-01)",
+      "- Medication/m1 (5 mg, BID, Oral)",
+      "- Unknown medication (stopped)",
+    ]);
+  });
+
+  it("renders observations", () => {
+    const observations = [
+      {
+        resourceType: "Observation",
+        status: "final",
+        code: { coding: [{ system: "http://loinc.org", code: "2339-0", display: "Glucose" }] },
+        valueQuantity: { value: 95, unit: "mg/dL" },
+        referenceRange: [{ low: { value: 70, unit: "mg/dL" }, high: { value: 99, unit: "mg/dL" } }],
+        interpretation: [{ coding: [{ code: "N", display: "Normal" }] }],
+        effectiveDateTime: "2024-01-05T08:30:00-05:00",
+      },
+      {
+        resourceType: "Observation",
+        code: { text: "Blood pressure" },
+        component: [
+          { code: { text: "Systolic" }, valueQuantity: { value: 120, unit: "mmHg" } },
+          { code: { text: "Diastolic" } },
+        ],
+        referenceRange: [{ high: { value: 130, unit: "mmHg" } }],
+        issued: "2024-01-06T10:00:00Z",
+      },
+      { resourceType: "Observation" },
+    ];
+    expect(formatResources(observations)).toBe(section(
+      "### Observations (3)",
+      "| Observation | Value | Reference range | Interpretation | Date | Status |",
+      "| --- | --- | --- | --- | --- | --- |",
+      "| Glucose | 95 mg/dL | 70-99 mg/dL | Normal | 2024-01-05 08:30 | final |",
+      "| Blood pressure | Systolic 120 mmHg; Diastolic ? | <= 130 mmHg |  | 2024-01-06 10:00 |  |",
+      "|  |  |  |  |  |  |"
+    ));
+    expect(summary(observations)).toEqual([
+      "- Glucose: 95 mg/dL (ref 70-99 mg/dL) [Normal] on 2024-01-05 08:30",
+      "- Blood pressure: Systolic 120 mmHg; Diastolic ? (ref <= 130 mmHg) on 2024-01-06 10:00",
+      "- Unknown observation: no value",
+    ]);
+  });
+
+  it("renders each kind of observation value", () => {
+    const value = (fields: any) => summaryLine({ resourceType: "Observation", code: { text: "Test" }, ...fields });
+    expect(value({ valueQuantity: { value: 5, comparator: "<", code: "mmol/L" } })).toBe("Test: <5 mmol/L");
+    expect(value({ valueCodeableConcept: { text: "Positive" } })).toBe("Test: Positive");
+    expect(value({ valueString: "" })).toBe("Test: ");
+    expect(value({ valueBoolean: false })).toBe("Test: no");
+    expect(value({ valueInteger: 0 })).toBe("Test: 0");
+    expect(value({ valueRange: { low: { value: 1, unit: "mg" } } })).toBe("Test: 1 mg-?");
+    expect(value({ valueRatio: { numerator: { value: 1 }, denominator: { value: 128 } } })).toBe("Test: 1/128");
+    expect(value({ valueDateTime: "2024-02-03T04:05:06Z" })).toBe("Test: 2024-02-03 04:05");
+    expect(value({ valuePeriod: { end: "2024-02-03" } })).toBe("Test: ? to 2024-02-03");
+    expect(value({ dataAbsentReason: { coding: [{ code: "masked" }] } })).toBe("Test: (masked)");
+    expect(value({ referenceRange: [{ text: "negative" }], effectivePeriod: { start: "2024-01-01" } }))
+      .toBe("Test: no value (ref negative) on 2024-01-01 to ongoing");
+    expect(value({ referenceRange: [{ low: { value: 4 } }] })).toBe("Test: no value (ref >= 4)");
+  });
+
+  it("renders allergies", () => {
+    const allergies = [
+      {
+        resourceType: "AllergyIntolerance",
+        code: { text: "Penicillin" },
+        reaction: [{ manifestation: [{ text: "Hives" }] }, { manifestation: [{ coding: [{ display: "Wheezing" }] }] }],
+        criticality: "high",
+        clinicalStatus: { text: "active" },
+        recordedDate: "2015-04-01",
+      },
+      { resourceType: "AllergyIntolerance", code: { text: "Peanut" }, onsetString: "childhood" },
+      { resourceType: "AllergyIntolerance" },
+    ];
+    expect(formatResources(allergies)).toBe(section(
+      "### Allergies (3)",
+      "| Substance | Reactions | Criticality | Status | Recorded |",
+      "| --- | --- | --- | --- | --- |",
+      "| Penicillin | Hives, Wheezing | high | active | 2015-04-01 |",
+      "| Peanut |  |  |  | childhood |",
+      "|  |  |  |  |  |"
+    ));
+    expect(summary(allergies)).toEqual([
+      "- Penicillin (Hives, Wheezing, high criticality, active)",
+      "- Peanut",
+      "- Unknown substance",
+    ]);
+  });
+
+  it("renders immunizations", () => {
+    const immunizations = [
+      { resourceType: "Immunization", vaccineCode: { text: "Influenza" }, occurrenceDateTime: "2023-10-01", status: "completed", lotNumber: "AB12" },
+      { resourceType: "Immunization", vaccineCode: { text: "Tetanus" }, occurrenceString: "childhood", status: "not-done" },
+      { resourceType: "Immunization" },
+    ];
+    expect(formatResources(immunizations)).toBe(section(
+      "### Immunizations (3)",
+      "| Vaccine | Date | Status | Lot |",
+      "| --- | --- | --- | --- |",
+      "| Influenza | 2023-10-01 | completed | AB12 |",
+      "| Tetanus | childhood | not-done |  |",
+      "|  |  |  |  |"
+    ));
+    expect(summary(immunizations)).toEqual([
+      "- Influenza (2023-10-01)",
+      "- Tetanus (childhood, not-done)",
+      "- Unknown vaccine",
+    ]);
+  });
+
+  it("renders procedures", () => {
+    const procedures = [
+      {
+        resourceType: "Procedure",
+        code: { text: "Appendectomy" },
+        performedPeriod: { start: "2019-07-04T10:00:00Z", end: "2019-07-04T12:30:00Z" },
+        status: "completed",
+        performer: [{ actor: { display: "Dr. Jones" } }],
+      },
+      { resourceType: "Procedure", code: { text: "Colonoscopy" }, performedDateTime: "2021-09-09", status: "in-progress", performer: [{ actor: { reference: "Practitioner/pr1" } }] },
+      { resourceType: "Procedure" },
+    ];
+    expect(formatResources(procedures)).toBe(section(
+      "### Procedures (3)",
+      "| Procedure | Date | Status | Performer |",
+      "| --- | --- | --- | --- |",
+      "| Appendectomy | 2019-07-04 10:00 to 2019-07-04 12:30 | completed | Dr. Jones |",
+      "| Colonoscopy | 2021-09-09 | in-progress | Practitioner/pr1 |",
+      "|  |  |  |  |"
+    ));
+    expect(summary(procedures)).toEqual([
+      "- Appendectomy (2019-07-04 10:00 to 2019-07-04 12:30)",
+      "- Colonoscopy (2021-09-09, in-progress)",
+      "- Unknown procedure",
+    ]);
+  });
+
+  it("renders encounters", () => {
+    const encounters = [
+      {
+        resourceType: "Encounter",
+        type: [{ text: "Annual checkup" }, { coding: [{ display: "Vaccination" }] }],
+        class: { code: "AMB" },
+        period: { start: "2024-03-01" },
+        status: "finished",
+        reasonCode: [{ text: "Routine" }],
+        serviceProvider: { reference: "Organization/o1" },
+      },
+      { resourceType: "Encounter", class: { code: "EMER", display: "emergency" }, status: "in-progress" },
+      { resourceType: "Encounter", class: { code: "AMB" } },
+      { resourceType: "Encounter" },
+    ];
+    expect(formatResources(encounters)).toBe(section(
+      "### Encounters (4)",
+      "| Type | Period | Status | Reason | Provider |",
+      "| --- | --- | --- | --- | --- |",
+      "| Annual checkup, Vaccination | 2024-03-01 to ongoing | finished | Routine | Organization/o1 |",
+      "| emergency |  | in-progress |  |  |",
+      "| AMB |  |  |  |  |",
+      "|  |  |  |  |  |"
+    ));
+    expect(summary(encounters)).toEqual([
+      "- Annual checkup, Vaccination (2024-03-01 to ongoing, Routine, Organization/o1)",
+      "- emergency",
+      "- AMB",
+      "- Encounter",
+    ]);
+  });
+
+  it("renders messages from the server", () => {
+    const outcomes = [
+      {
+        resourceType: "OperationOutcome",
+        issue: [
+          { severity: "error", code: "not-found", diagnostics: "Patient/x not found" },
+          { severity: "warning", code: "informational", details: { text: "Check the id" } },
+        ],
+      },
+      { resourceType: "OperationOutcome", issue: [{ severity: "fatal", code: "exception" }] },
+      { resourceType: "OperationOutcome" },
+    ];
+    expect(formatResources(outcomes)).toBe(section(
+      "### Messages from the server (3)",
+      "| Severity | Message |",
+      "| --- | --- |",
+      "| error | Patient/x not found; Check the id |",
+      "| fatal |  |",
+      "|  |  |"
+    ));
+    expect(summary(outcomes)).toEqual([
+      "- error: Patient/x not found; warning: Check the id",
+      "- fatal: exception",
+      "- ",
+    ]);
+  });
+
+  it("renders other resource types by id, code and status", () => {
+    const resources = [
+      { resourceType: "DiagnosticReport", id: "d1", code: { text: "CBC" }, status: "final" },
+      { resourceType: "DiagnosticReport", id: "d2", type: { text: "Imaging" } },
+      { resourceType: "DiagnosticReport", clinicalStatus: { text: "active" } },
+    ];
+    expect(formatResources(resources)).toBe(section(
+      "### DiagnosticReport (3)",
+      "| ID | Code | Status |",
+      "| --- | --- | --- |",
+      "| d1 | CBC | final |",
+      "| d2 | Imaging |  |",
+      "|  |  | active |"
+    ));
+    expect(summary(resources)).toEqual([
+      "- DiagnosticReport/d1 (CBC, final)",
+      "- DiagnosticReport/d2 (Imaging)",
+      "- DiagnosticReport/?",
+    ]);
+    expect(summaryLine({ resourceType: "CarePlan", id: "c1", type: [{ text: "Diet" }] })).toBe("CarePlan/c1 (Diet)");
+    expect(summaryLine({ id: "x" })).toBe("Unknown/x");
+  });
+});
+
+describe("formatResources", () => {
+  const condition = { resourceType: "Condition", code: { text: "Asthma" } };
+  const patient = { resourceType: "Patient", id: "p1", name: [{ text: "Ann Lee" }] };
+
+  it("groups resources by type in the order the types first appear", () => {
+    expect(formatResources([condition, patient, condition], "summary")).toBe([
+      "### Conditions (2)",
+      "",
+      "- Asthma",
+      "- Asthma",
+      "",
+      "### Patients (1)",
+      "",
+      "- Ann Lee (id p1)",
+    ].join("\n"));
+  });
+
+  it("keeps table cells on one line and escapes pipes", () => {
+    const text = formatResources([{ resourceType: "Condition", code: { text: "Type 2 | adult onset\n  diabetes" } }]);
+    expect(text.split("\n")[4]).toBe("| Type 2 \\| adult onset diabetes |  |  |  |  |");
+  });
+
+  it("gives the searched type a heading when nothing was found", () => {
+    expect(formatResources([], "markdown", "Condition")).toBe("### Conditions (0)\n\nNone found.");
+    expect(formatResources([], "summary", "Basic")).toBe("### Basic (0)\n\nNone found.");
+    expect(formatResources([])).toBe("No resources found.");
+  });
+
+  it("returns the resources as JSON in the raw format", () => {
+    expect(formatResources([condition, patient], "raw")).toBe(JSON.stringify([condition, patient], null, 2));
+    expect(formatResources([], "raw", "Condition")).toBe("[]");
+  });
+});
+
+describe("formatResource", () => {
+  const patient = { resourceType: "Patient", id: "p1", gender: "female" };
+
+  it("renders one resource like a list of one", () => {
+    expect(formatResource(patient)).toBe(formatResources([patient]));
+    expect(formatResource(patient, "summary")).toBe("### Patients (1)\n\n- Unnamed patient (female, id p1)");
+  });
+
+  it("renders a Bundle's resources", () => {
+    const bundle = { resourceType: "Bundle", entry: [{ resource: patient }] };
+    expect(formatResource(bundle, "summary")).toBe(formatBundle(bundle, "summary"));
+  });
+
+  it("returns the resource as JSON in the raw format", () => {
+    expect(formatResource(patient, "raw")).toBe(JSON.stringify(patient, null, 2));
+  });
+});
+
+describe("formatBundle", () => {
+  const bundle = {
+    resourceType: "Bundle",
+    type: "searchset",
+    entry: [
+      { resource: { resourceType: "Immunization", vaccineCode: { text: "Influenza" }, status: "completed" } },
+      { fullUrl: "urn:uuid:1" },
+    ],
+  };
+
+  it("renders the entries that hold a resource", () => {
+    expect(formatBundle(bundle, "summary")).toBe("### Immunizations (1)\n\n- Influenza");
+  });
+
+  it("gives the searched type a heading when the Bundle is empty", () => {
+    expect(formatBundle({ resourceType: "Bundle", type: "searchset", total: 0 }, "markdown", "Procedure"))
+      .toBe("### Procedures (0)\n\nNone found.");
+    expect(formatBundle(undefined)).toBe("No resources found.");
+  });
+
+  it("returns the whole Bundle as JSON in the raw format", () => {
+    expect(formatBundle(bundle, "raw")).toBe(JSON.stringify(bundle, null, 2));
+  });
+});
+
+describe("fastenResources", () => {
+  const patient = { resourceType: "Patient", id: "p1" };
+
+  it("unwraps Fasten's resource_raw lists and single records", () => {
+    expect(fastenResources({ data: [{ resource_raw: patient, source_id: "s1" }] })).toEqual([patient]);
+    expect(fastenResources({ data: { resource_raw: patient } })).toEqual([patient]);
+  });
+
+  it("takes resources that are not wrapped", () => {
+    expect(fastenResources({ data: [patient] })).toEqual([patient]);
+    expect(fastenResources(patient)).toEqual([patient]);
+  });
+
+  it("returns an empty list for an empty list and undefined for anything else", () => {
+    expect(fastenResources({ data: [] })).toEqual([]);
+    expect(fastenResources({ data: { count: 3 } })).toBeUndefined();
+    expect(fastenResources({ data: [{ id: 1 }] })).toBeUndefined();
+    expect(fastenResources(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, expect, it } from "@jest/globals";
+import { buildTimeline, formatTimeline, inRange, resolveDate } from "../src/timeline.js";
+
+const NOW = new Date("2025-07-01T12:00:00Z");
+
+function encounter(id: string, start: string, end?: string): any {
+  return { resourceType: "Encounter", id, type: [{ text: `Visit ${id}` }], period: { start, ...(end && { end }) } };
+}
+
+function condition(text: string, onsetDateTime?: string, encounterReference?: string): any {
+  return {
+    resourceType: "Condition",
+    code: { text },
+    ...(onsetDateTime && { onsetDateTime }),
+    ...(encounterReference && { encounter: { reference: encounterReference } }),
+  };
+}
+
+// What the events are, by category and description, children indented
+function outline(events: any[]): string[] {
+  return events.flatMap(event => [
+    `${event.category}: ${event.description}`,
+    ...(event.events ?? []).map((child: any) => `  ${child.category}: ${child.description}`),
+  ]);
+}
+
+describe("resolveDate", () => {
+  it("passes dates through", () => {
+    expect(resolveDate("2024", NOW)).toBe("2024");
+    expect(resolveDate("2024-03", NOW)).toBe("2024-03");
+    expect(resolveDate(" 2024-03-05 ", NOW)).toBe("2024-03-05");
+  });
+
+  it("counts spans back from now", () => {
+    expect(resolveDate("6 months", NOW)).toBe("2025-01-02");
+    expect(resolveDate("past year", NOW)).toBe("2024-07-01");
+    expect(resolveDate("the last 2 weeks", NOW)).toBe("2025-06-17");
+    expect(resolveDate("Week", NOW)).toBe("2025-06-24");
+    expect(resolveDate("1 day", NOW)).toBe("2025-06-30");
+  });
+
+  it("rejects anything else", () => {
+    expect(() => resolveDate("yesterday", NOW)).toThrow('Unrecognized date "yesterday"');
+    expect(() => resolveDate("2024/03/05", NOW)).toThrow(/Unrecognized date/);
+    expect(() => resolveDate("2024-3", NOW)).toThrow(/Unrecognized date/);
+  });
+});
+
+describe("inRange", () => {
+  it("takes bounds as prefixes of the dates they cover", () => {
+    expect(inRange("2024-06-15T10:00:00Z", "2024-06", "2024-06")).toBe(true);
+    expect(inRange("2024-12-31", "2024", "2024")).toBe(true);
+    expect(inRange("2025-01-01", undefined, "2024")).toBe(false);
+    expect(inRange("2023-12-31T23:59:00Z", "2024")).toBe(false);
+  });
+
+  it("keeps partial dates that overlap the range", () => {
+    expect(inRange("2024", "2024-06-01")).toBe(true);
+    expect(inRange("2024-06", "2024-06-15")).toBe(true);
+    expect(inRange("2024-05", "2024-06-15")).toBe(false);
+    expect(inRange("2024", undefined, "2024-01-15")).toBe(true);
+  });
+
+  it("keeps undated events only when the range is open", () => {
+    expect(inRange(undefined)).toBe(true);
+    expect(inRange(undefined, "2024")).toBe(false);
+    expect(inRange(undefined, undefined, "2024")).toBe(false);
+  });
+});
+
+describe("buildTimeline", () => {
+  const resources = {
+    encounter: [encounter("e1", "2024-03-01T09:00:00Z", "2024-03-01T10:00:00Z"), encounter("e2", "2023-01-10")],
+    condition: [
+      condition("Asthma", "2024-03-01T09:30:00Z", "Encounter/e1"),
+      condition("Hay fever"),
+      condition("Fracture", "2022-05-05", "Encounter/e9"),
+    ],
+    observation: [{
+      resourceType: "Observation",
+      code: { text: "Heart rate" },
+      valueQuantity: { value: 72, unit: "/min" },
+      effectiveDateTime: "2024-03-01T09:10:00Z",
+      encounter: { reference: "https://fhir.example/r4/Encounter/e1/_history/2" },
+    }],
+    // STU3 names the encounter "context"
+    medication: [{
+      resourceType: "MedicationRequest",
+      medicationCodeableConcept: { text: "Amoxicillin" },
+      authoredOn: "2023-01-10",
+      context: { reference: "Encounter/e2" },
+    }],
+    immunization: [{ resourceType: "Immunization", vaccineCode: { text: "Influenza" }, occurrenceDateTime: "2023-10-01" }],
+  };
+
+  it("lists events under the encounters they reference, oldest first and undated last", () => {
+    expect(outline(buildTimeline(resources))).toEqual([
+      "condition: Fracture (since 2022-05-05)",
+      "encounter: Visit e2 (2023-01-10 to ongoing)",
+      "  medication: Amoxicillin (prescribed 2023-01-10)",
+      "immunization: Influenza (2023-10-01)",
+      "encounter: Visit e1 (2024-03-01 09:00 to 2024-03-01 10:00)",
+      "  observation: Heart rate: 72 /min on 2024-03-01 09:10",
+      "  condition: Asthma (since 2024-03-01 09:30)",
+      "condition: Hay fever",
+    ]);
+  });
+
+  it("keeps each event's dates and resource", () => {
+    const [, , , visit] = buildTimeline(resources);
+    expect(visit.date).toBe("2024-03-01T09:00:00Z");
+    expect(visit.end).toBe("2024-03-01T10:00:00Z");
+    expect(visit.resource).toBe(resources.encounter[0]);
+    expect(visit.events![0]).not.toHaveProperty("end");
+  });
+
+  it("drops events outside the range, and undated ones when it is bounded", () => {
+    expect(outline(buildTimeline(resources, { from: "2023-06", to: "2024" }))).toEqual([
+      "immunization: Influenza (2023-10-01)",
+      "encounter: Visit e1 (2024-03-01 09:00 to 2024-03-01 10:00)",
+      "  observation: Heart rate: 72 /min on 2024-03-01 09:10",
+      "  condition: Asthma (since 2024-03-01 09:30)",
+    ]);
+  });
+
+  it("keeps events whose encounter is out of range on their own", () => {
+    const timeline = buildTimeline(
+      { encounter: [encounter("e1", "2023-12-30")], condition: [condition("Asthma", "2024-01-02", "Encounter/e1")] },
+      { from: "2024" }
+    );
+    expect(outline(timeline)).toEqual(["condition: Asthma (since 2024-01-02)"]);
+  });
+
+  it("keeps events with a partial date that overlaps the range", () => {
+    const timeline = buildTimeline({ condition: [condition("Asthma", "2024"), condition("Eczema", "2024-05")] }, { from: "2024-06-01" });
+    expect(outline(timeline)).toEqual(["condition: Asthma (since 2024)"]);
+  });
+});
+
+describe("formatTimeline", () => {
+  const events = buildTimeline({
+    encounter: [encounter("e1", "2024-03-01T09:00:00Z", "2024-03-01T10:00:00Z")],
+    condition: [condition("Asthma", "2024-03-01", "Encounter/e1"), condition("Eczema", "2023-11-20"), condition("Hay fever")],
+  });
+
+  it("groups events by year in markdown", () => {
+    expect(formatTimeline(events)).toBe([
+      "#### 2023",
+      "",
+      "- **2023-11-20** Condition: Eczema (since 2023-11-20)",
+      "",
+      "#### 2024",
+      "",
+      "- **2024-03-01 09:00 to 2024-03-01 10:00** Encounter: Visit e1 (2024-03-01 09:00 to 2024-03-01 10:00)",
+      "  - **2024-03-01** Condition: Asthma (since 2024-03-01)",
+      "",
+      "#### Undated",
+      "",
+      "- **Undated** Condition: Hay fever",
+    ].join("\n"));
+  });
+
+  it("lists events without headings in the summary format", () => {
+    expect(formatTimeline(events, "summary")).toBe([
+      "- 2023-11-20 Condition: Eczema (since 2023-11-20)",
+      "- 2024-03-01 09:00 to 2024-03-01 10:00 Encounter: Visit e1 (2024-03-01 09:00 to 2024-03-01 10:00)",
+      "  - 2024-03-01 Condition: Asthma (since 2024-03-01)",
+      "- Undated Condition: Hay fever",
+    ].join("\n"));
+  });
+
+  it("leaves out an end that shows as the same date", () => {
+    const [visit] = buildTimeline({ encounter: [encounter("e1", "2024-03-01T09:00:00Z", "2024-03-01T09:00:30Z")] });
+    expect(formatTimeline([visit], "summary")).toMatch(/^- 2024-03-01 09:00 Encounter:/);
+  });
+
+  it("returns the events as JSON in the raw format", () => {
+    expect(JSON.parse(formatTimeline(events, "raw"))).toEqual(JSON.parse(JSON.stringify(events)));
+    expect(formatTimeline([], "raw")).toBe("[]");
+  });
+
+  it("says so when there are no events", () => {
+    expect(formatTimeline([])).toBe("No events found.");
+    expect(formatTimeline([], "summary")).toBe("No events found.");
+  });
+});
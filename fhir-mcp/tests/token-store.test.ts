@@ -0,0 +1,83 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Profile } from "../src/config.js";
+import { Profiles } from "../src/profiles.js";
+import { SmartAuth } from "../src/smart-auth.js";
+import { TokenStore } from "../src/token-store.js";
+
+function profile(token?: string): Profile {
+  return { baseUrl: "http://localhost:9090/api", fhirBaseUrl: "http://localhost:9090/api", auth: "bearer", token, tls: {}, searchMaxPages: 10 };
+}
+
+describe("TokenStore", () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "fhir-mcp-tokens-"));
+    file = join(dir, "tokens.json");
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("keeps a token set on one run for the next", async () => {
+    const store = new TokenStore(file, "home");
+    new SmartAuth("http://localhost:9090/api", undefined, undefined, store.forProfile("home")).setAccessToken("abc");
+
+    const restarted = new SmartAuth("http://localhost:9090/api", undefined, undefined, new TokenStore(file, "home").forProfile("home"));
+    expect(await restarted.getAccessToken()).toBe("abc");
+  });
+
+  it("stores each profile's token separately and only for the owner", () => {
+    const store = new TokenStore(file, "home");
+    new SmartAuth("http://home", undefined, undefined, store.forProfile("home")).setAccessToken("home-token");
+    new SmartAuth("http://staging", undefined, undefined, store.forProfile("staging")).setAccessToken("staging-token");
+
+    const saved = JSON.parse(readFileSync(file, "utf-8"));
+    expect(Object.keys(saved.profiles)).toEqual(["home", "staging"]);
+    expect(saved.profiles.staging.access_token).toBe("staging-token");
+    expect(statSync(file).mode & 0o777).toBe(0o600);
+  });
+
+  it("removes a cleared token from the file", () => {
+    const store = new TokenStore(file, "home");
+    new SmartAuth("http://staging", undefined, undefined, store.forProfile("staging")).setAccessToken("staging-token");
+    const home = new SmartAuth("http://home", undefined, undefined, store.forProfile("home"));
+    home.setAccessToken("home-token");
+
+    home.clearToken();
+
+    expect(Object.keys(JSON.parse(readFileSync(file, "utf-8")).profiles)).toEqual(["staging"]);
+    expect(new SmartAuth("http://home", undefined, undefined, store.forProfile("home")).hasToken()).toBe(false);
+  });
+
+  it("reads the single token older versions saved as the default profile's", () => {
+    writeFileSync(file, JSON.stringify({ access_token: "old", token_type: "Bearer", issued_at: Date.now() }));
+    const store = new TokenStore(file, "home");
+
+    expect(store.forProfile("home").load()?.access_token).toBe("old");
+    expect(store.forProfile("staging").load()).toBeUndefined();
+  });
+
+  it("starts without a token when the file is not JSON", () => {
+    writeFileSync(file, "not json");
+    const error = jest.spyOn(console, "error").mockImplementation(() => undefined);
+
+    expect(new TokenStore(file, "home").forProfile("home").load()).toBeUndefined();
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  it("uses a configured token without writing it to the file", async () => {
+    new TokenStore(file, "home").forProfile("home").save({ access_token: "saved", token_type: "Bearer" });
+
+    const profiles = new Profiles({ defaultProfile: "home", profiles: { home: profile("configured") }, tokenFile: file });
+
+    expect(await profiles.get("home").auth.getAccessToken()).toBe("configured");
+    expect(JSON.parse(readFileSync(file, "utf-8")).profiles.home.access_token).toBe("saved");
+  });
+});
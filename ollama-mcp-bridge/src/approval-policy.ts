@@ -0,0 +1,60 @@
+import { mostSpecificMatch } from './glob';
+import { ApprovalDecision, ApprovalPolicyConfig, ServerApprovalConfig } from './types';
+
+export interface ApprovalRequest {
+  server: string;
+  tool: string;
+  arguments: any;
+}
+
+export type ApprovalResult =
+  | { approved: true; arguments?: any }       // Optionally with edited arguments
+  | { approved: false; reason?: string };
+
+export type ApprovalHandler = (request: ApprovalRequest) => Promise<ApprovalResult>;
+
+const DECISIONS: ApprovalDecision[] = ['allow', 'deny', 'ask'];
+
+// Decides whether a tool call may run. The most specific setting wins: the
+// server's tool patterns, then the global tool patterns, then the server
+// default, then the global default.
+export class ApprovalPolicy {
+  constructor(private config: ApprovalPolicyConfig = {}) {
+    this.validate();
+  }
+
+  decide(server: string, tool: string): ApprovalDecision {
+    const serverConfig = this.serverConfig(server);
+
+    const serverPattern = mostSpecificMatch(Object.keys(serverConfig.tools || {}), tool);
+    if (serverPattern) return serverConfig.tools![serverPattern];
+
+    const globalPattern = mostSpecificMatch(Object.keys(this.config.tools || {}), tool);
+    if (globalPattern) return this.config.tools![globalPattern];
+
+    return serverConfig.default || this.config.default || 'allow';
+  }
+
+  private serverConfig(server: string): ServerApprovalConfig {
+    const config = this.config.servers?.[server];
+    return typeof config === 'string' ? { default: config } : config || {};
+  }
+
+  private validate() {
+    const check = (value: any, where: string) => {
+      if (value !== undefined && !DECISIONS.includes(value)) {
+        throw new Error(`Invalid approval setting "${value}" for ${where}; expected allow, deny or ask`);
+      }
+    };
+
+    check(this.config.default, 'approval.default');
+    Object.entries(this.config.tools || {}).forEach(([pattern, value]) => check(value, `approval.tools["${pattern}"]`));
+    Object.keys(this.config.servers || {}).forEach(server => {
+      const serverConfig = this.serverConfig(server);
+      check(serverConfig.default, `approval.servers.${server}`);
+      Object.entries(serverConfig.tools || {}).forEach(([pattern, value]) => {
+        check(value, `approval.servers.${server}.tools["${pattern}"]`);
+      });
+    });
+  }
+}
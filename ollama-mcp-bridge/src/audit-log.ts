@@ -0,0 +1,110 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { logger } from './logger';
+
+export const DEFAULT_AUDIT_LOG = path.join(os.homedir(), '.mcp-llm-bridge', 'audit.jsonl');
+
+// Keys whose values are always redacted, wherever they appear: apiKey,
+// x-api-key, access_token, clientSecret and so on, but not promptTokens
+const SECRET_KEY = /(password|passwd|secret|token|api[-_]?key|authorization|cookie|credentials?)$/i;
+// Credentials embedded in strings, e.g. a header echoed in an error message
+const AUTH_SCHEME = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+\/=-]+/g;
+const API_KEY = /\bsk-[A-Za-z0-9_-]{8,}/g;
+
+export const REDACTED = '[REDACTED]';
+
+export interface AuditLogConfig {
+  path?: string;                     // JSONL file. Defaults to ~/.mcp-llm-bridge/audit.jsonl
+  // Extra field names to redact, e.g. PHI such as "birthDate" or "name"
+  redact?: string[];
+  // Also record message text, model replies and tool results. Off by default,
+  // so the log says what moved where without holding the data itself.
+  includeContent?: boolean;
+}
+
+export type AuditRecordType = 'turn' | 'llm_request' | 'llm_response' | 'tool_call';
+
+// Replaces secrets and configured fields with [REDACTED], recursing into
+// objects, arrays and strings that hold JSON
+export class Redactor {
+  private fields: Set<string>;
+
+  constructor(fields: string[] = []) {
+    this.fields = new Set(fields.map(field => field.toLowerCase()));
+  }
+
+  redact(value: any): any {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, this.isSensitive(key) ? REDACTED : this.redact(item)]));
+    }
+    return value;
+  }
+
+  private isSensitive(key: string): boolean {
+    return SECRET_KEY.test(key) || this.fields.has(key.toLowerCase());
+  }
+
+  private redactString(value: string): string {
+    const trimmed = value.trim();
+    if ((trimmed.startsWith('{') || trimmed.startsWith('[')) && trimmed.length > 1) {
+      try {
+        return JSON.stringify(this.redact(JSON.parse(trimmed)));
+      } catch (error) {
+        // Not JSON after all
+      }
+    }
+    return value.replace(AUTH_SCHEME, `$1 ${REDACTED}`).replace(API_KEY, REDACTED);
+  }
+}
+
+// Appends one JSON record per line. Writes are queued so records keep their
+// order, and a failing disk is logged rather than breaking the conversation.
+export class AuditLog {
+  readonly path: string;
+  readonly includeContent: boolean;
+  private redactor: Redactor;
+  private writes: Promise<void> = Promise.resolve();
+  private ready: Promise<void> | null = null;
+
+  constructor(config: AuditLogConfig = {}) {
+    this.path = config.path || DEFAULT_AUDIT_LOG;
+    this.includeContent = config.includeContent === true;
+    this.redactor = new Redactor(config.redact);
+  }
+
+  redact(value: any): any {
+    return this.redactor.redact(value);
+  }
+
+  record(type: AuditRecordType, fields: Record<string, any>): void {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), type, ...this.redact(fields) }) + '\n';
+    this.writes = this.writes
+      .then(() => this.ensureDirectory())
+      .then(() => fs.appendFile(this.path, line, 'utf-8'))
+      .catch((error: any) => {
+        logger.error(`[Audit] Failed to write to ${this.path}: ${error?.message || String(error)}`);
+      });
+  }
+
+  // Creates the directory once; a failure is forgotten so the next write tries again
+  private ensureDirectory(): Promise<void> {
+    this.ready ??= fs.mkdir(path.dirname(this.path), { recursive: true }).then(() => undefined, error => {
+      this.ready = null;
+      throw error;
+    });
+    return this.ready;
+  }
+
+  // Resolves once every record so far is on disk
+  flush(): Promise<void> {
+    return this.writes;
+  }
+}
@@ -1,19 +1,88 @@
-import { MCPClient } from './mcp-client';
-import { LLMClient } from './llm-client';
+import { randomUUID } from 'crypto';
+import { isDeepStrictEqual } from 'util';
+import { MCPClient, matchesUriTemplate } from './mcp-client';
+import { LLMClient, LLMExchange, LLMResponse, ToolCall, drainStream } from './llm-client';
 import { logger } from './logger';
-import { BridgeConfig, Tool, ServerParameters } from './types';
+import { BridgeConfig, ChatMessage, Tool, ServerParameters } from './types';
 import { DynamicToolRegistry } from './tool-registry';
+import { Session, SessionStore, SessionSummary } from './session-store';
+import { OllamaManager } from './ollama-manager';
+import { ApprovalPolicy, ApprovalHandler } from './approval-policy';
+import { OllamaEmbeddings } from './embeddings';
+import { ConcurrencyLimiter } from './concurrency-limiter';
+import { AuditLog, Redactor } from './audit-log';
+import { isToolEnabled } from './tool-filter';
+import { SchemaViolation, formatViolations, validateArguments } from './schema-validator';
 
 interface MCPMap {
   [key: string]: MCPClient;
 }
 
+// How many times per turn the model may retry a tool after invalid arguments
+const DEFAULT_MAX_ARGUMENT_RETRIES = 2;
+const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text';
+const DEFAULT_MAX_STEPS = 10;
+const DEFAULT_MAX_REPEATED_CALLS = 2;
+const DEFAULT_MAX_CONCURRENCY = 4;
+
+// Server settings that only change which tools are offered, or how a failed
+// start is handled, and so don't need a restart
+function connectionSettings(config: ServerParameters): ServerParameters {
+  const { disabled, optional, includeTools, excludeTools, ...settings } = config;
+  return settings;
+}
+
+// Progress events surfaced while a message is being processed
+export type BridgeEvent =
+  | { type: 'token'; content: string }
+  | { type: 'tool_call'; id: string; name: string; arguments: string }
+  | { type: 'tool_result'; id: string; name: string; output: string; isError: boolean };
+
+// What one user turn cost. A stop reason is set when a guardrail cut the tool
+// loop short and the model was asked for a final answer instead.
+export interface TurnSummary {
+  steps: number;                     // Model replies that asked for tools
+  toolCalls: number;
+  promptTokens: number;
+  completionTokens: number;
+  durationMs: number;
+  stopReason?: 'max_steps' | 'repeated_call' | 'invalid_arguments';
+}
+
+// What reloadMcpServers() did, by server name
+export interface ServerChanges {
+  connected: string[];
+  disconnected: string[];
+  restarted: string[];
+  failed: string[];                  // Includes optional servers that were skipped
+}
+
+// Resources, templates and prompts tagged with the server that provides them
+export type ServerItem = { server: string; [key: string]: any };
+
 export interface MCPLLMBridge {
   tools: any[];
   llmClient: LLMClient;
+  lastTurn: TurnSummary | null;
   initialize(): Promise<boolean>;
+  connectMcpServers(): Promise<void>;
+  reloadMcpServers(servers: { [name: string]: ServerParameters }): Promise<ServerChanges>;
+  whenIdle(): Promise<void>;
+  isToolEnabled(server: string, tool: string): boolean;
+  getMcpClients(): Record<string, MCPClient>;
+  listResources(): Promise<ServerItem[]>;
+  listResourceTemplates(): Promise<ServerItem[]>;
+  attachResource(uri: string): Promise<string>;
+  listPrompts(): Promise<ServerItem[]>;
+  streamPrompt(name: string, args?: { [key: string]: string }): AsyncGenerator<BridgeEvent, string>;
   processMessage(message: string): Promise<string>;
+  streamMessage(message: string): AsyncGenerator<BridgeEvent, string>;
+  streamConversation(messages: ChatMessage[]): AsyncGenerator<BridgeEvent, string>;
+  newSession(): Session;
+  listSessions(): Promise<SessionSummary[]>;
+  resumeSession(id: string): Promise<Session>;
   setTools(tools: any[]): Promise<void>;
+  setApprovalHandler(handler: ApprovalHandler | null): void;
   close(): Promise<void>;
 }
 
@@ -21,54 +90,75 @@ export class MCPLLMBridge implements MCPLLMBridge {
   private config: BridgeConfig;
   private mcpClients: MCPMap = {};
   private toolToMcp: { [toolName: string]: MCPClient } = {};
+  private serverTools: { [serverName: string]: Tool[] } = {};
+  private toolToServer: { [toolName: string]: string } = {};
+  // Settings each running server was started with
+  private serverConfigs: { [serverName: string]: ServerParameters } = {};
+  // Bounds the tool calls in flight per server
+  private serverLimiters: { [serverName: string]: ConcurrencyLimiter } = {};
+  private toolSchemas: { [toolName: string]: any } = {};
+  // Invalid calls per tool in the current turn
+  private argumentFailures = new Map<string, number>();
+  private approvalPolicy: ApprovalPolicy;
+  private approvalHandler: ApprovalHandler | null = null;
   private toolRegistry: DynamicToolRegistry;
+  private embeddings: OllamaEmbeddings | null;
+  private sessionStore: SessionStore;
+  private ollama: OllamaManager;
+  private auditLog: AuditLog | null;
+  private redactor: Redactor;
+  // Ties the audit records of one user turn together
+  private turnId: string | null = null;
+  // Turns in progress, and who is waiting for them to finish
+  private activeTurns = 0;
+  private idleWaiters: Array<() => void> = [];
+  // A server reload in progress; turns wait for it before they start
+  private serverReload: Promise<ServerChanges> | null = null;
+  public session: Session;
+  public lastTurn: TurnSummary | null = null;
   public llmClient: LLMClient;
   public tools: any[] = [];
 
   constructor(private bridgeConfig: BridgeConfig) {
     this.config = bridgeConfig;
-    // Primary MCP client
-    this.mcpClients['primary'] = new MCPClient(bridgeConfig.mcpServer);
     this.llmClient = new LLMClient(bridgeConfig.llmConfig);
-    this.toolRegistry = new DynamicToolRegistry();
-
-    // Initialize other MCP clients if available
-    if (bridgeConfig.mcpServers) {
-      Object.entries(bridgeConfig.mcpServers).forEach(([name, config]) => {
-        if (name !== bridgeConfig.mcpServerName) { // Skip primary as it's already initialized
-          this.mcpClients[name] = new MCPClient(config);
-        }
-      });
+    // Ollama's native API lives at the root even when baseUrl points at /v1
+    const ollamaUrl = bridgeConfig.llmConfig.baseUrl.replace(/\/+$/, '').replace(/\/v1$/, '');
+    this.ollama = new OllamaManager({
+      baseUrl: ollamaUrl,
+      autoStart: this.bridgeConfig.llmConfig.autoStart
+    });
+    // Tool selection embeds through Ollama, so other providers use keywords
+    this.embeddings = this.usesOllama
+      ? new OllamaEmbeddings(ollamaUrl, bridgeConfig.llmConfig.embeddingModel || DEFAULT_EMBEDDING_MODEL)
+      : null;
+    this.toolRegistry = new DynamicToolRegistry(this.embeddings);
+    this.approvalPolicy = new ApprovalPolicy(bridgeConfig.approval);
+    this.sessionStore = new SessionStore(bridgeConfig.sessionDirectory);
+    this.session = this.newSession();
+    this.auditLog = bridgeConfig.audit ? new AuditLog(bridgeConfig.audit) : null;
+    this.redactor = new Redactor(bridgeConfig.audit?.redact);
+    if (this.auditLog) {
+      this.llmClient.onExchange = exchange => this.auditExchange(exchange);
     }
   }
 
+  // Stateful servers that can't interleave requests are marked non-reentrant
+  // and get one call at a time
+  private createLimiter(config: ServerParameters): ConcurrencyLimiter {
+    return new ConcurrencyLimiter(config.reentrant === false ? 1 : config.maxConcurrency ?? DEFAULT_MAX_CONCURRENCY);
+  }
+
+  private get usesOllama(): boolean {
+    return (this.bridgeConfig.llmConfig.provider || 'ollama') === 'ollama';
+  }
+
   async initialize(): Promise<boolean> {
     try {
-      logger.info('Connecting to MCP servers...');
-      
-      // Initialize all MCP clients
-      for (const [name, client] of Object.entries(this.mcpClients)) {
-        logger.info(`Connecting to MCP: ${name}`);
-        await client.connect();
-        
-        const mcpTools = await client.getAvailableTools();
-        logger.info(`Received ${mcpTools.length} tools from ${name}`);
-        
-        // Register tools and map them to this MCP
-        mcpTools.forEach(tool => {
-          this.toolRegistry.registerTool(tool);
-          this.toolToMcp[tool.name] = client;
-          logger.debug(`Registered tool ${tool.name} from ${name}`);
-        });
-
-        // Convert and add to tools list
-        const convertedTools = this.convertMCPToolsToOpenAIFormat(mcpTools);
-        this.tools.push(...convertedTools);
+      if (this.usesOllama) {
+        await this.ollama.ensureRunning();
       }
-
-      // Set tools in LLM client
-      this.llmClient.tools = this.tools;
-      this.llmClient.setToolRegistry(this.toolRegistry);
+      await this.connectMcpServers();
       
       logger.info(`Initialized with ${this.tools.length} total tools`);
       logger.debug('Available tools:', this.tools.map(t => t.function.name).join(', '));
@@ -80,6 +170,276 @@ export class MCPLLMBridge implements MCPLLMBridge {
     }
   }
 
+  // Connects every configured MCP server and registers its tools. Doesn't need
+  // Ollama, so the MCP proxy mode can use it on its own.
+  async connectMcpServers(): Promise<void> {
+    logger.info('Connecting to MCP servers...');
+    await this.reloadMcpServers(this.bridgeConfig.mcpServers);
+  }
+
+  // Brings the running servers in line with `servers`: new servers are
+  // connected, removed and disabled ones are closed, and servers whose
+  // connection settings changed are restarted. Tool filters apply right away.
+  // Optional servers that fail to start are logged and skipped; a required
+  // one fails the reload once every other server has been dealt with.
+  // Turns that start meanwhile wait until the reload is done.
+  async reloadMcpServers(servers: { [name: string]: ServerParameters }): Promise<ServerChanges> {
+    const reload = this.applyServers(servers);
+    this.serverReload = reload;
+    try {
+      return await reload;
+    } finally {
+      if (this.serverReload === reload) {
+        this.serverReload = null;
+      }
+    }
+  }
+
+  // Resolves once no turn is in progress, so servers can be swapped without
+  // pulling tools out from under one
+  whenIdle(): Promise<void> {
+    if (this.activeTurns === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  private async beginTurn(): Promise<void> {
+    while (this.serverReload) {
+      await this.serverReload.catch(() => undefined);
+    }
+    this.activeTurns++;
+  }
+
+  private endTurn() {
+    this.activeTurns--;
+    if (this.activeTurns === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  private async applyServers(servers: { [name: string]: ServerParameters }): Promise<ServerChanges> {
+    const changes: ServerChanges = { connected: [], disconnected: [], restarted: [], failed: [] };
+    const required: string[] = [];
+    this.bridgeConfig.mcpServers = servers;
+
+    for (const name of Object.keys(this.mcpClients)) {
+      if (!servers[name] || servers[name].disabled) {
+        await this.disconnectServer(name);
+        changes.disconnected.push(name);
+      }
+    }
+
+    for (const [name, config] of Object.entries(servers)) {
+      if (config.disabled) {
+        logger.info(`Skipping disabled MCP: ${name}`);
+        continue;
+      }
+      const running = this.serverConfigs[name];
+      if (running && isDeepStrictEqual(connectionSettings(running), connectionSettings(config))) {
+        this.serverConfigs[name] = config;
+        continue;
+      }
+
+      if (running) {
+        await this.disconnectServer(name);
+      }
+      try {
+        await this.connectServer(name, config);
+        (running ? changes.restarted : changes.connected).push(name);
+      } catch (error: any) {
+        changes.failed.push(name);
+        if (config.optional) {
+          logger.warn(`Optional MCP ${name} failed to start, continuing without it: ${error?.message || String(error)}`);
+        } else {
+          logger.error(`MCP ${name} failed to start: ${error?.message || String(error)}`);
+          required.push(name);
+        }
+      }
+    }
+
+    this.registerTools();
+    if (required.length > 0) {
+      throw new Error(`Failed to connect to MCP ${required.length === 1 ? 'server' : 'servers'}: ${required.join(', ')}`);
+    }
+    return changes;
+  }
+
+  private async connectServer(name: string, config: ServerParameters): Promise<void> {
+    logger.info(`Connecting to MCP: ${name}`);
+    const client = new MCPClient(config);
+    await client.connect();
+    let tools: Tool[];
+    try {
+      tools = await client.getAvailableTools();
+    } catch (error) {
+      // The server is up but unusable; stop it rather than leave it running
+      await client.close().catch(() => undefined);
+      throw error;
+    }
+    logger.info(`Received ${tools.length} tools from ${name}`);
+
+    client.on('toolsChanged', (tools: Tool[]) => {
+      logger.info(`Tools of ${name} changed, now ${tools.length} tools`);
+      this.serverTools[name] = tools;
+      this.registerTools();
+    });
+    client.on('progress', (progress: any) => {
+      const total = progress.total !== undefined ? `/${progress.total}` : '';
+      logger.info(`[MCP] ${name} progress: ${progress.progress}${total}${progress.message ? ` ${progress.message}` : ''}`);
+    });
+
+    this.mcpClients[name] = client;
+    this.serverConfigs[name] = config;
+    this.serverTools[name] = tools;
+    this.serverLimiters[name] = this.createLimiter(config);
+  }
+
+  private async disconnectServer(name: string): Promise<void> {
+    logger.info(`Disconnecting MCP: ${name}`);
+    const client = this.mcpClients[name];
+    delete this.mcpClients[name];
+    delete this.serverConfigs[name];
+    delete this.serverTools[name];
+    delete this.serverLimiters[name];
+    client.removeAllListeners();
+    try {
+      await client.close();
+    } catch (error: any) {
+      logger.error(`Failed to close MCP ${name}: ${error?.message || String(error)}`);
+    }
+  }
+
+  // Whether a tool of a running server is offered, after includeTools / excludeTools
+  isToolEnabled(server: string, tool: string): boolean {
+    return isToolEnabled(this.serverConfigs[server], tool);
+  }
+
+  // Rebuilds the tool list, registry and routing from every server's tools
+  private registerTools() {
+    this.toolRegistry = new DynamicToolRegistry(this.embeddings);
+    this.toolToMcp = {};
+    this.toolToServer = {};
+    this.toolSchemas = {};
+    this.tools = [];
+
+    for (const [name, serverTools] of Object.entries(this.serverTools)) {
+      const client = this.mcpClients[name];
+      const mcpTools = serverTools.filter(tool => isToolEnabled(this.serverConfigs[name], tool.name));
+      if (mcpTools.length < serverTools.length) {
+        logger.debug(`Filtered out ${serverTools.length - mcpTools.length} tools of ${name}`);
+      }
+
+      // Register tools and map them to this MCP
+      mcpTools.forEach(tool => {
+        this.toolRegistry.registerTool(tool);
+        this.toolToMcp[tool.name] = client;
+        this.toolToServer[tool.name] = name;
+        this.toolSchemas[tool.name] = tool.inputSchema;
+        logger.debug(`Registered tool ${tool.name} from ${name}`);
+      });
+
+      // Convert and add to tools list
+      const convertedTools = this.convertMCPToolsToOpenAIFormat(mcpTools);
+      this.tools.push(...convertedTools);
+    }
+
+    // Set tools in LLM client
+    this.llmClient.tools = this.tools;
+    this.llmClient.setToolRegistry(this.toolRegistry);
+  }
+
+  getMcpClients(): Record<string, MCPClient> {
+    return { ...this.mcpClients };
+  }
+
+  async listResources(): Promise<ServerItem[]> {
+    return this.collect(client => client.listResources());
+  }
+
+  async listResourceTemplates(): Promise<ServerItem[]> {
+    return this.collect(client => client.listResourceTemplates());
+  }
+
+  async listPrompts(): Promise<ServerItem[]> {
+    return this.collect(client => client.listPrompts());
+  }
+
+  // Reads a resource into the conversation as context for the next prompt
+  async attachResource(uri: string): Promise<string> {
+    const client = await this.findResourceClient(uri);
+    const result = await client.readResource(uri);
+    const text = (result?.contents || [])
+      .map((content: any) => content.text ?? `[${content.mimeType || 'binary'} content omitted]`)
+      .join('\n');
+
+    this.llmClient.getHistory().push({ role: 'user', content: `Attached resource ${uri}:\n${text}` });
+    await this.saveSession(`Attached ${uri}`);
+    logger.info(`Attached resource ${uri} (${text.length} characters)`);
+    return text;
+  }
+
+  // Runs an MCP prompt: earlier prompt messages are added to the history and
+  // the final user message is sent like a typed one. Prompts offered by more
+  // than one server can be named as <server>__<name>.
+  async *streamPrompt(name: string, args: { [key: string]: string } = {}): AsyncGenerator<BridgeEvent, string> {
+    const prompts = await this.listPrompts();
+    const prompt = prompts.find(candidate => candidate.name === name)
+      || prompts.find(candidate => `${candidate.server}__${candidate.name}` === name);
+    if (!prompt) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    const result = await this.mcpClients[prompt.server].getPrompt(prompt.name, args);
+    const messages: ChatMessage[] = (result?.messages || []).map((message: any) => ({
+      role: message.role === 'assistant' ? 'assistant' : 'user',
+      content: this.promptContentToText(message.content)
+    }));
+    const last = messages.pop();
+    if (!last || last.role !== 'user') {
+      throw new Error(`Prompt ${name} does not end with a user message`);
+    }
+
+    this.llmClient.getHistory().push(...messages);
+    return yield* this.streamMessage(last.content);
+  }
+
+  private promptContentToText(content: any): string {
+    switch (content?.type) {
+      case 'text':
+        return content.text;
+      case 'resource':
+        return content.resource?.text ?? `[${content.resource?.mimeType || 'binary'} resource ${content.resource?.uri}]`;
+      default:
+        return `[${content?.type || 'unknown'} content omitted]`;
+    }
+  }
+
+  private async findResourceClient(uri: string): Promise<MCPClient> {
+    const resource = (await this.listResources()).find(candidate => candidate.uri === uri);
+    if (resource) {
+      return this.mcpClients[resource.server];
+    }
+    const template = (await this.listResourceTemplates())
+      .find(candidate => matchesUriTemplate(candidate.uriTemplate, uri));
+    if (template) {
+      return this.mcpClients[template.server];
+    }
+    throw new Error(`No MCP server provides resource: ${uri}`);
+  }
+
+  private async collect(list: (client: MCPClient) => Promise<any[]>): Promise<ServerItem[]> {
+    const items: ServerItem[] = [];
+    for (const [server, client] of Object.entries(this.mcpClients)) {
+      try {
+        items.push(...(await list(client)).map(item => ({ ...item, server })));
+      } catch (error: any) {
+        logger.error(`Failed to list items from ${server}: ${error?.message || String(error)}`);
+      }
+    }
+    return items;
+  }
+
   private convertMCPToolsToOpenAIFormat(mcpTools: Tool[]): any[] {
     return mcpTools.map(tool => {
       const converted = {
@@ -88,6 +448,7 @@ export class MCPLLMBridge implements MCPLLMBridge {
           name: tool.name,
           description: tool.description || `Use the ${tool.name} tool`,
           parameters: {
+            ...tool.inputSchema,
             type: "object",
             properties: tool.inputSchema?.properties || {},
             required: tool.inputSchema?.required || []
@@ -100,87 +461,531 @@ export class MCPLLMBridge implements MCPLLMBridge {
   }
 
   async processMessage(message: string): Promise<string> {
+    return drainStream(this.streamMessage(message));
+  }
+
+  // Yields tokens and tool activity as they happen; returns the final answer
+  async *streamMessage(message: string): AsyncGenerator<BridgeEvent, string> {
+    await this.beginTurn();
     try {
-      const detectedTool = this.toolRegistry.detectToolFromPrompt(message);
-      logger.info(`Detected tool: ${detectedTool}`);
-
-      if (detectedTool) {
-        const instructions = this.toolRegistry.getToolInstructions(detectedTool);
-        if (instructions) {
-          this.llmClient.systemPrompt = instructions;
-          logger.debug('Using tool-specific instructions:', instructions);
-        }
+      return yield* this.runTurn(message);
+    } catch (error: any) {
+      const errorMsg = error?.message || String(error);
+      logger.error(`Error processing message: ${errorMsg}`);
+      return `Error processing message: ${errorMsg}`;
+    } finally {
+      if (this.lastTurn) {
+        const usage = this.session.usage || { promptTokens: 0, completionTokens: 0 };
+        this.session.usage = {
+          promptTokens: usage.promptTokens + this.lastTurn.promptTokens,
+          completionTokens: usage.completionTokens + this.lastTurn.completionTokens
+        };
+      }
+      await this.saveSession(message);
+      this.endTurn();
+    }
+  }
+
+  // Runs one exchange for API callers. The conversation comes from the caller
+  // rather than the current session, which is left untouched; errors are
+  // thrown instead of being turned into an answer.
+  async *streamConversation(messages: ChatMessage[]): AsyncGenerator<BridgeEvent, string> {
+    let lastUser = messages.length - 1;
+    while (lastUser >= 0 && messages[lastUser].role !== 'user') lastUser--;
+    if (lastUser < 0) {
+      throw new Error('The conversation must contain a user message');
+    }
+
+    await this.beginTurn();
+    const sessionHistory = this.llmClient.getHistory();
+    const sessionPrompt = this.llmClient.systemPrompt;
+    const systemPrompt = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    if (systemPrompt) {
+      this.llmClient.systemPrompt = systemPrompt;
+    }
+    this.llmClient.setHistory(messages
+      .slice(0, lastUser)
+      .filter(message => message.role === 'user' || message.role === 'assistant')
+      .map(message => ({ role: message.role, content: message.content })));
+
+    try {
+      return yield* this.runTurn(messages[lastUser].content);
+    } finally {
+      this.llmClient.setHistory(sessionHistory);
+      this.llmClient.systemPrompt = sessionPrompt;
+      this.endTurn();
+    }
+  }
+
+  private async *runTurn(message: string): AsyncGenerator<BridgeEvent, string> {
+    this.argumentFailures.clear();
+    const started = Date.now();
+    const turn: TurnSummary = { steps: 0, toolCalls: 0, promptTokens: 0, completionTokens: 0, durationMs: 0 };
+    this.lastTurn = null;
+    this.turnId = randomUUID();
+    let answer: string | undefined;
+    let error: string | undefined;
+    try {
+      answer = yield* this.runToolLoop(message, turn);
+      return answer;
+    } catch (turnError: any) {
+      error = turnError?.message || String(turnError);
+      throw turnError;
+    } finally {
+      turn.durationMs = Date.now() - started;
+      this.lastTurn = turn;
+      this.auditLog?.record('turn', {
+        sessionId: this.session.id,
+        turnId: this.turnId,
+        ...turn,
+        error,
+        ...(this.auditLog.includeContent && { message, answer })
+      });
+      this.turnId = null;
+    }
+  }
+
+  // Records what is sent to the model and what comes back. Without content,
+  // the sizes and tool names still show what left for which provider.
+  private auditExchange(exchange: LLMExchange) {
+    const audit = this.auditLog!;
+    const { request } = exchange;
+    const base = { sessionId: this.session.id, turnId: this.turnId, provider: exchange.provider, model: request.model };
+
+    if (exchange.type === 'request') {
+      audit.record('llm_request', {
+        ...base,
+        messages: request.messages.length,
+        bytes: JSON.stringify(request.messages).length,
+        tools: (request.tools || []).map(tool => tool.function?.name),
+        format: request.format !== undefined,
+        ...(audit.includeContent && { content: request.messages })
+      });
+      return;
+    }
+
+    const { completion } = exchange;
+    audit.record('llm_response', {
+      ...base,
+      latencyMs: exchange.latencyMs,
+      error: exchange.error,
+      bytes: completion?.content.length,
+      toolCalls: completion?.toolCalls.map(call => ({ name: call.name, arguments: call.arguments })),
+      usage: completion?.usage,
+      ...(audit.includeContent && { content: completion?.content })
+    });
+  }
+
+  private async *runToolLoop(message: string, turn: TurnSummary): AsyncGenerator<BridgeEvent, string> {
+    const maxSteps = this.bridgeConfig.maxSteps ?? DEFAULT_MAX_STEPS;
+    const maxRepeatedCalls = this.bridgeConfig.maxRepeatedCalls ?? DEFAULT_MAX_REPEATED_CALLS;
+    // How often each distinct call (tool and arguments) ran this turn
+    const callCounts = new Map<string, number>();
+
+    logger.info('Sending message to LLM...');
+    let response = yield* this.tokens(this.llmClient.invokeWithPromptStream(message));
+    this.addUsage(turn, response);
+    logger.info(`LLM response received, isToolCall: ${response.isToolCall}`);
+    logger.debug(`Raw LLM response: ${JSON.stringify(this.redactor.redact(response))}`);
+
+    while (response.isToolCall && response.toolCalls?.length) {
+      const limit = this.checkLimits(response.toolCalls, turn, callCounts, maxSteps, maxRepeatedCalls);
+      if (limit) {
+        // Answer the pending calls without running them, then insist on an answer
+        logger.warn(`[Guardrail] ${limit.message}; asking for a final answer`);
+        turn.stopReason = limit.reason;
+        const skipped = response.toolCalls.map(toolCall => ({
+          tool_call_id: toolCall.id,
+          name: toolCall.function.name,
+          output: `Error: Not run because ${limit.message}`
+        }));
+        response = yield* this.tokens(this.llmClient.invokeStream(skipped, {
+          finalAnswer: `Tool use for this request is over because ${limit.message}. ` +
+            'Answer the user now with what you have, and say what is missing if anything is.'
+        }));
+        this.addUsage(turn, response);
+        break;
       }
 
-      logger.info('Sending message to LLM...');
-      let response = await this.llmClient.invokeWithPrompt(message);
-      logger.info(`LLM response received, isToolCall: ${response.isToolCall}`);
-      logger.debug('Raw LLM response:', JSON.stringify(response, null, 2));
+      turn.steps++;
+      turn.toolCalls += response.toolCalls.length;
+      response.toolCalls.forEach(toolCall => {
+        const key = this.callKey(toolCall);
+        callCounts.set(key, (callCounts.get(key) || 0) + 1);
+      });
+
+      logger.info(`Processing ${response.toolCalls.length} tool calls (step ${turn.steps} of at most ${maxSteps})`);
+      const { toolResponses, gaveUp } = yield* this.handleToolCalls(response.toolCalls);
+      if (gaveUp) {
+        // Every call still gets its result, so the history stays valid for providers that check
+        logger.warn(`[Validation] ${gaveUp}; asking for a final answer`);
+        turn.stopReason = 'invalid_arguments';
+        response = yield* this.tokens(this.llmClient.invokeStream(toolResponses, {
+          finalAnswer: `Tool use for this request is over because ${gaveUp}. ` +
+            'Answer the user now with what you have, and say what is missing if anything is.'
+        }));
+        this.addUsage(turn, response);
+        break;
+      }
+      logger.info('Tool calls completed, sending results back to LLM');
+      response = yield* this.tokens(this.llmClient.invokeStream(toolResponses));
+      this.addUsage(turn, response);
+    }
+
+    return response.content;
+  }
+
+  // Returns why the requested calls must not run, if a guardrail is hit
+  private checkLimits(
+    toolCalls: ToolCall[],
+    turn: TurnSummary,
+    callCounts: Map<string, number>,
+    maxSteps: number,
+    maxRepeatedCalls: number
+  ): { reason: NonNullable<TurnSummary['stopReason']>; message: string } | null {
+    if (turn.steps >= maxSteps) {
+      return { reason: 'max_steps', message: `the limit of ${maxSteps} tool steps per request was reached` };
+    }
+    const repeated = toolCalls.find(toolCall => (callCounts.get(this.callKey(toolCall)) || 0) >= maxRepeatedCalls);
+    if (repeated) {
+      return {
+        reason: 'repeated_call',
+        message: `${repeated.function.name} was already called ${maxRepeatedCalls} ${maxRepeatedCalls === 1 ? 'time' : 'times'} with the same arguments`
+      };
+    }
+    return null;
+  }
 
-      while (response.isToolCall && response.toolCalls?.length) {
-        logger.info(`Processing ${response.toolCalls.length} tool calls`);
-        const toolResponses = await this.handleToolCalls(response.toolCalls);
-        logger.info('Tool calls completed, sending results back to LLM');
-        response = await this.llmClient.invoke(toolResponses);
+  // Identifies a call by tool name and arguments, ignoring key order
+  private callKey(toolCall: ToolCall): string {
+    const canonical = (value: any): any => {
+      if (Array.isArray(value)) return value.map(canonical);
+      if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted: any, key) => {
+          sorted[key] = canonical(value[key]);
+          return sorted;
+        }, {});
       }
+      return value;
+    };
+
+    let args: any = toolCall.function.arguments;
+    try {
+      args = canonical(JSON.parse(toolCall.function.arguments));
+    } catch (error) {
+      // Compared as the raw string
+    }
+    return `${toolCall.function.name}:${JSON.stringify(args)}`;
+  }
+
+  private addUsage(turn: TurnSummary, response: LLMResponse) {
+    turn.promptTokens += response.usage?.promptTokens || 0;
+    turn.completionTokens += response.usage?.completionTokens || 0;
+  }
+
+  newSession(): Session {
+    this.session = this.sessionStore.create();
+    this.llmClient.setHistory(this.session.messages);
+    logger.info(`Started session ${this.session.id}`);
+    return this.session;
+  }
+
+  async listSessions(): Promise<SessionSummary[]> {
+    return this.sessionStore.list();
+  }
+
+  async resumeSession(id: string): Promise<Session> {
+    this.session = await this.sessionStore.load(id);
+    this.llmClient.setHistory(this.session.messages);
+    logger.info(`Resumed session ${id} with ${this.session.messages.length} messages`);
+    return this.session;
+  }
 
-      return response.content;
+  private async saveSession(lastMessage: string): Promise<void> {
+    if (this.session.messages.length === 0) return;
+    if (this.session.title === 'New session') {
+      this.session.title = lastMessage.length > 60 ? `${lastMessage.slice(0, 57)}...` : lastMessage;
+    }
+    try {
+      await this.sessionStore.save(this.session);
     } catch (error: any) {
-      const errorMsg = error?.message || String(error);
-      logger.error(`Error processing message: ${errorMsg}`);
-      return `Error processing message: ${errorMsg}`;
+      logger.error(`Failed to save session ${this.session.id}: ${error?.message || String(error)}`);
     }
   }
 
-  private async handleToolCalls(toolCalls: any[]): Promise<any[]> {
-    const toolResponses = [];
+  private async *tokens<T>(stream: AsyncGenerator<string, T>): AsyncGenerator<BridgeEvent, T> {
+    let result = await stream.next();
+    while (!result.done) {
+      yield { type: 'token', content: result.value };
+      result = await stream.next();
+    }
+    return result.value;
+  }
 
+  // Checks and approves the calls one by one, since approval may prompt the
+  // user, then runs the approved ones concurrently within each server's limit.
+  // Results are reported as they finish but returned in the original order,
+  // with why tool use must stop if a tool's argument retries ran out.
+  private async *handleToolCalls(toolCalls: ToolCall[]): AsyncGenerator<BridgeEvent, { toolResponses: any[]; gaveUp?: string }> {
+    const outcomes = [];
+    let gaveUp: string | undefined;
     for (const toolCall of toolCalls) {
-      try {
-        const requestedName = toolCall.function.name;
-        logger.debug(`[MCP] Looking up tool name: ${requestedName}`);
-
-        // Get appropriate MCP client for this tool
-        const mcpClient = this.toolToMcp[requestedName];
-        if (!mcpClient) {
-          throw new Error(`No MCP found for tool: ${requestedName}`);
-        }
+      yield {
+        type: 'tool_call',
+        id: toolCall.id,
+        name: toolCall.function.name,
+        arguments: toolCall.function.arguments
+      };
 
-        logger.info(`[MCP] About to call MCP tool: ${requestedName}`);
-        let toolArgs = JSON.parse(toolCall.function.arguments);
-        logger.info(`[MCP] Tool arguments prepared: ${JSON.stringify(toolArgs)}`);
-        
-        const mcpCallPromise = mcpClient.callTool(requestedName, toolArgs);
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('MCP call timed out after 30 seconds')), 30000);
-        });
+      let outcome = this.checkArguments(toolCall);
+      if (outcome.approved) {
+        const approval = await this.requestApproval(outcome.toolCall);
+        // Arguments edited by the user are checked like the model's
+        outcome = approval.approved && approval.toolCall !== outcome.toolCall
+          ? this.checkArguments(approval.toolCall)
+          : approval;
+      }
+      if (!outcome.approved && outcome.gaveUp) {
+        gaveUp ??= outcome.gaveUp;
+      }
+      outcomes.push(outcome);
+    }
 
-        logger.info(`[MCP] Sending call to MCP...`);
-        const result = await Promise.race([mcpCallPromise, timeoutPromise]);
-        logger.info(`[MCP] Received response from MCP`);
-        logger.debug(`[MCP] Tool result:`, result);
-        
-        toolResponses.push({
-          tool_call_id: toolCall.id,
-          output: typeof result === 'string' ? result : JSON.stringify(result)
-        });
-        
-      } catch (error: any) {
-        logger.error(`[MCP] Tool execution failed with error:`, error);
-        toolResponses.push({
+    const pending = new Map(outcomes.map((outcome, index) => {
+      const toolCall = toolCalls[index];
+      const execution = outcome.approved
+        ? this.runToolCall(outcome.toolCall)
+        : Promise.resolve({
           tool_call_id: toolCall.id,
-          output: `Error: ${error?.message || String(error)}`
+          name: toolCall.function.name,
+          output: `Error: ${outcome.reason}`,
+          isError: true,
+          latencyMs: 0
         });
+      return [index, execution.then(toolResponse => {
+        this.auditToolCall(outcome.approved ? outcome.toolCall : toolCall, toolResponse, outcome.approved);
+        return { index, toolResponse };
+      })];
+    }));
+
+    const toolResponses: any[] = new Array(toolCalls.length);
+    while (pending.size > 0) {
+      const { index, toolResponse } = await Promise.race(pending.values());
+      pending.delete(index);
+      yield {
+        type: 'tool_result',
+        id: toolCalls[index].id,
+        name: toolCalls[index].function.name,
+        output: toolResponse.output,
+        isError: toolResponse.isError
+      };
+      toolResponses[index] = {
+        tool_call_id: toolResponse.tool_call_id,
+        name: toolResponse.name,
+        output: toolResponse.output
+      };
+    }
+
+    return { toolResponses, gaveUp };
+  }
+
+  private auditToolCall(
+    toolCall: ToolCall,
+    toolResponse: { output: string; isError: boolean; latencyMs: number },
+    approved: boolean
+  ) {
+    if (!this.auditLog) return;
+    const tool = toolCall.function.name;
+    let args: any = toolCall.function.arguments;
+    try {
+      args = JSON.parse(args);
+    } catch (error) {
+      // Recorded as the raw string
+    }
+    this.auditLog.record('tool_call', {
+      sessionId: this.session.id,
+      turnId: this.turnId,
+      server: this.toolToServer[tool] || null,
+      tool,
+      arguments: args,
+      status: !approved ? 'refused' : toolResponse.isError ? 'error' : 'ok',
+      resultBytes: approved ? toolResponse.output.length : 0,
+      latencyMs: toolResponse.latencyMs,
+      error: toolResponse.isError ? toolResponse.output.replace(/^Error: /, '') : undefined,
+      ...(this.auditLog.includeContent && approved && !toolResponse.isError && { result: toolResponse.output })
+    });
+  }
+
+  // Waits for a free slot on the tool's server before calling it
+  private runToolCall(toolCall: ToolCall) {
+    const limiter = this.serverLimiters[this.toolToServer[toolCall.function.name]];
+    if (!limiter) {
+      return this.executeToolCall(toolCall);
+    }
+    if (limiter.running >= limiter.limit) {
+      logger.debug(`[MCP] ${toolCall.function.name} waits for one of ${limiter.limit} slots on ${this.toolToServer[toolCall.function.name]}`);
+    }
+    return limiter.run(() => this.executeToolCall(toolCall));
+  }
+
+  // Validates the arguments against the tool's inputSchema, applying defaults
+  // and repairs. Invalid calls are refused with the list of violations so the
+  // model can correct itself, but only a bounded number of times per turn;
+  // after that the refusal says why tool use has to stop.
+  private checkArguments(toolCall: ToolCall):
+    { approved: true; toolCall: ToolCall } | { approved: false; reason: string; gaveUp?: string } {
+    const tool = toolCall.function.name;
+    const schema = this.toolSchemas[tool];
+    if (!schema) {
+      return { approved: true, toolCall };
+    }
+
+    let errors: SchemaViolation[];
+    let args: any;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+      errors = [{ path: 'arguments', message: 'is not valid JSON' }];
+    }
+
+    if (args !== undefined) {
+      const result = validateArguments(schema, args);
+      if (result.valid) {
+        result.repairs.forEach(repair => logger.info(`[Validation] ${tool}: ${repair}`));
+        return {
+          approved: true,
+          toolCall: { ...toolCall, function: { ...toolCall.function, arguments: JSON.stringify(result.value) } }
+        };
       }
+      errors = result.errors;
     }
 
-    return toolResponses;
+    const failures = (this.argumentFailures.get(tool) || 0) + 1;
+    this.argumentFailures.set(tool, failures);
+    const retries = this.bridgeConfig.maxArgumentRetries ?? DEFAULT_MAX_ARGUMENT_RETRIES;
+    logger.warn(`[Validation] Invalid arguments for ${tool} (attempt ${failures}):\n${formatViolations(errors!)}`);
+
+    if (failures > retries + 1) {
+      return {
+        approved: false,
+        reason: `Giving up on ${tool} after ${failures} calls with invalid arguments:\n${formatViolations(errors!)}`,
+        gaveUp: `${tool} was called ${failures} times with invalid arguments`
+      };
+    }
+    const retriesLeft = retries + 1 - failures;
+    const advice = retriesLeft > 0
+      ? `Fix the arguments and call ${tool} again (${retriesLeft} ${retriesLeft === 1 ? 'retry' : 'retries'} left).`
+      : `No retries left; answer without calling ${tool} again.`;
+    return {
+      approved: false,
+      reason: `Invalid arguments for ${tool}:\n${formatViolations(errors!)}\n${advice}`
+    };
+  }
+
+  // Applies the approval policy; 'ask' tools go to the approval handler, which
+  // may also edit the arguments
+  private async requestApproval(toolCall: ToolCall): Promise<
+    { approved: true; toolCall: ToolCall } | { approved: false; reason: string }
+  > {
+    const tool = toolCall.function.name;
+    const server = this.toolToServer[tool];
+    if (!server) {
+      return { approved: true, toolCall };
+    }
+
+    const decision = this.approvalPolicy.decide(server, tool);
+    if (decision === 'allow') {
+      return { approved: true, toolCall };
+    }
+    if (decision === 'deny') {
+      logger.warn(`[Approval] Denied ${server}/${tool} by policy`);
+      return { approved: false, reason: `Tool ${tool} is not allowed by the approval policy` };
+    }
+    if (!this.approvalHandler) {
+      logger.warn(`[Approval] ${server}/${tool} needs approval, but no approval handler is set`);
+      return { approved: false, reason: `Tool ${tool} needs user approval, but no one is available to approve it` };
+    }
+
+    let args: any;
+    try {
+      args = JSON.parse(toolCall.function.arguments);
+    } catch (error) {
+      args = toolCall.function.arguments;
+    }
+
+    const result = await this.approvalHandler({ server, tool, arguments: args });
+    if (!result.approved) {
+      logger.info(`[Approval] User rejected ${server}/${tool}`);
+      return {
+        approved: false,
+        reason: `The user rejected the call to ${tool}${result.reason ? `: ${result.reason}` : ''}`
+      };
+    }
+    if (result.arguments === undefined) {
+      return { approved: true, toolCall };
+    }
+
+    logger.info(`[Approval] User edited the arguments for ${server}/${tool}`);
+    return {
+      approved: true,
+      toolCall: { ...toolCall, function: { ...toolCall.function, arguments: JSON.stringify(result.arguments) } }
+    };
+  }
+
+  setApprovalHandler(handler: ApprovalHandler | null) {
+    this.approvalHandler = handler;
+  }
+
+  private async executeToolCall(toolCall: ToolCall) {
+    const requestedName = toolCall.function.name;
+    const started = Date.now();
+    try {
+      logger.debug(`[MCP] Looking up tool name: ${requestedName}`);
+
+      // Get appropriate MCP client for this tool
+      const mcpClient = this.toolToMcp[requestedName];
+      if (!mcpClient) {
+        throw new Error(`No MCP found for tool: ${requestedName}`);
+      }
+
+      logger.info(`[MCP] About to call MCP tool: ${requestedName}`);
+      let toolArgs = JSON.parse(toolCall.function.arguments);
+      logger.debug(`[MCP] Tool arguments prepared: ${JSON.stringify(this.redactor.redact(toolArgs))}`);
+      
+      // MCPClient enforces the per-server request timeout and cancels the call
+      logger.info(`[MCP] Sending call to MCP...`);
+      const result = await mcpClient.callTool(requestedName, toolArgs);
+      logger.info(`[MCP] Received response from MCP`);
+      logger.debug(`[MCP] Tool result: ${JSON.stringify(this.redactor.redact(result))}`);
+      
+      return {
+        tool_call_id: toolCall.id,
+        name: requestedName,
+        output: typeof result === 'string' ? result : JSON.stringify(result),
+        // The server ran the tool, but the tool reports a failure
+        isError: Boolean(result?.isError),
+        latencyMs: Date.now() - started
+      };
+    } catch (error: any) {
+      logger.error(`[MCP] Tool execution failed with error:`, error);
+      return {
+        tool_call_id: toolCall.id,
+        name: requestedName,
+        output: `Error: ${error?.message || String(error)}`,
+        isError: true,
+        latencyMs: Date.now() - started
+      };
+    }
   }
 
   async setTools(tools: any[]): Promise<void> {
     this.tools = tools;
     this.llmClient.tools = tools;
-    this.toolRegistry = new DynamicToolRegistry();
+    this.toolRegistry = new DynamicToolRegistry(this.embeddings);
     
     tools.forEach(tool => {
       if (tool.function) {
@@ -197,5 +1002,7 @@ export class MCPLLMBridge implements MCPLLMBridge {
     for (const client of Object.values(this.mcpClients)) {
       await client.close();
     }
+    await this.ollama.stop();
+    await this.auditLog?.flush();
   }
 }
\ No newline at end of file
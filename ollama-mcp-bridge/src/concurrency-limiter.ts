@@ -0,0 +1,38 @@
+// Runs at most `limit` tasks at once; the rest wait their turn in FIFO order
+export class ConcurrencyLimiter {
+  private active = 0;
+  private waiting: Array<() => void> = [];
+
+  constructor(readonly limit: number) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Concurrency limit must be a positive integer, got ${limit}`);
+    }
+  }
+
+  get running(): number {
+    return this.active;
+  }
+
+  get queued(): number {
+    return this.waiting.length;
+  }
+
+  async run<T>(task: () => Promise<T>): Promise<T> {
+    if (this.active < this.limit) {
+      this.active++;
+    } else {
+      // The finishing task hands its slot straight to the next in line
+      await new Promise<void>(resolve => this.waiting.push(resolve));
+    }
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
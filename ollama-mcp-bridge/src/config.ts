@@ -1,21 +1,38 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import { logger } from './logger';
-import { ServerParameters } from './types';
+import { logger, LogLevel } from './logger';
+import { ApprovalPolicyConfig, HttpServerConfig, ServerParameters } from './types';
+import { AuditLogConfig } from './audit-log';
+import { validateArguments } from './schema-validator';
 
 export interface BridgeConfigFile {
   mcpServers: {
     [key: string]: ServerParameters;
   };
   llm?: {
+    provider?: 'ollama' | 'openai' | 'anthropic';
     model: string;
     baseUrl: string;
     apiKey?: string;
     temperature?: number;
     maxTokens?: number;
+    stream?: boolean;
+    toolMode?: 'native' | 'structured';
+    contextWindow?: number;
+    autoStart?: boolean;
+    embeddingModel?: string;
+    maxTools?: number;
   };
   systemPrompt?: string;
+  sessionDirectory?: string;
+  server?: HttpServerConfig;
+  approval?: ApprovalPolicyConfig;
+  maxArgumentRetries?: number;
+  maxSteps?: number;
+  maxRepeatedCalls?: number;
+  logLevel?: LogLevel;
+  audit?: AuditLogConfig;
 }
 
 const DEFAULT_CONFIG: BridgeConfigFile = {
@@ -28,43 +45,267 @@ const DEFAULT_CONFIG: BridgeConfigFile = {
         path.join(os.homedir(), 'node_modules', '@modelcontextprotocol', 'server-filesystem', 'dist', 'index.js'),
         path.join(os.homedir(), 'bridgeworkspace')
       ],
-      allowedDirectory: path.join(os.homedir(), 'bridgeworkspace')
+      allowedDirectory: path.join(os.homedir(), 'bridgeworkspace'),
+      optional: true
     }
   },
   llm: {
     model: "qwen2.5-coder:7b-instruct",
-    baseUrl: "http://localhost:11434/v1",
-    apiKey: "ollama",
+    baseUrl: "http://localhost:11434",
     temperature: 0.7,
-    maxTokens: 1000
+    maxTokens: 1000,
+    stream: true,
+    contextWindow: 8192
   },
   systemPrompt: "You are a helpful assistant that can use tools to help answer questions."
 };
 
-export async function loadBridgeConfig(): Promise<BridgeConfigFile> {
-  // Change to look for config in the project directory
-  const projectDir = path.resolve(__dirname, '..');
-  const configPath = path.join(projectDir, 'bridge_config.json');
-  
-  try {
-    const configData = await fs.readFile(configPath, 'utf-8');
-    const config = JSON.parse(configData);
-    logger.info(`Loaded bridge configuration from ${configPath}`);
-
-    return {
-      ...DEFAULT_CONFIG,
-      ...config,
-      mcpServers: {
-        ...DEFAULT_CONFIG.mcpServers,
-        ...config.mcpServers
+// Raised for a config file that can't be read, parsed or validated
+export class ConfigError extends Error {
+  constructor(message: string, public readonly file?: string, public readonly issues: string[] = []) {
+    super(issues.length > 0 ? `${message}\n${issues.join('\n')}` : message);
+    this.name = 'ConfigError';
+  }
+}
+
+export const PROJECT_CONFIG_PATH = path.resolve(__dirname, '..', 'bridge_config.json');
+export const USER_CONFIG_PATH = path.join(os.homedir(), '.mcp-llm-bridge', 'config.json');
+
+export interface LoadConfigOptions {
+  configPath?: string;               // From --config
+  env?: NodeJS.ProcessEnv;           // For MCP_BRIDGE_CONFIG and ${VAR} expansion
+  projectPath?: string;
+  userPath?: string;
+}
+
+const DECISION = { enum: ['allow', 'deny', 'ask'] };
+const STRING_MAP = { type: 'object', additionalProperties: { type: 'string' } };
+
+const SERVER_SCHEMA = {
+  type: 'object',
+  properties: {
+    command: { type: 'string', minLength: 1 },
+    args: { type: 'array', items: { type: 'string' } },
+    allowedDirectory: { type: 'string' },
+    env: STRING_MAP,
+    url: { type: 'string', pattern: '^https?://' },
+    transport: { enum: ['stdio', 'sse', 'streamable-http'] },
+    headers: STRING_MAP,
+    timeout: { type: 'integer', minimum: 1 },
+    autoRestart: { type: 'boolean' },
+    maxRestarts: { type: 'integer', minimum: 0 },
+    restartDelay: { type: 'integer', minimum: 0 },
+    maxConcurrency: { type: 'integer', minimum: 1 },
+    reentrant: { type: 'boolean' },
+    disabled: { type: 'boolean' },
+    optional: { type: 'boolean' },
+    includeTools: { type: 'array', items: { type: 'string', minLength: 1 } },
+    excludeTools: { type: 'array', items: { type: 'string', minLength: 1 } }
+  },
+  additionalProperties: false
+};
+
+// Every key bridge_config.json understands. Unknown top-level keys are only
+// warned about, since Claude Desktop's config has settings of its own.
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    mcpServers: { type: 'object', additionalProperties: SERVER_SCHEMA },
+    llm: {
+      type: 'object',
+      properties: {
+        provider: { enum: ['ollama', 'openai', 'anthropic'] },
+        model: { type: 'string', minLength: 1 },
+        baseUrl: { type: 'string', pattern: '^https?://' },
+        apiKey: { type: 'string' },
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        maxTokens: { type: 'integer', minimum: 1 },
+        stream: { type: 'boolean' },
+        toolMode: { enum: ['native', 'structured'] },
+        contextWindow: { type: 'integer', minimum: 1 },
+        autoStart: { type: 'boolean' },
+        embeddingModel: { type: 'string' },
+        maxTools: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    },
+    systemPrompt: { type: 'string' },
+    sessionDirectory: { type: 'string' },
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', minimum: 0, maximum: 65535 },
+        host: { type: 'string' },
+        apiKey: { type: 'string' }
+      },
+      additionalProperties: false
+    },
+    approval: {
+      type: 'object',
+      properties: {
+        default: DECISION,
+        tools: { type: 'object', additionalProperties: DECISION },
+        servers: {
+          type: 'object',
+          additionalProperties: {
+            anyOf: [
+              DECISION,
+              {
+                type: 'object',
+                properties: { default: DECISION, tools: { type: 'object', additionalProperties: DECISION } },
+                additionalProperties: false
+              }
+            ]
+          }
+        }
+      },
+      additionalProperties: false
+    },
+    maxArgumentRetries: { type: 'integer', minimum: 0 },
+    maxSteps: { type: 'integer', minimum: 1 },
+    maxRepeatedCalls: { type: 'integer', minimum: 1 },
+    logLevel: { enum: ['error', 'warn', 'info', 'debug'] },
+    audit: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' },
+        redact: { type: 'array', items: { type: 'string' } },
+        includeContent: { type: 'boolean' }
       },
-      llm: {
-        ...DEFAULT_CONFIG.llm,
-        ...config.llm
-      }
-    };
+      additionalProperties: false
+    }
+  }
+};
+
+// Server fields and llm settings may reference environment variables as
+// $VAR or ${VAR}; $$ is a literal $. Unset variables expand to nothing.
+function interpolate(config: any, env: NodeJS.ProcessEnv, file: string): any {
+  const missing = new Set<string>();
+  const expand = (value: any): any => {
+    if (typeof value === 'string') {
+      return value.replace(/\$\$|\$\{([A-Za-z_]\w*)\}|\$([A-Za-z_]\w*)/g, (match, braced, bare) => {
+        if (match === '$$') return '$';
+        const name = braced || bare;
+        if (env[name] === undefined) missing.add(name);
+        return env[name] ?? '';
+      });
+    }
+    if (Array.isArray(value)) return value.map(expand);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expand(item)]));
+    }
+    return value;
+  };
+
+  const result = { ...config };
+  if (config.mcpServers && typeof config.mcpServers === 'object') {
+    result.mcpServers = expand(config.mcpServers);
+  }
+  if (config.llm && typeof config.llm === 'object') {
+    result.llm = expand(config.llm);
+  }
+  if (config.server && typeof config.server === 'object') {
+    result.server = expand(config.server);
+  }
+  if (missing.size > 0) {
+    logger.warn(`${file} uses unset environment variables: ${Array.from(missing).join(', ')}`);
+  }
+  return result;
+}
+
+// Points JSON syntax errors at a line and column
+function parseJson(text: string, file: string): any {
+  try {
+    return JSON.parse(text);
   } catch (error: any) {
-    logger.warn(`Could not load bridge_config.json from ${configPath}, using defaults`);
+    let message = error?.message || String(error);
+    const position = /at position (\d+)/.exec(message);
+    if (position) {
+      const before = text.slice(0, Number(position[1])).split('\n');
+      message += ` (line ${before.length}, column ${before[before.length - 1].length + 1})`;
+    }
+    throw new ConfigError(`Could not parse ${file}: ${message}`, file);
+  }
+}
+
+export function validateConfig(config: any, file: string): BridgeConfigFile {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Invalid configuration in ${file}: expected a JSON object`, file);
+  }
+
+  const result = validateArguments(CONFIG_SCHEMA, config);
+  const issues = result.errors.map(error => `- ${error.path}: ${error.message}`);
+  for (const [name, server] of Object.entries<any>(result.value.mcpServers || {})) {
+    if (server && typeof server === 'object' && !server.command && !server.url) {
+      issues.push(`- mcpServers.${name}: needs a command or a url`);
+    }
+  }
+  if (issues.length > 0) {
+    throw new ConfigError(`Invalid configuration in ${file}:`, file, issues);
+  }
+
+  result.repairs.forEach(repair => logger.debug(`[Config] ${repair}`));
+  const unknown = Object.keys(config).filter(key => !(key in CONFIG_SCHEMA.properties));
+  if (unknown.length > 0) {
+    logger.warn(`Ignoring unknown settings in ${file}: ${unknown.join(', ')}`);
+  }
+  return result.value;
+}
+
+// The first of --config, $MCP_BRIDGE_CONFIG, bridge_config.json next to the
+// package and ~/.mcp-llm-bridge/config.json. The first two must exist.
+export async function findConfigFile(options: LoadConfigOptions, env: NodeJS.ProcessEnv = process.env): Promise<string | null> {
+  const explicit = options.configPath
+    ? { file: path.resolve(options.configPath), source: '--config' }
+    : env.MCP_BRIDGE_CONFIG ? { file: path.resolve(env.MCP_BRIDGE_CONFIG), source: 'MCP_BRIDGE_CONFIG' } : null;
+  if (explicit) {
+    try {
+      await fs.access(explicit.file);
+    } catch (error) {
+      throw new ConfigError(`Config file ${explicit.file} (from ${explicit.source}) does not exist`, explicit.file);
+    }
+    return explicit.file;
+  }
+
+  for (const file of [options.projectPath || PROJECT_CONFIG_PATH, options.userPath || USER_CONFIG_PATH]) {
+    try {
+      await fs.access(file);
+      return file;
+    } catch (error) {
+      // Try the next one
+    }
+  }
+  return null;
+}
+
+// Loads and validates the config. Claude Desktop's claude_desktop_config.json
+// works as is: its mcpServers entries have the same shape, and the bridge's
+// own settings can sit next to them.
+export async function loadBridgeConfig(options: LoadConfigOptions = {}): Promise<BridgeConfigFile> {
+  const env = options.env || process.env;
+  const configPath = await findConfigFile(options, env);
+  if (!configPath) {
+    logger.info('No bridge configuration found, using defaults');
     return DEFAULT_CONFIG;
   }
-}
\ No newline at end of file
+
+  let configData: string;
+  try {
+    configData = await fs.readFile(configPath, 'utf-8');
+  } catch (error: any) {
+    throw new ConfigError(`Could not read ${configPath}: ${error?.message || String(error)}`, configPath);
+  }
+  const config = validateConfig(interpolate(parseJson(configData, configPath), env, configPath), configPath);
+  logger.info(`Loaded bridge configuration from ${configPath}`);
+
+  // A config file's servers replace the default filesystem server
+  return {
+    ...DEFAULT_CONFIG,
+    ...config,
+    mcpServers: config.mcpServers || DEFAULT_CONFIG.mcpServers,
+    llm: {
+      ...DEFAULT_CONFIG.llm,
+      ...config.llm
+    } as BridgeConfigFile['llm']
+  };
+}
@@ -0,0 +1,68 @@
+import { logger } from './logger';
+
+// Wait this long before trying embeddings again after a failure, e.g. when
+// the embedding model hasn't been pulled
+const RETRY_DELAY = 5 * 60 * 1000;
+const REQUEST_TIMEOUT = 30000;
+
+// Client for Ollama's /api/embeddings. Vectors of texts that are embedded
+// repeatedly, like tool descriptions, are cached for the life of the client.
+export class OllamaEmbeddings {
+  private cache = new Map<string, number[]>();
+  private retryAt = 0;
+
+  constructor(private baseUrl: string, public readonly model: string) {
+    this.baseUrl = baseUrl.replace('localhost', '127.0.0.1').replace(/\/+$/, '');
+  }
+
+  // False for a while after a failed request, so callers can skip straight
+  // to their fallback
+  get available(): boolean {
+    return Date.now() >= this.retryAt;
+  }
+
+  async embed(text: string, cache: boolean = false): Promise<number[]> {
+    const cached = this.cache.get(text);
+    if (cached) return cached;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    try {
+      const response = await fetch(`${this.baseUrl}/api/embeddings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: this.model, prompt: text }),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`status ${response.status}: ${await response.text()}`);
+      }
+
+      const { embedding } = await response.json() as { embedding?: number[] };
+      if (!Array.isArray(embedding) || embedding.length === 0) {
+        throw new Error('the response contained no embedding');
+      }
+      if (cache) this.cache.set(text, embedding);
+      return embedding;
+    } catch (error: any) {
+      this.retryAt = Date.now() + RETRY_DELAY;
+      const reason = error?.name === 'AbortError' ? `timed out after ${REQUEST_TIMEOUT / 1000} seconds` : error?.message || String(error);
+      logger.debug(`Embedding with ${this.model} failed: ${reason}`);
+      throw new Error(`Embedding with ${this.model} failed: ${reason}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+export function cosineSimilarity(a: number[], b: number[]): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
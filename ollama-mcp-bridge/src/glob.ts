@@ -0,0 +1,25 @@
+// Shell-style wildcards for tool names: `*` matches any run of characters,
+// `?` a single one. Everything else is literal.
+export function globToRegExp(pattern: string): RegExp {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+export function matchesGlob(pattern: string, name: string): boolean {
+  return globToRegExp(pattern).test(name);
+}
+
+// Of the patterns matching name, the one with the most literal characters;
+// an exact name always wins
+export function mostSpecificMatch(patterns: string[], name: string): string | undefined {
+  return patterns
+    .filter(pattern => matchesGlob(pattern, name))
+    .sort((a, b) => b.replace(/[*?]/g, '').length - a.replace(/[*?]/g, '').length)[0];
+}
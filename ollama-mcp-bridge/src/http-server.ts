@@ -0,0 +1,235 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+import { randomUUID } from 'crypto';
+import { MCPLLMBridge, BridgeEvent } from './bridge';
+import { logger } from './logger';
+import { ChatMessage, HttpServerConfig } from './types';
+
+class HttpError extends Error {
+  constructor(public status: number, message: string, public type: string = 'invalid_request_error') {
+    super(message);
+  }
+}
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// OpenAI-compatible front end for the bridge. Exposes /v1/models and
+// /v1/chat/completions; MCP tools run server-side, so clients only ever see
+// the final assistant message.
+export class OpenAICompatibleServer {
+  private server: http.Server;
+  // The bridge has a single LLM conversation, so requests take turns
+  private queue: Promise<void> = Promise.resolve();
+
+  constructor(private bridge: MCPLLMBridge, private model: string, private config: HttpServerConfig = {}) {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => this.sendError(res, error));
+    });
+  }
+
+  async start(): Promise<AddressInfo> {
+    const port = this.config.port ?? 8000;
+    const host = this.config.host || '127.0.0.1';
+    await new Promise<void>((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    const address = this.server.address() as AddressInfo;
+    logger.info(`OpenAI-compatible API listening on http://${address.address}:${address.port}/v1`);
+    return address;
+  }
+
+  async close(): Promise<void> {
+    await new Promise<void>(resolve => this.server.close(() => resolve()));
+  }
+
+  private async handleRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const url = new URL(req.url || '/', 'http://localhost');
+    logger.debug(`[HTTP] ${req.method} ${url.pathname}`);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, this.corsHeaders());
+      res.end();
+      return;
+    }
+
+    this.checkAuthorization(req);
+
+    if (req.method === 'GET' && url.pathname === '/v1/models') {
+      this.sendJson(res, 200, {
+        object: 'list',
+        data: [{ id: this.model, object: 'model', created: 0, owned_by: 'mcp-llm-bridge' }]
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/v1/chat/completions') {
+      const body = await this.readJson(req);
+      await this.enqueue(() => this.handleChatCompletion(body, res));
+      return;
+    }
+
+    throw new HttpError(404, `Unknown endpoint: ${req.method} ${url.pathname}`);
+  }
+
+  private async handleChatCompletion(body: any, res: http.ServerResponse): Promise<void> {
+    const messages = this.parseMessages(body?.messages);
+    const id = `chatcmpl-${randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const model = typeof body.model === 'string' && body.model ? body.model : this.model;
+    const stream = this.bridge.streamConversation(messages);
+
+    if (!body.stream) {
+      let result = await stream.next();
+      while (!result.done) {
+        result = await stream.next();
+      }
+      const turn = this.bridge.lastTurn;
+      this.sendJson(res, 200, {
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: result.value },
+          finish_reason: 'stop'
+        }],
+        ...(turn && {
+          usage: {
+            prompt_tokens: turn.promptTokens,
+            completion_tokens: turn.completionTokens,
+            total_tokens: turn.promptTokens + turn.completionTokens
+          }
+        })
+      });
+      return;
+    }
+
+    res.writeHead(200, {
+      ...this.corsHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const sendChunk = (delta: any, finishReason: string | null = null) => {
+      res.write(`data: ${JSON.stringify({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+      })}\n\n`);
+    };
+
+    sendChunk({ role: 'assistant' });
+    let streamedContent = false;
+    try {
+      let result = await stream.next();
+      while (!result.done) {
+        const event: BridgeEvent = result.value;
+        if (event.type === 'token') {
+          sendChunk({ content: event.content });
+          streamedContent = true;
+        } else if (event.type === 'tool_call') {
+          logger.info(`[HTTP] Running tool ${event.name} for API request ${id}`);
+        }
+        result = await stream.next();
+      }
+      // Non-streaming models and structured output only produce the answer at the end
+      if (!streamedContent && result.value) {
+        sendChunk({ content: result.value });
+      }
+      sendChunk({}, 'stop');
+    } catch (error: any) {
+      logger.error(`[HTTP] Streaming request ${id} failed: ${error?.message || String(error)}`);
+      res.write(`data: ${JSON.stringify({ error: { message: error?.message || String(error), type: 'server_error' } })}\n\n`);
+    }
+    res.write('data: [DONE]\n\n');
+    res.end();
+  }
+
+  private parseMessages(messages: any): ChatMessage[] {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new HttpError(400, "'messages' must be a non-empty array");
+    }
+
+    return messages.map((message, index) => {
+      if (!message || !['system', 'user', 'assistant', 'tool'].includes(message.role)) {
+        throw new HttpError(400, `messages[${index}] has an invalid role`);
+      }
+      // Content may be a plain string or an array of typed parts
+      const content = Array.isArray(message.content)
+        ? message.content
+          .filter((part: any) => part?.type === 'text')
+          .map((part: any) => part.text)
+          .join('\n')
+        : String(message.content ?? '');
+      return { role: message.role, content };
+    });
+  }
+
+  private checkAuthorization(req: http.IncomingMessage) {
+    if (!this.config.apiKey) return;
+    if (req.headers.authorization !== `Bearer ${this.config.apiKey}`) {
+      throw new HttpError(401, 'Invalid API key', 'authentication_error');
+    }
+  }
+
+  private enqueue(task: () => Promise<void>): Promise<void> {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => undefined);
+    return run;
+  }
+
+  private readJson(req: http.IncomingMessage): Promise<any> {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.setEncoding('utf-8');
+      req.on('data', chunk => {
+        raw += chunk;
+        if (raw.length > MAX_BODY_BYTES) {
+          reject(new HttpError(413, 'Request body is too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          reject(new HttpError(400, 'Request body must be valid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  private corsHeaders(): Record<string, string> {
+    return {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    };
+  }
+
+  private sendJson(res: http.ServerResponse, status: number, body: any) {
+    res.writeHead(status, { ...this.corsHeaders(), 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  private sendError(res: http.ServerResponse, error: any) {
+    const status = error instanceof HttpError ? error.status : 500;
+    const type = error instanceof HttpError ? error.type : 'server_error';
+    if (status >= 500) {
+      logger.error(`[HTTP] Request failed: ${error?.message || String(error)}`);
+    }
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    this.sendJson(res, status, { error: { message: error?.message || String(error), type } });
+  }
+}
@@ -1,21 +1,10 @@
 import { type LLMConfig } from './types';
 import { logger } from './logger';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { DynamicToolRegistry } from './tool-registry';
-import { toolSchemas } from './types/tool-schemas';
+import { buildToolCallFormat, formatInstructions, parseStructuredReply } from './structured-output';
+import { ChatCompletion, ChatRequest, LLMProvider, TokenUsage, ToolsUnsupportedError, createProvider, parseArguments } from './providers';
 
-const execAsync = promisify(exec);
-
-interface OllamaResponse {
-  model: string;
-  message: {
-    role: string;
-    content: string;
-  };
-}
-
-interface ToolCall {
+export interface ToolCall {
   id: string;
   function: {
     name: string;
@@ -23,27 +12,78 @@ interface ToolCall {
   };
 }
 
-interface ToolResponse {
-  name?: string;
-  arguments?: Record<string, unknown>;
-  thoughts?: string;
+export interface LLMResponse {
+  content: string;
+  isToolCall: boolean;
+  toolCalls: ToolCall[];
+  usage?: TokenUsage;
+}
+
+export interface InvokeOptions {
+  // Asks for a last reply without tools, with this instruction appended for
+  // the request only
+  finalAnswer?: string;
+}
+
+// A request about to go to the model, or how it went
+export type LLMExchange =
+  | { type: 'request'; provider: string; request: ChatRequest }
+  | { type: 'response'; provider: string; request: ChatRequest; completion?: ChatCompletion; error?: string; latencyMs: number };
+
+// Runs a generator to completion, discarding what it yields
+export async function drainStream<T>(stream: AsyncGenerator<unknown, T>): Promise<T> {
+  let result = await stream.next();
+  while (!result.done) {
+    result = await stream.next();
+  }
+  return result.value;
 }
 
 export class LLMClient {
   private config: LLMConfig;
   private toolRegistry: DynamicToolRegistry | null = null;
   private currentTool: string | null = null;
+  // Tools picked for the current prompt; null sends every tool
+  private selectedTools: string[] | null = null;
   public tools: any[] = [];
   private messages: any[] = [];
   public systemPrompt: string | null = null;
-  private readonly toolSchemas: typeof toolSchemas = toolSchemas;
-  private static REQUEST_TIMEOUT = 300000; // 5 minutes
+  // Fixed `format` schema sent instead of any tools, e.g. to pin down the
+  // reply of a connection check
+  public format: any = null;
+  // Sees every model round trip, e.g. for the audit log
+  public onExchange: ((exchange: LLMExchange) => void) | null = null;
+  private nativeTools: boolean;
+  private provider: LLMProvider;
+  private static DEFAULT_CONTEXT_WINDOW = 8192;
+  private static DEFAULT_MAX_TOOLS = 8;
 
   constructor(config: LLMConfig) {
     this.config = config;
     this.systemPrompt = config.systemPrompt || null;
+    this.nativeTools = config.toolMode !== 'structured';
     this.config.baseUrl = this.config.baseUrl.replace('localhost', '127.0.0.1');
-    logger.debug(`Initializing Ollama client with baseURL: ${this.config.baseUrl}`);
+    this.provider = createProvider(config);
+    logger.debug(`Initializing ${this.provider.name} client with baseURL: ${this.config.baseUrl}`);
+  }
+
+  // True when tools go to the model through the `tools` field. Flips to false for
+  // the rest of the session if the model turns out not to support tools.
+  get usesNativeTools(): boolean {
+    return this.nativeTools && this.tools.length > 0;
+  }
+
+  // Conversation history, carried across prompts until replaced or cleared
+  getHistory(): any[] {
+    return this.messages;
+  }
+
+  setHistory(messages: any[]) {
+    this.messages = messages;
+  }
+
+  clearHistory() {
+    this.messages.splice(0);
   }
 
   setToolRegistry(registry: DynamicToolRegistry) {
@@ -71,73 +111,6 @@ export class LLMClient {
     logger.info(`Total tools available: ${this.tools.length}`);
   }
 
-  private async testConnection(): Promise<boolean> {
-    try {
-      logger.debug('Testing connection to Ollama...');
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-      
-      const response = await fetch(`${this.config.baseUrl}/api/tags`, {
-        method: 'GET',
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (response.ok) {
-        const data = await response.json();
-        logger.debug('Ollama connection test successful:', data);
-        return true;
-      } else {
-        logger.error('Ollama connection test failed with status:', response.status);
-        return false;
-      }
-    } catch (error) {
-      if (error instanceof Error) {
-        if (error.name === 'AbortError') {
-          logger.error('Ollama connection test timed out after 5 seconds');
-        } else {
-          logger.error('Ollama connection test failed with error:', error.message);
-        }
-      }
-      return false;
-    }
-  }
-
-  private async forceKillOllama(): Promise<void> {
-    try {
-      logger.debug('Starting Ollama cleanup process...');
-      
-      try {
-        logger.debug('Attempting to kill Ollama by process name...');
-        const { stdout: killOutput } = await execAsync('taskkill /F /IM ollama.exe');
-        logger.debug('Taskkill output:', killOutput);
-      } catch (e) {
-        logger.debug('No Ollama process found to kill');
-      }
-      
-      try {
-        logger.debug('Checking for processes on port 11434...');
-        const { stdout } = await execAsync('netstat -ano | findstr ":11434"');
-        const pids = stdout.split('\n')
-          .map(line => line.trim().split(/\s+/).pop())
-          .filter(pid => pid && /^\d+$/.test(pid));
-        
-        for (const pid of pids) {
-          logger.debug(`Killing process with PID ${pid}...`);
-          await execAsync(`taskkill /F /PID ${pid}`);
-        }
-      } catch (e) {
-        logger.debug('No processes found on port 11434');
-      }
-
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      logger.debug('Ollama cleanup process completed');
-    } catch (error) {
-      logger.error('Error during Ollama force kill:', error);
-    }
-  }
-
   private prepareMessages(): any[] {
     const formattedMessages = [];
     if (this.systemPrompt) {
@@ -147,63 +120,134 @@ export class LLMClient {
       });
     }
 
-    formattedMessages.push(...this.messages);
+    formattedMessages.push(...this.trimHistory(formattedMessages));
     return formattedMessages;
   }
 
-  async invokeWithPrompt(prompt: string) {
-    logger.debug('Force killing any existing Ollama processes...');
-    await this.forceKillOllama();
+  // Rough token estimate; close enough to keep requests inside the window
+  private estimateTokens(message: any): number {
+    const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+    return Math.ceil((String(message.content || '').length + toolCalls.length) / 4) + 4;
+  }
 
-    logger.debug('Starting new Ollama instance...');
-    const ollamaProcess = exec('ollama serve', { windowsHide: true });
-    
-    ollamaProcess.stdout?.on('data', (data) => {
-      logger.debug('Ollama stdout:', data.toString());
-    });
-    
-    ollamaProcess.stderr?.on('data', (data) => {
-      logger.debug('Ollama stderr:', data.toString());
-    });
-    
-    ollamaProcess.on('error', (error) => {
-      logger.error('Error starting Ollama:', error);
-    });
-    
-    ollamaProcess.unref();
-
-    let connected = false;
-    for (let i = 0; i < 10; i++) {
-      logger.debug(`Waiting for Ollama to start (attempt ${i + 1}/10)...`);
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      if (await this.testConnection()) {
-        logger.debug('Ollama is ready and responding');
-        connected = true;
-        break;
-      }
+  // Drops the oldest turns until the history fits the configured context
+  // window, leaving room for the system prompt and the completion. The
+  // current turn is always kept, and the result always starts at a user
+  // message so tool results are never separated from their calls.
+  private trimHistory(prefix: any[]): any[] {
+    const contextWindow = this.config.contextWindow || LLMClient.DEFAULT_CONTEXT_WINDOW;
+    let budget = contextWindow - (this.config.maxTokens || 1000)
+      - prefix.reduce((total, message) => total + this.estimateTokens(message), 0);
+
+    let lastUser = this.messages.length - 1;
+    while (lastUser > 0 && this.messages[lastUser].role !== 'user') lastUser--;
+
+    let start = this.messages.length;
+    while (start > 0) {
+      const cost = this.estimateTokens(this.messages[start - 1]);
+      if (start <= lastUser && cost > budget) break;
+      budget -= cost;
+      start--;
+    }
+    while (start < lastUser && this.messages[start].role !== 'user') start++;
+
+    if (start > 0) {
+      logger.debug(`Trimmed ${start} messages from history to fit a ${contextWindow} token context window`);
     }
-    
-    if (!connected) {
-      throw new Error('Failed to start Ollama after 10 attempts');
+    return this.messages.slice(start);
+  }
+
+  private buildRequest(options: InvokeOptions = {}): ChatRequest {
+    const request: ChatRequest = {
+      model: this.config.model,
+      messages: this.prepareMessages(),
+      stream: this.config.stream !== false,
+      temperature: this.config.temperature || 0,
+      maxTokens: this.config.maxTokens || 1000,
+      contextWindow: this.config.contextWindow || LLMClient.DEFAULT_CONTEXT_WINDOW
+    };
+
+    if (options.finalAnswer) {
+      request.messages.push({ role: 'system', content: options.finalAnswer });
     }
 
+    if (this.format) {
+      request.format = this.format;
+    } else if (options.finalAnswer) {
+      logger.debug('Asking for a final answer without tools');
+    } else if (this.usesNativeTools) {
+      request.tools = this.activeTools();
+      logger.debug(`Sending ${request.tools.length} of ${this.tools.length} tools for native tool calling`);
+    } else if (this.tools.length > 0) {
+      // Constrain the reply to a call of one of the candidate tools or a final answer
+      const candidates = this.candidateTools();
+      request.format = buildToolCallFormat(candidates);
+      request.messages.push({ role: 'system', content: formatInstructions(candidates) });
+      logger.debug(`Added format schema for ${candidates.map(tool => tool.function.name).join(', ')}`);
+      logger.debug('Schema:', JSON.stringify(request.format, null, 2));
+    }
+
+    return request;
+  }
+
+  // The tools selected for the current prompt, best match first
+  private activeTools(): any[] {
+    if (!this.selectedTools) return this.tools;
+    const selected = this.selectedTools
+      .map(name => this.tools.find(tool => tool.function.name === name))
+      .filter(tool => tool !== undefined);
+    return selected.length > 0 ? selected : this.tools;
+  }
+
+  // The tool detected in the prompt when there is one, otherwise the selected tools
+  private candidateTools(): any[] {
+    const detected = this.tools.filter(tool => tool.function.name === this.currentTool);
+    return detected.length > 0 ? detected : this.activeTools();
+  }
+
+  async invokeWithPrompt(prompt: string): Promise<LLMResponse> {
+    return drainStream(this.invokeWithPromptStream(prompt));
+  }
+
+  // Same as invokeWithPrompt, but yields content tokens as the model produces them
+  async *invokeWithPromptStream(prompt: string): AsyncGenerator<string, LLMResponse> {
     // Detect tool using registry if available
     if (this.toolRegistry) {
       this.currentTool = this.toolRegistry.detectToolFromPrompt(prompt);
       logger.debug(`Detected tool from registry: ${this.currentTool}`);
+      this.selectedTools = await this.toolRegistry.selectTools(prompt, this.config.maxTools || LLMClient.DEFAULT_MAX_TOOLS);
     }
 
-    logger.debug(`Preparing to send prompt: ${prompt}`);
-    this.messages = [];
+    logger.debug(`Preparing to send a prompt of ${prompt.length} characters`);
     this.messages.push({
       role: 'user',
       content: prompt
     });
 
-    return this.invoke([]);
+    return yield* this.invokeStream([]);
   }
 
-  async invoke(toolResults: any[] = []) {
+  async invoke(toolResults: any[] = [], options: InvokeOptions = {}): Promise<LLMResponse> {
+    return drainStream(this.invokeStream(toolResults, options));
+  }
+
+  private async *chat(request: ChatRequest): AsyncGenerator<string, ChatCompletion> {
+    const provider = this.provider.name;
+    this.onExchange?.({ type: 'request', provider, request });
+    const started = Date.now();
+    try {
+      // Structured output is raw JSON, so only plain answers are worth streaming
+      const completion = yield* this.provider.chat(request, !request.format);
+      this.onExchange?.({ type: 'response', provider, request, completion, latencyMs: Date.now() - started });
+      return completion;
+    } catch (error: any) {
+      const message = error?.message || String(error);
+      this.onExchange?.({ type: 'response', provider, request, error: message, latencyMs: Date.now() - started });
+      throw error;
+    }
+  }
+
+  async *invokeStream(toolResults: any[] = [], options: InvokeOptions = {}): AsyncGenerator<string, LLMResponse> {
     try {
       if (toolResults.length > 0) {
         for (const result of toolResults) {
@@ -220,13 +264,15 @@ export class LLMClient {
               this.messages.push({
                 role: 'tool',
                 content,
-                tool_call_id: result.tool_call_id
+                tool_call_id: result.tool_call_id,
+                tool_name: result.name
               });
             } else {
               this.messages.push({
                 role: 'tool',
                 content: String(toolOutput),
-                tool_call_id: result.tool_call_id
+                tool_call_id: result.tool_call_id,
+                tool_name: result.name
               });
             }
           } catch (e) {
@@ -234,111 +280,74 @@ export class LLMClient {
             this.messages.push({
               role: 'tool',
               content: String(toolOutput),
-              tool_call_id: result.tool_call_id
+              tool_call_id: result.tool_call_id,
+              tool_name: result.name
             });
           }
         }
       }
 
-      const messages = this.prepareMessages();
-      const payload: any = {
-        model: this.config.model,
-        messages,
-        stream: false,
-        options: {
-          temperature: this.config.temperature || 0,
-          num_predict: this.config.maxTokens || 1000
-        }
-      };
-
-      // Add structured output format if a tool is detected
-      if (this.currentTool) {
-        const toolSchema = this.currentTool ? this.toolSchemas[this.currentTool as keyof typeof toolSchemas] : null;
-        if (toolSchema) {
-          payload.format = {
-            type: "object",
-            properties: {
-              name: {
-                type: "string",
-                const: this.currentTool
-              },
-              arguments: toolSchema,
-              thoughts: {
-                type: "string",
-                description: "Your thoughts about using this tool"
-              }
-            },
-            required: ["name", "arguments", "thoughts"]
-          };
-          logger.debug('Added format schema for tool:', this.currentTool);
-          logger.debug('Schema:', JSON.stringify(payload.format, null, 2));
-        }
-      }
-
-      logger.debug('Preparing Ollama request with payload:', JSON.stringify(payload, null, 2));
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => {
-        controller.abort();
-        logger.error(`Request timed out after ${LLMClient.REQUEST_TIMEOUT/1000} seconds`);
-      }, LLMClient.REQUEST_TIMEOUT);
-
-      logger.debug('Sending request to Ollama...');
-      const response = await fetch(`${this.config.baseUrl}/api/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        logger.error('Ollama request failed:', {
-          status: response.status,
-          statusText: response.statusText,
-          error: errorText
-        });
-        throw new Error(`HTTP error! status: ${response.status}, details: ${errorText}`);
+      let request = this.buildRequest(options);
+      let completion: ChatCompletion;
+      try {
+        completion = yield* this.chat(request);
+      } catch (error) {
+        if (!(error instanceof ToolsUnsupportedError)) throw error;
+        logger.warn(`Model ${this.config.model} does not support native tool calling, falling back to structured output`);
+        this.nativeTools = false;
+        request = this.buildRequest(options);
+        completion = yield* this.chat(request);
       }
-
-      logger.debug('Response received from Ollama, parsing...');
-      const completion = await response.json() as OllamaResponse;
-      logger.debug('Parsed response:', completion);
+      logger.debug(`Parsed response: ${completion.content.length} characters, ${completion.toolCalls.length} tool calls`);
 
       let isToolCall = false;
       let toolCalls: ToolCall[] = [];
-      let content: any = completion.message.content;
+      let content: any = completion.content;
 
-      // Parse the structured response
-      try {
-        // Handle both string and object responses
-        const contentObj = typeof content === 'string' ? JSON.parse(content) : content;
-        
-        // Check if response matches our structured format
-        if (contentObj.name && contentObj.arguments) {
+      if (options.finalAnswer) {
+        // No tools were offered, so any calls the model makes anyway are dropped
+        if (completion.toolCalls.length) {
+          logger.warn(`Ignoring ${completion.toolCalls.length} tool calls in a final answer`);
+        }
+      } else if (completion.toolCalls.length) {
+        // Native tool calling, possibly several calls in one turn. Providers
+        // that assign ids need them echoed back with the results.
+        isToolCall = true;
+        const timestamp = Date.now();
+        toolCalls = completion.toolCalls.map((call, index) => ({
+          id: call.id || `call-${timestamp}-${index}`,
+          function: {
+            name: call.name,
+            arguments: call.arguments
+          }
+        }));
+        logger.debug(`Parsed native tool calls: ${toolCalls.map(call => call.function.name).join(', ')}`);
+      } else if (!this.usesNativeTools && !this.format) {
+        // Parse the structured response
+        const reply = parseStructuredReply(content);
+        if (reply?.type === 'tool_call') {
           isToolCall = true;
           toolCalls = [{
             id: `call-${Date.now()}`,
             function: {
-              name: contentObj.name,
-              arguments: JSON.stringify(contentObj.arguments)
+              name: reply.name,
+              arguments: JSON.stringify(reply.arguments)
             }
           }];
-          content = contentObj.thoughts || "Using tool...";
-          logger.debug('Parsed structured tool call:', { toolCalls });
+          content = reply.thoughts || "Using tool...";
+          logger.debug(`Parsed structured tool call: ${reply.name}`);
+        } else if (reply?.type === 'answer') {
+          content = reply.content;
+        } else {
+          logger.debug('Response is not a structured reply');
         }
-      } catch (e) {
-        logger.debug('Response is not a structured tool call:', e);
       }
 
-      const result = {
+      const result: LLMResponse = {
         content: typeof content === 'string' ? content : JSON.stringify(content),
         isToolCall,
-        toolCalls
+        toolCalls,
+        usage: completion.usage
       };
 
       if (result.isToolCall) {
@@ -350,7 +359,8 @@ export class LLMClient {
             type: 'function',
             function: {
               name: call.function.name,
-              arguments: call.function.arguments
+              // Ollama expects arguments as an object in the chat history
+              arguments: parseArguments(call.function.arguments)
             }
           }))
         });
@@ -363,15 +373,8 @@ export class LLMClient {
 
       return result;
     } catch (error: any) {
-      if (error.name === 'AbortError') {
-        logger.error('Request aborted due to timeout');
-        throw new Error(`Request timed out after ${LLMClient.REQUEST_TIMEOUT/1000} seconds`);
-      }
       logger.error('LLM invocation failed:', error);
       throw error;
-    } finally {
-      logger.debug('Cleaning up Ollama process...');
-      await this.forceKillOllama();
     }
   }
 }
\ No newline at end of file
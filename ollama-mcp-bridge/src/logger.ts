@@ -1,7 +1,7 @@
 import winston from 'winston';
 import chalk from 'chalk';
 
-type LogLevel = 'error' | 'warn' | 'info' | 'debug';
+export type LogLevel = 'error' | 'warn' | 'info' | 'debug';
 
 interface CustomLevels {
   levels: {
@@ -35,6 +35,13 @@ const customLevels: CustomLevels = {
   },
 };
 
+export function isLogLevel(level: unknown): level is LogLevel {
+  return typeof level === 'string' && level in customLevels.levels;
+}
+
+// LOG_LEVEL overrides the default; the config file can change it at startup
+let level: LogLevel = isLogLevel(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
 function getFormattedTime(): string {
   const now = new Date();
   const hours = String(now.getHours()).padStart(2, '0');
@@ -56,9 +63,21 @@ export const logger = winston.createLogger({
       return `${timeStr} ${levelStr}:     ${nameStr} - ${message}`;
     })
   ),
+  level,
   transports: [
-    new winston.transports.Console({
-      level: 'debug' // Changed to 'debug' to show more output
-    })
+    new winston.transports.Console()
   ]
-});
\ No newline at end of file
+});
+
+export function setLogLevel(newLevel: LogLevel) {
+  level = newLevel;
+  logger.level = newLevel;
+}
+
+// In MCP server mode stdout carries the protocol, so every level goes to stderr
+export function logToStderr() {
+  logger.clear();
+  logger.add(new winston.transports.Console({
+    stderrLevels: Object.keys(customLevels.levels)
+  }));
+}
@@ -1,68 +1,269 @@
+import fs from 'fs';
+import path from 'path';
 import readline from 'readline';
-import { MCPLLMBridge } from './bridge';
-import { loadBridgeConfig } from './config';
-import { logger } from './logger';
-import { exec } from 'child_process';
+import { MCPLLMBridge, BridgeEvent, ServerChanges } from './bridge';
+import { ConfigError, findConfigFile, loadBridgeConfig } from './config';
+import { logger, logToStderr, setLogLevel } from './logger';
 import { BridgeConfig } from './types';
+import { OpenAICompatibleServer } from './http-server';
+import { MCPProxyServer } from './mcp-server';
+import { ApprovalRequest, ApprovalResult } from './approval-policy';
+import { AuditLog } from './audit-log';
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Created on first use: in MCP server mode stdin carries the protocol
+let rl: readline.Interface | null = null;
 
 async function question(prompt: string): Promise<string> {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  const reader = rl;
   return new Promise((resolve) => {
-    rl.question(prompt, resolve);
+    reader.question(prompt, resolve);
   });
 }
 
-async function forceExit() {
-  logger.info('Force exiting...');
-  
-  try {
-    exec('taskkill /F /IM ollama.exe', () => {});
-    exec('netstat -ano | findstr ":11434"', (error: any, stdout: string) => {
-      if (!error && stdout) {
-        const pids = stdout.split('\n')
-          .map(line => line.trim().split(/\s+/).pop())
-          .filter(pid => pid && /^\d+$/.test(pid));
-        
-        pids.forEach(pid => {
-          exec(`taskkill /F /PID ${pid}`, () => {});
-        });
+// Prints tokens as they stream in, with tool activity interleaved
+async function printStreamedResponse(stream: AsyncGenerator<BridgeEvent, string>): Promise<void> {
+  let streaming = false;
+
+  let result = await stream.next();
+  while (!result.done) {
+    const event = result.value;
+    switch (event.type) {
+      case 'token':
+        if (!streaming) {
+          process.stdout.write('\nResponse: ');
+          streaming = true;
+        }
+        process.stdout.write(event.content);
+        break;
+      case 'tool_call':
+        if (streaming) process.stdout.write('\n');
+        streaming = false;
+        console.log(`\n[Tool] ${event.name} ${event.arguments}`);
+        break;
+      case 'tool_result':
+        console.log(`[Tool] ${event.name} ${event.isError ? 'failed' : 'finished'}`);
+        break;
+    }
+    result = await stream.next();
+  }
+
+  if (streaming) {
+    process.stdout.write('\n');
+  } else {
+    console.log(`\nResponse: ${result.value}`);
+  }
+}
+
+// One line on what the last turn cost, and the running total for the session
+function printTurnSummary(bridge: MCPLLMBridge) {
+  const turn = bridge.lastTurn;
+  if (!turn) return;
+  const tokens = turn.promptTokens + turn.completionTokens;
+  const usage = bridge.session.usage;
+  const total = usage ? usage.promptTokens + usage.completionTokens : tokens;
+  const stopped = turn.stopReason === 'max_steps' ? ', stopped at the step limit'
+    : turn.stopReason === 'repeated_call' ? ', stopped on a repeated tool call'
+    : turn.stopReason === 'invalid_arguments' ? ', stopped on invalid tool arguments' : '';
+  console.log(`[Turn] ${turn.steps} ${turn.steps === 1 ? 'step' : 'steps'}, ${turn.toolCalls} tool ${turn.toolCalls === 1 ? 'call' : 'calls'}, ` +
+    `${tokens} tokens (${turn.promptTokens} prompt + ${turn.completionTokens} completion), ` +
+    `${(turn.durationMs / 1000).toFixed(1)}s${stopped}; session total ${total} tokens`);
+}
+
+// Pauses the response so the user can approve, edit or reject a tool call
+async function askForApproval(request: ApprovalRequest): Promise<ApprovalResult> {
+  console.log(`\n[Approval] ${request.server} wants to run ${request.tool} with:`);
+  console.log(JSON.stringify(request.arguments, null, 2));
+
+  while (true) {
+    const answer = (await question('Approve? [y]es / [e]dit arguments / [n]o: ')).trim().toLowerCase();
+    if (answer === 'y' || answer === 'yes') {
+      return { approved: true };
+    }
+    if (answer === 'n' || answer === 'no') {
+      const reason = (await question('Reason (optional): ')).trim();
+      return { approved: false, reason: reason || undefined };
+    }
+    if (answer === 'e' || answer === 'edit') {
+      const edited = await question('New arguments as JSON: ');
+      try {
+        return { approved: true, arguments: JSON.parse(edited) };
+      } catch (error) {
+        console.log('Those arguments are not valid JSON');
       }
-    });
-  } catch (e) {
-    // Ignore errors during force kill
+    }
+  }
+}
+
+let activeBridge: MCPLLMBridge | null = null;
+let configWatcher: fs.FSWatcher | null = null;
+
+// Editors write a file in several steps; wait for them to settle
+const CONFIG_RELOAD_DELAY = 300;
+
+// Reloads asked for by the file watcher or the reload-config command run one
+// at a time, each once the turns in progress have finished
+let configReloads: Promise<void> = Promise.resolve();
+
+function queueConfigReload(bridge: MCPLLMBridge, configPath: string | null): Promise<void> {
+  const reload = configReloads.then(async () => {
+    await bridge.whenIdle();
+    await reloadConfig(bridge, configPath);
+  });
+  configReloads = reload.catch(() => undefined);
+  return reload;
+}
+
+// Re-reads the config file and starts, stops or restarts MCP servers to
+// match. Other settings take effect the next time the bridge starts.
+async function reloadConfig(bridge: MCPLLMBridge, configPath: string | null): Promise<void> {
+  if (!configPath) {
+    logger.info('No config file to reload, the bridge is running on its defaults');
+    return;
+  }
+  const configFile = await loadBridgeConfig({ configPath });
+  const changes = await bridge.reloadMcpServers(configFile.mcpServers);
+  logger.info(`Reloaded ${configPath}: ${describeChanges(changes)}`);
+}
+
+function describeChanges(changes: ServerChanges): string {
+  const parts = [
+    changes.connected.length > 0 && `connected ${changes.connected.join(', ')}`,
+    changes.restarted.length > 0 && `restarted ${changes.restarted.join(', ')}`,
+    changes.disconnected.length > 0 && `disconnected ${changes.disconnected.join(', ')}`,
+    changes.failed.length > 0 && `failed to start ${changes.failed.join(', ')}`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join('; ') : 'no server changes';
+}
+
+// Reloads the config whenever its file changes. The directory is watched,
+// since many editors save by replacing the file. onReload runs after each
+// reload, even a failed one, which may have changed some servers.
+function watchConfig(bridge: MCPLLMBridge, configPath: string, onReload?: () => Promise<void>): fs.FSWatcher {
+  let timer: NodeJS.Timeout | null = null;
+
+  return fs.watch(path.dirname(configPath), (event, filename) => {
+    if (filename && filename.toString() !== path.basename(configPath)) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      logger.info(`${configPath} changed, reloading...`);
+      queueConfigReload(bridge, configPath)
+        .catch(error => logger.error(`Config reload failed: ${error?.message || String(error)}`))
+        .then(() => onReload?.())
+        .catch(error => logger.error(`Failed to apply the reloaded servers: ${error?.message || String(error)}`));
+    }, CONFIG_RELOAD_DELAY);
+  });
+}
+
+// --config <file> or --config=<file>
+function configArgument(argv: string[]): string | undefined {
+  const index = argv.findIndex(arg => arg === '--config' || arg.startsWith('--config='));
+  if (index < 0) return undefined;
+  const value = argv[index] === '--config' ? argv[index + 1] : argv[index].slice('--config='.length);
+  if (!value || value.startsWith('--')) {
+    throw new ConfigError('--config needs a file path');
+  }
+  return value;
+}
+
+// Closes MCP servers and any Ollama server the bridge started, then exits
+async function shutdown(code: number = 0) {
+  logger.info('Shutting down...');
+  configWatcher?.close();
+  configWatcher = null;
+
+  try {
+    await activeBridge?.close();
+  } catch (error: any) {
+    logger.error(`Error during shutdown: ${error?.message || String(error)}`);
   }
+  activeBridge = null;
 
-  setTimeout(() => process.exit(0), 1000);
+  process.exit(code);
 }
 
 async function main() {
   try {
+    if (process.argv.includes('--mcp-server')) {
+      logToStderr();
+    }
     logger.info('Starting main.ts...');
-    const configFile = await loadBridgeConfig();
+    const configPath = await findConfigFile({ configPath: configArgument(process.argv) });
+    const configFile = await loadBridgeConfig({ configPath: configPath || undefined });
+    // LOG_LEVEL wins over the config file
+    if (configFile.logLevel && !process.env.LOG_LEVEL) {
+      setLogLevel(configFile.logLevel);
+    }
 
     // Create bridge config with all MCPs
     const bridgeConfig: BridgeConfig = {
-      mcpServer: configFile.mcpServers.filesystem,  // Primary MCP
-      mcpServerName: 'filesystem',
-      mcpServers: configFile.mcpServers,           // All MCPs including Flux
+      mcpServers: configFile.mcpServers,
       llmConfig: configFile.llm!,
-      systemPrompt: configFile.systemPrompt
+      systemPrompt: configFile.systemPrompt,
+      sessionDirectory: configFile.sessionDirectory,
+      approval: configFile.approval,
+      maxArgumentRetries: configFile.maxArgumentRetries,
+      maxSteps: configFile.maxSteps,
+      maxRepeatedCalls: configFile.maxRepeatedCalls,
+      audit: configFile.audit
     };
 
     logger.info('Initializing bridge with MCPs:', Object.keys(configFile.mcpServers).join(', '));
     const bridge = new MCPLLMBridge(bridgeConfig);
+    activeBridge = bridge;
+
+    // Proxy the MCP servers to an MCP host; the LLM isn't involved
+    if (process.argv.includes('--mcp-server')) {
+      await bridge.connectMcpServers();
+      const audit = configFile.audit ? new AuditLog(configFile.audit) : undefined;
+      const server = new MCPProxyServer(bridge, {
+        audit,
+        isToolEnabled: (server, tool) => bridge.isToolEnabled(server, tool)
+      });
+      await server.start();
+      if (configPath) {
+        configWatcher = watchConfig(bridge, configPath, () => server.serversChanged());
+      }
+      await server.closed;
+      await audit?.flush();
+      await shutdown();
+      return;
+    }
+
     const initialized = await bridge.initialize();
 
     if (!initialized) {
       throw new Error('Failed to initialize bridge');
     }
 
+    if (configPath) {
+      configWatcher = watchConfig(bridge, configPath);
+    }
+
+    if (process.argv.includes('--serve')) {
+      const server = new OpenAICompatibleServer(bridge, bridgeConfig.llmConfig.model, configFile.server);
+      await server.start();
+      return;
+    }
+
+    bridge.setApprovalHandler(askForApproval);
+
     logger.info('Available commands:');
     logger.info('  list-tools: Show all available tools and their parameters');
+    logger.info('  new-session: Start a new conversation');
+    logger.info('  list-sessions: Show saved conversations');
+    logger.info('  resume-session <id>: Continue a saved conversation');
+    logger.info('  list-resources: Show resources offered by the MCP servers');
+    logger.info('  attach <uri>: Add a resource to the conversation as context');
+    logger.info('  list-prompts: Show prompts offered by the MCP servers');
+    logger.info('  prompt <name> [json arguments]: Run an MCP prompt');
+    logger.info('  reload-config: Reload the config file and reconnect changed MCP servers');
     logger.info('  quit: Exit the program');
     logger.info('  Any other input will be sent to the LLM');
 
@@ -74,9 +275,8 @@ async function main() {
         
         if (userInput.toLowerCase() === 'quit') {
           isClosing = true;
-          await bridge.close();
-          rl.close();
-          forceExit();
+          rl?.close();
+          await shutdown();
           break;
         }
 
@@ -85,23 +285,116 @@ async function main() {
           continue;
         }
 
+        if (userInput.toLowerCase() === 'reload-config') {
+          await queueConfigReload(bridge, configPath);
+          continue;
+        }
+
+        if (userInput.toLowerCase() === 'new-session') {
+          const session = bridge.newSession();
+          console.log(`\nStarted session ${session.id}`);
+          continue;
+        }
+
+        if (userInput.toLowerCase() === 'list-sessions') {
+          const sessions = await bridge.listSessions();
+          if (sessions.length === 0) {
+            console.log('\nNo saved sessions');
+          }
+          for (const session of sessions) {
+            const current = session.id === bridge.session.id ? '*' : ' ';
+            console.log(`${current} ${session.id}  ${session.updatedAt}  (${session.messageCount} messages)  ${session.title}`);
+          }
+          continue;
+        }
+
+        if (userInput.toLowerCase().startsWith('resume-session')) {
+          const id = userInput.split(/\s+/)[1];
+          if (!id) {
+            console.log('\nUsage: resume-session <id>');
+            continue;
+          }
+          const session = await bridge.resumeSession(id);
+          console.log(`\nResumed session ${session.id}: ${session.title}`);
+          continue;
+        }
+
+        if (userInput.toLowerCase() === 'list-resources') {
+          const resources = await bridge.listResources();
+          const templates = await bridge.listResourceTemplates();
+          if (resources.length === 0 && templates.length === 0) {
+            console.log('\nNo resources available');
+          }
+          for (const resource of resources) {
+            console.log(`  ${resource.uri}  [${resource.server}]  ${resource.description || resource.name || ''}`);
+          }
+          for (const template of templates) {
+            console.log(`  ${template.uriTemplate}  [${template.server}]  ${template.description || template.name || ''}`);
+          }
+          continue;
+        }
+
+        if (/^attach(\s|$)/i.test(userInput)) {
+          const uri = userInput.split(/\s+/)[1];
+          if (!uri) {
+            console.log('\nUsage: attach <uri>');
+            continue;
+          }
+          const text = await bridge.attachResource(uri);
+          console.log(`\nAttached ${uri} (${text.length} characters)`);
+          continue;
+        }
+
+        if (userInput.toLowerCase() === 'list-prompts') {
+          const prompts = await bridge.listPrompts();
+          if (prompts.length === 0) {
+            console.log('\nNo prompts available');
+          }
+          for (const prompt of prompts) {
+            const args = (prompt.arguments || [])
+              .map((arg: any) => arg.required ? arg.name : `${arg.name}?`)
+              .join(', ');
+            console.log(`  ${prompt.name}(${args})  [${prompt.server}]  ${prompt.description || ''}`);
+          }
+          continue;
+        }
+
+        if (/^prompt(\s|$)/i.test(userInput)) {
+          const [, name, ...rest] = userInput.trim().split(/\s+/);
+          const json = rest.join(' ');
+          if (!name) {
+            console.log('\nUsage: prompt <name> [{"argument": "value"}]');
+            continue;
+          }
+          let args: { [key: string]: string } = {};
+          try {
+            args = json ? JSON.parse(json) : {};
+          } catch (error) {
+            console.log('\nUsage: prompt <name> [{"argument": "value"}]');
+            continue;
+          }
+          await printStreamedResponse(bridge.streamPrompt(name, args));
+          printTurnSummary(bridge);
+          continue;
+        }
+
         logger.info('Processing user input...');
-        const response = await bridge.processMessage(userInput);
+        await printStreamedResponse(bridge.streamMessage(userInput));
+        printTurnSummary(bridge);
         logger.info('Received response from bridge');
-        console.log(`\nResponse: ${response}`);
       } catch (error: any) {
         logger.error(`Error occurred: ${error?.message || String(error)}`);
       }
     }
   } catch (error: any) {
     logger.error(`Fatal error: ${error?.message || String(error)}`);
-    process.exit(1);
+    await shutdown(1);
   }
 }
 
 process.on('SIGINT', () => {
   logger.info('Received SIGINT...');
-  forceExit();
+  shutdown();
 });
 
 process.on('exit', () => {
@@ -111,7 +404,7 @@ process.on('exit', () => {
 if (require.main === module) {
   main().catch(error => {
     logger.error(`Unhandled error: ${error?.message || String(error)}`);
-    forceExit();
+    shutdown(1);
   });
 }
 
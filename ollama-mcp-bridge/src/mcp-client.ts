@@ -1,96 +1,156 @@
-import { spawn, ChildProcess } from 'child_process';
-import { Readable, Writable } from 'stream';
+import { EventEmitter } from 'events';
 import { ServerParameters } from './types';
 import { logger } from './logger';
-
-export class MCPClient {
-  private process: ChildProcess | null = null;
-  private stdin: Writable | null = null;
-  private stdout: Readable | null = null;
+import { Transport, createTransport } from './transports';
+
+export const LATEST_PROTOCOL_VERSION = "2025-03-26";
+export const SUPPORTED_PROTOCOL_VERSIONS = [LATEST_PROTOCOL_VERSION, "2024-11-05"];
+
+// MCP uses syslog severities for notifications/message
+const SERVER_LOG_LEVELS: { [level: string]: 'error' | 'warn' | 'info' | 'debug' } = {
+  emergency: 'error',
+  alert: 'error',
+  critical: 'error',
+  error: 'error',
+  warning: 'warn',
+  notice: 'info',
+  info: 'info',
+  debug: 'debug'
+};
+
+// Checks a URI against an RFC 6570 template such as fhir://patient/{id}/labs;
+// each expression matches any non-empty run of characters
+export function matchesUriTemplate(uriTemplate: string, uri: string): boolean {
+  const pattern = uriTemplate
+    .split(/\{[^}]*\}/)
+    .map(literal => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.+');
+  return new RegExp(`^${pattern}$`).test(uri);
+}
+
+// A JSON-RPC message for debug logs: its method or outcome, id and size.
+// Params and results hold tool arguments and output, which can carry secrets.
+function describeMessage(message: any): string {
+  const kind = message.method ?? (message.error ? 'error' : 'result');
+  const id = message.id !== undefined ? ` ${message.id}` : '';
+  return `${kind}${id} (${JSON.stringify(message).length} characters)`;
+}
+
+const DEFAULT_REQUEST_TIMEOUT = 60000;
+const DEFAULT_MAX_RESTARTS = 5;
+const DEFAULT_RESTART_DELAY = 1000;
+
+interface PendingRequest {
+  resolve: Function;
+  reject: Function;
+  message: any;
+  timeout: number;
+  timer?: NodeJS.Timeout;
+}
+
+// Emits 'toolsChanged' (tools), 'resourcesChanged', 'resourceUpdated' (uri),
+// 'promptsChanged', 'progress' (params) and 'log' (params) for server notifications,
+// and 'disconnected' / 'reconnected' when the server dies and is restarted
+export class MCPClient extends EventEmitter {
+  private transport: Transport | null = null;
   private initialized: boolean = false;
-  private messageQueue: Array<{ resolve: Function; reject: Function; message: any }> = [];
+  private pendingRequests = new Map<number, PendingRequest>();
   private nextMessageId: number = 1;
+  private closing: boolean = false;
+  private restartAttempts: number = 0;
+  private restartTimer: NodeJS.Timeout | null = null;
   private serverCapabilities?: any;
   private serverVersion?: any;
+  private negotiatedProtocolVersion?: string;
   private availableTools: Set<string> = new Set();
 
-  constructor(private serverParams: ServerParameters) {}
+  constructor(private serverParams: ServerParameters) {
+    super();
+  }
 
   async connect(): Promise<void> {
     logger.debug("[MCP Client] Starting connection...");
     
+    this.closing = false;
     try {
-      const spawnOptions: any = {
-        stdio: ['pipe', 'pipe', 'pipe']
-      };
+      const transport = createTransport(this.serverParams);
+      transport.onmessage = (message: any) => this.handleMessage(message);
+      transport.onclose = () => this.handleTransportClose(transport);
+      this.transport = transport;
+      await transport.start();
 
-      if (this.serverParams.allowedDirectory) {
-        spawnOptions.cwd = this.serverParams.allowedDirectory;
-        logger.debug(`[MCP Client] Using working directory: ${spawnOptions.cwd}`);
-      }
+      await this.initialize();
+      await this.updateAvailableTools();
+      logger.debug("[MCP Client] Connected successfully");
+    } catch (error: any) {
+      logger.error(`[MCP Client] Connection failed: ${error?.message || String(error)}`);
+      const transport = this.transport;
+      this.transport = null;
+      await transport?.close();
+      throw error;
+    }
+  }
 
-      if (this.serverParams.env) {
-        spawnOptions.env = {
-          ...process.env,
-          ...this.serverParams.env
-        };
-        logger.debug(`[MCP Client] Environment variables set: ${Object.keys(this.serverParams.env).join(', ')}`);
-      }
+  // The server exited or the connection dropped
+  private handleTransportClose(transport: Transport) {
+    if (transport !== this.transport) return;
 
-      logger.debug(`[MCP Client] Spawning process: ${this.serverParams.command} ${this.serverParams.args?.join(' ')}`);
-      
-      this.process = spawn(
-        this.serverParams.command,
-        this.serverParams.args || [],
-        spawnOptions
-      );
-
-      this.stdin = this.process.stdin;
-      this.stdout = this.process.stdout;
-
-      if (this.process.stderr) {
-        this.process.stderr.on('data', (data: Buffer) => {
-          logger.error(`[MCP Client] Process stderr: ${data.toString()}`);
-        });
-      }
+    const wasInitialized = this.initialized;
+    this.transport = null;
+    this.initialized = false;
+    this.rejectPending(new Error("[MCP Client] Server connection closed"));
 
-      this.process.on('error', (error: Error) => {
-        logger.error(`[MCP Client] Process error: ${error.message}`);
-      });
+    if (this.closing || !wasInitialized) return;
+    logger.warn("[MCP Client] Lost connection to server");
+    this.emit('disconnected');
+    if (this.serverParams.autoRestart !== false) {
+      this.scheduleRestart();
+    }
+  }
 
-      this.process.on('exit', (code: number | null) => {
-        logger.info(`[MCP Client] Process exited with code ${code}`);
-      });
+  // Reconnects with exponential backoff, then reports the server's tools again
+  private scheduleRestart() {
+    const maxRestarts = this.serverParams.maxRestarts ?? DEFAULT_MAX_RESTARTS;
+    if (this.restartAttempts >= maxRestarts) {
+      logger.error(`[MCP Client] Giving up after ${maxRestarts} restart attempts`);
+      return;
+    }
 
-      if (this.stdout) {
-        this.stdout.on('data', (data: Buffer) => {
-          logger.debug(`[MCP Client] Received raw data: ${data.toString().trim()}`);
-          this.handleResponse(data);
-        });
+    const delay = (this.serverParams.restartDelay ?? DEFAULT_RESTART_DELAY) * 2 ** this.restartAttempts;
+    this.restartAttempts++;
+    logger.info(`[MCP Client] Restarting server in ${delay}ms (attempt ${this.restartAttempts}/${maxRestarts})`);
+
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      try {
+        await this.connect();
+        const tools = await this.getAvailableTools();
+        this.restartAttempts = 0;
+        logger.info("[MCP Client] Server restarted");
+        this.emit('reconnected');
+        this.emit('toolsChanged', tools);
+      } catch (error: any) {
+        if (!this.closing) this.scheduleRestart();
       }
+    }, delay);
+  }
 
-      await this.initialize();
-      await this.updateAvailableTools();
-      logger.debug("[MCP Client] Connected successfully");
-    } catch (error: any) {
-      logger.error(`[MCP Client] Connection failed: ${error?.message || String(error)}`);
-      throw error;
+  private rejectPending(error: Error) {
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
     }
+    this.pendingRequests.clear();
   }
 
   private async initialize(): Promise<void> {
-    if (!this.stdin || !this.stdout) {
+    if (!this.transport) {
       throw new Error("[MCP Client] Connection not established");
     }
 
     logger.debug("[MCP Client] Initializing session...");
 
-    const clientCapabilities = {
-      tools: {
-        call: true,
-        list: true
-      }
-    };
+    const clientCapabilities = {};
 
     const clientInfo = {
       name: "MCPLLMBridge",
@@ -101,7 +161,7 @@ export class MCPClient {
       jsonrpc: "2.0",
       method: "initialize",
       params: {
-        protocolVersion: "0.1.0",
+        protocolVersion: LATEST_PROTOCOL_VERSION,
         capabilities: clientCapabilities,
         clientInfo: clientInfo
       },
@@ -114,7 +174,11 @@ export class MCPClient {
       if (!response || typeof response.protocolVersion !== 'string') {
         throw new Error('[MCP Client] Invalid initialization response from server');
       }
+      if (!SUPPORTED_PROTOCOL_VERSIONS.includes(response.protocolVersion)) {
+        throw new Error(`[MCP Client] Unsupported protocol version: ${response.protocolVersion}`);
+      }
 
+      this.negotiatedProtocolVersion = response.protocolVersion;
       this.serverCapabilities = response.capabilities;
       this.serverVersion = response.serverInfo;
       this.initialized = true;
@@ -125,6 +189,7 @@ export class MCPClient {
       });
 
       logger.debug("[MCP Client] Session initialized");
+      logger.debug(`[MCP Client] Protocol version: ${this.negotiatedProtocolVersion}`);
       logger.debug(`[MCP Client] Server version: ${JSON.stringify(this.serverVersion)}`);
       logger.debug(`[MCP Client] Server capabilities: ${JSON.stringify(this.serverCapabilities)}`);
     } catch (error: any) {
@@ -143,61 +208,147 @@ export class MCPClient {
     }
   }
 
-  private handleResponse(data: Buffer) {
-    const messages = data.toString().split('\n').filter(line => line.trim());
+  private handleMessage(response: any) {
+    logger.debug(`[MCP Client] Received ${describeMessage(response)}`);
+
+    if (response.method) {
+      this.handleServerMessage(response);
+      return;
+    }
     
-    for (const message of messages) {
-      try {
-        const response = JSON.parse(message);
-        logger.debug(`[MCP Client] Parsed message: ${JSON.stringify(response)}`);
-        
-        const pendingMessage = this.messageQueue.find(m => m.message.id === response.id);
-        if (pendingMessage) {
-          if (response.error) {
-            logger.error(`[MCP Client] Message error: ${response.error.message}`);
-            pendingMessage.reject(new Error(response.error.message));
-          } else {
-            logger.debug(`[MCP Client] Message success: ${JSON.stringify(response.result)}`);
-            pendingMessage.resolve(response.result);
-          }
-          this.messageQueue = this.messageQueue.filter(m => m.message.id !== response.id);
-        }
-      } catch (error: any) {
-        logger.error(`[MCP Client] Failed to parse response: ${error?.message || String(error)}`);
+    const pendingMessage = this.pendingRequests.get(response.id);
+    if (pendingMessage) {
+      this.pendingRequests.delete(response.id);
+      clearTimeout(pendingMessage.timer);
+      if (response.error) {
+        logger.error(`[MCP Client] Message error: ${response.error.message}`);
+        pendingMessage.reject(new Error(response.error.message));
+      } else {
+        logger.debug(`[MCP Client] Request ${response.id} succeeded`);
+        pendingMessage.resolve(response.result);
+      }
+    } else {
+      logger.debug(`[MCP Client] Ignoring response to unknown request ${response.id}`);
+    }
+  }
+
+  // Requests and notifications initiated by the server
+  private handleServerMessage(message: any) {
+    const params = message.params || {};
+
+    if (message.id !== undefined) {
+      if (message.method === 'ping') {
+        this.reply({ jsonrpc: "2.0", id: message.id, result: {} });
+      } else {
+        this.reply({
+          jsonrpc: "2.0",
+          id: message.id,
+          error: { code: -32601, message: `Method not found: ${message.method}` }
+        });
+      }
+      return;
+    }
+
+    switch (message.method) {
+      case 'notifications/tools/list_changed':
+        this.getAvailableTools()
+          .then(tools => {
+            this.availableTools = new Set(tools.map(tool => tool.name));
+            logger.info(`[MCP Client] Tool list changed: ${Array.from(this.availableTools).join(', ')}`);
+            this.emit('toolsChanged', tools);
+          })
+          .catch(error => logger.error(`[MCP Client] Failed to refresh tools: ${error?.message || String(error)}`));
+        break;
+      case 'notifications/resources/list_changed':
+        this.emit('resourcesChanged');
+        break;
+      case 'notifications/resources/updated':
+        this.emit('resourceUpdated', params.uri);
+        break;
+      case 'notifications/prompts/list_changed':
+        this.emit('promptsChanged');
+        break;
+      case 'notifications/progress':
+        logger.debug(`[MCP Client] Progress ${params.progress}${params.total !== undefined ? `/${params.total}` : ''} for request ${params.progressToken}`);
+        // A request that reports progress is still alive
+        const pending = this.pendingRequests.get(params.progressToken);
+        if (pending) this.startTimer(params.progressToken, pending);
+        this.emit('progress', params);
+        break;
+      case 'notifications/message': {
+        const level = SERVER_LOG_LEVELS[params.level] || 'info';
+        const data = typeof params.data === 'string' ? params.data : JSON.stringify(params.data);
+        logger[level](`[MCP Server${params.logger ? ` ${params.logger}` : ''}] ${data}`);
+        this.emit('log', params);
+        break;
       }
+      default:
+        logger.debug(`[MCP Client] Ignoring notification: ${message.method}`);
     }
   }
 
-  private async sendMessage(message: any): Promise<any> {
+  private reply(message: any) {
+    logger.debug(`[MCP Client] Sending ${describeMessage(message)}`);
+    this.transport?.send(message).catch((error: any) => {
+      logger.error(`[MCP Client] Failed to send message: ${error?.message || String(error)}`);
+    });
+  }
+
+  private async sendMessage(message: any, timeout?: number): Promise<any> {
     return new Promise((resolve, reject) => {
-      if (!this.stdin || !this.stdout) {
+      if (!this.transport) {
         reject(new Error("[MCP Client] Connection not established"));
         return;
       }
 
-      // Only add to message queue if it's a request (has an id)
+      // Only track requests (messages with an id)
       if (message.id !== undefined) {
-        this.messageQueue.push({ resolve, reject, message });
+        const pending: PendingRequest = {
+          resolve,
+          reject,
+          message,
+          timeout: timeout ?? this.serverParams.timeout ?? DEFAULT_REQUEST_TIMEOUT
+        };
+        this.pendingRequests.set(message.id, pending);
+        this.startTimer(message.id, pending);
       }
       
-      const messageStr = JSON.stringify(message) + '\n';
-      logger.debug(`[MCP Client] Sending message: ${messageStr.trim()}`);
+      logger.debug(`[MCP Client] Sending ${describeMessage(message)}`);
       
-      this.stdin.write(messageStr, (error) => {
-        if (error) {
-          logger.error(`[MCP Client] Failed to send message: ${error.message}`);
-          reject(error);
-          return;
-        }
-        
+      this.transport.send(message).then(() => {
         // If it's a notification (no id), resolve immediately
         if (message.id === undefined) {
           resolve(undefined);
         }
+      }, (error: any) => {
+        logger.error(`[MCP Client] Failed to send message: ${error?.message || String(error)}`);
+        const pending = this.pendingRequests.get(message.id);
+        if (pending && pending.message === message) {
+          clearTimeout(pending.timer);
+          this.pendingRequests.delete(message.id);
+        }
+        reject(error);
       });
     });
   }
 
+  // (Re)starts a request's timeout; on expiry the server is told to stop working on it
+  private startTimer(id: number, pending: PendingRequest) {
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      this.pendingRequests.delete(id);
+      const reason = `Request ${pending.message.method} timed out after ${pending.timeout}ms`;
+      logger.error(`[MCP Client] ${reason}`);
+      this.reply({
+        jsonrpc: "2.0",
+        method: "notifications/cancelled",
+        params: { requestId: id, reason }
+      });
+      this.transport?.cancel?.(id);
+      pending.reject(new Error(`[MCP Client] ${reason}`));
+    }, pending.timeout);
+  }
+
   async getAvailableTools(): Promise<any[]> {
     if (!this.initialized) {
       throw new Error("[MCP Client] Client not initialized");
@@ -206,65 +357,129 @@ export class MCPClient {
     logger.debug("[MCP Client] Requesting available tools");
     
     try {
-      const message = {
-        jsonrpc: "2.0",
-        method: "tools/list",
-        params: {},
-        id: this.nextMessageId++
-      };
-
-      const response = await this.sendMessage(message);
-      logger.debug(`[MCP Client] Received tools: ${JSON.stringify(response)}`);
-      return response.tools || [];
+      const tools = await this.listAll("tools/list", "tools");
+      logger.debug(`[MCP Client] Received tools: ${JSON.stringify(tools)}`);
+      return tools;
     } catch (error: any) {
       logger.error(`[MCP Client] Failed to get tools: ${error?.message || String(error)}`);
       throw error;
     }
   }
 
-  async callTool(toolName: string, toolArgs: any): Promise<any> {
+  get protocolVersion(): string | undefined {
+    return this.negotiatedProtocolVersion;
+  }
+
+  get capabilities(): any {
+    return this.serverCapabilities || {};
+  }
+
+  // Sends an arbitrary request, for methods without a dedicated wrapper
+  async request(method: string, params: any = {}, timeout?: number): Promise<any> {
     if (!this.initialized) {
       throw new Error("[MCP Client] Client not initialized");
     }
 
-    logger.debug(`[MCP Client] Calling tool '${toolName}' with args: ${JSON.stringify(toolArgs)}`);
+    return this.sendMessage({
+      jsonrpc: "2.0",
+      method,
+      params,
+      id: this.nextMessageId++
+    }, timeout);
+  }
+
+  // Resource and prompt listings are empty for servers without the capability
+  async listResources(): Promise<any[]> {
+    return this.capabilities.resources ? this.listAll("resources/list", "resources") : [];
+  }
+
+  async listResourceTemplates(): Promise<any[]> {
+    return this.capabilities.resources ? this.listAll("resources/templates/list", "resourceTemplates") : [];
+  }
+
+  async readResource(uri: string): Promise<any> {
+    logger.debug(`[MCP Client] Reading resource ${uri}`);
+    return this.request("resources/read", { uri });
+  }
+
+  async listPrompts(): Promise<any[]> {
+    return this.capabilities.prompts ? this.listAll("prompts/list", "prompts") : [];
+  }
+
+  async getPrompt(name: string, args: { [key: string]: string } = {}): Promise<any> {
+    logger.debug(`[MCP Client] Getting prompt '${name}' with ${Object.keys(args).length} arguments`);
+    return this.request("prompts/get", { name, arguments: args });
+  }
+
+  // Follows nextCursor until the server has returned every page
+  private async listAll(method: string, key: string): Promise<any[]> {
+    const items: any[] = [];
+    let cursor: string | undefined;
+    do {
+      const response = await this.request(method, cursor ? { cursor } : {});
+      items.push(...(response?.[key] || []));
+      cursor = response?.nextCursor;
+    } while (cursor);
+    return items;
+  }
+
+  // onProgress receives the server's notifications/progress for this call
+  async callTool(toolName: string, toolArgs: any, timeout?: number, onProgress?: (params: any) => void): Promise<any> {
+    if (!this.initialized) {
+      throw new Error("[MCP Client] Client not initialized");
+    }
+
+    logger.debug(`[MCP Client] Calling tool '${toolName}'`);
     
     // Check if the tool exists
     if (!this.availableTools.has(toolName)) {
       logger.error(`[MCP Client] Unknown tool '${toolName}'. Available tools: ${Array.from(this.availableTools).join(', ')}`);
     }
 
+    const id = this.nextMessageId++;
+    const progressListener = (params: any) => {
+      if (params.progressToken === id) onProgress?.(params);
+    };
+    if (onProgress) this.on('progress', progressListener);
+
     try {
       const message = {
         jsonrpc: "2.0",
         method: "tools/call",
         params: {
           name: toolName,
-          arguments: toolArgs
+          arguments: toolArgs,
+          // Lets long-running tools report notifications/progress
+          _meta: { progressToken: id }
         },
-        id: this.nextMessageId++
+        id
       };
 
       logger.debug(`[MCP Client] Sending tool call request...`);
-      const response = await this.sendMessage(message);
-      logger.debug(`[MCP Client] Tool call response: ${JSON.stringify(response)}`);
+      const response = await this.sendMessage(message, timeout);
+      logger.debug(`[MCP Client] Tool '${toolName}' returned ${JSON.stringify(response ?? null).length} characters`);
       return response;
     } catch (error: any) {
       logger.error(`[MCP Client] Tool call failed: ${error?.message || String(error)}`);
       throw error;
+    } finally {
+      if (onProgress) this.off('progress', progressListener);
     }
   }
 
   async close(): Promise<void> {
     logger.debug("[MCP Client] Closing connection...");
     
-    if (this.process) {
-      this.process.kill();
-      this.process = null;
+    this.closing = true;
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
     }
+    const transport = this.transport;
+    this.transport = null;
+    this.rejectPending(new Error("[MCP Client] Connection closed"));
+    await transport?.close();
     
-    this.stdin = null;
-    this.stdout = null;
     this.initialized = false;
     this.availableTools.clear();
     
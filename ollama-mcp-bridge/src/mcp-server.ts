@@ -0,0 +1,311 @@
+import readline from 'readline';
+import { Readable, Writable } from 'stream';
+import { MCPClient, SUPPORTED_PROTOCOL_VERSIONS, matchesUriTemplate } from './mcp-client';
+import { logger } from './logger';
+import { AuditLog } from './audit-log';
+import { MCPLLMBridge } from './bridge';
+
+// JSON-RPC / MCP error codes
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+
+class RpcError extends Error {
+  constructor(public code: number, message: string) {
+    super(message);
+  }
+}
+
+// Routes name the server rather than hold its client, which a reload may replace
+interface Route {
+  server: string;
+  // Name the downstream server knows the item by
+  name: string;
+  definition: any;
+}
+
+interface TemplateRoute {
+  server: string;
+  definition: any;
+}
+
+// Downstream list changes that are forwarded to the host
+const LIST_CHANGED_EVENTS: { [event: string]: string } = {
+  toolsChanged: 'notifications/tools/list_changed',
+  resourcesChanged: 'notifications/resources/list_changed',
+  promptsChanged: 'notifications/prompts/list_changed'
+};
+
+export interface MCPProxyServerOptions {
+  input?: Readable;
+  output?: Writable;
+  name?: string;
+  version?: string;
+  audit?: AuditLog;       // Records every proxied tool call
+  // Hides tools, e.g. those left out by a server's includeTools / excludeTools
+  isToolEnabled?: (server: string, tool: string) => boolean;
+}
+
+// Serves the union of every downstream server's tools, resources and prompts
+// over stdio, so an MCP host can mount the bridge as a single server. Names
+// that clash between servers are exposed as <server>__<name>. Servers are
+// looked up through the bridge, so they follow its config reloads.
+export class MCPProxyServer {
+  private input: Readable;
+  private output: Writable;
+  private tools = new Map<string, Route>();
+  private prompts = new Map<string, Route>();
+  private resources = new Map<string, Route>();
+  private resourceTemplates: TemplateRoute[] = [];
+  private rl: readline.Interface | null = null;
+  private listeners: Array<{ client: MCPClient; event: string; listener: () => void }> = [];
+  public readonly closed: Promise<void>;
+  private resolveClosed!: () => void;
+
+  constructor(private bridge: Pick<MCPLLMBridge, 'getMcpClients'>, private options: MCPProxyServerOptions = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.closed = new Promise(resolve => {
+      this.resolveClosed = resolve;
+    });
+  }
+
+  async start(): Promise<void> {
+    await this.refresh();
+
+    this.rl = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+    this.rl.on('line', line => {
+      this.handleLine(line).catch(error => {
+        logger.error(`[MCP Server] Failed to handle message: ${error?.message || String(error)}`);
+      });
+    });
+    this.rl.on('close', () => {
+      logger.info('[MCP Server] Input closed');
+      this.resolveClosed();
+    });
+
+    logger.info(`[MCP Server] Serving ${this.tools.size} tools, ${this.resources.size} resources and ${this.prompts.size} prompts over stdio`);
+  }
+
+  close() {
+    this.listeners.forEach(({ client, event, listener }) => client.off(event, listener));
+    this.listeners = [];
+    this.rl?.close();
+  }
+
+  // Picks up the servers the bridge runs after a reload and tells the host
+  // that any of its lists may have changed
+  async serversChanged(): Promise<void> {
+    await this.refresh();
+    Object.values(LIST_CHANGED_EVENTS).forEach(method => this.send({ jsonrpc: '2.0', method }));
+  }
+
+  // Rebuilds the routing tables from the downstream servers
+  async refresh(): Promise<void> {
+    const tools: Array<Omit<Route, 'name'>> = [];
+    const prompts: Array<Omit<Route, 'name'>> = [];
+    const resources = new Map<string, Route>();
+    const templates: TemplateRoute[] = [];
+    const clients = this.bridge.getMcpClients();
+    this.watch(clients);
+
+    for (const [server, client] of Object.entries(clients)) {
+      const capabilities = client.capabilities;
+      try {
+        if (capabilities.tools) {
+          for (const tool of await client.getAvailableTools()) {
+            if (this.options.isToolEnabled && !this.options.isToolEnabled(server, tool.name)) continue;
+            tools.push({ server, definition: tool });
+          }
+        }
+        for (const prompt of await client.listPrompts()) {
+          prompts.push({ server, definition: prompt });
+        }
+        for (const resource of await client.listResources()) {
+          if (resources.has(resource.uri)) {
+            logger.warn(`[MCP Server] Resource ${resource.uri} from ${server} is shadowed by ${resources.get(resource.uri)!.server}`);
+            continue;
+          }
+          resources.set(resource.uri, { server, name: resource.uri, definition: resource });
+        }
+        for (const template of await client.listResourceTemplates()) {
+          templates.push({ server, definition: template });
+        }
+      } catch (error: any) {
+        logger.error(`[MCP Server] Failed to list capabilities of ${server}: ${error?.message || String(error)}`);
+      }
+    }
+
+    this.tools = this.prefixCollisions(tools);
+    this.prompts = this.prefixCollisions(prompts);
+    this.resources = resources;
+    this.resourceTemplates = templates;
+  }
+
+  // Forwards list changes of every running server, including ones a reload
+  // started, and stops listening to the ones it stopped
+  private watch(clients: Record<string, MCPClient>) {
+    const running = new Set(Object.values(clients));
+    this.listeners = this.listeners.filter(({ client, event, listener }) => {
+      if (running.has(client)) return true;
+      client.off(event, listener);
+      return false;
+    });
+
+    const watched = new Set(this.listeners.map(({ client }) => client));
+    for (const client of running) {
+      if (watched.has(client)) continue;
+      for (const [event, method] of Object.entries(LIST_CHANGED_EVENTS)) {
+        const listener = () => {
+          this.refresh()
+            .then(() => this.send({ jsonrpc: '2.0', method }))
+            .catch(error => logger.error(`[MCP Server] Failed to refresh after ${event}: ${error?.message || String(error)}`));
+        };
+        client.on(event, listener);
+        this.listeners.push({ client, event, listener });
+      }
+    }
+  }
+
+  private prefixCollisions(items: Array<Omit<Route, 'name'>>): Map<string, Route> {
+    const counts = new Map<string, number>();
+    items.forEach(item => counts.set(item.definition.name, (counts.get(item.definition.name) || 0) + 1));
+
+    const routes = new Map<string, Route>();
+    for (const item of items) {
+      const name: string = item.definition.name;
+      const exposedName = counts.get(name)! > 1 ? `${item.server}__${name}` : name;
+      routes.set(exposedName, { ...item, name, definition: { ...item.definition, name: exposedName } });
+    }
+    return routes;
+  }
+
+  private async handleLine(line: string): Promise<void> {
+    if (!line.trim()) return;
+
+    let message: any;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+
+    // Notifications and responses need no reply
+    if (message.id === undefined || message.id === null || !message.method) {
+      logger.debug(`[MCP Server] Ignoring message: ${line.trim()}`);
+      return;
+    }
+
+    try {
+      const result = await this.handleRequest(message.method, message.params || {});
+      this.send({ jsonrpc: '2.0', id: message.id, result });
+    } catch (error: any) {
+      const code = error instanceof RpcError ? error.code : INTERNAL_ERROR;
+      this.send({ jsonrpc: '2.0', id: message.id, error: { code, message: error?.message || String(error) } });
+    }
+  }
+
+  private async handleRequest(method: string, params: any): Promise<any> {
+    logger.debug(`[MCP Server] Handling ${method}`);
+
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: this.capabilities(),
+          serverInfo: { name: this.options.name || 'mcp-llm-bridge', version: this.options.version || '1.0.0' }
+        };
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: Array.from(this.tools.values()).map(route => route.definition) };
+      case 'tools/call': {
+        const route = this.tools.get(params.name);
+        if (!route) throw new RpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+        return this.callTool(route, params);
+      }
+      case 'prompts/list':
+        return { prompts: Array.from(this.prompts.values()).map(route => route.definition) };
+      case 'prompts/get': {
+        const route = this.prompts.get(params.name);
+        if (!route) throw new RpcError(INVALID_PARAMS, `Unknown prompt: ${params.name}`);
+        return this.client(route.server).request('prompts/get', { ...params, name: route.name });
+      }
+      case 'resources/list':
+        return { resources: Array.from(this.resources.values()).map(route => route.definition) };
+      case 'resources/templates/list':
+        return { resourceTemplates: this.resourceTemplates.map(route => route.definition) };
+      case 'resources/read':
+        return this.resourceClient(params.uri).request('resources/read', params);
+      default:
+        throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  private async callTool(route: Route, params: any): Promise<any> {
+    const args = params.arguments || {};
+    // The downstream server reports progress against the bridge's own token;
+    // the host gets it under the token it asked with
+    const progressToken = params._meta?.progressToken;
+    const onProgress = progressToken === undefined
+      ? undefined
+      : (progress: any) => this.send({ jsonrpc: '2.0', method: 'notifications/progress', params: { ...progress, progressToken } });
+    const started = Date.now();
+    let result: any;
+    let error: string | undefined;
+    try {
+      result = await this.client(route.server).callTool(route.name, args, undefined, onProgress);
+      return result;
+    } catch (callError: any) {
+      error = callError?.message || String(callError);
+      throw callError;
+    } finally {
+      const audit = this.options.audit;
+      const output = result === undefined ? '' : JSON.stringify(result);
+      audit?.record('tool_call', {
+        server: route.server,
+        tool: route.name,
+        arguments: args,
+        status: error || result?.isError ? 'error' : 'ok',
+        resultBytes: output.length,
+        latencyMs: Date.now() - started,
+        error,
+        ...(audit.includeContent && result !== undefined && { result: output })
+      });
+    }
+  }
+
+  private resourceClient(uri: string): MCPClient {
+    const route = this.resources.get(uri);
+    if (route) return this.client(route.server);
+
+    const template = this.resourceTemplates.find(candidate => matchesUriTemplate(candidate.definition.uriTemplate, uri));
+    if (template) return this.client(template.server);
+
+    throw new RpcError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  }
+
+  // The server's client as the bridge has it now
+  private client(server: string): MCPClient {
+    const client = this.bridge.getMcpClients()[server];
+    if (!client) throw new RpcError(INTERNAL_ERROR, `MCP server ${server} is no longer running`);
+    return client;
+  }
+
+  private capabilities(): any {
+    const capabilities: any = {};
+    if (this.tools.size > 0) capabilities.tools = { listChanged: true };
+    if (this.prompts.size > 0) capabilities.prompts = { listChanged: true };
+    if (this.resources.size > 0 || this.resourceTemplates.length > 0) capabilities.resources = { listChanged: true };
+    return capabilities;
+  }
+
+  private send(message: any) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+}
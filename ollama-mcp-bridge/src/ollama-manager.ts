@@ -1,78 +1,145 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { spawn, ChildProcess } from 'child_process';
 import { logger } from './logger';
 
-const execAsync = promisify(exec);
+export interface OllamaManagerOptions {
+  baseUrl: string;
+  // Start `ollama serve` when no server answers at a local baseUrl
+  autoStart?: boolean;
+  startupTimeout?: number;
+  command?: string;
+  args?: string[];
+}
+
+const LOCAL_HOSTS = ['127.0.0.1', 'localhost', '::1', '[::1]', '0.0.0.0'];
+
+// Owns the connection to Ollama: health-checks the configured server and, only
+// when asked to, starts a local one. It never touches a server it didn't start.
+export class OllamaManager {
+  private process: ChildProcess | null = null;
+  private static HEALTH_CHECK_TIMEOUT = 5000;
+  private static DEFAULT_STARTUP_TIMEOUT = 30000;
+
+  constructor(private options: OllamaManagerOptions) {}
 
-export async function resetOllama(): Promise<boolean> {
+  get ownsServer(): boolean {
+    return this.process !== null;
+  }
+
+  get isLocal(): boolean {
     try {
-        // Find all Ollama processes
-        const { stdout: processStdout } = await execAsync('wmic process where "name like \'%ollama%\'" get processid');
-        const ollamaPids = processStdout.split('\n')
-            .map(line => line.trim())
-            .filter(line => /^\d+$/.test(line));
-
-        // Find processes using port 11434
-        const { stdout: portStdout } = await execAsync('netstat -ano | findstr ":11434"');
-        const portPids = portStdout.split('\n')
-            .map(line => line.trim().split(/\s+/).pop())
-            .filter(pid => pid && /^\d+$/.test(pid));
-
-        // Kill all found processes
-        const allPids = [...new Set([...ollamaPids, ...portPids])];
-        for (const pid of allPids) {
-            try {
-                await execAsync(`taskkill /F /PID ${pid}`);
-                logger.debug(`Killed process ${pid}`);
-            } catch (error) {
-                logger.debug(`Failed to kill process ${pid}`);
-            }
-        }
-
-        // Wait for processes to terminate
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        // Start Ollama server
-        const ollamaProcess = exec('ollama serve', {
-            windowsHide: true
-        });
-
-        ollamaProcess.stderr?.on('data', (data) => {
-            logger.debug('Ollama stderr:', data.toString());
-        });
-
-        ollamaProcess.unref();
-
-        // Wait for server to be ready
-        for (let i = 0; i < 10; i++) {
-            try {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                const response = await fetch('http://127.0.0.1:11434/api/tags');
-                if (response.ok) {
-                    logger.info('Ollama server is ready');
-                    return true;
-                }
-            } catch (error) {
-                logger.debug(`Waiting for Ollama server... attempt ${i + 1}`);
-            }
-        }
-
-        throw new Error('Failed to start Ollama server');
+      return LOCAL_HOSTS.includes(new URL(this.options.baseUrl).hostname);
     } catch (error) {
-        logger.error('Failed to reset Ollama:', error);
-        return false;
+      return false;
+    }
+  }
+
+  async isReachable(): Promise<boolean> {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), OllamaManager.HEALTH_CHECK_TIMEOUT);
+
+    try {
+      const response = await fetch(`${this.options.baseUrl}/api/tags`, {
+        method: 'GET',
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        logger.debug(`Ollama health check failed with status: ${response.status}`);
+      }
+      return response.ok;
+    } catch (error: any) {
+      logger.debug(`Ollama health check failed: ${error?.message || String(error)}`);
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async ensureRunning(): Promise<void> {
+    if (await this.isReachable()) {
+      logger.debug(`Ollama is reachable at ${this.options.baseUrl}`);
+      return;
+    }
+
+    if (!this.options.autoStart) {
+      throw new Error(`Ollama is not reachable at ${this.options.baseUrl}. Start it with 'ollama serve' or set llm.autoStart to true.`);
+    }
+    if (!this.isLocal) {
+      throw new Error(`Ollama is not reachable at ${this.options.baseUrl}, and only local servers can be started automatically`);
+    }
+
+    await this.start();
+  }
+
+  async stop(): Promise<void> {
+    const child = this.process;
+    if (!child) return;
+    this.process = null;
+
+    if (child.exitCode !== null || child.signalCode !== null) return;
+
+    logger.info('Stopping the Ollama server started by the bridge...');
+    const exited = new Promise<void>(resolve => child.once('exit', () => resolve()));
+    child.kill('SIGTERM');
+
+    const forceKill = setTimeout(() => child.kill('SIGKILL'), 5000);
+    await exited;
+    clearTimeout(forceKill);
+  }
+
+  private async start(): Promise<void> {
+    const command = this.options.command || 'ollama';
+    const args = this.options.args || ['serve'];
+    logger.info(`Starting local Ollama server: ${command} ${args.join(' ')}`);
+
+    const child = spawn(command, args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+      env: { ...process.env, OLLAMA_HOST: new URL(this.options.baseUrl).host }
+    });
+    this.process = child;
+
+    let startError: Error | null = null;
+    child.on('error', (error: Error) => {
+      startError = error;
+      logger.error(`Failed to start Ollama: ${error.message}`);
+    });
+    child.on('exit', (code: number | null) => {
+      logger.info(`Ollama server exited with code ${code}`);
+      if (this.process === child) this.process = null;
+    });
+    child.stdout?.on('data', (data: Buffer) => logger.debug(`Ollama stdout: ${data.toString().trim()}`));
+    child.stderr?.on('data', (data: Buffer) => logger.debug(`Ollama stderr: ${data.toString().trim()}`));
+
+    const deadline = Date.now() + (this.options.startupTimeout || OllamaManager.DEFAULT_STARTUP_TIMEOUT);
+    while (Date.now() < deadline) {
+      if (startError) break;
+      if (this.process !== child) {
+        throw new Error('Ollama server exited during startup');
+      }
+      if (await this.isReachable()) {
+        logger.info(`Ollama server is ready at ${this.options.baseUrl}`);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
     }
+
+    await this.stop();
+    throw startError || new Error(`Ollama did not become reachable at ${this.options.baseUrl} in time`);
+  }
 }
 
-// Can be run directly to reset Ollama
+// Can be run directly to check that Ollama is reachable
 if (require.main === module) {
-    resetOllama().then(success => {
-        if (success) {
-            logger.info('Successfully reset Ollama');
-            process.exit(0);
-        } else {
-            logger.error('Failed to reset Ollama');
-            process.exit(1);
-        }
-    });
+  const manager = new OllamaManager({
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434'
+  });
+  manager.isReachable().then(reachable => {
+    if (reachable) {
+      logger.info('Ollama is reachable');
+      process.exit(0);
+    } else {
+      logger.error('Ollama is not reachable');
+      process.exit(1);
+    }
+  });
 }
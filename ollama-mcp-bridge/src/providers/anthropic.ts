@@ -0,0 +1,154 @@
+import { logger } from '../logger';
+import { readEventStream } from '../transports/event-stream';
+import { ChatCompletion, ChatRequest, LLMProvider, ProviderToolCall, TokenUsage, describeRequest, httpError, parseArguments, postJson } from './provider';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Anthropic Messages API (/v1/messages) and servers compatible with it
+export class AnthropicProvider implements LLMProvider {
+  readonly name = 'anthropic';
+  private baseUrl: string;
+
+  constructor(baseUrl: string, private apiKey?: string) {
+    const trimmed = baseUrl.replace('localhost', '127.0.0.1').replace(/\/+$/, '');
+    this.baseUrl = /\/v\d+$/.test(trimmed) ? trimmed : `${trimmed}/v1`;
+    logger.debug(`Initializing Anthropic provider with baseURL: ${this.baseUrl}`);
+  }
+
+  async *chat(request: ChatRequest, emitTokens: boolean): AsyncGenerator<string, ChatCompletion> {
+    const system = request.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content);
+    // There is no schema-constrained output, so the schema becomes an instruction
+    if (request.format) {
+      system.push(`Respond with only a JSON object that matches this JSON schema:\n${JSON.stringify(request.format)}`);
+    }
+
+    const payload: any = {
+      model: request.model,
+      messages: this.toAnthropicMessages(request.messages.filter(message => message.role !== 'system')),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      stream: request.stream
+    };
+    if (system.length > 0) payload.system = system.join('\n\n');
+    if (request.tools) {
+      payload.tools = request.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+      }));
+    }
+
+    logger.debug(`Preparing Anthropic request: ${describeRequest(request)}`);
+    const headers: Record<string, string> = { 'anthropic-version': ANTHROPIC_VERSION };
+    if (this.apiKey) headers['x-api-key'] = this.apiKey;
+    const response = await postJson(`${this.baseUrl}/messages`, payload, headers);
+    if (!response.ok) {
+      throw await httpError(response);
+    }
+
+    if (request.stream) {
+      return yield* this.readStream(response, emitTokens);
+    }
+    const message = await response.json() as any;
+    return { ...this.fromContentBlocks(message.content || []), usage: this.usage(message.usage) };
+  }
+
+  private usage(usage: any): TokenUsage | undefined {
+    if (!usage) return undefined;
+    return { promptTokens: usage.input_tokens || 0, completionTokens: usage.output_tokens || 0 };
+  }
+
+  // Tool calls become tool_use blocks on the assistant turn and tool results
+  // become tool_result blocks on the following user turn. Consecutive
+  // messages of the same role are merged, since turns must alternate.
+  private toAnthropicMessages(messages: any[]): any[] {
+    const converted: Array<{ role: 'user' | 'assistant'; content: any[] }> = [];
+
+    for (const message of messages) {
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const blocks: any[] = [];
+
+      if (message.role === 'tool') {
+        blocks.push({ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content });
+      } else {
+        if (message.content) blocks.push({ type: 'text', text: message.content });
+        for (const call of message.tool_calls || []) {
+          blocks.push({ type: 'tool_use', id: call.id, name: call.function.name, input: parseArguments(call.function.arguments) });
+        }
+      }
+      if (blocks.length === 0) continue;
+
+      const previous = converted[converted.length - 1];
+      if (previous && previous.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        converted.push({ role, content: blocks });
+      }
+    }
+
+    return converted;
+  }
+
+  private fromContentBlocks(blocks: any[]): ChatCompletion {
+    return {
+      content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input || {}) }))
+    };
+  }
+
+  private async *readStream(response: Response, emitTokens: boolean): AsyncGenerator<string, ChatCompletion> {
+    if (!response.body) {
+      throw new Error('The server returned an empty streaming response');
+    }
+
+    let content = '';
+    const toolCalls: ProviderToolCall[] = [];
+    // Streamed tool input arrives as JSON fragments per content block
+    const toolBlocks = new Map<number, ProviderToolCall>();
+    // Input tokens come with message_start, output tokens with message_delta
+    let usage: TokenUsage | undefined;
+
+    for await (const event of readEventStream(response.body)) {
+      const data = JSON.parse(event.data);
+      switch (data.type) {
+        case 'message_start':
+          usage = this.usage(data.message?.usage);
+          break;
+        case 'message_delta':
+          if (data.usage) {
+            usage = { promptTokens: usage?.promptTokens || 0, completionTokens: data.usage.output_tokens || 0 };
+          }
+          break;
+        case 'content_block_start':
+          if (data.content_block?.type === 'tool_use') {
+            const call = { id: data.content_block.id, name: data.content_block.name, arguments: '' };
+            toolBlocks.set(data.index, call);
+            toolCalls.push(call);
+          }
+          break;
+        case 'content_block_delta':
+          if (data.delta?.type === 'text_delta') {
+            content += data.delta.text;
+            if (emitTokens) yield data.delta.text;
+          } else if (data.delta?.type === 'input_json_delta') {
+            const call = toolBlocks.get(data.index);
+            if (call) call.arguments += data.delta.partial_json;
+          }
+          break;
+        case 'error':
+          throw new Error(`Stream error: ${data.error?.message || JSON.stringify(data.error)}`);
+      }
+      if (data.type === 'message_stop') break;
+    }
+
+    return {
+      content,
+      toolCalls: toolCalls.map(call => ({ ...call, arguments: call.arguments || '{}' })),
+      usage
+    };
+  }
+}
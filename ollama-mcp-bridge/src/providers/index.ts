@@ -0,0 +1,24 @@
+import { LLMConfig } from '../types';
+import { LLMProvider } from './provider';
+import { OllamaProvider } from './ollama';
+import { OpenAIProvider } from './openai';
+import { AnthropicProvider } from './anthropic';
+
+export * from './provider';
+export { OllamaProvider } from './ollama';
+export { OpenAIProvider } from './openai';
+export { AnthropicProvider } from './anthropic';
+
+export function createProvider(config: LLMConfig): LLMProvider {
+  const provider = config.provider || 'ollama';
+  switch (provider) {
+    case 'ollama':
+      return new OllamaProvider(config.baseUrl);
+    case 'openai':
+      return new OpenAIProvider(config.baseUrl, config.apiKey);
+    case 'anthropic':
+      return new AnthropicProvider(config.baseUrl, config.apiKey);
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}; expected ollama, openai or anthropic`);
+  }
+}
@@ -0,0 +1,122 @@
+import { logger } from '../logger';
+import { ChatCompletion, ChatRequest, LLMProvider, TokenUsage, ToolsUnsupportedError, describeRequest, httpError, postJson, stringifyArguments } from './provider';
+
+interface OllamaMessage {
+  role: string;
+  content: string;
+  tool_calls?: Array<{ function: { name: string; arguments: Record<string, unknown> | string } }>;
+}
+
+// The final chunk, or the whole non-streaming response
+interface OllamaReply {
+  message: OllamaMessage;
+  prompt_eval_count?: number;
+  eval_count?: number;
+}
+
+// Ollama's native /api/chat
+export class OllamaProvider implements LLMProvider {
+  readonly name = 'ollama';
+  private baseUrl: string;
+
+  constructor(baseUrl: string) {
+    // /v1 is Ollama's OpenAI-compatible API; the native one lives at the root
+    this.baseUrl = baseUrl.replace('localhost', '127.0.0.1').replace(/\/+$/, '').replace(/\/v1$/, '');
+    logger.debug(`Initializing Ollama provider with baseURL: ${this.baseUrl}`);
+  }
+
+  async *chat(request: ChatRequest, emitTokens: boolean): AsyncGenerator<string, ChatCompletion> {
+    const payload: any = {
+      model: request.model,
+      messages: request.messages,
+      stream: request.stream,
+      options: {
+        temperature: request.temperature,
+        num_predict: request.maxTokens,
+        num_ctx: request.contextWindow
+      }
+    };
+    if (request.tools) payload.tools = request.tools;
+    if (request.format) payload.format = request.format;
+
+    logger.debug(`Preparing Ollama request: ${describeRequest(request)}`);
+    const response = await postJson(`${this.baseUrl}/api/chat`, payload);
+
+    if (response.status === 400 && request.tools) {
+      const errorText = await response.text();
+      if (/does not support tools/i.test(errorText)) {
+        throw new ToolsUnsupportedError(request.model, errorText);
+      }
+      throw new Error(`HTTP error! status: ${response.status}, details: ${errorText}`);
+    }
+    if (!response.ok) {
+      throw await httpError(response);
+    }
+
+    const reply = request.stream
+      ? yield* this.readStream(response, emitTokens)
+      : await response.json() as OllamaReply;
+    const { message } = reply;
+
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        name: call.function.name,
+        arguments: stringifyArguments(call.function.arguments)
+      })),
+      usage: this.usage(reply)
+    };
+  }
+
+  private usage(reply: OllamaReply): TokenUsage | undefined {
+    if (reply.prompt_eval_count === undefined && reply.eval_count === undefined) return undefined;
+    return { promptTokens: reply.prompt_eval_count || 0, completionTokens: reply.eval_count || 0 };
+  }
+
+  // Reads Ollama's NDJSON stream, yielding content tokens as they arrive, and
+  // returns the chunks merged into a single reply
+  private async *readStream(response: Response, emitTokens: boolean): AsyncGenerator<string, OllamaReply> {
+    if (!response.body) {
+      throw new Error('Ollama returned an empty streaming response');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const reply: OllamaReply = { message: { role: 'assistant', content: '' } };
+    const { message } = reply;
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+          throw new Error(`Ollama stream error: ${chunk.error}`);
+        }
+
+        const token = chunk.message?.content || '';
+        if (token) {
+          message.content += token;
+          if (emitTokens) yield token;
+        }
+        if (chunk.message?.tool_calls?.length) {
+          message.tool_calls = [...(message.tool_calls || []), ...chunk.message.tool_calls];
+        }
+        // Token counts arrive with the final chunk
+        if (chunk.done) {
+          reply.prompt_eval_count = chunk.prompt_eval_count;
+          reply.eval_count = chunk.eval_count;
+        }
+      }
+
+      if (done) break;
+    }
+
+    return reply;
+  }
+}
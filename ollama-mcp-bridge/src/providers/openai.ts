@@ -0,0 +1,127 @@
+import { logger } from '../logger';
+import { readEventStream } from '../transports/event-stream';
+import { ChatCompletion, ChatRequest, LLMProvider, ProviderToolCall, TokenUsage, ToolsUnsupportedError, describeRequest, httpError, postJson, stringifyArguments } from './provider';
+
+// OpenAI-compatible /v1/chat/completions, as served by llama.cpp, vLLM,
+// LM Studio, Ollama's /v1 and OpenAI itself
+export class OpenAIProvider implements LLMProvider {
+  readonly name = 'openai';
+  private baseUrl: string;
+
+  constructor(baseUrl: string, private apiKey?: string) {
+    const trimmed = baseUrl.replace('localhost', '127.0.0.1').replace(/\/+$/, '');
+    this.baseUrl = /\/v\d+$/.test(trimmed) ? trimmed : `${trimmed}/v1`;
+    logger.debug(`Initializing OpenAI-compatible provider with baseURL: ${this.baseUrl}`);
+  }
+
+  async *chat(request: ChatRequest, emitTokens: boolean): AsyncGenerator<string, ChatCompletion> {
+    const payload: any = {
+      model: request.model,
+      messages: request.messages.map(message => this.toOpenAIMessage(message)),
+      stream: request.stream,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens
+    };
+    // Ask for token counts in the last chunk of a stream
+    if (request.stream) payload.stream_options = { include_usage: true };
+    if (request.tools) payload.tools = request.tools;
+    if (request.format) {
+      payload.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: request.format } };
+    }
+
+    logger.debug(`Preparing OpenAI-compatible request: ${describeRequest(request)}`);
+    const headers: Record<string, string> = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const response = await postJson(`${this.baseUrl}/chat/completions`, payload, headers);
+
+    if (response.status === 400 && request.tools) {
+      const errorText = await response.text();
+      if (/tools?\b.*\b(not supported|unsupported|does not support|requires)/i.test(errorText)) {
+        throw new ToolsUnsupportedError(request.model, errorText);
+      }
+      throw new Error(`HTTP error! status: ${response.status}, details: ${errorText}`);
+    }
+    if (!response.ok) {
+      throw await httpError(response);
+    }
+
+    if (request.stream) {
+      return yield* this.readStream(response, emitTokens);
+    }
+
+    const completion = await response.json() as any;
+    const message = completion.choices?.[0]?.message || {};
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map((call: any) => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: stringifyArguments(call.function.arguments)
+      })),
+      usage: this.usage(completion.usage)
+    };
+  }
+
+  private usage(usage: any): TokenUsage | undefined {
+    if (!usage) return undefined;
+    return { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 };
+  }
+
+  private toOpenAIMessage(message: any): any {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.tool_call_id, content: message.content };
+    }
+    if (message.role === 'assistant' && message.tool_calls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.tool_calls.map((call: any) => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.function.name, arguments: stringifyArguments(call.function.arguments) }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  }
+
+  // Streamed tool calls arrive in pieces keyed by index: the id and name
+  // first, then the arguments as string fragments
+  private async *readStream(response: Response, emitTokens: boolean): AsyncGenerator<string, ChatCompletion> {
+    if (!response.body) {
+      throw new Error('The server returned an empty streaming response');
+    }
+
+    let content = '';
+    const toolCalls: ProviderToolCall[] = [];
+    let usage: TokenUsage | undefined;
+
+    for await (const event of readEventStream(response.body)) {
+      if (event.data === '[DONE]') break;
+      const chunk = JSON.parse(event.data);
+      if (chunk.error) {
+        throw new Error(`Stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+      }
+
+      if (chunk.usage) usage = this.usage(chunk.usage);
+
+      const delta = chunk.choices?.[0]?.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        if (emitTokens) yield delta.content;
+      }
+      for (const part of delta.tool_calls || []) {
+        const index = part.index ?? toolCalls.length;
+        const call = toolCalls[index] || (toolCalls[index] = { name: '', arguments: '' });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) call.arguments += part.function.arguments;
+      }
+    }
+
+    return {
+      content,
+      toolCalls: toolCalls.filter(Boolean).map(call => ({ ...call, arguments: call.arguments || '{}' })),
+      usage
+    };
+  }
+}
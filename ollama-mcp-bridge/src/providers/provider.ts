@@ -0,0 +1,98 @@
+// Messages are kept in Ollama's chat format, which is also what sessions are
+// saved in: assistant tool calls carry their arguments as objects and tool
+// results are { role: 'tool', content, tool_call_id, tool_name }. Providers
+// translate to and from their own wire format.
+export interface ChatRequest {
+  model: string;
+  messages: any[];
+  tools?: any[];          // OpenAI function format
+  format?: any;           // JSON schema the reply must match
+  stream: boolean;
+  temperature: number;
+  maxTokens: number;
+  contextWindow: number;
+}
+
+export interface ProviderToolCall {
+  id?: string;            // Set when the provider assigns its own ids
+  name: string;
+  arguments: string;      // JSON
+}
+
+export interface TokenUsage {
+  promptTokens: number;
+  completionTokens: number;
+}
+
+export interface ChatCompletion {
+  content: string;
+  toolCalls: ProviderToolCall[];
+  usage?: TokenUsage;     // When the server reports it
+}
+
+export interface LLMProvider {
+  readonly name: string;
+  // Yields content tokens while streaming when emitTokens is set, and
+  // returns the whole reply
+  chat(request: ChatRequest, emitTokens: boolean): AsyncGenerator<string, ChatCompletion>;
+}
+
+// Thrown when the model rejects the `tools` field, so the client can retry
+// with structured output instead
+export class ToolsUnsupportedError extends Error {
+  constructor(model: string, details: string) {
+    super(`Model ${model} does not support tools: ${details}`);
+    this.name = 'ToolsUnsupportedError';
+  }
+}
+
+const REQUEST_TIMEOUT = 300000; // 5 minutes
+
+// POSTs a JSON body and returns the response once its headers arrive. The
+// timeout covers the wait for the model to start answering, not the stream.
+export async function postJson(url: string, body: any, headers: Record<string, string> = {}): Promise<Response> {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  try {
+    return await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+  } catch (error: any) {
+    if (error?.name === 'AbortError') {
+      throw new Error(`Request timed out after ${REQUEST_TIMEOUT / 1000} seconds`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// What a request holds, for debug logs. The messages themselves can carry
+// tool output with secrets or PHI, so only their count and size are logged.
+export function describeRequest(request: ChatRequest): string {
+  const size = JSON.stringify(request.messages).length;
+  return `model ${request.model}, ${request.messages.length} messages (${size} characters), ` +
+    `${request.tools?.length ?? 0} tools${request.format ? ', with a format schema' : ''}`;
+}
+
+export async function httpError(response: Response): Promise<Error> {
+  const errorText = await response.text();
+  return new Error(`HTTP error! status: ${response.status}, details: ${errorText}`);
+}
+
+export function stringifyArguments(args: unknown): string {
+  return typeof args === 'string' ? args : JSON.stringify(args || {});
+}
+
+export function parseArguments(args: unknown): Record<string, unknown> {
+  if (typeof args !== 'string') return (args as Record<string, unknown>) || {};
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return {};
+  }
+}
@@ -0,0 +1,346 @@
+// Validates tool arguments against the JSON Schema an MCP server advertises
+// as the tool's inputSchema. Covers the subset tool schemas use in practice:
+// type, enum, const, properties, required, additionalProperties, items,
+// numeric and length bounds, pattern, allOf/anyOf/oneOf and local $refs.
+//
+// Besides validating, it applies defaults and repairs the near misses small
+// models tend to make (numbers and booleans sent as strings, JSON encoded
+// objects, a single value where an array is expected, enum values in the
+// wrong case), so those calls go through instead of bouncing back.
+
+export interface SchemaViolation {
+  path: string;      // e.g. "options.limit" or "ids[2]"; "arguments" for the root
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  value: any;                 // The arguments with defaults applied and repairs made
+  errors: SchemaViolation[];
+  repairs: string[];          // What was changed, for logging
+}
+
+interface Context {
+  root: any;
+  errors: SchemaViolation[];
+  repairs: string[];
+}
+
+const ROOT_PATH = 'arguments';
+
+export function validateArguments(schema: any, value: any): ValidationResult {
+  const context: Context = { root: schema, errors: [], repairs: [] };
+  const input = value === undefined || value === null ? {} : clone(value);
+  const result = check(schema ?? true, input, ROOT_PATH, context);
+  return { valid: context.errors.length === 0, value: result, errors: context.errors, repairs: context.repairs };
+}
+
+// One violation per line, for tool error messages the model can act on
+export function formatViolations(errors: SchemaViolation[]): string {
+  return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+}
+
+function check(schema: any, value: any, path: string, context: Context): any {
+  if (schema === true || schema === undefined || schema === null) return value;
+  if (schema === false) {
+    fail(context, path, 'is not allowed');
+    return value;
+  }
+  if (schema.$ref) {
+    return check(resolveRef(schema.$ref, context), value, path, context);
+  }
+
+  for (const subschema of schema.allOf || []) {
+    value = check(subschema, value, path, context);
+  }
+  const union = schema.anyOf || schema.oneOf;
+  if (union) {
+    value = checkUnion(union, value, path, context);
+  }
+
+  const types = typesOf(schema);
+  if (types) {
+    value = coerce(value, types, path, context);
+    if (!types.some(type => isType(value, type))) {
+      fail(context, path, `expected ${types.join(' or ')}, got ${describe(value)}`);
+      return value;
+    }
+  }
+
+  if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+    fail(context, path, `must be ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum)) {
+    value = checkEnum(schema.enum, value, path, context);
+  }
+
+  if (typeof value === 'string') {
+    checkString(schema, value, path, context);
+  } else if (typeof value === 'number') {
+    checkNumber(schema, value, path, context);
+  } else if (Array.isArray(value)) {
+    value = checkArray(schema, value, path, context);
+  } else if (isType(value, 'object')) {
+    value = checkObject(schema, value, path, context);
+  }
+
+  return value;
+}
+
+function checkUnion(branches: any[], value: any, path: string, context: Context): any {
+  let closest: Context | null = null;
+  let closestValue = value;
+
+  for (const branch of branches) {
+    const attempt: Context = { root: context.root, errors: [], repairs: [] };
+    const result = check(branch, clone(value), path, attempt);
+    if (attempt.errors.length === 0) {
+      context.repairs.push(...attempt.repairs);
+      return result;
+    }
+    if (!closest || attempt.errors.length < closest.errors.length) {
+      closest = attempt;
+      closestValue = result;
+    }
+  }
+
+  // Report the branch that came closest; its errors are the most useful hint
+  if (closest) {
+    context.errors.push(...closest.errors);
+  } else {
+    fail(context, path, 'does not match any of the allowed schemas');
+  }
+  return closestValue;
+}
+
+function checkEnum(allowed: any[], value: any, path: string, context: Context): any {
+  if (allowed.some(option => deepEqual(option, value))) return value;
+
+  if (typeof value === 'string') {
+    const match = allowed.find(option => typeof option === 'string' && option.toLowerCase() === value.toLowerCase());
+    if (match !== undefined) {
+      context.repairs.push(`${path}: changed "${value}" to "${match}"`);
+      return match;
+    }
+  }
+
+  fail(context, path, `must be one of ${allowed.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+  return value;
+}
+
+function checkString(schema: any, value: string, path: string, context: Context) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(context, path, `must be at least ${schema.minLength} characters long`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    fail(context, path, `must be at most ${schema.maxLength} characters long`);
+  }
+  if (schema.pattern !== undefined) {
+    let pattern: RegExp | null = null;
+    try {
+      pattern = new RegExp(schema.pattern, 'u');
+    } catch (error) {
+      // A pattern we can't compile is left for the server to enforce
+    }
+    if (pattern && !pattern.test(value)) {
+      fail(context, path, `must match the pattern ${schema.pattern}`);
+    }
+  }
+}
+
+function checkNumber(schema: any, value: number, path: string, context: Context) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail(context, path, `must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail(context, path, `must be <= ${schema.maximum}`);
+  }
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    fail(context, path, `must be > ${schema.exclusiveMinimum}`);
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    fail(context, path, `must be < ${schema.exclusiveMaximum}`);
+  }
+}
+
+function checkArray(schema: any, value: any[], path: string, context: Context): any[] {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    fail(context, path, `must have at least ${schema.minItems} items`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    fail(context, path, `must have at most ${schema.maxItems} items`);
+  }
+  if (schema.items === undefined) return value;
+
+  return value.map((item, index) => {
+    const itemSchema = Array.isArray(schema.items) ? schema.items[index] : schema.items;
+    return check(itemSchema, item, `${path}[${index}]`, context);
+  });
+}
+
+function checkObject(schema: any, value: { [key: string]: any }, path: string, context: Context): any {
+  const properties: { [key: string]: any } = schema.properties || {};
+  const required: string[] = Array.isArray(schema.required) ? schema.required : [];
+  const result = { ...value };
+
+  for (const [name, property] of Object.entries(properties)) {
+    // A null for an optional property usually means "not set"
+    if (result[name] === null && !required.includes(name) && !acceptsNull(property, context)) {
+      delete result[name];
+      context.repairs.push(`${join(path, name)}: dropped null`);
+    }
+    const defaultValue = resolve(property, context)?.default;
+    if (result[name] === undefined && defaultValue !== undefined) {
+      result[name] = clone(defaultValue);
+    }
+  }
+
+  for (const name of required) {
+    if (result[name] === undefined) {
+      fail(context, join(path, name), 'is required');
+    }
+  }
+
+  for (const name of Object.keys(result)) {
+    if (name in properties) {
+      result[name] = check(properties[name], result[name], join(path, name), context);
+    } else if (schema.additionalProperties === false) {
+      const known = Object.keys(properties);
+      fail(context, join(path, name), known.length > 0
+        ? `is not a known property; expected one of ${known.join(', ')}`
+        : 'is not a known property');
+    } else if (typeof schema.additionalProperties === 'object') {
+      result[name] = check(schema.additionalProperties, result[name], join(path, name), context);
+    }
+  }
+
+  return result;
+}
+
+// Converts a value to one of the expected types when the intent is clear
+function coerce(value: any, types: string[], path: string, context: Context): any {
+  if (value === undefined || types.some(type => isType(value, type))) return value;
+
+  const repaired = (converted: any, description: string) => {
+    context.repairs.push(`${path}: ${description}`);
+    return converted;
+  };
+
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if ((types.includes('number') || types.includes('integer')) && /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) {
+      const number = Number(text);
+      if (types.includes('number') || Number.isInteger(number)) {
+        return repaired(number, `converted "${value}" to a number`);
+      }
+    }
+    if (types.includes('boolean') && /^(true|false)$/i.test(text)) {
+      return repaired(text.toLowerCase() === 'true', `converted "${value}" to a boolean`);
+    }
+    if (types.includes('null') && text === 'null') {
+      return repaired(null, `converted "${value}" to null`);
+    }
+    if ((types.includes('object') || types.includes('array')) && /^[[{]/.test(text)) {
+      try {
+        const parsed = JSON.parse(text);
+        if (types.some(type => isType(parsed, type))) {
+          return repaired(parsed, `parsed a JSON encoded ${describe(parsed)}`);
+        }
+      } catch (error) {
+        // Not JSON after all; reported as a type mismatch
+      }
+    }
+  }
+
+  if ((typeof value === 'number' || typeof value === 'boolean') && types.includes('string')) {
+    return repaired(String(value), `converted ${describe(value)} to a string`);
+  }
+  if (typeof value === 'number' && types.includes('integer') && Number.isInteger(value)) {
+    return value;
+  }
+  if (types.includes('array') && value !== null && !Array.isArray(value)) {
+    return repaired([value], `wrapped a single ${describe(value)} in an array`);
+  }
+
+  return value;
+}
+
+function typesOf(schema: any): string[] | null {
+  if (Array.isArray(schema.type)) return schema.type;
+  if (typeof schema.type === 'string') return [schema.type];
+  return null;
+}
+
+function isType(value: any, type: string): boolean {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return typeof value === 'number' && Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function acceptsNull(schema: any, context: Context): boolean {
+  const resolved = resolve(schema, context);
+  if (!resolved || resolved === true) return true;
+  const types = typesOf(resolved);
+  if (types) return types.includes('null');
+  const union = resolved.anyOf || resolved.oneOf;
+  return Array.isArray(union) ? union.some((branch: any) => acceptsNull(branch, context)) : true;
+}
+
+function resolve(schema: any, context: Context): any {
+  return schema && typeof schema === 'object' && schema.$ref ? resolveRef(schema.$ref, context) : schema;
+}
+
+// Only references into the same schema (#/definitions/..., #/$defs/...) are followed
+function resolveRef(ref: string, context: Context): any {
+  if (!ref.startsWith('#')) return true;
+
+  let target = context.root;
+  for (const part of ref.slice(1).split('/').filter(Boolean)) {
+    target = target?.[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  return target === undefined ? true : target;
+}
+
+function describe(value: any): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function join(path: string, name: string): string {
+  const segment = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+  if (path === ROOT_PATH) return segment;
+  return /^[A-Za-z_$]/.test(segment) ? `${path}.${segment}` : `${path}[${segment}]`;
+}
+
+function fail(context: Context, path: string, message: string) {
+  context.errors.push({ path, message });
+}
+
+function deepEqual(a: any, b: any): boolean {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+}
+
+function clone<T>(value: T): T {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
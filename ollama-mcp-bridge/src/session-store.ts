@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { logger } from './logger';
+import { TokenUsage } from './providers';
+
+export interface Session {
+  id: string;
+  title: string;
+  createdAt: string;
+  updatedAt: string;
+  messages: any[];
+  usage?: TokenUsage;                // Tokens spent over every turn
+}
+
+export type SessionSummary = Omit<Session, 'messages'> & { messageCount: number };
+
+export const DEFAULT_SESSION_DIRECTORY = path.join(os.homedir(), '.mcp-llm-bridge', 'sessions');
+
+// Keeps each conversation as <id>.json in a directory so it survives restarts
+export class SessionStore {
+  constructor(private directory: string = DEFAULT_SESSION_DIRECTORY) {}
+
+  create(): Session {
+    const now = new Date();
+    return {
+      id: `${now.toISOString().slice(0, 10)}-${Math.random().toString(36).slice(2, 8)}`,
+      title: 'New session',
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      messages: []
+    };
+  }
+
+  async save(session: Session): Promise<void> {
+    session.updatedAt = new Date().toISOString();
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.sessionPath(session.id), JSON.stringify(session, null, 2), 'utf-8');
+    logger.debug(`Saved session ${session.id} with ${session.messages.length} messages`);
+  }
+
+  async load(id: string): Promise<Session> {
+    try {
+      const data = await fs.readFile(this.sessionPath(id), 'utf-8');
+      return JSON.parse(data) as Session;
+    } catch (error: any) {
+      if (error?.code === 'ENOENT') {
+        throw new Error(`Session not found: ${id}`);
+      }
+      throw error;
+    }
+  }
+
+  // Most recently updated first
+  async list(): Promise<SessionSummary[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error: any) {
+      if (error?.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const summaries: SessionSummary[] = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const { messages, ...summary } = await this.load(path.basename(file, '.json'));
+        summaries.push({ ...summary, messageCount: messages.length });
+      } catch (error: any) {
+        logger.warn(`Skipping unreadable session file ${file}: ${error?.message || String(error)}`);
+      }
+    }
+
+    return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  private sessionPath(id: string): string {
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+}
@@ -0,0 +1,108 @@
+// Structured output for models without native tool calling. Ollama constrains
+// the reply to a JSON schema passed as `format`; that schema is built from the
+// tools' own input schemas as a union on `name`: one branch per candidate tool,
+// plus a final answer branch so the model can also reply without a tool.
+
+export const FINAL_ANSWER = 'final_answer';
+
+export type StructuredReply =
+  | { type: 'tool_call'; name: string; arguments: any; thoughts?: string }
+  | { type: 'answer'; content: string };
+
+// Takes tools in the OpenAI function format the LLM client keeps
+export function buildToolCallFormat(tools: any[]): any {
+  const branches: any[] = tools.map(tool => ({
+    type: 'object',
+    description: tool.function.description,
+    properties: {
+      name: { type: 'string', const: tool.function.name },
+      arguments: inlineRefs(tool.function.parameters || { type: 'object', properties: {} }),
+      thoughts: { type: 'string', description: 'Why you are calling this tool' }
+    },
+    required: ['name', 'arguments']
+  }));
+
+  branches.push({
+    type: 'object',
+    description: 'Answer the user directly without calling a tool',
+    properties: {
+      name: { type: 'string', const: FINAL_ANSWER },
+      answer: { type: 'string', description: 'Your answer to the user' }
+    },
+    required: ['name', 'answer']
+  });
+
+  return { oneOf: branches };
+}
+
+// Tells the model what the schema from buildToolCallFormat expects. It is sent
+// with each structured request, next to the configured system prompt rather
+// than in place of it.
+export function formatInstructions(tools: any[]): string {
+  const names = tools.map(tool => tool.function.name).join(', ');
+  return [
+    'Reply with a single JSON object and nothing else.',
+    `To call a tool, use {"name": "<tool>", "arguments": {...}, "thoughts": "<why>"}, where <tool> is one of: ${names}.`,
+    `To answer the user without a tool, use {"name": "${FINAL_ANSWER}", "answer": "<your answer>"}.`
+  ].join('\n');
+}
+
+// Reads a reply produced under buildToolCallFormat. Returns null for anything
+// else, e.g. plain text from a model that ignored the format.
+export function parseStructuredReply(content: any): StructuredReply | null {
+  let reply: any = content;
+  if (typeof content === 'string') {
+    try {
+      reply = JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!reply || typeof reply !== 'object' || typeof reply.name !== 'string' || !reply.name) {
+    return null;
+  }
+
+  if (reply.name === FINAL_ANSWER) {
+    return {
+      type: 'answer',
+      content: typeof reply.answer === 'string' ? reply.answer : JSON.stringify(reply.answer ?? '')
+    };
+  }
+  return {
+    type: 'tool_call',
+    name: reply.name,
+    arguments: reply.arguments ?? {},
+    thoughts: typeof reply.thoughts === 'string' ? reply.thoughts : undefined
+  };
+}
+
+// A tool schema is nested inside the union, so its local $refs would point at
+// the wrong root. They are inlined instead; recursive references are cut off.
+function inlineRefs(schema: any, root: any = schema, seen: string[] = []): any {
+  if (Array.isArray(schema)) {
+    return schema.map(item => inlineRefs(item, root, seen));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  if (typeof schema.$ref === 'string' && schema.$ref.startsWith('#')) {
+    if (seen.includes(schema.$ref)) return {};
+    return inlineRefs(resolvePointer(root, schema.$ref), root, [...seen, schema.$ref]);
+  }
+
+  const result: { [key: string]: any } = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === '$schema' || key === '$defs' || key === 'definitions') continue;
+    result[key] = inlineRefs(value, root, seen);
+  }
+  return result;
+}
+
+function resolvePointer(root: any, ref: string): any {
+  let target = root;
+  for (const part of ref.slice(1).split('/').filter(Boolean)) {
+    target = target?.[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  return target === undefined ? {} : target;
+}
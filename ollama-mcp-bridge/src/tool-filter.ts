@@ -0,0 +1,12 @@
+import { ServerParameters } from './types';
+import { matchesGlob } from './glob';
+
+// Whether a server's includeTools / excludeTools let a tool through. Both take
+// tool names or * and ? globs; a tool must match includeTools when it is set,
+// and excludeTools wins over it.
+export function isToolEnabled(config: ServerParameters | undefined, tool: string): boolean {
+  if (config?.includeTools && !config.includeTools.some(pattern => matchesGlob(pattern, tool))) {
+    return false;
+  }
+  return !config?.excludeTools?.some(pattern => matchesGlob(pattern, tool));
+}
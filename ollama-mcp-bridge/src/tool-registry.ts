@@ -1,10 +1,11 @@
 import { Tool, ToolRegistry, MCPToolMetadata } from './types';
 import { logger } from './logger';
+import { OllamaEmbeddings, cosineSimilarity } from './embeddings';
 
 export class DynamicToolRegistry {
   private registry: ToolRegistry = {};
 
-  constructor() {}
+  constructor(private embeddings: OllamaEmbeddings | null = null) {}
 
   registerTool(tool: Tool) {
     const exampleArgs = this.generateExampleArgs(tool.inputSchema);
@@ -14,7 +15,8 @@ export class DynamicToolRegistry {
     this.registry[tool.name] = {
       keywords,
       exampleArgs,
-      formatInstructions
+      formatInstructions,
+      description: `${tool.name.replace(/[_-]+/g, ' ')}: ${tool.description || ''}`.trim()
     };
 
     logger.debug(`Registered tool: ${tool.name} with keywords: ${keywords.join(', ')}`);
@@ -71,19 +73,56 @@ export class DynamicToolRegistry {
   }
 
   detectToolFromPrompt(prompt: string): string | null {
+    return this.matchKeywords(prompt)[0] || null;
+  }
+
+  // Every tool whose keywords appear in the prompt, in registration order
+  private matchKeywords(prompt: string): string[] {
     prompt = prompt.toLowerCase();
-    
+    const matches: string[] = [];
+
     // Check each tool's keywords
     for (const [toolName, metadata] of Object.entries(this.registry)) {
-      for (const keyword of metadata.keywords) {
-        if (prompt.includes(keyword.toLowerCase())) {
-          logger.debug(`Detected tool ${toolName} via keyword: ${keyword}`);
-          return toolName;
+      const keyword = metadata.keywords.find(candidate => prompt.includes(candidate.toLowerCase()));
+      if (keyword) {
+        logger.debug(`Detected tool ${toolName} via keyword: ${keyword}`);
+        matches.push(toolName);
+      }
+    }
+
+    return matches;
+  }
+
+  // Picks the tools worth sending with a prompt: the `limit` tools whose
+  // name and description are closest to the prompt by embedding similarity,
+  // with tools the prompt names outright first. Without embeddings it falls
+  // back to the named tools, or every tool when none is named.
+  async selectTools(prompt: string, limit: number): Promise<string[]> {
+    const names = this.getAllTools();
+    if (names.length <= limit) {
+      return names;
+    }
+
+    const named = this.matchKeywords(prompt);
+    if (this.embeddings?.available) {
+      try {
+        const promptVector = await this.embeddings.embed(prompt);
+        const scored: Array<{ name: string; score: number }> = [];
+        for (const name of names) {
+          const toolVector = await this.embeddings.embed(this.registry[name].description, true);
+          scored.push({ name, score: cosineSimilarity(promptVector, toolVector) });
         }
+        scored.sort((a, b) => b.score - a.score);
+
+        const selected = Array.from(new Set([...named, ...scored.map(item => item.name)])).slice(0, limit);
+        logger.debug(`Selected tools by similarity: ${selected.join(', ')}`);
+        return selected;
+      } catch (error: any) {
+        logger.warn(`${error?.message || String(error)}; falling back to keyword matching for tool selection`);
       }
     }
 
-    return null;
+    return named.length > 0 ? named : names;
   }
 
   getToolInstructions(toolName: string): string | null {
@@ -0,0 +1,58 @@
+export interface ServerSentEvent {
+  event: string;
+  data: string;
+  id?: string;
+}
+
+// Parses a text/event-stream response body into events
+export async function* readEventStream(body: NonNullable<Response['body']>): AsyncGenerator<ServerSentEvent> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let data: string[] = [];
+  let id: string | undefined;
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop() || '';
+
+      for (const rawLine of lines) {
+        const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+        // A blank line dispatches the event
+        if (line === '') {
+          if (data.length > 0) {
+            yield { event, data: data.join('\n'), id };
+          }
+          event = 'message';
+          data = [];
+          continue;
+        }
+        if (line.startsWith(':')) continue; // comment / keep-alive
+
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        let fieldValue = separator === -1 ? '' : line.slice(separator + 1);
+        if (fieldValue.startsWith(' ')) fieldValue = fieldValue.slice(1);
+
+        if (field === 'event') event = fieldValue;
+        else if (field === 'data') data.push(fieldValue);
+        else if (field === 'id') id = fieldValue;
+      }
+
+      if (done) return;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Event data may hold a single JSON-RPC message or a batch
+export function parseMessages(data: string): any[] {
+  const parsed = JSON.parse(data);
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
@@ -0,0 +1,27 @@
+import { ServerParameters } from '../types';
+import { Transport } from './transport';
+import { StdioTransport } from './stdio';
+import { SSETransport } from './sse';
+import { StreamableHTTPTransport } from './streamable-http';
+
+export { Transport, StdioTransport, SSETransport, StreamableHTTPTransport };
+
+// Servers with a url default to Streamable HTTP, everything else to stdio
+export function createTransport(serverParams: ServerParameters): Transport {
+  const type = serverParams.transport || (serverParams.url ? 'streamable-http' : 'stdio');
+
+  switch (type) {
+    case 'stdio':
+      return new StdioTransport(serverParams);
+    case 'sse':
+    case 'streamable-http':
+      if (!serverParams.url) {
+        throw new Error(`[MCP Client] The ${type} transport requires a url`);
+      }
+      return type === 'sse'
+        ? new SSETransport(serverParams.url, serverParams.headers)
+        : new StreamableHTTPTransport(serverParams.url, serverParams.headers);
+    default:
+      throw new Error(`[MCP Client] Unknown transport: ${type}`);
+  }
+}
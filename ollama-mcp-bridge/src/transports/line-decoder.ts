@@ -0,0 +1,27 @@
+import { StringDecoder } from 'string_decoder';
+
+// Splits a byte stream into lines. A message can arrive over many chunks, so
+// partial lines (and partial UTF-8 characters) wait for the rest.
+export class LineDecoder {
+  private decoder = new StringDecoder('utf8');
+  private buffer = '';
+
+  push(chunk: Buffer): string[] {
+    const text = this.decoder.write(chunk);
+    if (!text.includes('\n')) {
+      this.buffer += text;
+      return [];
+    }
+
+    const lines = (this.buffer + text).split('\n');
+    this.buffer = lines.pop() || '';
+    return lines.map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+  }
+
+  // Whatever is left once the stream has ended
+  end(): string[] {
+    const rest = (this.buffer + this.decoder.end()).trim();
+    this.buffer = '';
+    return rest ? [rest] : [];
+  }
+}
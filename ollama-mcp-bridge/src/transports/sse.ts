@@ -0,0 +1,85 @@
+import { logger } from '../logger';
+import { Transport } from './transport';
+import { readEventStream, parseMessages, ServerSentEvent } from './event-stream';
+
+// The 2024-11-05 HTTP+SSE transport: server messages arrive on a long-lived
+// GET stream whose first `endpoint` event names the URL to POST requests to
+export class SSETransport implements Transport {
+  private endpoint: URL | null = null;
+  private abortController = new AbortController();
+  onmessage?: (message: any) => void;
+  onerror?: (error: Error) => void;
+  onclose?: () => void;
+
+  constructor(private url: string, private headers: Record<string, string> = {}) {}
+
+  async start(): Promise<void> {
+    logger.debug(`[MCP Client] Opening SSE stream: ${this.url}`);
+    const response = await fetch(this.url, {
+      headers: { ...this.headers, Accept: 'text/event-stream' },
+      signal: this.abortController.signal
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`[MCP Client] SSE connection to ${this.url} failed with status ${response.status}`);
+    }
+
+    const events = readEventStream(response.body);
+    const first = await events.next();
+    if (first.done || first.value.event !== 'endpoint') {
+      throw new Error(`[MCP Client] SSE server at ${this.url} did not send an endpoint event`);
+    }
+
+    const endpoint = new URL(first.value.data, this.url);
+    if (endpoint.origin !== new URL(this.url).origin) {
+      throw new Error(`[MCP Client] SSE endpoint ${endpoint} is not on the same origin as ${this.url}`);
+    }
+    this.endpoint = endpoint;
+    logger.debug(`[MCP Client] SSE endpoint: ${endpoint}`);
+
+    this.listen(events);
+  }
+
+  private async listen(events: AsyncGenerator<ServerSentEvent>) {
+    try {
+      for await (const event of events) {
+        if (event.event !== 'message') continue;
+        try {
+          parseMessages(event.data).forEach(message => this.onmessage?.(message));
+        } catch (error: any) {
+          logger.error(`[MCP Client] Failed to parse response: ${error?.message || String(error)}`);
+        }
+      }
+    } catch (error: any) {
+      if (!this.abortController.signal.aborted) {
+        logger.error(`[MCP Client] SSE stream failed: ${error?.message || String(error)}`);
+        this.onerror?.(error);
+      }
+    }
+    logger.info(`[MCP Client] SSE stream closed: ${this.url}`);
+    this.onclose?.();
+  }
+
+  async send(message: any): Promise<void> {
+    if (!this.endpoint) {
+      throw new Error("[MCP Client] Connection not established");
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`[MCP Client] POST to ${this.endpoint} failed with status ${response.status}${text ? `: ${text}` : ''}`);
+    }
+    // Replies arrive on the event stream, not in the POST response
+    await response.body?.cancel();
+  }
+
+  async close(): Promise<void> {
+    this.abortController.abort();
+    this.endpoint = null;
+  }
+}
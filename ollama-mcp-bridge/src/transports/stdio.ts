@@ -0,0 +1,107 @@
+import { spawn, ChildProcess } from 'child_process';
+import { ServerParameters } from '../types';
+import { logger } from '../logger';
+import { Transport } from './transport';
+import { LineDecoder } from './line-decoder';
+
+// Runs the server as a child process speaking newline-delimited JSON-RPC
+export class StdioTransport implements Transport {
+  private process: ChildProcess | null = null;
+  onmessage?: (message: any) => void;
+  onerror?: (error: Error) => void;
+  onclose?: () => void;
+
+  constructor(private serverParams: ServerParameters) {}
+
+  async start(): Promise<void> {
+    if (!this.serverParams.command) {
+      throw new Error("[MCP Client] The stdio transport requires a command");
+    }
+
+    const spawnOptions: any = {
+      stdio: ['pipe', 'pipe', 'pipe']
+    };
+
+    if (this.serverParams.allowedDirectory) {
+      spawnOptions.cwd = this.serverParams.allowedDirectory;
+      logger.debug(`[MCP Client] Using working directory: ${spawnOptions.cwd}`);
+    }
+
+    if (this.serverParams.env) {
+      spawnOptions.env = {
+        ...process.env,
+        ...this.serverParams.env
+      };
+      logger.debug(`[MCP Client] Environment variables set: ${Object.keys(this.serverParams.env).join(', ')}`);
+    }
+
+    logger.debug(`[MCP Client] Spawning process: ${this.serverParams.command} ${this.serverParams.args?.join(' ')}`);
+    
+    const child = spawn(
+      this.serverParams.command,
+      this.serverParams.args || [],
+      spawnOptions
+    );
+    this.process = child;
+    const decoder = new LineDecoder();
+
+    if (child.stderr) {
+      child.stderr.on('data', (data: Buffer) => {
+        logger.error(`[MCP Client] Process stderr: ${data.toString()}`);
+      });
+    }
+
+    child.on('error', (error: Error) => {
+      logger.error(`[MCP Client] Process error: ${error.message}`);
+      this.onerror?.(error);
+      // A command that failed to spawn never emits 'exit'
+      if (child.pid === undefined) this.onclose?.();
+    });
+
+    // 'close' rather than 'exit' so that output still in the pipe is handled first
+    child.on('close', (code: number | null, signal: string | null) => {
+      logger.info(`[MCP Client] Process exited with code ${code}${signal ? ` (${signal})` : ''}`);
+      this.onclose?.();
+    });
+
+    child.stdout?.on('data', (data: Buffer) => {
+      logger.debug(`[MCP Client] Received ${data.length} bytes`);
+      this.handleLines(decoder.push(data));
+    });
+    child.stdout?.on('end', () => this.handleLines(decoder.end()));
+  }
+
+  private handleLines(messages: string[]) {
+    for (const message of messages) {
+      let parsed: any;
+      try {
+        parsed = JSON.parse(message);
+      } catch (error: any) {
+        logger.error(`[MCP Client] Failed to parse response: ${error?.message || String(error)}`);
+        continue;
+      }
+      this.onmessage?.(parsed);
+    }
+  }
+
+  async send(message: any): Promise<void> {
+    const stdin = this.process?.stdin;
+    if (!stdin) {
+      throw new Error("[MCP Client] Connection not established");
+    }
+
+    await new Promise<void>((resolve, reject) => {
+      stdin.write(JSON.stringify(message) + '\n', (error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+
+  async close(): Promise<void> {
+    if (this.process) {
+      this.process.kill();
+      this.process = null;
+    }
+  }
+}
@@ -0,0 +1,190 @@
+import { logger } from '../logger';
+import { Transport } from './transport';
+import { readEventStream, parseMessages, ServerSentEvent } from './event-stream';
+
+// The 2025-03-26 Streamable HTTP transport: every message is POSTed to one
+// endpoint, which answers with JSON or an event stream. Server-initiated
+// messages come over an optional GET stream.
+export class StreamableHTTPTransport implements Transport {
+  private sessionId?: string;
+  private abortController = new AbortController();
+  // One per request in flight, so a request that times out can be cancelled
+  private requests = new Map<string | number, AbortController>();
+  private closing = false;
+  private closed = false;
+  onmessage?: (message: any) => void;
+  onerror?: (error: Error) => void;
+  onclose?: () => void;
+
+  constructor(private url: string, private headers: Record<string, string> = {}) {}
+
+  // Nothing to open until the first message is sent
+  async start(): Promise<void> {}
+
+  async send(message: any): Promise<void> {
+    const { controller, finish } = this.track(message);
+    let streaming = false;
+    try {
+      let response: Response;
+      try {
+        response = await fetch(this.url, {
+          method: 'POST',
+          headers: this.requestHeaders({
+            'Content-Type': 'application/json',
+            Accept: 'application/json, text/event-stream'
+          }),
+          body: JSON.stringify(message),
+          signal: controller.signal
+        });
+      } catch (error: any) {
+        // Cancelled or closed: whoever did that already answered the caller
+        if (controller.signal.aborted) return;
+        this.lost(error);
+        throw error;
+      }
+
+      const sessionId = response.headers.get('mcp-session-id');
+      if (sessionId) {
+        this.sessionId = sessionId;
+      }
+
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`[MCP Client] POST to ${this.url} failed with status ${response.status}${text ? `: ${text}` : ''}`);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (response.status === 202 || !response.body) {
+        // Accepted notification or response; nothing comes back
+      } else if (contentType.includes('text/event-stream')) {
+        streaming = true;
+        this.consume(readEventStream(response.body), controller.signal).finally(finish);
+      } else if (contentType.includes('application/json')) {
+        this.dispatch(await response.text());
+      } else {
+        await response.body.cancel();
+      }
+    } finally {
+      if (!streaming) finish();
+    }
+
+    if (message.method === 'notifications/initialized') {
+      this.openServerStream();
+    }
+  }
+
+  // Stops waiting for a request's response, e.g. after it timed out
+  cancel(id: string | number): void {
+    this.requests.get(id)?.abort();
+  }
+
+  async close(): Promise<void> {
+    this.closing = true;
+    if (this.sessionId) {
+      // Tell the server the session is over; it may not support this
+      try {
+        await fetch(this.url, { method: 'DELETE', headers: this.requestHeaders() });
+      } catch (error: any) {
+        logger.debug(`[MCP Client] Failed to end session ${this.sessionId}: ${error?.message || String(error)}`);
+      }
+      this.sessionId = undefined;
+    }
+    this.shutDown();
+  }
+
+  // A controller for one message that also aborts when the transport closes;
+  // finish() forgets it once the response is in
+  private track(message: any): { controller: AbortController; finish: () => void } {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const signal = this.abortController.signal;
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', abort);
+    }
+    const isRequest = message.id !== undefined && message.method !== undefined;
+    if (isRequest) {
+      this.requests.set(message.id, controller);
+    }
+    return {
+      controller,
+      finish: () => {
+        signal.removeEventListener('abort', abort);
+        if (isRequest && this.requests.get(message.id) === controller) {
+          this.requests.delete(message.id);
+        }
+      }
+    };
+  }
+
+  private async openServerStream() {
+    try {
+      const response = await fetch(this.url, {
+        headers: this.requestHeaders({ Accept: 'text/event-stream' }),
+        signal: this.abortController.signal
+      });
+      if (!response.ok || !response.body) {
+        logger.debug(`[MCP Client] Server at ${this.url} offers no GET stream (status ${response.status})`);
+        await response.body?.cancel();
+        return;
+      }
+      await this.consume(readEventStream(response.body), this.abortController.signal);
+      // The server only ends this stream when it goes away
+      if (!this.abortController.signal.aborted) {
+        this.lost(new Error(`GET stream from ${this.url} ended`));
+      }
+    } catch (error: any) {
+      if (!this.abortController.signal.aborted) {
+        logger.debug(`[MCP Client] GET stream failed: ${error?.message || String(error)}`);
+        this.lost(error);
+      }
+    }
+  }
+
+  private async consume(events: AsyncGenerator<ServerSentEvent>, signal: AbortSignal) {
+    try {
+      for await (const event of events) {
+        if (event.event === 'message') this.dispatch(event.data);
+      }
+    } catch (error: any) {
+      if (!signal.aborted) {
+        logger.error(`[MCP Client] Event stream failed: ${error?.message || String(error)}`);
+        this.onerror?.(error);
+        this.lost(error);
+      }
+    }
+  }
+
+  // The server is unreachable or dropped the connection
+  private lost(error: any) {
+    if (this.closing || this.closed) return;
+    logger.warn(`[MCP Client] Lost connection to ${this.url}: ${error?.message || String(error)}`);
+    this.sessionId = undefined;
+    this.shutDown();
+  }
+
+  private shutDown() {
+    if (this.closed) return;
+    this.closed = true;
+    this.abortController.abort();
+    this.requests.clear();
+    this.onclose?.();
+  }
+
+  private dispatch(data: string) {
+    try {
+      parseMessages(data).forEach(message => this.onmessage?.(message));
+    } catch (error: any) {
+      logger.error(`[MCP Client] Failed to parse response: ${error?.message || String(error)}`);
+    }
+  }
+
+  private requestHeaders(extra: Record<string, string> = {}): Record<string, string> {
+    return {
+      ...this.headers,
+      ...extra,
+      ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {})
+    };
+  }
+}
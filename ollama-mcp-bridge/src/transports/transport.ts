@@ -0,0 +1,13 @@
+// A JSON-RPC channel to one MCP server. MCPClient sets the callbacks, then
+// calls start(); messages are plain objects in both directions.
+export interface Transport {
+  onmessage?: (message: any) => void;
+  onerror?: (error: Error) => void;
+  onclose?: () => void;
+  start(): Promise<void>;
+  send(message: any): Promise<void>;
+  close(): Promise<void>;
+  // Gives up on a request that timed out, for transports that hold something
+  // open per request
+  cancel?(id: string | number): void;
+}
@@ -1,27 +1,92 @@
+import { AuditLogConfig } from './audit-log';
+
 export interface ServerParameters {
-  command: string;
+  command?: string;                  // Local server started over stdio
   args?: string[];
   allowedDirectory?: string;
   env?: Record<string, string>;
+  url?: string;                      // Remote server reached over HTTP
+  // Defaults to 'streamable-http' when url is set, otherwise 'stdio'
+  transport?: 'stdio' | 'sse' | 'streamable-http';
+  headers?: Record<string, string>;  // Sent with every HTTP request, e.g. Authorization
+  timeout?: number;                  // Per-request timeout in ms. Defaults to 60000.
+  autoRestart?: boolean;             // Reconnect when the server dies. Defaults to true.
+  maxRestarts?: number;              // Consecutive restart attempts. Defaults to 5.
+  restartDelay?: number;             // First backoff delay in ms, doubled per attempt. Defaults to 1000.
+  maxConcurrency?: number;           // Tool calls run at once on this server. Defaults to 4.
+  reentrant?: boolean;               // false runs one call at a time, for stateful servers. Defaults to true.
+  disabled?: boolean;                // Keep the entry but don't start the server
+  optional?: boolean;                // Log and carry on when the server fails to start
+  includeTools?: string[];           // Only these tools are offered; names or * and ? globs
+  excludeTools?: string[];           // These tools are hidden, even when included
 }
 
 export interface LLMConfig {
+  // API the model is served with: Ollama's /api/chat, an OpenAI-compatible
+  // /v1/chat/completions or Anthropic's /v1/messages. Defaults to 'ollama'.
+  provider?: 'ollama' | 'openai' | 'anthropic';
   model: string;
   baseUrl: string;
   apiKey?: string;
   temperature?: number;
   maxTokens?: number;
   systemPrompt?: string;
+  // Stream tokens from Ollama as they are generated. Defaults to true.
+  stream?: boolean;
+  // Context window in tokens; older turns are dropped to fit. Defaults to 8192.
+  contextWindow?: number;
+  // Start a local `ollama serve` when none is reachable. Defaults to false.
+  autoStart?: boolean;
+  // 'native' sends the tool list in the /api/chat `tools` field and reads
+  // message.tool_calls; 'structured' is the single-tool `format` fallback for
+  // models without tool support. Defaults to 'native'.
+  toolMode?: 'native' | 'structured';
+  // Ollama model that embeds prompts and tool descriptions to pick the tools
+  // sent with each prompt. Defaults to 'nomic-embed-text'.
+  embeddingModel?: string;
+  // Most tools sent with a prompt when more are registered. Defaults to 8.
+  maxTools?: number;
+}
+
+export type ApprovalDecision = 'allow' | 'deny' | 'ask';
+
+export interface ServerApprovalConfig {
+  default?: ApprovalDecision;
+  tools?: { [toolPattern: string]: ApprovalDecision };
+}
+
+// The `approval` block of bridge_config.json. Tool patterns may use * and ?.
+export interface ApprovalPolicyConfig {
+  default?: ApprovalDecision;                 // Defaults to 'allow'
+  tools?: { [toolPattern: string]: ApprovalDecision };
+  servers?: { [serverName: string]: ApprovalDecision | ServerApprovalConfig };
 }
 
 export interface BridgeConfig {
-  mcpServer: ServerParameters;        // Primary MCP
-  mcpServers?: {                     // All MCPs including Flux, etc.
+  mcpServers: {
     [key: string]: ServerParameters;
   };
-  mcpServerName: string;
   llmConfig: LLMConfig;
   systemPrompt?: string;
+  sessionDirectory?: string;         // Where conversations are saved as JSON
+  approval?: ApprovalPolicyConfig;   // allow / deny / ask per server and tool
+  // Retries per turn after a tool call fails schema validation. Defaults to 2.
+  maxArgumentRetries?: number;
+  maxSteps?: number;                 // Model replies with tool calls per turn. Defaults to 10.
+  // Times the same tool may run with the same arguments per turn. Defaults to 2.
+  maxRepeatedCalls?: number;
+  audit?: AuditLogConfig;            // JSONL record of turns, model exchanges and tool calls
+}
+
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: string;
+}
+
+export interface HttpServerConfig {
+  port?: number;
+  host?: string;
+  apiKey?: string;                   // Required as a Bearer token when set
 }
 
 export interface Tool {
@@ -38,6 +103,7 @@ export interface MCPToolMetadata {
   keywords: string[];   // Keywords that trigger this tool
   exampleArgs: any;     // Example arguments for this tool
   formatInstructions: string; // Specific format instructions
+  description: string;  // Name and description, embedded to match the tool to prompts
 }
 
 export interface ToolRegistry {
@@ -0,0 +1,48 @@
+import { describe, it, expect } from '@jest/globals';
+import { ApprovalPolicy } from '../src/approval-policy';
+import { matchesGlob, mostSpecificMatch } from '../src/glob';
+
+describe('glob matching', () => {
+  it('supports * and ? and treats everything else literally', () => {
+    expect(matchesGlob('delete-*', 'delete-account')).toBe(true);
+    expect(matchesGlob('delete-*', 'undelete-account')).toBe(false);
+    expect(matchesGlob('get_?ile', 'get_file')).toBe(true);
+    expect(matchesGlob('a.b', 'axb')).toBe(false);
+  });
+
+  it('prefers the pattern with the most literal characters', () => {
+    expect(mostSpecificMatch(['*', 'create_*', 'create_issue'], 'create_issue')).toBe('create_issue');
+    expect(mostSpecificMatch(['*', 'create_*'], 'create_pr')).toBe('create_*');
+    expect(mostSpecificMatch(['delete_*'], 'create_pr')).toBeUndefined();
+  });
+});
+
+describe('ApprovalPolicy', () => {
+  const policy = new ApprovalPolicy({
+    default: 'allow',
+    tools: { 'delete-*': 'ask', send_email: 'ask' },
+    servers: {
+      github: { default: 'ask', tools: { 'get_*': 'allow', 'search_*': 'allow', delete_repository: 'deny' } },
+      fhir: 'deny'
+    }
+  });
+
+  it('resolves server tools, then global tools, then defaults', () => {
+    expect(policy.decide('github', 'get_issue')).toBe('allow');
+    expect(policy.decide('github', 'delete_repository')).toBe('deny');
+    expect(policy.decide('github', 'create_issue')).toBe('ask');
+    expect(policy.decide('fhir', 'delete-source')).toBe('ask');
+    expect(policy.decide('fhir', 'get-observation')).toBe('deny');
+    expect(policy.decide('gmail', 'send_email')).toBe('ask');
+    expect(policy.decide('filesystem', 'read_file')).toBe('allow');
+  });
+
+  it('allows everything without configuration', () => {
+    expect(new ApprovalPolicy().decide('filesystem', 'write_file')).toBe('allow');
+  });
+
+  it('rejects unknown settings', () => {
+    expect(() => new ApprovalPolicy({ servers: { github: { tools: { '*': 'maybe' as any } } } }))
+      .toThrow('Invalid approval setting "maybe" for approval.servers.github.tools["*"]');
+  });
+});
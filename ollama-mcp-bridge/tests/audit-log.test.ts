@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AuditLog, Redactor } from '../src/audit-log';
+
+describe('Redactor', () => {
+  it('redacts secret keys at any depth but leaves token counts alone', () => {
+    const redactor = new Redactor();
+
+    expect(redactor.redact({
+      apiKey: 'abc',
+      headers: { Authorization: 'Bearer abc', 'x-api-key': 'abc' },
+      accounts: [{ password: 'hunter2', user: 'ann' }],
+      usage: { promptTokens: 12 }
+    })).toEqual({
+      apiKey: '[REDACTED]',
+      headers: { Authorization: '[REDACTED]', 'x-api-key': '[REDACTED]' },
+      accounts: [{ password: '[REDACTED]', user: 'ann' }],
+      usage: { promptTokens: 12 }
+    });
+  });
+
+  it('redacts configured fields regardless of case', () => {
+    const redactor = new Redactor(['birthDate', 'SSN']);
+
+    expect(redactor.redact({ patient: { birthdate: '1970-01-01', ssn: '123', gender: 'female' } }))
+      .toEqual({ patient: { birthdate: '[REDACTED]', ssn: '[REDACTED]', gender: 'female' } });
+  });
+
+  it('looks inside JSON strings and masks credentials in text', () => {
+    const redactor = new Redactor(['name']);
+
+    expect(redactor.redact('{"name":"Ann","id":"p1"}')).toBe('{"name":"[REDACTED]","id":"p1"}');
+    expect(redactor.redact('401 for Bearer eyJhbGciOi.x-y and key sk-abcdefgh1234'))
+      .toBe('401 for Bearer [REDACTED] and key [REDACTED]');
+    expect(redactor.redact('{not json')).toBe('{not json');
+  });
+});
+
+describe('AuditLog', () => {
+  let directory: string;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-log-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('appends redacted, timestamped records in order, creating the directory', async () => {
+    const file = path.join(directory, 'nested', 'audit.jsonl');
+    const audit = new AuditLog({ path: file, redact: ['name'] });
+
+    audit.record('tool_call', { tool: 'search', arguments: { name: 'Ann', token: 't' } });
+    audit.record('turn', { steps: 1 });
+    await audit.flush();
+
+    const records = (await fs.readFile(file, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(records).toMatchObject([
+      { type: 'tool_call', tool: 'search', arguments: { name: '[REDACTED]', token: '[REDACTED]' } },
+      { type: 'turn', steps: 1 }
+    ]);
+    expect(new Date(records[0].timestamp).toISOString()).toBe(records[0].timestamp);
+  });
+
+  it('logs write failures instead of throwing', async () => {
+    const file = path.join(directory, 'taken');
+    await fs.mkdir(file);
+    const audit = new AuditLog({ path: file });
+
+    audit.record('turn', { steps: 0 });
+
+    await expect(audit.flush()).resolves.toBeUndefined();
+  });
+
+  it('tries to create the directory again after it failed', async () => {
+    // A file where the directory should be makes mkdir fail
+    const blocked = path.join(directory, 'logs');
+    await fs.writeFile(blocked, '');
+    const audit = new AuditLog({ path: path.join(blocked, 'audit.jsonl') });
+
+    audit.record('turn', { steps: 0 });
+    await audit.flush();
+    await fs.rm(blocked);
+    audit.record('turn', { steps: 1 });
+    await audit.flush();
+
+    const records = (await fs.readFile(audit.path, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(records).toMatchObject([{ type: 'turn', steps: 1 }]);
+  });
+});
@@ -0,0 +1,747 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MCPLLMBridge, BridgeEvent } from '../src/bridge';
+import { drainStream } from '../src/llm-client';
+import { MCPClient } from '../src/mcp-client';
+import { logger } from '../src/logger';
+import { SessionStore } from '../src/session-store';
+import { startMockOllama, chatReply, streamedReply, withUsage, MockOllama } from './mock-ollama';
+
+const TEST_TIMEOUT = 60000;
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'stub-mcp-server.js');
+
+const tools = [
+  {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read a file',
+      parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+    }
+  }
+];
+
+let sessionDirectory: string;
+
+function createBridge(baseUrl: string) {
+  return new MCPLLMBridge({
+    mcpServers: { filesystem: { command: 'node' } },
+    llmConfig: { model: 'mock', baseUrl },
+    sessionDirectory
+  });
+}
+
+beforeEach(async () => {
+  sessionDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-sessions-'));
+});
+
+afterEach(async () => {
+  await fs.rm(sessionDirectory, { recursive: true, force: true });
+});
+
+describe('MCPLLMBridge streaming', () => {
+  let ollama: MockOllama | null = null;
+
+  afterEach(async () => {
+    await ollama?.close();
+    ollama = null;
+  });
+
+  it('interleaves tool activity with streamed tokens', async () => {
+    let turn = 0;
+    ollama = await startMockOllama(() => turn++ === 0
+      ? streamedReply('Checking ', { tool_calls: [{ function: { name: 'read_file', arguments: { path: 'x' } } }] })
+      : streamedReply('Could not read it'));
+    const bridge = createBridge(ollama.baseUrl);
+    await bridge.setTools(tools);
+
+    const events: BridgeEvent[] = [];
+    const stream = bridge.streamMessage('read x');
+    let result = await stream.next();
+    while (!result.done) {
+      events.push(result.value);
+      result = await stream.next();
+    }
+
+    expect(events.map(event => event.type)).toEqual([
+      'token', 'tool_call', 'tool_result', 'token', 'token', 'token', 'token'
+    ]);
+    expect(events[1]).toMatchObject({ name: 'read_file', arguments: '{"path":"x"}' });
+    expect(events[2]).toMatchObject({ name: 'read_file', isError: true });
+    expect(result.value).toBe('Could not read it');
+  }, TEST_TIMEOUT);
+
+  it('returns the same answer through processMessage', async () => {
+    ollama = await startMockOllama(() => streamedReply('All done'));
+    const bridge = createBridge(ollama.baseUrl);
+
+    await expect(bridge.processMessage('hi')).resolves.toBe('All done');
+  }, TEST_TIMEOUT);
+});
+
+describe('MCPLLMBridge sessions', () => {
+  let ollama: MockOllama | null = null;
+
+  afterEach(async () => {
+    await ollama?.close();
+    ollama = null;
+  });
+
+  it('saves each turn and resumes a session after a restart', async () => {
+    ollama = await startMockOllama(() => streamedReply('noted'));
+    const first = createBridge(ollama.baseUrl);
+    await first.processMessage('my name is Sam');
+    const sessionId = first.session.id;
+
+    const restarted = createBridge(ollama.baseUrl);
+    const sessions = await restarted.listSessions();
+    expect(sessions).toEqual([expect.objectContaining({ id: sessionId, title: 'my name is Sam', messageCount: 2 })]);
+
+    await restarted.resumeSession(sessionId);
+    await restarted.processMessage('what is my name?');
+
+    const lastRequest = ollama.requests[ollama.requests.length - 1];
+    expect(lastRequest.messages.map((message: any) => message.content)).toEqual([
+      'my name is Sam', 'noted', 'what is my name?'
+    ]);
+    expect((await restarted.listSessions())[0].messageCount).toBe(4);
+  }, TEST_TIMEOUT);
+
+  it('starts new sessions with an empty history', async () => {
+    ollama = await startMockOllama(() => streamedReply('hi'));
+    const bridge = createBridge(ollama.baseUrl);
+    await bridge.processMessage('hello');
+
+    bridge.newSession();
+    await bridge.processMessage('fresh start');
+
+    const lastRequest = ollama.requests[ollama.requests.length - 1];
+    expect(lastRequest.messages.map((message: any) => message.content)).toEqual(['fresh start']);
+    expect(await bridge.listSessions()).toHaveLength(2);
+  }, TEST_TIMEOUT);
+});
+
+describe('MCPLLMBridge resources and prompts', () => {
+  let ollama: MockOllama | null = null;
+  let bridge: MCPLLMBridge | null = null;
+
+  afterEach(async () => {
+    await bridge?.close();
+    await ollama?.close();
+    bridge = null;
+    ollama = null;
+  });
+
+  it('attaches resources as context and runs MCP prompts', async () => {
+    ollama = await startMockOllama(() => streamedReply('Hi Sam'));
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER] } },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl },
+      sessionDirectory
+    });
+    await bridge.connectMcpServers();
+
+    expect(await bridge.attachResource('stub://stub/notes/9')).toBe('stub read stub://stub/notes/9');
+    await expect(bridge.attachResource('other://thing')).rejects.toThrow('No MCP server provides resource: other://thing');
+    const answer = await drainStream(bridge.streamPrompt('greet', { who: 'Sam' }));
+
+    expect(answer).toBe('Hi Sam');
+    expect(ollama.requests[0].messages.map((message: any) => message.content)).toEqual([
+      'Attached resource stub://stub/notes/9:\nstub read stub://stub/notes/9',
+      'Hello Sam from stub'
+    ]);
+    await expect(drainStream(bridge.streamPrompt('missing'))).rejects.toThrow('Unknown prompt: missing');
+  }, TEST_TIMEOUT);
+});
+
+describe('MCPLLMBridge approval policy', () => {
+  let ollama: MockOllama | null = null;
+  let bridge: MCPLLMBridge | null = null;
+
+  afterEach(async () => {
+    await bridge?.close();
+    await ollama?.close();
+    bridge = null;
+    ollama = null;
+  });
+
+  async function createApprovalBridge(toolCall: any) {
+    let turn = 0;
+    ollama = await startMockOllama(() => turn++ === 0
+      ? streamedReply('', { tool_calls: [{ function: toolCall }] })
+      : streamedReply('done'));
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER] } },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl },
+      sessionDirectory,
+      approval: { servers: { stub: { default: 'ask', tools: { add: 'deny' } } } }
+    });
+    await bridge.connectMcpServers();
+    return bridge;
+  }
+
+  function toolMessage(): any {
+    return ollama!.requests[1].messages.find((message: any) => message.role === 'tool');
+  }
+
+  it('runs ask tools with the arguments the user approved', async () => {
+    const approvalBridge = await createApprovalBridge({ name: 'echo', arguments: { text: 'draft' } });
+    const requests: any[] = [];
+    approvalBridge.setApprovalHandler(async request => {
+      requests.push(request);
+      return { approved: true, arguments: { text: 'edited' } };
+    });
+
+    await approvalBridge.processMessage('echo something');
+
+    expect(requests).toEqual([{ server: 'stub', tool: 'echo', arguments: { text: 'draft' } }]);
+    expect(toolMessage().content).toContain('edited');
+  }, TEST_TIMEOUT);
+
+  it('feeds rejections back to the model as tool errors', async () => {
+    const approvalBridge = await createApprovalBridge({ name: 'echo', arguments: { text: 'secret' } });
+    approvalBridge.setApprovalHandler(async () => ({ approved: false, reason: 'not now' }));
+
+    const events: BridgeEvent[] = [];
+    const stream = approvalBridge.streamMessage('echo something');
+    let result = await stream.next();
+    while (!result.done) {
+      events.push(result.value);
+      result = await stream.next();
+    }
+
+    expect(events.find(event => event.type === 'tool_result')).toMatchObject({ isError: true });
+    expect(toolMessage().content).toBe('Error: The user rejected the call to echo: not now');
+  }, TEST_TIMEOUT);
+
+  it('denies tools by policy and ask tools without a handler', async () => {
+    const denyBridge = await createApprovalBridge({ name: 'add', arguments: { a: 1, b: 2 } });
+    await denyBridge.processMessage('add numbers');
+    expect(toolMessage().content).toBe('Error: Tool add is not allowed by the approval policy');
+
+    await denyBridge.close();
+    await ollama!.close();
+    const unattended = await createApprovalBridge({ name: 'echo', arguments: { text: 'hi' } });
+    await unattended.processMessage('echo hi');
+    expect(toolMessage().content).toBe('Error: Tool echo needs user approval, but no one is available to approve it');
+  }, TEST_TIMEOUT);
+});
+
+describe('MCPLLMBridge argument validation', () => {
+  let ollama: MockOllama | null = null;
+  let bridge: MCPLLMBridge | null = null;
+
+  afterEach(async () => {
+    await bridge?.close();
+    await ollama?.close();
+    bridge = null;
+    ollama = null;
+  });
+
+  async function createBridge(calls: any[], maxArgumentRetries?: number) {
+    let turn = 0;
+    ollama = await startMockOllama(() => {
+      const call = calls[turn++];
+      return call
+        ? streamedReply('', { tool_calls: [{ function: { name: 'add', arguments: call } }] })
+        : streamedReply('done');
+    });
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER] } },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl },
+      sessionDirectory,
+      maxArgumentRetries
+    });
+    await bridge.connectMcpServers();
+    return bridge;
+  }
+
+  function toolMessages(): string[] {
+    return ollama!.requests.slice(1).map(request =>
+      request.messages.filter((message: any) => message.role === 'tool').pop().content);
+  }
+
+  it('returns the violations to the model and runs the corrected call', async () => {
+    const validatingBridge = await createBridge([{ a: 'one' }, { a: '1', b: 2 }]);
+
+    const answer = await validatingBridge.processMessage('add one and two');
+
+    expect(answer).toBe('done');
+    expect(toolMessages()).toEqual([
+      'Error: Invalid arguments for add:\n- b: is required\n- a: expected number, got string\n' +
+        'Fix the arguments and call add again (2 retries left).',
+      '3'
+    ]);
+  }, TEST_TIMEOUT);
+
+  it('gives up once the retries are used up', async () => {
+    const validatingBridge = await createBridge([{}, { a: 1 }, { b: 2 }], 1);
+
+    const answer = await validatingBridge.processMessage('add numbers');
+
+    expect(toolMessages()[1]).toContain('No retries left; answer without calling add again.');
+    expect(answer).toBe('done');
+    expect(validatingBridge.lastTurn).toMatchObject({ stopReason: 'invalid_arguments' });
+    expect(ollama!.requests).toHaveLength(4);
+    const final = ollama!.requests[3];
+    expect(final.tools).toBeUndefined();
+    const [refused, instruction] = final.messages.slice(-2);
+    expect(refused).toMatchObject({
+      role: 'tool',
+      content: 'Error: Giving up on add after 3 calls with invalid arguments:\n- a: is required'
+    });
+    expect(instruction.role).toBe('system');
+    expect(instruction.content).toContain('add was called 3 times with invalid arguments');
+
+    // Every tool call in the saved history has its result, so the session can go on
+    const saved = await new SessionStore(sessionDirectory).load(validatingBridge.session.id);
+    const callIds = saved.messages.flatMap((message: any) => (message.tool_calls || []).map((call: any) => call.id));
+    const resultIds = saved.messages.filter((message: any) => message.role === 'tool').map((message: any) => message.tool_call_id);
+    expect(callIds).toHaveLength(3);
+    expect(resultIds).toEqual(callIds);
+    expect(saved.messages[saved.messages.length - 1]).toMatchObject({ role: 'assistant', content: 'done' });
+  }, TEST_TIMEOUT);
+});
+
+describe('MCPLLMBridge guardrails', () => {
+  let ollama: MockOllama | null = null;
+  let bridge: MCPLLMBridge | null = null;
+
+  afterEach(async () => {
+    await bridge?.close();
+    await ollama?.close();
+    bridge = null;
+    ollama = null;
+  });
+
+  // The model asks for the next call until it is sent no tools, then answers
+  async function createBridge(nextCall: (turn: number) => any, limits: { maxSteps?: number; maxRepeatedCalls?: number }) {
+    let turn = 0;
+    ollama = await startMockOllama(body => withUsage(body.tools
+      ? streamedReply('', { tool_calls: [{ function: nextCall(turn++) }] })
+      : streamedReply('final answer'), 10, 5));
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER] } },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl },
+      sessionDirectory,
+      ...limits
+    });
+    await bridge.connectMcpServers();
+    return bridge;
+  }
+
+  it('stops repeated identical calls and asks for a final answer', async () => {
+    const loopingBridge = await createBridge(
+      turn => ({ name: 'add', arguments: turn % 2 ? { b: 2, a: 1 } : { a: 1, b: 2 } }),
+      { maxRepeatedCalls: 2 }
+    );
+
+    const answer = await loopingBridge.processMessage('add one and two');
+
+    expect(answer).toBe('final answer');
+    expect(loopingBridge.lastTurn).toMatchObject({ steps: 2, toolCalls: 2, stopReason: 'repeated_call' });
+    const final = ollama!.requests[ollama!.requests.length - 1];
+    expect(final.tools).toBeUndefined();
+    const [skipped, instruction] = final.messages.slice(-2);
+    expect(skipped).toMatchObject({ role: 'tool', content: 'Error: Not run because add was already called 2 times with the same arguments' });
+    expect(instruction.role).toBe('system');
+    expect(instruction.content).toContain('Answer the user now');
+  }, TEST_TIMEOUT);
+
+  it('stops at the step limit and counts tokens per turn and session', async () => {
+    const busyBridge = await createBridge(
+      turn => ({ name: 'echo', arguments: { text: `call ${turn}` } }),
+      { maxSteps: 3 }
+    );
+
+    await busyBridge.processMessage('echo forever');
+    expect(busyBridge.lastTurn).toMatchObject({
+      steps: 3,
+      toolCalls: 3,
+      promptTokens: 50,
+      completionTokens: 25,
+      stopReason: 'max_steps'
+    });
+    expect(busyBridge.lastTurn!.durationMs).toBeGreaterThanOrEqual(0);
+
+    await busyBridge.processMessage('and again');
+    expect(busyBridge.lastTurn).toMatchObject({ steps: 3, promptTokens: 50 });
+    expect(busyBridge.session.usage).toEqual({ promptTokens: 100, completionTokens: 50 });
+  }, TEST_TIMEOUT);
+});
+
+describe('MCPLLMBridge parallel tool calls', () => {
+  let ollama: MockOllama | null = null;
+  let bridge: MCPLLMBridge | null = null;
+
+  afterEach(async () => {
+    await bridge?.close();
+    await ollama?.close();
+    bridge = null;
+    ollama = null;
+  });
+
+  it('runs calls concurrently within each server limit and keeps their order', async () => {
+    const replies = [
+      streamedReply('', {
+        tool_calls: [
+          { function: { name: 'echo', arguments: { text: 'a' } } },
+          { function: { name: 'memory_echo', arguments: { text: 'b' } } },
+          { function: { name: 'echo', arguments: { text: 'c' } } },
+          { function: { name: 'memory_echo', arguments: { text: 'd' } } },
+          { function: { name: 'echo', arguments: { text: 'e' } } }
+        ]
+      }),
+      streamedReply('', {
+        tool_calls: [
+          { function: { name: 'peak', arguments: {} } },
+          { function: { name: 'memory_peak', arguments: {} } }
+        ]
+      })
+    ];
+    ollama = await startMockOllama(() => replies.shift() || streamedReply('done'));
+    bridge = new MCPLLMBridge({
+      mcpServers: {
+        stub: { command: process.execPath, args: [STUB_SERVER], env: { STUB_DELAY: '300' }, maxConcurrency: 2 },
+        memory: {
+          command: process.execPath,
+          args: [STUB_SERVER],
+          env: { STUB_DELAY: '300', STUB_TOOL_PREFIX: 'memory_' },
+          reentrant: false
+        }
+      },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl },
+      sessionDirectory
+    });
+    await bridge.connectMcpServers();
+
+    const events: BridgeEvent[] = [];
+    const stream = bridge.streamMessage('echo five letters');
+    let result = await stream.next();
+    while (!result.done) {
+      events.push(result.value);
+      result = await stream.next();
+    }
+
+    expect(result.value).toBe('done');
+    const toolOutputs = (request: any) => request.messages
+      .filter((message: any) => message.role === 'tool')
+      .map((message: any) => message.content);
+    expect(toolOutputs(ollama.requests[1])).toEqual(['a', 'b', 'c', 'd', 'e']);
+    // Three echoes two at a time on one server, two one at a time on the other
+    expect(toolOutputs(ollama.requests[2]).slice(-2)).toEqual(['2', '1']);
+    // Every call is approved before any result comes back
+    const firstStep = events.filter(event => event.type !== 'token').slice(0, 10).map(event => event.type);
+    expect(firstStep).toEqual([...Array(5).fill('tool_call'), ...Array(5).fill('tool_result')]);
+    // Run one after another, the echoes would take 1.5 seconds
+    expect(bridge.lastTurn!.durationMs).toBeLessThan(1200);
+  }, TEST_TIMEOUT);
+});
+
+describe('MCPLLMBridge audit log', () => {
+  let ollama: MockOllama | null = null;
+  let bridge: MCPLLMBridge | null = null;
+
+  afterEach(async () => {
+    await bridge?.close();
+    await ollama?.close();
+    bridge = null;
+    ollama = null;
+  });
+
+  async function readRecords(file: string) {
+    return (await fs.readFile(file, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  it('records the turn, each model exchange and each tool call', async () => {
+    const replies = [
+      withUsage(streamedReply('', { tool_calls: [{ function: { name: 'echo', arguments: { text: 'Ann Smith' } } }] }), 20, 4),
+      withUsage(streamedReply('Echoed.'), 30, 2)
+    ];
+    ollama = await startMockOllama(() => replies.shift()!);
+    const file = path.join(sessionDirectory, 'audit.jsonl');
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER] } },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl },
+      sessionDirectory,
+      audit: { path: file, redact: ['text'] }
+    });
+    await bridge.connectMcpServers();
+
+    await bridge.processMessage('echo my name');
+    await bridge.close();
+
+    const records = await readRecords(file);
+    expect(records.map(record => record.type)).toEqual([
+      'llm_request', 'llm_response', 'tool_call', 'llm_request', 'llm_response', 'turn'
+    ]);
+    expect(new Set(records.map(record => record.turnId)).size).toBe(1);
+    expect(records[0]).toMatchObject({ provider: 'ollama', model: 'mock', messages: 1, tools: ['echo', 'add', 'announce'] });
+    expect(records[1]).toMatchObject({
+      toolCalls: [{ name: 'echo', arguments: '{"text":"[REDACTED]"}' }],
+      usage: { promptTokens: 20, completionTokens: 4 }
+    });
+    expect(records[1].latencyMs).toBeGreaterThanOrEqual(0);
+    expect(records[2]).toMatchObject({
+      server: 'stub',
+      tool: 'echo',
+      arguments: { text: '[REDACTED]' },
+      status: 'ok',
+      resultBytes: JSON.stringify({ content: [{ type: 'text', text: 'Ann Smith' }] }).length
+    });
+    expect(records[5]).toMatchObject({ sessionId: bridge.session.id, steps: 1, toolCalls: 1, promptTokens: 50, completionTokens: 6 });
+    // Without includeContent no message text or results are kept
+    expect(JSON.stringify(records)).not.toContain('Ann Smith');
+    expect(JSON.stringify(records)).not.toContain('echo my name');
+  }, TEST_TIMEOUT);
+
+  it('keeps content when asked and records refused calls', async () => {
+    const replies = [
+      streamedReply('', { tool_calls: [{ function: { name: 'add', arguments: { a: 1 } } }] }),
+      streamedReply('Could not add.')
+    ];
+    ollama = await startMockOllama(() => replies.shift()!);
+    const file = path.join(sessionDirectory, 'audit.jsonl');
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER] } },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl },
+      sessionDirectory,
+      audit: { path: file, includeContent: true }
+    });
+    await bridge.connectMcpServers();
+
+    await bridge.processMessage('add one');
+    await bridge.close();
+
+    const records = await readRecords(file);
+    const toolCall = records.find(record => record.type === 'tool_call');
+    expect(toolCall).toMatchObject({ tool: 'add', status: 'refused', resultBytes: 0 });
+    expect(toolCall.error).toContain('Invalid arguments for add');
+    expect(records[records.length - 1]).toMatchObject({ type: 'turn', message: 'add one', answer: 'Could not add.' });
+  }, TEST_TIMEOUT);
+
+  it('records tool results flagged as errors as failed calls', async () => {
+    const replies = [
+      streamedReply('', { tool_calls: [{ function: { name: 'fail', arguments: {} } }] }),
+      streamedReply('The tool failed.')
+    ];
+    ollama = await startMockOllama(() => replies.shift()!);
+    const file = path.join(sessionDirectory, 'audit.jsonl');
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER], env: { STUB_FAULTS: '1' } } },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl },
+      sessionDirectory,
+      audit: { path: file, includeContent: true }
+    });
+    await bridge.connectMcpServers();
+
+    const events: BridgeEvent[] = [];
+    const stream = bridge.streamMessage('try the tool');
+    let result = await stream.next();
+    while (!result.done) {
+      events.push(result.value);
+      result = await stream.next();
+    }
+    await bridge.close();
+
+    expect(events.find(event => event.type === 'tool_result')).toMatchObject({ name: 'fail', isError: true });
+    const toolCall = (await readRecords(file)).find(record => record.type === 'tool_call');
+    expect(toolCall).toMatchObject({ tool: 'fail', status: 'error' });
+    expect(toolCall.error).toContain('Something went wrong');
+    expect(toolCall.result).toBeUndefined();
+  }, TEST_TIMEOUT);
+  it('keeps secrets in tool arguments and results out of the debug log', async () => {
+    const secret = 'sk-live0123456789abcdef';
+    const replies = [
+      streamedReply('', { tool_calls: [{ function: { name: 'echo', arguments: { text: secret } } }] }),
+      streamedReply('Echoed.')
+    ];
+    ollama = await startMockOllama(() => replies.shift()!);
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER] } },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl },
+      sessionDirectory,
+      audit: { path: path.join(sessionDirectory, 'audit.jsonl') }
+    });
+    await bridge.connectMcpServers();
+    const lines: string[] = [];
+    const spies = (['error', 'warn', 'info', 'debug'] as const).map(level =>
+      jest.spyOn(logger, level).mockImplementation(((...args: any[]) => {
+        lines.push(args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' '));
+        return logger;
+      }) as any));
+
+    try {
+      await bridge.processMessage('echo my key');
+    } finally {
+      spies.forEach(spy => spy.mockRestore());
+    }
+
+    expect(lines.some(line => line.startsWith('[MCP] Tool result:'))).toBe(true);
+    expect(lines.join('\n')).not.toContain(secret);
+  }, TEST_TIMEOUT);
+});
+
+describe('MCPLLMBridge structured output', () => {
+  let ollama: MockOllama | null = null;
+  let bridge: MCPLLMBridge | null = null;
+
+  afterEach(async () => {
+    await bridge?.close();
+    await ollama?.close();
+    bridge = null;
+    ollama = null;
+  });
+
+  it('keeps the configured system prompt on every turn', async () => {
+    const replies = [
+      chatReply({ content: JSON.stringify({ name: 'echo', arguments: { text: 'hi' } }) }),
+      chatReply({ content: JSON.stringify({ name: 'final_answer', answer: 'Echoed.' }) }),
+      chatReply({ content: JSON.stringify({ name: 'final_answer', answer: 'Bye.' }) })
+    ];
+    ollama = await startMockOllama(() => replies.shift()!);
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER] } },
+      llmConfig: { model: 'mock', baseUrl: ollama.baseUrl, toolMode: 'structured', systemPrompt: 'Answer in French.' },
+      sessionDirectory
+    });
+    await bridge.connectMcpServers();
+
+    expect(await bridge.processMessage('echo hi')).toBe('Echoed.');
+    expect(await bridge.processMessage('say bye')).toBe('Bye.');
+
+    expect(ollama.requests).toHaveLength(3);
+    for (const request of ollama.requests) {
+      expect(request.messages[0]).toEqual({ role: 'system', content: 'Answer in French.' });
+      expect(request.format.oneOf.map((branch: any) => branch.properties.name.const)).toContain('final_answer');
+    }
+    expect(bridge.llmClient.systemPrompt).toBe('Answer in French.');
+  }, TEST_TIMEOUT);
+});
+
+describe('MCPLLMBridge server configuration', () => {
+  let bridge: MCPLLMBridge | null = null;
+  const stub = (env: Record<string, string> = {}) => ({ command: process.execPath, args: [STUB_SERVER], env });
+  const toolNames = () => bridge!.tools.map(tool => tool.function.name).sort();
+
+  afterEach(async () => {
+    await bridge?.close();
+    bridge = null;
+  });
+
+  function createServerBridge(mcpServers: any) {
+    return new MCPLLMBridge({ mcpServers, llmConfig: { model: 'mock', baseUrl: 'http://127.0.0.1:1' }, sessionDirectory });
+  }
+
+  it('skips disabled servers, filters tools and carries on without optional servers', async () => {
+    bridge = createServerBridge({
+      stub: { ...stub(), excludeTools: ['announce'] },
+      math: { ...stub({ STUB_TOOL_PREFIX: 'math_' }), includeTools: ['math_*'], excludeTools: ['math_echo'] },
+      off: { ...stub({ STUB_TOOL_PREFIX: 'off_' }), disabled: true },
+      missing: { command: process.execPath, args: [path.join(__dirname, 'fixtures', 'no-such-server.js')], optional: true }
+    });
+
+    await bridge.connectMcpServers();
+
+    expect(Object.keys(bridge.getMcpClients()).sort()).toEqual(['math', 'stub']);
+    expect(toolNames()).toEqual(['add', 'echo', 'math_add', 'math_announce']);
+    expect(bridge.isToolEnabled('math', 'math_echo')).toBe(false);
+  }, TEST_TIMEOUT);
+
+  it('fails when a required server does not start', async () => {
+    bridge = createServerBridge({
+      stub: stub(),
+      missing: { command: process.execPath, args: [path.join(__dirname, 'fixtures', 'no-such-server.js')] }
+    });
+
+    await expect(bridge.connectMcpServers()).rejects.toThrow('Failed to connect to MCP server: missing');
+    // The servers that did start stay usable
+    expect(toolNames()).toEqual(['add', 'announce', 'echo']);
+  }, TEST_TIMEOUT);
+
+  it('stops a server whose tool list cannot be read', async () => {
+    const close = jest.spyOn(MCPClient.prototype, 'close');
+    bridge = createServerBridge({ stub: stub() });
+    await bridge.connectMcpServers();
+
+    try {
+      await expect(bridge.reloadMcpServers({ stub: stub(), broken: stub({ STUB_LIST_FAILS: '1' }) }))
+        .rejects.toThrow('Failed to connect to MCP server: broken');
+      await expect(bridge.reloadMcpServers({ stub: stub(), broken: stub({ STUB_LIST_FAILS: '1' }) }))
+        .rejects.toThrow('Failed to connect to MCP server: broken');
+
+      // Each failed attempt closed its own client
+      expect(close).toHaveBeenCalledTimes(2);
+      expect(Object.keys(bridge.getMcpClients())).toEqual(['stub']);
+    } finally {
+      close.mockRestore();
+    }
+  }, TEST_TIMEOUT);
+
+  it('connects, disconnects and restarts servers on reload', async () => {
+    bridge = createServerBridge({ stub: stub(), math: stub({ STUB_TOOL_PREFIX: 'math_' }) });
+    await bridge.connectMcpServers();
+    const stubClient = bridge.getMcpClients().stub;
+    const mathClient = bridge.getMcpClients().math;
+
+    const changes = await bridge.reloadMcpServers({
+      stub: { ...stub(), includeTools: ['echo'] },
+      math: { ...stub({ STUB_TOOL_PREFIX: 'math_' }), disabled: true },
+      text: stub({ STUB_TOOL_PREFIX: 'text_' })
+    });
+
+    expect(changes).toEqual({ connected: ['text'], disconnected: ['math'], restarted: [], failed: [] });
+    // A filter change alone keeps the server running
+    expect(bridge.getMcpClients().stub).toBe(stubClient);
+    expect(toolNames()).toEqual(['echo', 'text_add', 'text_announce', 'text_echo']);
+    await expect(mathClient.callTool('math_add', { a: 1, b: 2 })).rejects.toThrow();
+
+    const restarted = await bridge.reloadMcpServers({ stub: stub({ STUB_NAME: 'renamed' }) });
+
+    expect(restarted).toEqual({ connected: [], disconnected: ['text'], restarted: ['stub'], failed: [] });
+    expect(bridge.getMcpClients().stub).not.toBe(stubClient);
+    expect(toolNames()).toEqual(['add', 'announce', 'echo']);
+  }, TEST_TIMEOUT);
+
+  it('keeps reloads and turns apart', async () => {
+    let reloaded = false;
+    const reloadedAtRequest: boolean[] = [];
+    const ollama = await startMockOllama(body => {
+      reloadedAtRequest.push(reloaded);
+      return body.messages[body.messages.length - 1].role === 'tool'
+        ? streamedReply('done')
+        : streamedReply('', { tool_calls: [{ function: { name: 'echo', arguments: { text: 'hi' } } }] });
+    });
+    try {
+      bridge = new MCPLLMBridge({ mcpServers: { stub: stub() }, llmConfig: { model: 'mock', baseUrl: ollama.baseUrl }, sessionDirectory });
+      await bridge.connectMcpServers();
+
+      // A turn stopped at its tool call holds the reload off until it is done
+      const stream = bridge.streamMessage('echo hi');
+      let event = await stream.next();
+      while (!event.done && event.value.type !== 'tool_call') {
+        event = await stream.next();
+      }
+      let idle = false;
+      const waiting = bridge.whenIdle().then(() => { idle = true; });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(idle).toBe(false);
+      expect(await drainStream(stream)).toBe('done');
+      await waiting;
+      expect(idle).toBe(true);
+
+      // A turn started during a reload waits for it
+      const reload = bridge.reloadMcpServers({ stub: stub({ STUB_NAME: 'renamed' }) }).then(changes => {
+        reloaded = true;
+        return changes;
+      });
+      expect(await bridge.processMessage('echo again')).toBe('done');
+      expect(await reload).toEqual({ connected: [], disconnected: [], restarted: ['stub'], failed: [] });
+      expect(reloadedAtRequest).toEqual([false, false, true, true]);
+    } finally {
+      await ollama.close();
+    }
+  }, TEST_TIMEOUT);
+});
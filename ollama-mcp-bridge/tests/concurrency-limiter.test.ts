@@ -0,0 +1,65 @@
+import { describe, it, expect } from '@jest/globals';
+import { ConcurrencyLimiter } from '../src/concurrency-limiter';
+
+// A task that finishes when the test says so
+function deferred() {
+  let finish!: () => void;
+  const done = new Promise<void>(resolve => { finish = resolve; });
+  return { done, finish };
+}
+
+describe('ConcurrencyLimiter', () => {
+  it('runs up to the limit at once and starts the rest in order', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    const tasks = [deferred(), deferred(), deferred(), deferred()];
+    const started: number[] = [];
+    const runs = tasks.map((task, index) => limiter.run(async () => {
+      started.push(index);
+      await task.done;
+      return index;
+    }));
+
+    await Promise.resolve();
+    expect(started).toEqual([0, 1]);
+    expect(limiter.queued).toBe(2);
+
+    tasks[1].finish();
+    await runs[1];
+    await Promise.resolve();
+    expect(started).toEqual([0, 1, 2]);
+    expect(limiter.running).toBe(2);
+
+    tasks.forEach(task => task.finish());
+    expect(await Promise.all(runs)).toEqual([0, 1, 2, 3]);
+    expect(limiter.running).toBe(0);
+  });
+
+  it('does not let newcomers overtake queued tasks', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const first = deferred();
+    const order: string[] = [];
+    const runs = [
+      limiter.run(async () => { await first.done; order.push('first'); }),
+      limiter.run(async () => { order.push('queued'); })
+    ];
+
+    first.finish();
+    runs.push(limiter.run(async () => { order.push('newcomer'); }));
+    await Promise.all(runs);
+
+    expect(order).toEqual(['first', 'queued', 'newcomer']);
+  });
+
+  it('frees the slot when a task fails', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+
+    await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+    expect(await limiter.run(async () => 'next')).toBe('next');
+    expect(limiter.running).toBe(0);
+  });
+
+  it('rejects limits below one', () => {
+    expect(() => new ConcurrencyLimiter(0)).toThrow('Concurrency limit must be a positive integer, got 0');
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ConfigError, PROJECT_CONFIG_PATH, loadBridgeConfig } from '../src/config';
+
+describe('loadBridgeConfig', () => {
+  let directory: string;
+  let missing: string;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-config-'));
+    missing = path.join(directory, 'missing.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  async function writeConfig(name: string, config: any): Promise<string> {
+    const file = path.join(directory, name);
+    await fs.writeFile(file, typeof config === 'string' ? config : JSON.stringify(config, null, 2));
+    return file;
+  }
+
+  it('expands $VAR and ${VAR} in server fields and llm settings', async () => {
+    const configPath = await writeConfig('bridge.json', {
+      mcpServers: {
+        search: {
+          command: '${NODE_BIN}',
+          args: ['$SERVERS/search.js', '--price=$$5'],
+          env: { BRAVE_API_KEY: '$BRAVE_API_KEY', UNSET: 'x${NOT_SET}y' }
+        },
+        remote: { url: 'https://mcp.example.com/mcp', headers: { Authorization: 'Bearer ${REMOTE_TOKEN}' } }
+      },
+      llm: { model: 'llama3.2:3b', baseUrl: 'http://${OLLAMA_HOST}:11434', temperature: '${TEMPERATURE}' },
+      systemPrompt: 'Prices are in $USD'
+    });
+
+    const config = await loadBridgeConfig({
+      configPath,
+      env: { NODE_BIN: '/usr/bin/node', SERVERS: '/opt/mcp', BRAVE_API_KEY: 'brave-key', REMOTE_TOKEN: 'abc', OLLAMA_HOST: 'gpu-box', TEMPERATURE: '0.2' }
+    });
+
+    expect(config.mcpServers.search).toEqual({
+      command: '/usr/bin/node',
+      args: ['/opt/mcp/search.js', '--price=$5'],
+      env: { BRAVE_API_KEY: 'brave-key', UNSET: 'xy' }
+    });
+    expect(config.mcpServers.remote.headers).toEqual({ Authorization: 'Bearer abc' });
+    expect(config.llm).toMatchObject({ model: 'llama3.2:3b', baseUrl: 'http://gpu-box:11434', temperature: 0.2, stream: true });
+    // Only servers and llm settings are expanded
+    expect(config.systemPrompt).toBe('Prices are in $USD');
+  });
+
+  it('reports every schema violation with its path', async () => {
+    const configPath = await writeConfig('bad.json', {
+      mcpServers: {
+        github: { command: 'node', args: ['server.js'], timout: 5000, maxConcurrency: 'lots' },
+        empty: {}
+      },
+      llm: { model: 'm', baseUrl: 'localhost:11434', toolMode: 'json' },
+      maxSteps: 0
+    });
+
+    const error = await loadBridgeConfig({ configPath }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.file).toBe(configPath);
+    expect(error.message).toContain(`Invalid configuration in ${configPath}:`);
+    expect(error.issues).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^- mcpServers\.github\.maxConcurrency: /),
+      expect.stringMatching(/^- mcpServers\.github\.timout: is not a known property/),
+      '- mcpServers.empty: needs a command or a url',
+      expect.stringMatching(/^- llm\.baseUrl: /),
+      expect.stringMatching(/^- llm\.toolMode: /),
+      expect.stringMatching(/^- maxSteps: /)
+    ]));
+  });
+
+  it('points JSON syntax errors at a line and column', async () => {
+    const configPath = await writeConfig('typo.json', '{\n  "llm": {\n    "model": "m",\n  }\n}');
+
+    await expect(loadBridgeConfig({ configPath })).rejects.toThrow(/^Could not parse .*typo\.json: .*\(line 4, column 3\)$/);
+  });
+
+  it('accepts a Claude Desktop config with settings of its own', async () => {
+    const configPath = await writeConfig('claude_desktop_config.json', {
+      globalShortcut: 'Ctrl+Space',
+      mcpServers: {
+        memory: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-memory'] },
+        github: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'], env: { GITHUB_PERSONAL_ACCESS_TOKEN: '$GH_TOKEN' } }
+      }
+    });
+
+    const config = await loadBridgeConfig({ configPath, env: { GH_TOKEN: 'ghp_1' } });
+
+    expect(Object.keys(config.mcpServers)).toEqual(expect.arrayContaining(['memory', 'github']));
+    expect(config.mcpServers.github.env).toEqual({ GITHUB_PERSONAL_ACCESS_TOKEN: 'ghp_1' });
+    expect(config.llm?.model).toBe('qwen2.5-coder:7b-instruct');
+  });
+
+  it('takes the servers of a config file as they are', async () => {
+    const configPath = await writeConfig('servers.json', {
+      mcpServers: {
+        github: { command: 'npx', includeTools: ['get_*', 'search_*'], excludeTools: ['get_secret'], optional: true },
+        memory: { command: 'npx', disabled: true }
+      }
+    });
+
+    const config = await loadBridgeConfig({ configPath });
+
+    // The default filesystem server is not added
+    expect(Object.keys(config.mcpServers)).toEqual(['github', 'memory']);
+    expect(config.mcpServers.github).toMatchObject({ includeTools: ['get_*', 'search_*'], excludeTools: ['get_secret'], optional: true });
+    expect(config.mcpServers.memory.disabled).toBe(true);
+  });
+
+  it('prefers --config, then MCP_BRIDGE_CONFIG, then the project file, then the user file', async () => {
+    const fromFlag = await writeConfig('flag.json', { systemPrompt: 'flag' });
+    const fromEnv = await writeConfig('env.json', { systemPrompt: 'env' });
+    const project = await writeConfig('project.json', { systemPrompt: 'project' });
+    const user = await writeConfig('user.json', { systemPrompt: 'user' });
+    const env = { MCP_BRIDGE_CONFIG: fromEnv };
+
+    const prompt = async (options: any) => (await loadBridgeConfig(options)).systemPrompt;
+
+    expect(await prompt({ configPath: fromFlag, env, projectPath: project, userPath: user })).toBe('flag');
+    expect(await prompt({ env, projectPath: project, userPath: user })).toBe('env');
+    expect(await prompt({ env: {}, projectPath: project, userPath: user })).toBe('project');
+    expect(await prompt({ env: {}, projectPath: missing, userPath: user })).toBe('user');
+    expect(await prompt({ env: {}, projectPath: missing, userPath: missing })).toBe(
+      'You are a helpful assistant that can use tools to help answer questions.'
+    );
+  });
+
+  it('fails when an explicitly named file does not exist', async () => {
+    await expect(loadBridgeConfig({ configPath: missing })).rejects.toThrow(`Config file ${missing} (from --config) does not exist`);
+    await expect(loadBridgeConfig({ env: { MCP_BRIDGE_CONFIG: missing } }))
+      .rejects.toThrow(`Config file ${missing} (from MCP_BRIDGE_CONFIG) does not exist`);
+  });
+
+  it('validates the bundled bridge_config.json', async () => {
+    await expect(loadBridgeConfig({ configPath: PROJECT_CONFIG_PATH, env: {} })).resolves.toBeDefined();
+  });
+});
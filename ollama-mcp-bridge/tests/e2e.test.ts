@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MCPLLMBridge } from '../src/bridge';
+import { ScriptedLLM, startScriptedLLM } from './fake-llm';
+import { FakeToolServer, startFakeMcpServer } from './fake-mcp-server';
+
+const TEST_TIMEOUT = 30000;
+
+// The last tool result the model was shown
+function lastToolMessage(request: any): string {
+  return request.messages.filter((message: any) => message.role === 'tool').pop()?.content;
+}
+
+describe('MCPLLMBridge end to end', () => {
+  let sessionDirectory: string;
+  let llm: ScriptedLLM | null = null;
+  let servers: FakeToolServer[] = [];
+  let bridge: MCPLLMBridge | null = null;
+
+  beforeEach(async () => {
+    sessionDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-e2e-'));
+  });
+
+  afterEach(async () => {
+    await bridge?.close();
+    await llm?.close();
+    await Promise.all(servers.map(server => server.close()));
+    await fs.rm(sessionDirectory, { recursive: true, force: true });
+    bridge = null;
+    llm = null;
+    servers = [];
+  });
+
+  async function startBridge(mcpServers: { [name: string]: FakeToolServer }) {
+    servers = Object.values(mcpServers);
+    bridge = new MCPLLMBridge({
+      mcpServers: Object.fromEntries(Object.entries(mcpServers).map(([name, server]) => [name, { url: server.url }])),
+      llmConfig: { model: 'scripted', baseUrl: llm!.baseUrl },
+      sessionDirectory
+    });
+    await bridge.connectMcpServers();
+    return bridge;
+  }
+
+  it('chains tools across servers, feeding each result to the next step', async () => {
+    const search = await startFakeMcpServer({
+      search_notes: {
+        description: 'Find notes matching a query',
+        inputSchema: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] },
+        handler: ({ query }) => JSON.stringify([{ id: 'n-7', title: `Notes about ${query}` }])
+      }
+    });
+    const files = await startFakeMcpServer({
+      read_note: {
+        description: 'Read a note by id',
+        inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+        handler: ({ id }) => `Note ${id}: renew the passport before June.`
+      }
+    });
+    llm = await startScriptedLLM([
+      { toolCalls: [{ name: 'search_notes', arguments: { query: 'passport' } }] },
+      {
+        check: request => expect(lastToolMessage(request)).toBe('[{"id":"n-7","title":"Notes about passport"}]'),
+        toolCalls: [{ name: 'read_note', arguments: { id: 'n-7' } }]
+      },
+      {
+        check: request => expect(lastToolMessage(request)).toBe('Note n-7: renew the passport before June.'),
+        content: 'Your note says to renew the passport before June.'
+      }
+    ]);
+    const chainBridge = await startBridge({ search, files });
+
+    const answer = await chainBridge.processMessage('What did I write about my passport?');
+
+    expect(answer).toBe('Your note says to renew the passport before June.');
+    llm.assertDone();
+    expect(search.calls).toEqual([{ name: 'search_notes', arguments: { query: 'passport' } }]);
+    expect(files.calls).toEqual([{ name: 'read_note', arguments: { id: 'n-7' } }]);
+    expect(chainBridge.lastTurn).toMatchObject({ steps: 2, toolCalls: 2 });
+  }, TEST_TIMEOUT);
+
+  it('hands tool failures back to the model', async () => {
+    const api = await startFakeMcpServer({
+      fetch_weather: {
+        inputSchema: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+        handler: () => { throw new Error('Upstream weather service returned 503'); }
+      }
+    });
+    llm = await startScriptedLLM([
+      { toolCalls: [{ name: 'fetch_weather', arguments: { city: 'Oslo' } }] },
+      {
+        check: request => expect(lastToolMessage(request)).toBe('Upstream weather service returned 503'),
+        toolCalls: [{ name: 'no_such_tool', arguments: {} }]
+      },
+      {
+        check: request => expect(lastToolMessage(request)).toBe('Error: No MCP found for tool: no_such_tool'),
+        content: 'The weather service is unavailable right now.'
+      }
+    ]);
+    const failingBridge = await startBridge({ api });
+
+    const answer = await failingBridge.processMessage('Weather in Oslo?');
+
+    expect(answer).toBe('The weather service is unavailable right now.');
+    llm.assertDone();
+  }, TEST_TIMEOUT);
+
+  it('reports a failing model and keeps the session usable', async () => {
+    const api = await startFakeMcpServer({ ping: { handler: () => 'pong' } });
+    llm = await startScriptedLLM([
+      { status: 500, error: 'model runner crashed' },
+      { content: 'Back again.' }
+    ]);
+    const flakyBridge = await startBridge({ api });
+
+    const failed = await flakyBridge.processMessage('Hello?');
+    const recovered = await flakyBridge.processMessage('Hello again?');
+
+    expect(failed).toBe('Error processing message: HTTP error! status: 500, details: {"error":"model runner crashed"}');
+    expect(recovered).toBe('Back again.');
+    llm.assertDone();
+    expect(api.calls).toEqual([]);
+  }, TEST_TIMEOUT);
+
+  it('fails the script when the model is asked more than expected', async () => {
+    const api = await startFakeMcpServer({ ping: { handler: () => 'pong' } });
+    llm = await startScriptedLLM([{ toolCalls: [{ name: 'ping', arguments: {} }] }]);
+    const bridgeUnderTest = await startBridge({ api });
+
+    const answer = await bridgeUnderTest.processMessage('ping it');
+
+    expect(answer).toContain('Error processing message: HTTP error! status: 500');
+    expect(() => llm!.assertDone()).toThrow('Request 2 has no scripted reply');
+  }, TEST_TIMEOUT);
+});
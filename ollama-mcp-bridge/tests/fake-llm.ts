@@ -0,0 +1,69 @@
+import { startMockOllama, streamedReply, chatReply, withUsage, MockOllama, MockChatReply } from './mock-ollama';
+
+// One scripted model reply, in the order the bridge will ask for them
+export interface ScriptStep {
+  content?: string;
+  toolCalls?: Array<{ name: string; arguments: any }>;
+  usage?: { promptTokens: number; completionTokens: number };
+  // Answers with this HTTP status and error text instead, e.g. 500
+  status?: number;
+  error?: string;
+  // Assertions on the request the model receives; a failure is answered with
+  // a 500 and reported by assertDone()
+  check?: (request: any) => void;
+}
+
+export interface ScriptedLLM extends MockOllama {
+  // Throws if a check failed or scripted replies were left unused
+  assertDone(): void;
+}
+
+function toReply(step: ScriptStep, stream: boolean): MockChatReply {
+  if (step.status) {
+    return { status: step.status, body: { error: step.error || `HTTP ${step.status}` } };
+  }
+  const toolCalls = step.toolCalls
+    ? { tool_calls: step.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } })) }
+    : {};
+  const reply = stream
+    ? streamedReply(step.content || '', toolCalls)
+    : chatReply({ content: step.content || '', ...toolCalls });
+  return step.usage ? withUsage(reply, step.usage.promptTokens, step.usage.completionTokens) : reply;
+}
+
+// A fake Ollama that plays back a script, so bridge flows can be tested end
+// to end without a model. Requests beyond the script get a 500.
+export async function startScriptedLLM(script: ScriptStep[]): Promise<ScriptedLLM> {
+  const steps = [...script];
+  const failures: string[] = [];
+  let requestCount = 0;
+
+  const llm = await startMockOllama(request => {
+    requestCount++;
+    const step = steps.shift();
+    if (!step) {
+      failures.push(`Request ${requestCount} has no scripted reply`);
+      return { status: 500, body: { error: `Scripted LLM has no reply for request ${requestCount}` } };
+    }
+    try {
+      step.check?.(request);
+    } catch (error: any) {
+      failures.push(`Request ${requestCount} failed its check: ${error?.message || String(error)}`);
+      return { status: 500, body: { error: `Scripted LLM check failed for request ${requestCount}` } };
+    }
+    return toReply(step, request.stream);
+  });
+
+  return {
+    ...llm,
+    assertDone() {
+      const problems = [...failures];
+      if (steps.length > 0) {
+        problems.push(`${steps.length} scripted ${steps.length === 1 ? 'reply was' : 'replies were'} never requested`);
+      }
+      if (problems.length > 0) {
+        throw new Error(problems.join('\n'));
+      }
+    }
+  };
+}
@@ -0,0 +1,131 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+
+// Answers one JSON-RPC request; throw an McpError for a protocol error
+export type McpHandler = (method: string, params: any) => any | Promise<any>;
+
+export class McpError extends Error {
+  constructor(public code: number, message: string) {
+    super(message);
+    this.name = 'McpError';
+  }
+}
+
+export interface FakeMcpServer {
+  url: string;
+  // Every JSON-RPC request received, notifications included
+  requests: Array<{ method: string; params: any }>;
+  close(): Promise<void>;
+}
+
+export interface FakeTool {
+  description?: string;
+  inputSchema?: any;
+  // Returns the text result, or a full MCP result. Throwing yields an
+  // isError result, the way MCP servers report failed tool calls.
+  handler: (args: any) => string | { content: any[]; isError?: boolean } | Promise<string | { content: any[]; isError?: boolean }>;
+}
+
+export interface FakeToolServer extends FakeMcpServer {
+  calls: Array<{ name: string; arguments: any }>;
+}
+
+const SESSION_ID = 'fake-session';
+
+// Serves `handler` over Streamable HTTP at /mcp on 127.0.0.1, so an
+// MCPClient with `url` set talks to it like any remote MCP server
+export async function serveMcp(handler: McpHandler): Promise<FakeMcpServer> {
+  const requests: FakeMcpServer['requests'] = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      if (req.method === 'GET') {
+        res.writeHead(405);
+        res.end();
+        return;
+      }
+      if (req.method === 'DELETE') {
+        res.writeHead(200);
+        res.end();
+        return;
+      }
+
+      const message = JSON.parse(raw);
+      requests.push({ method: message.method, params: message.params });
+      if (message.id === undefined || !message.method) {
+        res.writeHead(202);
+        res.end();
+        return;
+      }
+
+      let reply: any;
+      try {
+        reply = { result: await handler(message.method, message.params || {}) };
+      } catch (error: any) {
+        reply = {
+          error: {
+            code: error instanceof McpError ? error.code : -32603,
+            message: error?.message || String(error)
+          }
+        };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': SESSION_ID });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, ...reply }));
+    });
+  });
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', () => resolve()));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    url: `http://127.0.0.1:${port}/mcp`,
+    requests,
+    close: () => new Promise<void>(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
+
+// An MCP server whose tools are plain functions in the test
+export async function startFakeMcpServer(tools: { [name: string]: FakeTool }, name: string = 'fake-mcp-server'): Promise<FakeToolServer> {
+  const calls: FakeToolServer['calls'] = [];
+
+  const server = await serveMcp(async (method, params) => {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: params.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name, version: '1.0.0' }
+        };
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return {
+          tools: Object.entries(tools).map(([toolName, tool]) => ({
+            name: toolName,
+            description: tool.description || '',
+            inputSchema: tool.inputSchema || { type: 'object', properties: {} }
+          }))
+        };
+      case 'tools/call': {
+        const tool = tools[params.name];
+        if (!tool) throw new McpError(-32602, `Unknown tool: ${params.name}`);
+        calls.push({ name: params.name, arguments: params.arguments || {} });
+        try {
+          const result = await tool.handler(params.arguments || {});
+          return typeof result === 'string' ? { content: [{ type: 'text', text: result }] } : result;
+        } catch (error: any) {
+          return { content: [{ type: 'text', text: error?.message || String(error) }], isError: true };
+        }
+      }
+      default:
+        throw new McpError(-32601, `Method not found: ${method}`);
+    }
+  });
+
+  return { ...server, calls };
+}
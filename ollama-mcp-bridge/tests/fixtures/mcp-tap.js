@@ -0,0 +1,35 @@
+// Runs an MCP server over stdio and appends every JSON-RPC line that passes
+// through to a JSONL file, tagged with its direction:
+//   node mcp-tap.js <log file> <command> [args...]
+const { spawn } = require('child_process');
+const fs = require('fs');
+const readline = require('readline');
+
+const [logFile, command, ...args] = process.argv.slice(2);
+if (!logFile || !command) {
+  process.stderr.write('Usage: node mcp-tap.js <log file> <command> [args...]\n');
+  process.exit(2);
+}
+
+function log(from, line) {
+  try {
+    fs.appendFileSync(logFile, JSON.stringify({ from, message: JSON.parse(line) }) + '\n');
+  } catch (error) {
+    // Not JSON; pass it through unrecorded
+  }
+}
+
+const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'inherit'] });
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  log('client', line);
+  child.stdin.write(line + '\n');
+}).on('close', () => child.stdin.end());
+
+readline.createInterface({ input: child.stdout }).on('line', line => {
+  log('server', line);
+  process.stdout.write(line + '\n');
+});
+
+child.on('exit', code => process.exit(code ?? 0));
+process.on('SIGTERM', () => child.kill('SIGTERM'));
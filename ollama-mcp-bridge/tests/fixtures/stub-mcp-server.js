@@ -0,0 +1,182 @@
+// Tiny MCP server speaking newline-delimited JSON-RPC over stdio, for tests.
+// Tool names can be prefixed with STUB_TOOL_PREFIX to simulate other servers,
+// and STUB_NAME is used in resource URIs and prompt text. STUB_FAULTS adds
+// tools that misbehave: a huge result, a call that never returns, a crash,
+// a result flagged as an error.
+// STUB_DELAY makes echo take that many milliseconds and adds a peak tool
+// reporting the most echo calls that were ever running at once.
+// STUB_LIST_FAILS answers tools/list with an error.
+const readline = require('readline');
+
+const prefix = process.env.STUB_TOOL_PREFIX || '';
+const delay = Number(process.env.STUB_DELAY || 0);
+const serverName = process.env.STUB_NAME || 'stub';
+
+const tools = [
+  {
+    name: `${prefix}echo`,
+    description: 'Echo the given text back',
+    inputSchema: {
+      type: 'object',
+      properties: { text: { type: 'string' } },
+      required: ['text']
+    }
+  },
+  {
+    name: `${prefix}add`,
+    description: 'Add two numbers',
+    inputSchema: {
+      type: 'object',
+      properties: { a: { type: 'number' }, b: { type: 'number' } },
+      required: ['a', 'b']
+    }
+  },
+  {
+    name: `${prefix}announce`,
+    description: 'Send a log message, progress and a tool list change, then ping the client',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+if (process.env.STUB_FAULTS) {
+  tools.push(
+    { name: 'big', description: 'Return a very large result', inputSchema: { type: 'object', properties: {} } },
+    { name: 'hang', description: 'Never answer', inputSchema: { type: 'object', properties: {} } },
+    { name: 'crash', description: 'Exit the process', inputSchema: { type: 'object', properties: {} } },
+    { name: 'cancellations', description: 'List cancelled request ids', inputSchema: { type: 'object', properties: {} } },
+    { name: 'fail', description: 'Report that the tool failed', inputSchema: { type: 'object', properties: {} } }
+  );
+}
+
+if (delay) {
+  tools.push({ name: `${prefix}peak`, description: 'Most echo calls running at once', inputSchema: { type: 'object', properties: {} } });
+}
+
+const cancelled = [];
+let running = 0;
+let peak = 0;
+
+async function slowEcho(text) {
+  running++;
+  peak = Math.max(peak, running);
+  await new Promise(resolve => setTimeout(resolve, delay));
+  running--;
+  return { content: [{ type: 'text', text: String(text) }] };
+}
+
+const extraTool = {
+  name: `${prefix}extra`,
+  description: 'Added by announce',
+  inputSchema: { type: 'object', properties: {} }
+};
+
+const resources = [
+  { uri: `stub://${serverName}/readme`, name: 'readme', mimeType: 'text/plain' }
+];
+
+const resourceTemplates = [
+  { uriTemplate: `stub://${serverName}/notes/{id}`, name: 'note', mimeType: 'text/plain' }
+];
+
+const prompts = [
+  { name: 'greet', description: 'Greet someone', arguments: [{ name: 'who', required: true }] }
+];
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+const pendingPings = new Map();
+let nextPingId = 1;
+
+function ping() {
+  const id = `stub-ping-${nextPingId++}`;
+  send({ id, method: 'ping' });
+  return new Promise(resolve => pendingPings.set(id, resolve));
+}
+
+async function announce(meta) {
+  send({ method: 'notifications/message', params: { level: 'warning', logger: serverName, data: 'announcing' } });
+  if (meta && meta.progressToken !== undefined) {
+    send({ method: 'notifications/progress', params: { progressToken: meta.progressToken, progress: 1, total: 2 } });
+  }
+  if (!tools.includes(extraTool)) tools.push(extraTool);
+  send({ method: 'notifications/tools/list_changed' });
+  await ping();
+  return { content: [{ type: 'text', text: 'pong received' }] };
+}
+
+function callTool(name, args, meta) {
+  switch (name) {
+    case `${prefix}announce`:
+      return announce(meta);
+    case `${prefix}echo`:
+      if (delay) return slowEcho(args.text);
+      return { content: [{ type: 'text', text: String(args.text) }] };
+    case `${prefix}peak`:
+      return { content: [{ type: 'text', text: String(peak) }] };
+    case `${prefix}add`:
+      return { content: [{ type: 'text', text: String(args.a + args.b) }] };
+    case 'big':
+      return { content: [{ type: 'text', text: 'x'.repeat(500000) }] };
+    case 'hang':
+      return new Promise(() => {});
+    case 'crash':
+      process.exit(1);
+    case 'cancellations':
+      return { content: [{ type: 'text', text: JSON.stringify(cancelled) }] };
+    case 'fail':
+      return { content: [{ type: 'text', text: 'Something went wrong' }], isError: true };
+    default:
+      return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
+  }
+}
+
+const handlers = {
+  initialize: () => ({
+    protocolVersion: '2024-11-05',
+    capabilities: { tools: {}, resources: {}, prompts: {} },
+    serverInfo: { name: 'stub-mcp-server', version: '1.0.0' }
+  }),
+  'tools/list': () => {
+    if (process.env.STUB_LIST_FAILS) throw new Error('Tool list unavailable');
+    return { tools };
+  },
+  'tools/call': params => callTool(params.name, params.arguments || {}, params._meta),
+  'resources/list': () => ({ resources }),
+  'resources/templates/list': () => ({ resourceTemplates }),
+  'resources/read': params => ({
+    contents: [{ uri: params.uri, mimeType: 'text/plain', text: `${serverName} read ${params.uri}` }]
+  }),
+  'prompts/list': () => ({ prompts }),
+  'prompts/get': params => ({
+    messages: [{ role: 'user', content: { type: 'text', text: `Hello ${params.arguments?.who} from ${serverName}` } }]
+  }),
+  ping: () => ({})
+};
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  if (!line.trim()) return;
+  const message = JSON.parse(line);
+  if (message.id === undefined) { // notification
+    if (message.method === 'notifications/cancelled') cancelled.push(message.params.requestId);
+    return;
+  }
+  if (!message.method) { // response to one of our pings
+    pendingPings.get(message.id)?.(message);
+    pendingPings.delete(message.id);
+    return;
+  }
+
+  const handler = handlers[message.method];
+  if (!handler) {
+    send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+    return;
+  }
+  Promise.resolve()
+    .then(() => handler(message.params || {}))
+    .then(
+      result => send({ id: message.id, result }),
+      error => send({ id: message.id, error: { code: -32603, message: error.message } })
+    );
+});
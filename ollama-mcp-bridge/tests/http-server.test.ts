@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MCPLLMBridge } from '../src/bridge';
+import { OpenAICompatibleServer } from '../src/http-server';
+import { startMockOllama, chatReply, streamedReply, MockOllama, MockChatReply } from './mock-ollama';
+
+const TEST_TIMEOUT = 30000;
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'stub-mcp-server.js');
+
+describe('OpenAI-compatible HTTP server', () => {
+  let ollama: MockOllama;
+  let bridge: MCPLLMBridge;
+  let server: OpenAICompatibleServer;
+  let baseUrl: string;
+  let sessionDirectory: string;
+  let replies: MockChatReply[] = [];
+
+  beforeAll(async () => {
+    sessionDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-sessions-'));
+    ollama = await startMockOllama(() => replies.shift() || chatReply({ content: 'no more replies' }));
+    bridge = new MCPLLMBridge({
+      mcpServers: { stub: { command: process.execPath, args: [STUB_SERVER] } },
+      llmConfig: { model: 'mock-model', baseUrl: ollama.baseUrl },
+      sessionDirectory
+    });
+    expect(await bridge.initialize()).toBe(true);
+
+    server = new OpenAICompatibleServer(bridge, 'mock-model', { port: 0, apiKey: 'secret' });
+    const address = await server.start();
+    baseUrl = `http://127.0.0.1:${address.port}/v1`;
+  }, TEST_TIMEOUT);
+
+  afterAll(async () => {
+    await server?.close();
+    await bridge?.close();
+    await ollama?.close();
+    await fs.rm(sessionDirectory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    replies = [];
+    ollama.requests.length = 0;
+  });
+
+  const headers = { 'Content-Type': 'application/json', Authorization: 'Bearer secret' };
+
+  it('lists the configured model', async () => {
+    const response = await fetch(`${baseUrl}/models`, { headers });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      object: 'list',
+      data: [{ id: 'mock-model', object: 'model', created: 0, owned_by: 'mcp-llm-bridge' }]
+    });
+  });
+
+  it('rejects requests without the API key', async () => {
+    const response = await fetch(`${baseUrl}/models`);
+
+    expect(response.status).toBe(401);
+    expect(((await response.json()) as any).error.type).toBe('authentication_error');
+  });
+
+  it('runs MCP tools server-side and returns the final answer', async () => {
+    replies = [
+      streamedReply('', { tool_calls: [{ function: { name: 'add', arguments: { a: 2, b: 3 } } }] }),
+      streamedReply('The sum is 5')
+    ];
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: 'mock-model',
+        messages: [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'Earlier question' },
+          { role: 'assistant', content: 'Earlier answer' },
+          { role: 'user', content: [{ type: 'text', text: 'What is 2 + 3?' }] }
+        ]
+      })
+    });
+    const body: any = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({
+      object: 'chat.completion',
+      model: 'mock-model',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'The sum is 5' }, finish_reason: 'stop' }]
+    });
+    expect(ollama.requests[0].messages).toEqual([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Earlier question' },
+      { role: 'assistant', content: 'Earlier answer' },
+      { role: 'user', content: 'What is 2 + 3?' }
+    ]);
+    const toolMessage = ollama.requests[1].messages.find((message: any) => message.role === 'tool');
+    expect(toolMessage).toMatchObject({ content: '5', tool_name: 'add' });
+    expect(bridge.session.messages).toEqual([]);
+  }, TEST_TIMEOUT);
+
+  it('streams the answer as server-sent events', async () => {
+    replies = [streamedReply('Hello there')];
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ stream: true, messages: [{ role: 'user', content: 'hi' }] })
+    });
+    const events = (await response.text())
+      .split('\n\n')
+      .filter(Boolean)
+      .map(event => event.replace(/^data: /, ''));
+
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    expect(events[events.length - 1]).toBe('[DONE]');
+    const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+    expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant' });
+    expect(chunks.map(chunk => chunk.choices[0].delta.content || '').join('')).toBe('Hello there');
+    expect(chunks[chunks.length - 1].choices[0].finish_reason).toBe('stop');
+  }, TEST_TIMEOUT);
+
+  it('reports invalid requests in the OpenAI error format', async () => {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ messages: [] })
+    });
+
+    expect(response.status).toBe(400);
+    expect(((await response.json()) as any).error).toEqual({
+      message: "'messages' must be a non-empty array",
+      type: 'invalid_request_error'
+    });
+  });
+});
@@ -0,0 +1,248 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { LLMClient } from '../src/llm-client';
+import { DynamicToolRegistry } from '../src/tool-registry';
+import { OllamaEmbeddings } from '../src/embeddings';
+import { startMockOllama, chatReply, streamedReply, MockOllama } from './mock-ollama';
+
+const TEST_TIMEOUT = 60000;
+
+const tools = [
+  {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read a file',
+      parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'brave_web_search',
+      description: 'Search the web',
+      parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] }
+    }
+  }
+];
+
+function createClient(baseUrl: string, toolMode?: 'native' | 'structured') {
+  const client = new LLMClient({ model: 'mock', baseUrl, toolMode });
+  client.tools = tools;
+  const registry = new DynamicToolRegistry();
+  tools.forEach(tool => registry.registerTool({
+    name: tool.function.name,
+    description: tool.function.description,
+    inputSchema: tool.function.parameters
+  }));
+  client.setToolRegistry(registry);
+  return client;
+}
+
+describe('LLMClient tool calling', () => {
+  let ollama: MockOllama | null = null;
+
+  afterEach(async () => {
+    await ollama?.close();
+    ollama = null;
+  });
+
+  it('sends the tool list and parses parallel native tool calls', async () => {
+    ollama = await startMockOllama(() => chatReply({
+      tool_calls: [
+        { function: { name: 'read_file', arguments: { path: 'notes.txt' } } },
+        { function: { name: 'brave_web_search', arguments: { query: 'mcp' } } }
+      ]
+    }));
+    const client = createClient(ollama.baseUrl);
+
+    const response = await client.invokeWithPrompt('look something up for me');
+
+    expect(ollama.requests[0].tools).toEqual(tools);
+    expect(ollama.requests[0].format).toBeUndefined();
+    expect(response.isToolCall).toBe(true);
+    expect(response.toolCalls.map(call => call.function.name)).toEqual(['read_file', 'brave_web_search']);
+    expect(JSON.parse(response.toolCalls[1].function.arguments)).toEqual({ query: 'mcp' });
+    expect(new Set(response.toolCalls.map(call => call.id)).size).toBe(2);
+  }, TEST_TIMEOUT);
+
+  it('sends only the tools closest to the prompt', async () => {
+    ollama = await startMockOllama(
+      () => chatReply({ content: 'ok' }),
+      text => /search|web|look/i.test(text) ? [1, 0] : [0, 1]
+    );
+    const client = new LLMClient({ model: 'mock', baseUrl: ollama.baseUrl, maxTools: 1 });
+    client.tools = tools;
+    const registry = new DynamicToolRegistry(new OllamaEmbeddings(ollama.baseUrl, 'mock-embed'));
+    tools.forEach(tool => registry.registerTool({
+      name: tool.function.name,
+      description: tool.function.description,
+      inputSchema: tool.function.parameters
+    }));
+    client.setToolRegistry(registry);
+
+    await client.invokeWithPrompt('look that up online');
+
+    expect(ollama.requests[0].tools).toEqual([tools[1]]);
+  }, TEST_TIMEOUT);
+
+  it('sends tool results back with the assistant tool calls in history', async () => {
+    let turn = 0;
+    ollama = await startMockOllama(() => turn++ === 0
+      ? chatReply({ tool_calls: [{ function: { name: 'read_file', arguments: { path: 'a.txt' } } }] })
+      : chatReply({ content: 'The file says hello.' }));
+    const client = createClient(ollama.baseUrl);
+
+    const first = await client.invokeWithPrompt('what is in a.txt?');
+    const second = await client.invoke([
+      { tool_call_id: first.toolCalls[0].id, name: 'read_file', output: 'hello' }
+    ]);
+
+    const history = ollama.requests[1].messages;
+    expect(history[history.length - 2].tool_calls[0].function.arguments).toEqual({ path: 'a.txt' });
+    expect(history[history.length - 1]).toMatchObject({ role: 'tool', content: 'hello', tool_name: 'read_file' });
+    expect(second.isToolCall).toBe(false);
+    expect(second.content).toBe('The file says hello.');
+  }, TEST_TIMEOUT);
+
+  it('falls back to structured output when the model does not support tools', async () => {
+    ollama = await startMockOllama(body => body.tools
+      ? { status: 400, body: { error: 'registry.ollama.ai/library/mock does not support tools' } }
+      : chatReply({
+        content: JSON.stringify({ name: 'brave_web_search', arguments: { query: 'mcp' }, thoughts: 'search' })
+      }));
+    const client = createClient(ollama.baseUrl);
+
+    const response = await client.invokeWithPrompt('use brave_web_search to find mcp');
+
+    expect(ollama.requests).toHaveLength(2);
+    expect(ollama.requests[1].tools).toBeUndefined();
+    expect(ollama.requests[1].format.oneOf.map((branch: any) => branch.properties.name.const))
+      .toEqual(['brave_web_search', 'final_answer']);
+    expect(response.isToolCall).toBe(true);
+    expect(response.toolCalls[0].function.name).toBe('brave_web_search');
+    expect(client.usesNativeTools).toBe(false);
+  }, TEST_TIMEOUT);
+
+  it('uses the structured path directly in structured mode', async () => {
+    ollama = await startMockOllama(() => chatReply({ content: 'plain answer' }));
+    const client = createClient(ollama.baseUrl, 'structured');
+
+    const response = await client.invokeWithPrompt('hello there');
+
+    expect(ollama.requests[0].tools).toBeUndefined();
+    expect(response).toMatchObject({ isToolCall: false, content: 'plain answer' });
+  }, TEST_TIMEOUT);
+
+  it('constrains structured replies to every tool or a final answer', async () => {
+    ollama = await startMockOllama(() => chatReply({
+      content: JSON.stringify({ name: 'final_answer', answer: 'Nothing to look up.' })
+    }));
+    const client = createClient(ollama.baseUrl, 'structured');
+
+    const response = await client.invokeWithPrompt('what can you do?');
+
+    const branches = ollama.requests[0].format.oneOf;
+    expect(branches.map((branch: any) => branch.properties.name.const)).toEqual([
+      'read_file', 'brave_web_search', 'final_answer'
+    ]);
+    expect(branches[0].properties.arguments).toEqual(tools[0].function.parameters);
+    expect(response).toMatchObject({ isToolCall: false, content: 'Nothing to look up.' });
+  }, TEST_TIMEOUT);
+
+  it('explains the reply format next to the system prompt, for that request only', async () => {
+    ollama = await startMockOllama(() => chatReply({
+      content: JSON.stringify({ name: 'final_answer', answer: 'Hi.' })
+    }));
+    const client = createClient(ollama.baseUrl, 'structured');
+    client.systemPrompt = 'Answer in French.';
+
+    await client.invokeWithPrompt('hello');
+    await client.invokeWithPrompt('read_file notes.txt');
+
+    const [first, second] = ollama.requests.map((request: any) => request.messages);
+    expect(first[0]).toEqual({ role: 'system', content: 'Answer in French.' });
+    expect(first[first.length - 1].role).toBe('system');
+    expect(first[first.length - 1].content).toContain('"name": "final_answer"');
+    expect(first[first.length - 1].content).toContain('read_file, brave_web_search');
+    expect(second[0]).toEqual({ role: 'system', content: 'Answer in French.' });
+    expect(second.filter((message: any) => message.role === 'system')).toHaveLength(2);
+    expect(second[second.length - 1].content).toContain('one of: read_file.');
+    expect(client.systemPrompt).toBe('Answer in French.');
+  }, TEST_TIMEOUT);
+
+  it('sends a fixed format instead of tools when one is set', async () => {
+    ollama = await startMockOllama(() => chatReply({ content: '{"response":"connected"}' }));
+    const client = createClient(ollama.baseUrl);
+    const format = { type: 'object', properties: { response: { type: 'string', enum: ['connected'] } } };
+    client.format = format;
+
+    const response = await client.invokeWithPrompt('are you there?');
+
+    expect(ollama.requests[0].format).toEqual(format);
+    expect(ollama.requests[0].tools).toBeUndefined();
+    expect(response).toMatchObject({ isToolCall: false, content: '{"response":"connected"}' });
+  }, TEST_TIMEOUT);
+
+  it('yields streamed tokens and merges them into the final response', async () => {
+    ollama = await startMockOllama(() => streamedReply('Hello from the stream'));
+    const client = createClient(ollama.baseUrl);
+
+    const stream = client.invokeWithPromptStream('say hello');
+    const tokens: string[] = [];
+    let result = await stream.next();
+    while (!result.done) {
+      tokens.push(result.value);
+      result = await stream.next();
+    }
+
+    expect(ollama.requests[0].stream).toBe(true);
+    expect(tokens).toEqual(['Hello ', 'from ', 'the ', 'stream']);
+    expect(result.value).toMatchObject({ isToolCall: false, content: 'Hello from the stream' });
+  }, TEST_TIMEOUT);
+
+  it('collects tool calls from the final stream chunk', async () => {
+    ollama = await startMockOllama(() => streamedReply('', {
+      tool_calls: [{ function: { name: 'read_file', arguments: { path: 'b.txt' } } }]
+    }));
+    const client = createClient(ollama.baseUrl);
+
+    const response = await client.invokeWithPrompt('read b.txt');
+
+    expect(response.isToolCall).toBe(true);
+    expect(response.toolCalls[0].function).toEqual({ name: 'read_file', arguments: '{"path":"b.txt"}' });
+  }, TEST_TIMEOUT);
+
+  it('carries history across prompts', async () => {
+    let turn = 0;
+    ollama = await startMockOllama(() => chatReply({ content: `answer ${++turn}` }));
+    const client = createClient(ollama.baseUrl);
+
+    await client.invokeWithPrompt('first question');
+    await client.invokeWithPrompt('second question');
+
+    expect(ollama.requests[1].messages.map((message: any) => message.content)).toEqual([
+      'first question', 'answer 1', 'second question'
+    ]);
+  }, TEST_TIMEOUT);
+
+  it('drops the oldest turns to fit the context window', async () => {
+    ollama = await startMockOllama(() => chatReply({ content: 'ok' }));
+    const client = new LLMClient({ model: 'mock', baseUrl: ollama.baseUrl, contextWindow: 200, maxTokens: 100 });
+    client.setHistory([
+      { role: 'user', content: 'a'.repeat(200) },
+      { role: 'assistant', content: '', tool_calls: [{ function: { name: 'read_file', arguments: {} } }] },
+      { role: 'tool', content: 'b'.repeat(200) },
+      { role: 'assistant', content: 'old answer' },
+      { role: 'user', content: 'recent question' },
+      { role: 'assistant', content: 'recent answer' }
+    ]);
+
+    await client.invokeWithPrompt('latest question');
+
+    expect(ollama.requests[0].options.num_ctx).toBe(200);
+    expect(ollama.requests[0].messages.map((message: any) => message.content)).toEqual([
+      'recent question', 'recent answer', 'latest question'
+    ]);
+    expect(client.getHistory()).toHaveLength(8);
+  }, TEST_TIMEOUT);
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import path from 'path';
+import { MCPClient, matchesUriTemplate } from '../src/mcp-client';
+
+const TEST_TIMEOUT = 30000;
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'stub-mcp-server.js');
+
+describe('MCPClient', () => {
+  let client: MCPClient;
+
+  beforeAll(async () => {
+    client = new MCPClient({ command: process.execPath, args: [STUB_SERVER], env: { STUB_NAME: 'fhir' } });
+    await client.connect();
+  }, TEST_TIMEOUT);
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  it('negotiates a supported protocol version', () => {
+    expect(client.protocolVersion).toBe('2024-11-05');
+    expect(client.capabilities).toEqual({ tools: {}, resources: {}, prompts: {} });
+  });
+
+  it('lists and reads resources', async () => {
+    expect(await client.listResources()).toEqual([
+      { uri: 'stub://fhir/readme', name: 'readme', mimeType: 'text/plain' }
+    ]);
+    expect((await client.listResourceTemplates())[0].uriTemplate).toBe('stub://fhir/notes/{id}');
+    expect(await client.readResource('stub://fhir/notes/7')).toEqual({
+      contents: [{ uri: 'stub://fhir/notes/7', mimeType: 'text/plain', text: 'fhir read stub://fhir/notes/7' }]
+    });
+  });
+
+  it('lists and gets prompts', async () => {
+    expect((await client.listPrompts()).map(prompt => prompt.name)).toEqual(['greet']);
+    const prompt = await client.getPrompt('greet', { who: 'Grace' });
+    expect(prompt.messages[0]).toEqual({ role: 'user', content: { type: 'text', text: 'Hello Grace from fhir' } });
+  });
+
+  it('handles server notifications and answers server pings', async () => {
+    const logs: any[] = [];
+    const progress: any[] = [];
+    client.on('log', params => logs.push(params));
+    client.on('progress', params => progress.push(params));
+    const toolsChanged = new Promise<any[]>(resolve => client.once('toolsChanged', resolve));
+
+    const result = await client.callTool('announce', {});
+    const tools = await toolsChanged;
+
+    expect(result.content[0].text).toBe('pong received');
+    expect(logs).toEqual([{ level: 'warning', logger: 'fhir', data: 'announcing' }]);
+    expect(progress).toEqual([expect.objectContaining({ progress: 1, total: 2 })]);
+    expect(tools.map(tool => tool.name)).toContain('extra');
+  }, TEST_TIMEOUT);
+});
+
+describe('matchesUriTemplate', () => {
+  it('matches each expression against a non-empty segment', () => {
+    expect(matchesUriTemplate('fhir://patient/{id}/labs', 'fhir://patient/123/labs')).toBe(true);
+    expect(matchesUriTemplate('fhir://patient/{id}/labs', 'fhir://patient//labs')).toBe(false);
+    expect(matchesUriTemplate('fhir://patient/{id}/labs', 'fhir://patient/123/vitals')).toBe(false);
+  });
+});
+
+describe('MCPClient failure handling', () => {
+  let client: MCPClient;
+
+  beforeAll(async () => {
+    client = new MCPClient({
+      command: process.execPath,
+      args: [STUB_SERVER],
+      env: { STUB_FAULTS: '1' },
+      restartDelay: 50
+    });
+    await client.connect();
+  }, TEST_TIMEOUT);
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  it('reassembles results that span many stdout chunks', async () => {
+    const result = await client.callTool('big', {});
+
+    expect(result.content[0].text).toHaveLength(500000);
+  }, TEST_TIMEOUT);
+
+  it('times out requests and tells the server to cancel them', async () => {
+    const call = client.callTool('hang', {}, 200);
+
+    await expect(call).rejects.toThrow('Request tools/call timed out after 200ms');
+    const cancelled = JSON.parse((await client.callTool('cancellations', {})).content[0].text);
+    expect(cancelled).toHaveLength(1);
+  }, TEST_TIMEOUT);
+
+  it('fails pending calls when the server dies and restarts it', async () => {
+    const reconnected = new Promise<void>(resolve => client.once('reconnected', () => resolve()));
+    const toolsChanged = new Promise<any[]>(resolve => client.once('toolsChanged', resolve));
+
+    await expect(client.callTool('crash', {})).rejects.toThrow('Server connection closed');
+    await reconnected;
+
+    expect((await toolsChanged).map(tool => tool.name)).toContain('echo');
+    expect(await client.callTool('echo', { text: 'back again' })).toEqual({
+      content: [{ type: 'text', text: 'back again' }]
+    });
+  }, TEST_TIMEOUT);
+
+  it('does not restart a server that was closed on purpose', async () => {
+    const other = new MCPClient({ command: process.execPath, args: [STUB_SERVER], restartDelay: 10 });
+    const disconnected = jest.fn();
+    other.on('disconnected', disconnected);
+    await other.connect();
+
+    await other.close();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(disconnected).not.toHaveBeenCalled();
+    await expect(other.callTool('echo', { text: 'x' })).rejects.toThrow('Client not initialized');
+  }, TEST_TIMEOUT);
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { PassThrough } from 'stream';
+import { MCPLLMBridge } from '../src/bridge';
+import { MCPProxyServer } from '../src/mcp-server';
+import { AuditLog } from '../src/audit-log';
+
+const TEST_TIMEOUT = 30000;
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'stub-mcp-server.js');
+
+function stubServer(name: string, toolPrefix: string = '') {
+  return {
+    command: process.execPath,
+    args: [STUB_SERVER],
+    env: { STUB_NAME: name, STUB_TOOL_PREFIX: toolPrefix }
+  };
+}
+
+describe('MCP proxy server', () => {
+  let bridge: MCPLLMBridge;
+  let server: MCPProxyServer;
+  let input: PassThrough;
+  let auditDirectory: string;
+  let audit: AuditLog;
+  let nextId = 1;
+  const pending = new Map<number, (message: any) => void>();
+  const notifications: string[] = [];
+  const progress: any[] = [];
+  const github = stubServer('github');
+
+  async function rpc(method: string, params: any = {}): Promise<any> {
+    const id = nextId++;
+    const response = new Promise<any>(resolve => pending.set(id, resolve));
+    input.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+    return response;
+  }
+
+  beforeAll(async () => {
+    bridge = new MCPLLMBridge({
+      mcpServers: { github, files: stubServer('files'), math: stubServer('math', 'math_') },
+      llmConfig: { model: 'unused', baseUrl: 'http://127.0.0.1:1' }
+    });
+    await bridge.connectMcpServers();
+
+    input = new PassThrough();
+    const output = new PassThrough();
+    readline.createInterface({ input: output }).on('line', line => {
+      const message = JSON.parse(line);
+      if (message.id === undefined) notifications.push(message.method);
+      if (message.method === 'notifications/progress') progress.push(message.params);
+      pending.get(message.id)?.(message);
+      pending.delete(message.id);
+    });
+
+    auditDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-audit-'));
+    audit = new AuditLog({ path: path.join(auditDirectory, 'audit.jsonl') });
+    server = new MCPProxyServer(bridge, { input, output, audit });
+    await server.start();
+  }, TEST_TIMEOUT);
+
+  afterAll(async () => {
+    server?.close();
+    await bridge?.close();
+    await fs.rm(auditDirectory, { recursive: true, force: true });
+  });
+
+  it('answers initialize with the aggregated capabilities', async () => {
+    const response = await rpc('initialize', {
+      protocolVersion: '2024-11-05',
+      capabilities: {},
+      clientInfo: { name: 'test-host', version: '1.0.0' }
+    });
+
+    expect(response.result).toEqual({
+      protocolVersion: '2024-11-05',
+      capabilities: {
+        tools: { listChanged: true },
+        prompts: { listChanged: true },
+        resources: { listChanged: true }
+      },
+      serverInfo: { name: 'mcp-llm-bridge', version: '1.0.0' }
+    });
+  });
+
+  it('prefixes only the tool names that collide', async () => {
+    const response = await rpc('tools/list');
+
+    expect(response.result.tools.map((tool: any) => tool.name).sort()).toEqual([
+      'files__add', 'files__announce', 'files__echo',
+      'github__add', 'github__announce', 'github__echo',
+      'math_add', 'math_announce', 'math_echo'
+    ]);
+  });
+
+  it('routes tool calls to the owning server under its original name', async () => {
+    const prefixed = await rpc('tools/call', { name: 'files__echo', arguments: { text: 'hi' } });
+    const unique = await rpc('tools/call', { name: 'math_add', arguments: { a: 1, b: 2 } });
+
+    expect(prefixed.result).toEqual({ content: [{ type: 'text', text: 'hi' }] });
+    expect(unique.result).toEqual({ content: [{ type: 'text', text: '3' }] });
+
+    await audit.flush();
+    const records = (await fs.readFile(audit.path, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(records.slice(0, 2)).toMatchObject([
+      { type: 'tool_call', server: 'files', tool: 'echo', arguments: { text: 'hi' }, status: 'ok' },
+      { type: 'tool_call', server: 'math', tool: 'math_add', arguments: { a: 1, b: 2 }, status: 'ok' }
+    ]);
+    expect(records[0].resultBytes).toBe(JSON.stringify(prefixed.result).length);
+    expect(records[0].result).toBeUndefined();
+  }, TEST_TIMEOUT);
+
+  it('reports unknown tools and methods as JSON-RPC errors', async () => {
+    const unknownTool = await rpc('tools/call', { name: 'echo', arguments: {} });
+    const unknownMethod = await rpc('sampling/createMessage');
+
+    expect(unknownTool.error).toEqual({ code: -32602, message: 'Unknown tool: echo' });
+    expect(unknownMethod.error.code).toBe(-32601);
+  });
+
+  it('re-exports resources and reads them from the owning server', async () => {
+    const list = await rpc('resources/list');
+    const templates = await rpc('resources/templates/list');
+    const direct = await rpc('resources/read', { uri: 'stub://files/readme' });
+    const templated = await rpc('resources/read', { uri: 'stub://math/notes/42' });
+    const missing = await rpc('resources/read', { uri: 'stub://nowhere/readme' });
+
+    expect(list.result.resources.map((resource: any) => resource.uri)).toEqual([
+      'stub://github/readme', 'stub://files/readme', 'stub://math/readme'
+    ]);
+    expect(templates.result.resourceTemplates).toHaveLength(3);
+    expect(direct.result.contents[0].text).toBe('files read stub://files/readme');
+    expect(templated.result.contents[0].text).toBe('math read stub://math/notes/42');
+    expect(missing.error.code).toBe(-32002);
+  }, TEST_TIMEOUT);
+
+  it('re-exports prompts with collision prefixes', async () => {
+    const list = await rpc('prompts/list');
+    const prompt = await rpc('prompts/get', { name: 'github__greet', arguments: { who: 'Ada' } });
+
+    expect(list.result.prompts.map((item: any) => item.name)).toEqual([
+      'github__greet', 'files__greet', 'math__greet'
+    ]);
+    expect(prompt.result.messages[0].content.text).toBe('Hello Ada from github');
+  }, TEST_TIMEOUT);
+
+  it('forwards downstream tool list changes to the host', async () => {
+    const call = await rpc('tools/call', { name: 'math_announce', arguments: {} });
+    while (!notifications.includes('notifications/tools/list_changed')) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const list = await rpc('tools/list');
+
+    expect(call.result.content[0].text).toBe('pong received');
+    expect(list.result.tools.map((tool: any) => tool.name)).toContain('math_extra');
+  }, TEST_TIMEOUT);
+
+  it('passes progress on to the host under the token it asked with', async () => {
+    const call = await rpc('tools/call', { name: 'math_announce', arguments: {}, _meta: { progressToken: 'host-7' } });
+
+    expect(call.result.content[0].text).toBe('pong received');
+    expect(progress).toEqual([{ progressToken: 'host-7', progress: 1, total: 2 }]);
+  }, TEST_TIMEOUT);
+
+  it('follows the servers a config reload starts, stops and restarts', async () => {
+    const changes = await bridge.reloadMcpServers({
+      github: { ...github, env: { ...github.env, STUB_RELOADED: '1' } },
+      math: stubServer('math', 'math_'),
+      docs: stubServer('docs', 'docs_')
+    });
+    expect(changes).toMatchObject({ connected: ['docs'], restarted: ['github'], disconnected: ['files'] });
+
+    notifications.length = 0;
+    await server.serversChanged();
+    const list = await rpc('tools/list');
+    const added = await rpc('tools/call', { name: 'docs_echo', arguments: { text: 'new server' } });
+    const restarted = await rpc('tools/call', { name: 'echo', arguments: { text: 'github alone' } });
+
+    expect(notifications).toEqual(expect.arrayContaining([
+      'notifications/tools/list_changed',
+      'notifications/resources/list_changed',
+      'notifications/prompts/list_changed'
+    ]));
+    const names = list.result.tools.map((tool: any) => tool.name);
+    expect(names).toEqual(expect.arrayContaining(['echo', 'docs_echo', 'math_add']));
+    expect(names).not.toContain('files__echo');
+    expect(added.result).toEqual({ content: [{ type: 'text', text: 'new server' }] });
+    expect(restarted.result).toEqual({ content: [{ type: 'text', text: 'github alone' }] });
+  }, TEST_TIMEOUT);
+});
@@ -0,0 +1,175 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+
+export interface MockMcpHttpServer {
+  baseUrl: string;
+  // Method and path of every HTTP request, e.g. 'POST /mcp'
+  requests: string[];
+  // Requests to the hang tool whose connection the client gave up on
+  abandoned: number;
+  // Ends the Streamable HTTP GET streams, as a server going away does
+  endServerStreams(): void;
+  close(): Promise<void>;
+}
+
+export interface MockMcpHttpOptions {
+  token?: string;          // Requests must carry `Authorization: Bearer <token>`
+  serverStream?: boolean;  // Keep GET /mcp open as a server message stream instead of answering 405
+}
+
+const SESSION_ID = 'mock-session';
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo the given text back',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+  }
+];
+
+function handle(message: any): any {
+  switch (message.method) {
+    case 'initialize':
+      return {
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: 'mock-http-mcp-server', version: '1.0.0' }
+      };
+    case 'tools/list':
+      return { tools };
+    case 'tools/call':
+      return { content: [{ type: 'text', text: String(message.params.arguments?.text) }] };
+    default:
+      return {};
+  }
+}
+
+function sendEvent(res: http.ServerResponse, event: string, data: any) {
+  res.write(`event: ${event}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+// In-process MCP server speaking both HTTP transports: Streamable HTTP at
+// /mcp (tool calls are answered as an event stream, everything else as JSON)
+// and the older HTTP+SSE transport at /sse + /messages. A call to the unlisted
+// hang tool is never answered.
+export async function startMockMcpHttpServer(options: MockMcpHttpOptions = {}): Promise<MockMcpHttpServer> {
+  const { token } = options;
+  const requests: string[] = [];
+  const sseStreams = new Map<string, http.ServerResponse>();
+  const serverStreams = new Set<http.ServerResponse>();
+  let nextStream = 1;
+  let abandoned = 0;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url || '/', 'http://localhost');
+      requests.push(`${req.method} ${url.pathname}`);
+
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        res.writeHead(401);
+        res.end('Unauthorized');
+        return;
+      }
+
+      if (url.pathname === '/mcp') {
+        if (req.method === 'GET') {
+          if (!options.serverStream) {
+            res.writeHead(405);
+            res.end();
+            return;
+          }
+          serverStreams.add(res);
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(': connected\n\n');
+          res.on('close', () => serverStreams.delete(res));
+          return;
+        }
+        if (req.method === 'DELETE') {
+          res.writeHead(200);
+          res.end();
+          return;
+        }
+
+        const message = JSON.parse(raw);
+        if (message.method !== 'initialize' && req.headers['mcp-session-id'] !== SESSION_ID) {
+          res.writeHead(400);
+          res.end('Missing session');
+          return;
+        }
+        if (message.id === undefined) {
+          res.writeHead(202);
+          res.end();
+          return;
+        }
+
+        if (message.method === 'tools/call' && message.params.name === 'hang') {
+          res.on('close', () => { abandoned++; });
+          return;
+        }
+
+        const response = { jsonrpc: '2.0', id: message.id, result: handle(message) };
+        if (message.method === 'tools/call') {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Mcp-Session-Id': SESSION_ID });
+          sendEvent(res, 'message', {
+            jsonrpc: '2.0',
+            method: 'notifications/message',
+            params: { level: 'info', data: 'calling echo' }
+          });
+          sendEvent(res, 'message', response);
+          res.end();
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': SESSION_ID });
+        res.end(JSON.stringify(response));
+        return;
+      }
+
+      if (url.pathname === '/sse' && req.method === 'GET') {
+        const id = String(nextStream++);
+        sseStreams.set(id, res);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(': connected\n\n');
+        sendEvent(res, 'endpoint', `/messages?sessionId=${id}`);
+        res.on('close', () => sseStreams.delete(id));
+        return;
+      }
+
+      if (url.pathname === '/messages' && req.method === 'POST') {
+        const stream = sseStreams.get(url.searchParams.get('sessionId') || '');
+        if (!stream) {
+          res.writeHead(404);
+          res.end('Unknown session');
+          return;
+        }
+        res.writeHead(202);
+        res.end();
+
+        const message = JSON.parse(raw);
+        if (message.id !== undefined) {
+          sendEvent(stream, 'message', { jsonrpc: '2.0', id: message.id, result: handle(message) });
+        }
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', () => resolve()));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    get abandoned() { return abandoned; },
+    endServerStreams: () => serverStreams.forEach(stream => stream.end()),
+    close: () => new Promise<void>(resolve => {
+      sseStreams.forEach(stream => stream.end());
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
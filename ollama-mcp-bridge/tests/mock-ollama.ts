@@ -0,0 +1,115 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+
+export interface MockChatReply {
+  status?: number;
+  body?: any;
+  // NDJSON chunks to stream back instead of a single body
+  chunks?: any[];
+}
+
+export type MockChatHandler = (body: any) => MockChatReply;
+
+// Returns the vector for /api/embeddings; without one that endpoint 404s
+// like a model that hasn't been pulled
+export type MockEmbedder = (text: string) => number[];
+
+export interface MockOllama {
+  baseUrl: string;
+  requests: any[];
+  // Texts sent to /api/embeddings
+  embedded: string[];
+  close(): Promise<void>;
+}
+
+// Minimal stand-in for the Ollama HTTP API. /api/tags always answers so the
+// connection checks pass; /api/chat replies with whatever the handler returns,
+// as NDJSON when the request asked for a stream.
+export async function startMockOllama(handler: MockChatHandler, embedder?: MockEmbedder): Promise<MockOllama> {
+  const requests: any[] = [];
+  const embedded: string[] = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (req.url === '/api/tags') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ models: [] }));
+        return;
+      }
+
+      if (req.url === '/api/embeddings' && req.method === 'POST') {
+        const { prompt } = JSON.parse(raw);
+        embedded.push(prompt);
+        res.writeHead(embedder ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(embedder ? { embedding: embedder(prompt) } : { error: 'model not found' }));
+        return;
+      }
+
+      if (req.url === '/api/chat' && req.method === 'POST') {
+        const body = JSON.parse(raw);
+        requests.push(body);
+        const reply = handler(body);
+        const status = reply.status || 200;
+
+        if (body.stream && status === 200) {
+          res.writeHead(status, { 'Content-Type': 'application/x-ndjson' });
+          const chunks = reply.chunks || [reply.body];
+          chunks.forEach(chunk => res.write(JSON.stringify(chunk) + '\n'));
+          res.end();
+          return;
+        }
+
+        const payload = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(payload);
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    embedded,
+    close: () => new Promise<void>(resolve => server.close(() => resolve()))
+  };
+}
+
+// Splits a plain answer into one streamed chunk per word
+export function streamedReply(content: string, message: any = {}) {
+  const words = content.split(/(?<= )/);
+  return {
+    chunks: [
+      ...words.map(word => ({ model: 'mock', message: { role: 'assistant', content: word }, done: false })),
+      { model: 'mock', message: { role: 'assistant', content: '', ...message }, done: true }
+    ]
+  };
+}
+
+export function chatReply(message: any) {
+  return {
+    body: {
+      model: 'mock',
+      message: { role: 'assistant', content: '', ...message },
+      done: true
+    }
+  };
+}
+
+// Adds Ollama's token counts to the final chunk (or body) of a reply
+export function withUsage(reply: MockChatReply, promptTokens: number, completionTokens: number): MockChatReply {
+  const counts = { prompt_eval_count: promptTokens, eval_count: completionTokens };
+  if (reply.chunks) {
+    const last = reply.chunks.length - 1;
+    return { ...reply, chunks: reply.chunks.map((chunk, index) => index === last ? { ...chunk, ...counts } : chunk) };
+  }
+  return { ...reply, body: { ...reply.body, ...counts } };
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import net, { AddressInfo } from 'net';
+import { OllamaManager } from '../src/ollama-manager';
+import { startMockOllama, MockOllama } from './mock-ollama';
+
+const TEST_TIMEOUT = 30000;
+
+// Stands in for `ollama serve`: answers /api/tags on the port given as argv[1]
+const FAKE_SERVE = `
+require('http').createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end('{"models":[]}');
+}).listen(Number(process.argv[1]), '127.0.0.1');
+`;
+
+async function freePort(): Promise<number> {
+  const server = net.createServer();
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+  await new Promise<void>(resolve => server.close(() => resolve()));
+  return port;
+}
+
+describe('OllamaManager', () => {
+  let ollama: MockOllama | null = null;
+  let manager: OllamaManager | null = null;
+
+  afterEach(async () => {
+    await manager?.stop();
+    manager = null;
+    await ollama?.close();
+    ollama = null;
+  });
+
+  it('uses a reachable server without starting or stopping it', async () => {
+    ollama = await startMockOllama(() => ({ body: {} }));
+    manager = new OllamaManager({ baseUrl: ollama.baseUrl, autoStart: true, command: 'does-not-exist' });
+
+    await manager.ensureRunning();
+    expect(manager.ownsServer).toBe(false);
+
+    await manager.stop();
+    await expect(manager.isReachable()).resolves.toBe(true);
+  }, TEST_TIMEOUT);
+
+  it('fails without starting anything when autoStart is off', async () => {
+    const port = await freePort();
+    manager = new OllamaManager({ baseUrl: `http://127.0.0.1:${port}`, command: process.execPath, args: ['-e', FAKE_SERVE, String(port)] });
+
+    await expect(manager.ensureRunning()).rejects.toThrow('set llm.autoStart to true');
+    expect(manager.ownsServer).toBe(false);
+  }, TEST_TIMEOUT);
+
+  it('never starts a server for a remote host', async () => {
+    manager = new OllamaManager({ baseUrl: 'http://192.0.2.1:11434', autoStart: true, command: 'does-not-exist' });
+    jest.spyOn(manager, 'isReachable').mockResolvedValue(false);
+
+    await expect(manager.ensureRunning()).rejects.toThrow('only local servers can be started automatically');
+    expect(manager.ownsServer).toBe(false);
+  }, TEST_TIMEOUT);
+
+  it('starts a local server when configured to and stops only that one', async () => {
+    const port = await freePort();
+    manager = new OllamaManager({
+      baseUrl: `http://127.0.0.1:${port}`,
+      autoStart: true,
+      command: process.execPath,
+      args: ['-e', FAKE_SERVE, String(port)]
+    });
+
+    await manager.ensureRunning();
+    expect(manager.ownsServer).toBe(true);
+    await expect(manager.isReachable()).resolves.toBe(true);
+
+    await manager.stop();
+    expect(manager.ownsServer).toBe(false);
+    await expect(manager.isReachable()).resolves.toBe(false);
+  }, TEST_TIMEOUT);
+
+  it('reports a missing ollama binary', async () => {
+    const port = await freePort();
+    manager = new OllamaManager({ baseUrl: `http://127.0.0.1:${port}`, autoStart: true, command: 'ollama-binary-that-does-not-exist' });
+
+    await expect(manager.ensureRunning()).rejects.toThrow('ENOENT');
+  }, TEST_TIMEOUT);
+});
@@ -0,0 +1,287 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { LLMClient, drainStream } from '../src/llm-client';
+import {
+  AnthropicProvider,
+  ChatRequest,
+  OpenAIProvider,
+  ToolsUnsupportedError,
+  createProvider
+} from '../src/providers';
+
+const TEST_TIMEOUT = 30000;
+
+interface MockReply {
+  status?: number;
+  body?: any;
+  // Server-sent events to stream back instead of a body
+  events?: Array<{ event?: string; data: any }>;
+}
+
+interface MockApi {
+  baseUrl: string;
+  requests: Array<{ path: string; headers: http.IncomingHttpHeaders; body: any }>;
+  close(): Promise<void>;
+}
+
+// Stand-in for an OpenAI or Anthropic style HTTP API
+async function startMockApi(handler: (body: any) => MockReply): Promise<MockApi> {
+  const requests: MockApi['requests'] = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push({ path: req.url || '', headers: req.headers, body });
+      const reply = handler(body);
+
+      if (reply.events) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const { event, data } of reply.events) {
+          res.write(`${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+        }
+        res.end();
+        return;
+      }
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise<void>(resolve => server.close(() => resolve()))
+  };
+}
+
+const tools = [{
+  type: 'function',
+  function: {
+    name: 'read_file',
+    description: 'Read a file',
+    parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+  }
+}];
+
+// A finished tool round trip in the bridge's own message format
+const history = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'What is in a.txt?' },
+  {
+    role: 'assistant',
+    content: '',
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: { path: 'a.txt' } } }]
+  },
+  { role: 'tool', content: 'hello', tool_call_id: 'call_1', tool_name: 'read_file' }
+];
+
+function request(overrides: Partial<ChatRequest> = {}): ChatRequest {
+  return {
+    model: 'mock',
+    messages: history,
+    tools,
+    stream: false,
+    temperature: 0,
+    maxTokens: 100,
+    contextWindow: 8192,
+    ...overrides
+  };
+}
+
+async function collect(stream: AsyncGenerator<string, any>) {
+  const tokens: string[] = [];
+  let result = await stream.next();
+  while (!result.done) {
+    tokens.push(result.value);
+    result = await stream.next();
+  }
+  return { tokens, completion: result.value };
+}
+
+describe('OpenAI-compatible provider', () => {
+  let api: MockApi | null = null;
+
+  afterEach(async () => {
+    await api?.close();
+    api = null;
+  });
+
+  it('translates the history and reads tool calls with their ids', async () => {
+    api = await startMockApi(() => ({
+      body: {
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'call_9', type: 'function', function: { name: 'read_file', arguments: '{"path":"b.txt"}' } }]
+          }
+        }]
+      }
+    }));
+    const provider = new OpenAIProvider(api.baseUrl, 'secret');
+
+    const { completion } = await collect(provider.chat(request(), true));
+
+    const sent = api.requests[0];
+    expect(sent.path).toBe('/v1/chat/completions');
+    expect(sent.headers.authorization).toBe('Bearer secret');
+    expect(sent.body.tools).toEqual(tools);
+    expect(sent.body.messages.slice(2)).toEqual([
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: 'hello' }
+    ]);
+    expect(completion).toEqual({ content: '', toolCalls: [{ id: 'call_9', name: 'read_file', arguments: '{"path":"b.txt"}' }] });
+  }, TEST_TIMEOUT);
+
+  it('streams tokens and assembles tool calls from fragments', async () => {
+    api = await startMockApi(() => ({
+      events: [
+        { data: { choices: [{ delta: { role: 'assistant', content: 'Let me ' } }] } },
+        { data: { choices: [{ delta: { content: 'check.' } }] } },
+        { data: { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_2', function: { name: 'read_file', arguments: '' } }] } }] } },
+        { data: { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"path":' } }] } }] } },
+        { data: { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"c.txt"}' } }] } }] } },
+        { data: { choices: [], usage: { prompt_tokens: 31, completion_tokens: 9 } } },
+        { data: '[DONE]' }
+      ]
+    }));
+    const provider = new OpenAIProvider(`${api.baseUrl}/v1`);
+
+    const { tokens, completion } = await collect(provider.chat(request({ stream: true }), true));
+
+    expect(api.requests[0].headers.authorization).toBeUndefined();
+    expect(api.requests[0].body.stream_options).toEqual({ include_usage: true });
+    expect(tokens).toEqual(['Let me ', 'check.']);
+    expect(completion.toolCalls).toEqual([{ id: 'call_2', name: 'read_file', arguments: '{"path":"c.txt"}' }]);
+    expect(completion.usage).toEqual({ promptTokens: 31, completionTokens: 9 });
+  }, TEST_TIMEOUT);
+
+  it('reports servers that reject tools and passes formats as a JSON schema', async () => {
+    api = await startMockApi(body => body.tools
+      ? { status: 400, body: { error: { message: 'tools param requires --jinja flag' } } }
+      : { body: { choices: [{ message: { content: '{"ok":true}' } }] } });
+    const provider = new OpenAIProvider(api.baseUrl);
+    const format = { type: 'object', properties: { ok: { type: 'boolean' } } };
+
+    await expect(collect(provider.chat(request(), false))).rejects.toBeInstanceOf(ToolsUnsupportedError);
+    const { completion } = await collect(provider.chat(request({ tools: undefined, format }), false));
+
+    expect(api.requests[1].body.response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: format }
+    });
+    expect(completion.content).toBe('{"ok":true}');
+  }, TEST_TIMEOUT);
+});
+
+describe('Anthropic provider', () => {
+  let api: MockApi | null = null;
+
+  afterEach(async () => {
+    await api?.close();
+    api = null;
+  });
+
+  it('sends tool calls and results as content blocks', async () => {
+    api = await startMockApi(() => ({
+      body: {
+        content: [
+          { type: 'text', text: 'Reading it.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'read_file', input: { path: 'd.txt' } }
+        ]
+      }
+    }));
+    const provider = new AnthropicProvider(api.baseUrl, 'secret');
+
+    const { completion } = await collect(provider.chat(request(), true));
+
+    const sent = api.requests[0];
+    expect(sent.path).toBe('/v1/messages');
+    expect(sent.headers['x-api-key']).toBe('secret');
+    expect(sent.headers['anthropic-version']).toBe('2023-06-01');
+    expect(sent.body.system).toBe('Be brief.');
+    expect(sent.body.tools).toEqual([{
+      name: 'read_file',
+      description: 'Read a file',
+      input_schema: tools[0].function.parameters
+    }]);
+    expect(sent.body.messages).toEqual([
+      { role: 'user', content: [{ type: 'text', text: 'What is in a.txt?' }] },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'read_file', input: { path: 'a.txt' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: 'hello' }] }
+    ]);
+    expect(completion).toEqual({
+      content: 'Reading it.',
+      toolCalls: [{ id: 'toolu_1', name: 'read_file', arguments: '{"path":"d.txt"}' }]
+    });
+  }, TEST_TIMEOUT);
+
+  it('streams text deltas and tool input fragments', async () => {
+    api = await startMockApi(() => ({
+      events: [
+        { event: 'message_start', data: { type: 'message_start', message: { content: [], usage: { input_tokens: 12, output_tokens: 1 } } } },
+        { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'One ' } } },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'moment.' } } },
+        {
+          event: 'content_block_start',
+          data: { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_2', name: 'read_file', input: {} } }
+        },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"path":' } } },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"e.txt"}' } } },
+        { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 7 } } },
+        { event: 'message_stop', data: { type: 'message_stop' } }
+      ]
+    }));
+    const provider = new AnthropicProvider(api.baseUrl);
+
+    const { tokens, completion } = await collect(provider.chat(request({ stream: true }), true));
+
+    expect(tokens).toEqual(['One ', 'moment.']);
+    expect(completion).toEqual({
+      content: 'One moment.',
+      toolCalls: [{ id: 'toolu_2', name: 'read_file', arguments: '{"path":"e.txt"}' }],
+      usage: { promptTokens: 12, completionTokens: 7 }
+    });
+  }, TEST_TIMEOUT);
+});
+
+describe('LLMClient with other providers', () => {
+  let api: MockApi | null = null;
+
+  afterEach(async () => {
+    await api?.close();
+    api = null;
+  });
+
+  it('echoes provider tool call ids back with the results', async () => {
+    let turn = 0;
+    api = await startMockApi(() => turn++ === 0
+      ? { body: { choices: [{ message: { tool_calls: [{ id: 'call_abc', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } }] } }] } }
+      : { body: { choices: [{ message: { content: 'It says hello.' } }] } });
+    const client = new LLMClient({ provider: 'openai', model: 'mock', baseUrl: api.baseUrl, stream: false });
+    client.tools = tools;
+
+    const first = await client.invokeWithPrompt('what is in a.txt?');
+    const second = await drainStream(client.invokeStream([
+      { tool_call_id: first.toolCalls[0].id, name: 'read_file', output: 'hello' }
+    ]));
+
+    expect(first.toolCalls[0]).toEqual({ id: 'call_abc', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } });
+    expect(api.requests[1].body.messages.pop()).toEqual({ role: 'tool', tool_call_id: 'call_abc', content: 'hello' });
+    expect(second.content).toBe('It says hello.');
+  }, TEST_TIMEOUT);
+
+  it('rejects unknown providers', () => {
+    expect(() => createProvider({ provider: 'bard' as any, model: 'mock', baseUrl: 'http://localhost' }))
+      .toThrow('Unknown LLM provider: bard; expected ollama, openai or anthropic');
+  });
+});
@@ -0,0 +1,221 @@
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { isDeepStrictEqual } from 'util';
+import { ServerParameters } from '../src/types';
+import { startMockOllama } from './mock-ollama';
+import { ScriptedLLM } from './fake-llm';
+import { FakeMcpServer, McpError, serveMcp } from './fake-mcp-server';
+
+// RECORD=1 runs the recorded tests against a live model and real MCP servers
+// and rewrites their fixtures; otherwise the fixtures are replayed
+export const RECORD_MODE = process.env.RECORD === '1';
+
+const RECORDINGS = path.join(__dirname, 'fixtures', 'recordings');
+const MCP_TAP = path.join(__dirname, 'fixtures', 'mcp-tap.js');
+
+// One /api/chat round trip, with the reply as NDJSON chunks or a JSON body
+export interface LLMExchangeRecord {
+  request: any;
+  status: number;
+  chunks?: any[];
+  body?: any;
+}
+
+// One JSON-RPC request from the bridge and the server's answer
+export interface McpExchangeRecord {
+  method: string;
+  params: any;
+  result?: any;
+  error?: { code: number; message: string };
+}
+
+export interface Recording {
+  model: string;
+  prompt: string;
+  answer: string;
+  llm: LLMExchangeRecord[];
+  mcp: { [server: string]: McpExchangeRecord[] };
+}
+
+export async function loadRecording(name: string): Promise<Recording> {
+  return JSON.parse(await fs.readFile(path.join(RECORDINGS, `${name}.json`), 'utf-8'));
+}
+
+export async function saveRecording(name: string, recording: Recording): Promise<void> {
+  await fs.mkdir(RECORDINGS, { recursive: true });
+  await fs.writeFile(path.join(RECORDINGS, `${name}.json`), JSON.stringify(recording, null, 2) + '\n', 'utf-8');
+}
+
+export interface LLMRecorder {
+  baseUrl: string;
+  exchanges: LLMExchangeRecord[];
+  close(): Promise<void>;
+}
+
+// Proxies every request to a real Ollama and keeps the /api/chat exchanges
+export async function startLLMRecorder(targetUrl: string): Promise<LLMRecorder> {
+  const exchanges: LLMExchangeRecord[] = [];
+  const target = targetUrl.replace(/\/+$/, '');
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      try {
+        const response = await fetch(`${target}${req.url}`, {
+          method: req.method,
+          headers: { 'Content-Type': 'application/json' },
+          body: req.method === 'POST' ? raw : undefined
+        });
+        const text = await response.text();
+        const contentType = response.headers.get('content-type') || 'application/json';
+
+        if (req.url === '/api/chat') {
+          const request = JSON.parse(raw);
+          const exchange: LLMExchangeRecord = { request, status: response.status };
+          if (contentType.includes('ndjson')) {
+            exchange.chunks = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+          } else {
+            exchange.body = text ? JSON.parse(text) : null;
+          }
+          exchanges.push(exchange);
+        }
+
+        res.writeHead(response.status, { 'Content-Type': contentType });
+        res.end(text);
+      } catch (error: any) {
+        res.writeHead(502, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Recorder could not reach ${target}: ${error?.message || String(error)}` }));
+      }
+    });
+  });
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    exchanges,
+    close: () => new Promise<void>(resolve => server.close(() => resolve()))
+  };
+}
+
+// Tool call ids are generated per run, so requests are compared on what the
+// model actually sees: roles, text and the calls it made
+function normalizeMessages(messages: any[]): any[] {
+  return messages.map(message => ({
+    role: message.role,
+    content: message.content,
+    ...(message.tool_calls && {
+      tool_calls: message.tool_calls.map((call: any) => ({
+        name: call.function.name,
+        arguments: typeof call.function.arguments === 'string' ? JSON.parse(call.function.arguments) : call.function.arguments
+      }))
+    })
+  }));
+}
+
+// Serves recorded /api/chat replies in order. A request that differs from the
+// recorded one is answered with a 500 and reported by assertDone(), since the
+// rest of the recording no longer applies.
+export async function startLLMReplay(exchanges: LLMExchangeRecord[]): Promise<ScriptedLLM> {
+  const remaining = [...exchanges];
+  const failures: string[] = [];
+  let requestCount = 0;
+
+  const llm = await startMockOllama(request => {
+    requestCount++;
+    const exchange = remaining.shift();
+    if (!exchange) {
+      failures.push(`Request ${requestCount} was never recorded`);
+      return { status: 500, body: { error: `No recorded reply for request ${requestCount}` } };
+    }
+
+    const expected = normalizeMessages(exchange.request.messages);
+    const actual = normalizeMessages(request.messages);
+    if (request.model !== exchange.request.model || !isDeepStrictEqual(actual, expected)) {
+      failures.push(`Request ${requestCount} differs from the recording:\n` +
+        `expected ${JSON.stringify(expected)}\nreceived ${JSON.stringify(actual)}`);
+      return { status: 500, body: { error: `Request ${requestCount} differs from the recording` } };
+    }
+    return exchange.chunks ? { status: exchange.status, chunks: exchange.chunks } : { status: exchange.status, body: exchange.body };
+  });
+
+  return {
+    ...llm,
+    assertDone() {
+      const problems = [...failures];
+      if (remaining.length > 0) {
+        problems.push(`${remaining.length} recorded ${remaining.length === 1 ? 'exchange was' : 'exchanges were'} never replayed`);
+      }
+      if (problems.length > 0) {
+        throw new Error(problems.join('\n'));
+      }
+    }
+  };
+}
+
+// Runs a stdio MCP server behind mcp-tap.js, which logs its traffic to `file`
+export function tapMcpServer(params: ServerParameters, file: string): ServerParameters {
+  if (!params.command) {
+    throw new Error('Only stdio MCP servers can be tapped');
+  }
+  return { ...params, command: process.execPath, args: [MCP_TAP, file, params.command, ...(params.args || [])] };
+}
+
+// Pairs the bridge's requests in a tap log with the server's responses.
+// Notifications and requests from the server (pings) are left out.
+export async function readMcpTap(file: string): Promise<McpExchangeRecord[]> {
+  const lines = (await fs.readFile(file, 'utf-8')).split('\n').filter(line => line.trim());
+  const exchanges: McpExchangeRecord[] = [];
+  const pending = new Map<string | number, McpExchangeRecord>();
+
+  for (const line of lines) {
+    const { from, message } = JSON.parse(line);
+    if (from === 'client' && message.method && message.id !== undefined) {
+      const exchange: McpExchangeRecord = { method: message.method, params: message.params || {} };
+      exchanges.push(exchange);
+      pending.set(message.id, exchange);
+    } else if (from === 'server' && !message.method && pending.has(message.id)) {
+      const exchange = pending.get(message.id)!;
+      pending.delete(message.id);
+      if (message.error) {
+        exchange.error = { code: message.error.code, message: message.error.message };
+      } else {
+        exchange.result = message.result;
+      }
+    }
+  }
+
+  return exchanges.filter(exchange => exchange.result !== undefined || exchange.error);
+}
+
+function withoutMeta(params: any): any {
+  const { _meta, ...rest } = params || {};
+  return rest;
+}
+
+// An in-process MCP server that answers from recorded traffic: each request
+// gets the first unused recorded answer to the same method and parameters
+export async function startMcpReplay(exchanges: McpExchangeRecord[]): Promise<FakeMcpServer> {
+  const unused = [...exchanges];
+
+  return serveMcp((method, params) => {
+    const index = unused.findIndex(exchange => exchange.method === method &&
+      (method === 'initialize' || isDeepStrictEqual(withoutMeta(exchange.params), withoutMeta(params))));
+    if (index < 0) {
+      // Pings and capability lists may be asked for more often than recorded
+      const earlier = exchanges.find(exchange => exchange.method === method && !exchange.error &&
+        isDeepStrictEqual(withoutMeta(exchange.params), withoutMeta(params)));
+      if (earlier && method !== 'tools/call') return earlier.result;
+      throw new McpError(-32603, `No recorded response for ${method} ${JSON.stringify(withoutMeta(params))}`);
+    }
+
+    const [exchange] = unused.splice(index, 1);
+    if (exchange.error) {
+      throw new McpError(exchange.error.code, exchange.error.message);
+    }
+    return exchange.result;
+  });
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MCPLLMBridge } from '../src/bridge';
+import {
+  RECORD_MODE,
+  loadRecording,
+  readMcpTap,
+  saveRecording,
+  startLLMRecorder,
+  startLLMReplay,
+  startMcpReplay,
+  tapMcpServer
+} from './recording';
+
+const TEST_TIMEOUT = RECORD_MODE ? 600000 : 30000;
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'stub-mcp-server.js');
+const SYSTEM_PROMPT = 'You are a helpful assistant. Use the tools to answer, then reply in one sentence.';
+
+// Recorded sessions against the stub MCP server. Re-record them against a
+// live model with `npm run test:record` (RECORD_OLLAMA_URL and RECORD_MODEL
+// pick the Ollama instance and model).
+const sessions = [
+  { name: 'stub-add-then-echo', prompt: 'Add 2 and 3 with the add tool, then echo the sum with the echo tool.' }
+];
+
+describe('Recorded bridge sessions', () => {
+  let sessionDirectory: string;
+  const closers: Array<() => Promise<void>> = [];
+
+  beforeEach(async () => {
+    sessionDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-replay-'));
+  });
+
+  afterEach(async () => {
+    while (closers.length) await closers.pop()!();
+    await fs.rm(sessionDirectory, { recursive: true, force: true });
+  });
+
+  async function record(name: string, prompt: string) {
+    const model = process.env.RECORD_MODEL || 'qwen2.5-coder:7b-instruct';
+    const recorder = await startLLMRecorder(process.env.RECORD_OLLAMA_URL || 'http://127.0.0.1:11434');
+    closers.push(() => recorder.close());
+    const tap = path.join(sessionDirectory, 'stub.tap.jsonl');
+    const bridge = new MCPLLMBridge({
+      mcpServers: { stub: tapMcpServer({ command: process.execPath, args: [STUB_SERVER] }, tap) },
+      llmConfig: { model, baseUrl: recorder.baseUrl, temperature: 0 },
+      systemPrompt: SYSTEM_PROMPT,
+      sessionDirectory
+    });
+    await bridge.connectMcpServers();
+    const answer = await bridge.processMessage(prompt);
+    await bridge.close();
+
+    await saveRecording(name, { model, prompt, answer, llm: recorder.exchanges, mcp: { stub: await readMcpTap(tap) } });
+  }
+
+  it.each(sessions)('replays $name', async ({ name, prompt }) => {
+    if (RECORD_MODE) {
+      await record(name, prompt);
+    }
+    const recording = await loadRecording(name);
+    const llm = await startLLMReplay(recording.llm);
+    const mcp = await startMcpReplay(recording.mcp.stub);
+    closers.push(() => llm.close(), () => mcp.close());
+    const bridge = new MCPLLMBridge({
+      mcpServers: { stub: { url: mcp.url } },
+      llmConfig: { model: recording.model, baseUrl: llm.baseUrl, temperature: 0 },
+      systemPrompt: SYSTEM_PROMPT,
+      sessionDirectory
+    });
+    closers.push(() => bridge.close());
+    await bridge.connectMcpServers();
+
+    const answer = await bridge.processMessage(recording.prompt);
+
+    llm.assertDone();
+    expect(answer).toBe(recording.answer);
+    const toolCalls = mcp.requests.filter(request => request.method === 'tools/call');
+    expect(toolCalls.map(call => call.params.name)).toEqual(
+      recording.mcp.stub.filter(exchange => exchange.method === 'tools/call').map(exchange => exchange.params.name)
+    );
+  }, TEST_TIMEOUT);
+});
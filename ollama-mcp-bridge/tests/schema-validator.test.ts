@@ -0,0 +1,98 @@
+import { describe, it, expect } from '@jest/globals';
+import { formatViolations, validateArguments } from '../src/schema-validator';
+
+const searchSchema = {
+  type: 'object',
+  properties: {
+    query: { type: 'string', minLength: 1 },
+    count: { type: 'integer', minimum: 1, maximum: 20, default: 10 },
+    status: { type: 'string', enum: ['active', 'inactive'] },
+    filters: {
+      type: 'object',
+      properties: {
+        since: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        exact: { type: 'boolean', default: false }
+      },
+      additionalProperties: false
+    },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 3 }
+  },
+  required: ['query']
+};
+
+describe('validateArguments', () => {
+  it('applies defaults, including in nested objects', () => {
+    const result = validateArguments(searchSchema, { query: 'fhir', filters: {} });
+
+    expect(result.valid).toBe(true);
+    expect(result.value).toEqual({ query: 'fhir', count: 10, filters: { exact: false } });
+  });
+
+  it('repairs the mistakes small models make', () => {
+    const result = validateArguments(searchSchema, {
+      query: 42,
+      count: '5',
+      status: 'Active',
+      filters: '{"exact": "true"}',
+      tags: 'urgent',
+      unknown: null
+    });
+
+    expect(result.errors).toEqual([]);
+    expect(result.value).toEqual({
+      query: '42',
+      count: 5,
+      status: 'active',
+      filters: { exact: true },
+      tags: ['urgent'],
+      unknown: null
+    });
+    expect(result.repairs).toContain('count: converted "5" to a number');
+  });
+
+  it('reports every violation with its path', () => {
+    const result = validateArguments(searchSchema, {
+      count: 2.5,
+      status: 'archived',
+      filters: { since: 'yesterday', colour: 'red' },
+      tags: ['a', 'b', 'c', 4, 'e']
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { path: 'query', message: 'is required' },
+      { path: 'count', message: 'expected integer, got number' },
+      { path: 'status', message: 'must be one of "active", "inactive", got "archived"' },
+      { path: 'filters.since', message: 'must match the pattern ^\\d{4}-\\d{2}-\\d{2}$' },
+      { path: 'filters.colour', message: 'is not a known property; expected one of since, exact' },
+      { path: 'tags', message: 'must have at most 3 items' }
+    ]);
+    expect(formatViolations(result.errors.slice(0, 2))).toBe('- query: is required\n- count: expected integer, got number');
+  });
+
+  it('follows local refs and picks the matching union branch', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        target: {
+          oneOf: [
+            { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+            { $ref: '#/$defs/search' }
+          ]
+        }
+      },
+      required: ['target'],
+      $defs: {
+        search: { type: 'object', properties: { name: { type: 'string' }, limit: { type: 'number', default: 5 } }, required: ['name'] }
+      }
+    };
+
+    expect(validateArguments(schema, { target: { name: 'Ada' } }).value).toEqual({ target: { name: 'Ada', limit: 5 } });
+    expect(validateArguments(schema, { target: {} }).errors).toEqual([{ path: 'target.id', message: 'is required' }]);
+  });
+
+  it('treats missing arguments as an empty object', () => {
+    expect(validateArguments(searchSchema, undefined).errors).toEqual([{ path: 'query', message: 'is required' }]);
+    expect(validateArguments(undefined, { anything: true }).valid).toBe(true);
+  });
+});
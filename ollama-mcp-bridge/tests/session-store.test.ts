@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SessionStore } from '../src/session-store';
+
+describe('SessionStore', () => {
+  let directory: string;
+  let store: SessionStore;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-sessions-'));
+    store = new SessionStore(directory);
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('saves and loads a session as JSON', async () => {
+    const session = store.create();
+    session.messages.push({ role: 'user', content: 'hello' });
+    await store.save(session);
+
+    const raw = JSON.parse(await fs.readFile(path.join(directory, `${session.id}.json`), 'utf-8'));
+    expect(raw.messages).toEqual([{ role: 'user', content: 'hello' }]);
+    await expect(store.load(session.id)).resolves.toEqual(session);
+  });
+
+  it('lists sessions with the most recently updated first', async () => {
+    const older = store.create();
+    older.messages.push({ role: 'user', content: 'first' });
+    await store.save(older);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const newer = store.create();
+    await store.save(newer);
+
+    const sessions = await store.list();
+
+    expect(sessions.map(session => session.id)).toEqual([newer.id, older.id]);
+    expect(sessions[1].messageCount).toBe(1);
+    expect(sessions[0]).not.toHaveProperty('messages');
+  });
+
+  it('returns an empty list when nothing has been saved yet', async () => {
+    await expect(new SessionStore(path.join(directory, 'missing')).list()).resolves.toEqual([]);
+  });
+
+  it('rejects unknown and malformed ids', async () => {
+    await expect(store.load('does-not-exist')).rejects.toThrow('Session not found: does-not-exist');
+    await expect(store.load('../escape')).rejects.toThrow('Invalid session id');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildToolCallFormat, parseStructuredReply } from '../src/structured-output';
+
+describe('buildToolCallFormat', () => {
+  it('builds one branch per tool from its input schema, plus a final answer', () => {
+    const format = buildToolCallFormat([
+      {
+        type: 'function',
+        function: {
+          name: 'get-observation',
+          description: 'Read an observation',
+          parameters: {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties: { id: { type: 'string' }, period: { $ref: '#/definitions/period' } },
+            required: ['id'],
+            definitions: { period: { type: 'object', properties: { start: { type: 'string' } } } }
+          }
+        }
+      },
+      { type: 'function', function: { name: 'list-sources', description: 'List sources' } }
+    ]);
+
+    expect(format.oneOf).toHaveLength(3);
+    expect(format.oneOf[0].properties.name).toEqual({ type: 'string', const: 'get-observation' });
+    expect(format.oneOf[0].properties.arguments).toEqual({
+      type: 'object',
+      properties: { id: { type: 'string' }, period: { type: 'object', properties: { start: { type: 'string' } } } },
+      required: ['id']
+    });
+    expect(format.oneOf[1].properties.arguments).toEqual({ type: 'object', properties: {} });
+    expect(format.oneOf[2].required).toEqual(['name', 'answer']);
+  });
+
+  it('cuts off recursive references', () => {
+    const format = buildToolCallFormat([{
+      type: 'function',
+      function: {
+        name: 'tree',
+        parameters: {
+          type: 'object',
+          properties: { node: { $ref: '#/$defs/node' } },
+          $defs: { node: { type: 'object', properties: { child: { $ref: '#/$defs/node' } } } }
+        }
+      }
+    }]);
+
+    expect(format.oneOf[0].properties.arguments.properties.node).toEqual({
+      type: 'object',
+      properties: { child: {} }
+    });
+  });
+});
+
+describe('parseStructuredReply', () => {
+  it('tells tool calls from final answers', () => {
+    expect(parseStructuredReply('{"name":"read_file","arguments":{"path":"a"},"thoughts":"look"}')).toEqual({
+      type: 'tool_call', name: 'read_file', arguments: { path: 'a' }, thoughts: 'look'
+    });
+    expect(parseStructuredReply({ name: 'final_answer', answer: 'done' })).toEqual({ type: 'answer', content: 'done' });
+    expect(parseStructuredReply('plain text')).toBeNull();
+    expect(parseStructuredReply('{"answer":"no name"}')).toBeNull();
+  });
+});
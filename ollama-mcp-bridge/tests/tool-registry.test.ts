@@ -0,0 +1,78 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { DynamicToolRegistry } from '../src/tool-registry';
+import { OllamaEmbeddings, cosineSimilarity } from '../src/embeddings';
+import { startMockOllama, chatReply, MockOllama } from './mock-ollama';
+
+const TEST_TIMEOUT = 30000;
+
+const tools = [
+  { name: 'read_file', description: 'Read the contents of a file' },
+  { name: 'brave_web_search', description: 'Search the web' },
+  { name: 'list_events', description: 'List the upcoming events on your calendar' },
+  { name: 'get-observation', description: 'Look up lab results such as A1C or glucose' },
+  { name: 'send_email', description: 'Send an email message' }
+];
+
+// Bag of words over a tiny vocabulary, enough to tell the tools apart
+const VOCABULARY = ['file', 'web', 'search', 'calendar', 'events', 'lab', 'a1c', 'email', 'send'];
+function embed(text: string): number[] {
+  const words = text.toLowerCase().split(/[^a-z0-9]+/);
+  return VOCABULARY.map(term => words.filter(word => word === term).length + 0.01);
+}
+
+function createRegistry(embeddings: OllamaEmbeddings | null) {
+  const registry = new DynamicToolRegistry(embeddings);
+  tools.forEach(tool => registry.registerTool({ ...tool, inputSchema: { type: 'object', properties: {} } }));
+  return registry;
+}
+
+describe('DynamicToolRegistry tool selection', () => {
+  let ollama: MockOllama | null = null;
+
+  afterEach(async () => {
+    await ollama?.close();
+    ollama = null;
+  });
+
+  it('ranks tools by similarity to the prompt and caches the tool vectors', async () => {
+    ollama = await startMockOllama(() => chatReply({}), embed);
+    const registry = createRegistry(new OllamaEmbeddings(ollama.baseUrl, 'mock-embed'));
+
+    expect(await registry.selectTools("what's on my calendar this week", 2)).toEqual(['list_events', expect.any(String)]);
+    expect((await registry.selectTools('look up my latest A1C', 1))).toEqual(['get-observation']);
+    // Tools the prompt names outright come first
+    expect((await registry.selectTools('use send_email to share my A1C', 2))).toEqual(['send_email', 'get-observation']);
+
+    const toolTexts = ollama.embedded.filter(text => text.includes(':'));
+    expect(toolTexts).toHaveLength(tools.length);
+    expect(toolTexts).toContain('get observation: Look up lab results such as A1C or glucose');
+  }, TEST_TIMEOUT);
+
+  it('sends every tool when there are no more than the limit', async () => {
+    ollama = await startMockOllama(() => chatReply({}), embed);
+    const registry = createRegistry(new OllamaEmbeddings(ollama.baseUrl, 'mock-embed'));
+
+    expect(await registry.selectTools('anything', 5)).toEqual(tools.map(tool => tool.name));
+    expect(ollama.embedded).toEqual([]);
+  }, TEST_TIMEOUT);
+
+  it('falls back to keyword matching when embeddings are unavailable', async () => {
+    ollama = await startMockOllama(() => chatReply({}));
+    const embeddings = new OllamaEmbeddings(ollama.baseUrl, 'missing-model');
+    const registry = createRegistry(embeddings);
+
+    expect(await registry.selectTools('run brave web search for mcp', 2)).toEqual(['brave_web_search']);
+    expect(embeddings.available).toBe(false);
+    expect(await registry.selectTools("what's on my calendar", 2)).toEqual(tools.map(tool => tool.name));
+    // The failed model is not asked again right away
+    expect(ollama.embedded).toHaveLength(1);
+  }, TEST_TIMEOUT);
+});
+
+describe('cosineSimilarity', () => {
+  it('compares direction, not length', () => {
+    expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+  });
+});
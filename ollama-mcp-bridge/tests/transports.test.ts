@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import { MCPClient } from '../src/mcp-client';
+import { createTransport, SSETransport, StdioTransport, StreamableHTTPTransport } from '../src/transports';
+import { LineDecoder } from '../src/transports/line-decoder';
+import { startMockMcpHttpServer, MockMcpHttpServer } from './mock-mcp-http';
+
+const TEST_TIMEOUT = 30000;
+const headers = { Authorization: 'Bearer secret' };
+
+describe('MCP HTTP transports', () => {
+  let server: MockMcpHttpServer;
+
+  beforeAll(async () => {
+    server = await startMockMcpHttpServer({ token: 'secret' });
+  });
+
+  afterAll(async () => {
+    await server?.close();
+  });
+
+  it('talks to a Streamable HTTP server with a session id', async () => {
+    server.requests.length = 0;
+    const client = new MCPClient({ url: `${server.baseUrl}/mcp`, headers });
+    const logs: any[] = [];
+    client.on('log', params => logs.push(params));
+
+    await client.connect();
+    const result = await client.callTool('echo', { text: 'over http' });
+    await client.close();
+
+    expect(client.protocolVersion).toBe('2025-03-26');
+    expect(result).toEqual({ content: [{ type: 'text', text: 'over http' }] });
+    expect(logs).toEqual([{ level: 'info', data: 'calling echo' }]);
+    expect(server.requests).toContain('GET /mcp');
+    expect(server.requests[server.requests.length - 1]).toBe('DELETE /mcp');
+  }, TEST_TIMEOUT);
+
+  it('talks to an HTTP+SSE server', async () => {
+    const client = new MCPClient({ url: `${server.baseUrl}/sse`, transport: 'sse', headers });
+
+    await client.connect();
+    const tools = await client.getAvailableTools();
+    const result = await client.callTool('echo', { text: 'over sse' });
+    await client.close();
+
+    expect(tools.map(tool => tool.name)).toEqual(['echo']);
+    expect(result).toEqual({ content: [{ type: 'text', text: 'over sse' }] });
+  }, TEST_TIMEOUT);
+
+  it('fails to connect without the auth headers', async () => {
+    const client = new MCPClient({ url: `${server.baseUrl}/mcp` });
+
+    await expect(client.connect()).rejects.toThrow('failed with status 401');
+    await client.close();
+  }, TEST_TIMEOUT);
+});
+
+describe('Streamable HTTP connection loss', () => {
+  let server: MockMcpHttpServer | null = null;
+  let client: MCPClient | null = null;
+
+  afterEach(async () => {
+    await client?.close();
+    await server?.close();
+    client = null;
+    server = null;
+  });
+
+  async function waitFor(condition: () => boolean) {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    expect(condition()).toBe(true);
+  }
+
+  it('aborts the HTTP request of a call that times out', async () => {
+    server = await startMockMcpHttpServer();
+    client = new MCPClient({ url: `${server.baseUrl}/mcp`, timeout: 200 });
+    await client.connect();
+
+    await expect(client.callTool('hang', {})).rejects.toThrow('timed out after 200ms');
+
+    await waitFor(() => server!.abandoned === 1);
+  }, TEST_TIMEOUT);
+
+  it('reconnects when the server ends its message stream', async () => {
+    server = await startMockMcpHttpServer({ serverStream: true });
+    client = new MCPClient({ url: `${server.baseUrl}/mcp`, restartDelay: 50 });
+    const events: string[] = [];
+    client.on('disconnected', () => events.push('disconnected'));
+    client.on('reconnected', () => events.push('reconnected'));
+    await client.connect();
+    await waitFor(() => server!.requests.includes('GET /mcp'));
+
+    server.endServerStreams();
+
+    await waitFor(() => events.length === 2);
+    expect(events).toEqual(['disconnected', 'reconnected']);
+    expect(await client.callTool('echo', { text: 'back' })).toEqual({ content: [{ type: 'text', text: 'back' }] });
+  }, TEST_TIMEOUT);
+
+  it('reports a server that can no longer be reached', async () => {
+    server = await startMockMcpHttpServer();
+    client = new MCPClient({ url: `${server.baseUrl}/mcp`, autoRestart: false });
+    let disconnected = false;
+    client.on('disconnected', () => { disconnected = true; });
+    await client.connect();
+    await server.close();
+    server = null;
+
+    await expect(client.callTool('echo', { text: 'anyone?' })).rejects.toThrow();
+
+    expect(disconnected).toBe(true);
+  }, TEST_TIMEOUT);
+});
+
+describe('createTransport', () => {
+  it('picks the transport from the server parameters', () => {
+    expect(createTransport({ command: 'node' })).toBeInstanceOf(StdioTransport);
+    expect(createTransport({ url: 'http://localhost/mcp' })).toBeInstanceOf(StreamableHTTPTransport);
+    expect(createTransport({ url: 'http://localhost/sse', transport: 'sse' })).toBeInstanceOf(SSETransport);
+    expect(() => createTransport({ transport: 'sse' })).toThrow('The sse transport requires a url');
+  });
+});
+
+describe('LineDecoder', () => {
+  it('keeps partial lines and characters until the rest arrives', () => {
+    const decoder = new LineDecoder();
+    const bytes = Buffer.from('{"a":"é"}\n{"b":', 'utf8');
+
+    expect(decoder.push(bytes.subarray(0, 7))).toEqual([]);
+    expect(decoder.push(bytes.subarray(7))).toEqual(['{"a":"é"}']);
+    expect(decoder.push(Buffer.from('2}\r\n\n'))).toEqual(['{"b":2}']);
+    expect(decoder.push(Buffer.from('{"c":3}'))).toEqual([]);
+    expect(decoder.end()).toEqual(['{"c":3}']);
+  });
+});